@@ -3,6 +3,8 @@
  */
 import apiService from "./api.js";
 import authService from "./auth.js";
+import { getOrderStatusLabel } from "./order-status.js";
+import tabSync from "./sync.js";
 import {
   formatDate,
   formatPrice,
@@ -43,6 +45,12 @@ class AdminService {
 
     // Load admin data
     this.loadAdminData();
+
+    // Keep the admin panel up to date with changes made in other tabs
+    tabSync.subscribe(
+      ["users", "listings", "orders", "promo-codes"],
+      (topics) => this.syncChanges(topics)
+    );
   }
 
   /**
@@ -96,6 +104,34 @@ class AdminService {
     });
   }
 
+  /**
+   * Reload the stats and the open tab after another tab changed their data
+   * @param {Array} topics - Topics that changed
+   */
+  syncChanges(topics) {
+    // Topics each tab shows; settings forms aren't reloaded so input isn't
+    // lost, only their promo code list
+    const tabTopics = {
+      users: ["users"],
+      listings: ["listings"],
+      orders: ["orders"],
+    };
+    const activeLink = document.querySelector(".sidebar-nav li.active");
+    const tabId = activeLink ? activeLink.getAttribute("data-tab") : null;
+
+    if (topics.some((topic) => topic !== "promo-codes")) {
+      this.loadAdminData();
+    }
+
+    if ((tabTopics[tabId] || []).some((topic) => topics.includes(topic))) {
+      this.loadTabData(tabId);
+    }
+
+    if (tabId === "settings" && topics.includes("promo-codes")) {
+      this.loadPromoCodes();
+    }
+  }
+
   /**
    * Load data for specific tab
    * @param {string} tabId - Tab ID
@@ -916,29 +952,15 @@ class AdminService {
       let ordersHTML = "";
 
       orders.forEach((order) => {
-        // Get status class
-        let statusClass = "";
-        switch (order.status) {
-          case "pending":
-            statusClass = "pending";
-            break;
-          case "completed":
-            statusClass = "completed";
-            break;
-          case "cancelled":
-            statusClass = "cancelled";
-            break;
-        }
-
         ordersHTML += `
                     <div class="admin-order-card">
                         <div class="admin-order-header">
                             <span class="admin-order-id">Order #${order.id
                               .substring(0, 8)
                               .toUpperCase()}</span>
-                            <span class="admin-order-status ${statusClass}">${
-          order.status.charAt(0).toUpperCase() + order.status.slice(1)
-        }</span>
+                            <span class="admin-order-status ${
+                              order.status
+                            }">${getOrderStatusLabel(order.status)}</span>
                         </div>
                         
                         <div class="admin-order-customer">
@@ -972,6 +994,16 @@ class AdminService {
                             `
                               )
                               .join("")}
+                            ${
+                              order.promoCode
+                                ? `
+                            <div class="admin-order-item">
+                                <span>Promo ${order.promoCode}</span>
+                                <span>-${formatPrice(order.discount)}</span>
+                            </div>
+                            `
+                                : ""
+                            }
                             <div class="admin-order-total">
                                 <span>Total</span>
                                 <span>${formatPrice(order.total)}</span>
@@ -1100,6 +1132,30 @@ class AdminService {
       });
     }
 
+    // Pricing settings form
+    const pricingSettingsForm = document.getElementById(
+      "pricing-settings-form"
+    );
+    if (pricingSettingsForm) {
+      this.loadPricingSettings(pricingSettingsForm);
+
+      pricingSettingsForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        await this.savePricingSettings(pricingSettingsForm);
+      });
+    }
+
+    // Promo code form
+    const promoCodeForm = document.getElementById("promo-code-form");
+    if (promoCodeForm) {
+      this.loadPromoCodes();
+
+      promoCodeForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        await this.savePromoCode(promoCodeForm);
+      });
+    }
+
     // Add admin form
     const addAdminForm = document.getElementById("add-admin-form");
     if (addAdminForm) {
@@ -1135,6 +1191,238 @@ class AdminService {
       });
     }
   }
+
+  /**
+   * Load promo codes and the businesses they can be limited to
+   */
+  async loadPromoCodes() {
+    const tableBody = document.getElementById("promo-codes-table-body");
+    const businessSelect = document.getElementById("promo-business");
+    if (!tableBody) return;
+
+    try {
+      const [promoResult, usersResult] = await Promise.all([
+        apiService.getPromoCodes(),
+        apiService.getUsers({ role: "business" }),
+      ]);
+
+      if (!promoResult.success) {
+        showNotification(promoResult.message, "error");
+        return;
+      }
+
+      const businesses = usersResult.success ? usersResult.users : [];
+
+      // Fill business options (keeping the current choice)
+      if (businessSelect) {
+        const selected = businessSelect.value;
+        businessSelect.innerHTML =
+          '<option value="">All businesses</option>' +
+          businesses
+            .map(
+              (business) =>
+                `<option value="${business.id}">${
+                  business.businessName || business.name
+                }</option>`
+            )
+            .join("");
+        businessSelect.value = selected;
+      }
+
+      if (promoResult.promoCodes.length === 0) {
+        tableBody.innerHTML = `
+                    <tr>
+                        <td colspan="6">No promo codes yet</td>
+                    </tr>
+                `;
+        return;
+      }
+
+      tableBody.innerHTML = promoResult.promoCodes
+        .map((promo) => {
+          const business = businesses.find(
+            (business) => business.id === promo.businessId
+          );
+          const scope = [
+            business ? business.businessName || business.name : "",
+            promo.category || "",
+          ]
+            .filter(Boolean)
+            .join(", ");
+
+          return `
+                    <tr>
+                        <td><strong>${promo.code}</strong></td>
+                        <td>${
+                          promo.type === "percent"
+                            ? `${promo.value}%`
+                            : formatPrice(promo.value)
+                        }${
+            promo.minSpend ? ` (min ${formatPrice(promo.minSpend)})` : ""
+          }</td>
+                        <td>${scope || "Everything"}</td>
+                        <td>${
+                          promo.expiresAt
+                            ? formatDate(promo.expiresAt)
+                            : "Never"
+                        }</td>
+                        <td>${promo.timesUsed}${
+            promo.perUserLimit ? ` (max ${promo.perUserLimit}/customer)` : ""
+          }</td>
+                        <td>
+                            <div class="user-actions">
+                                <button class="block delete-promo" data-id="${
+                                  promo.id
+                                }"><i class="fas fa-trash-alt"></i></button>
+                            </div>
+                        </td>
+                    </tr>
+                `;
+        })
+        .join("");
+
+      // Add event listeners
+      tableBody.querySelectorAll(".delete-promo").forEach((button) => {
+        button.addEventListener("click", async () => {
+          if (!confirm("Are you sure you want to delete this promo code?")) {
+            return;
+          }
+
+          const result = await apiService.deletePromoCode(
+            button.getAttribute("data-id")
+          );
+
+          if (result.success) {
+            showNotification(result.message, "success");
+            this.loadPromoCodes();
+          } else {
+            showNotification(result.message, "error");
+          }
+        });
+      });
+    } catch (error) {
+      console.error("Error loading promo codes:", error);
+      showNotification("Error loading promo codes", "error");
+    }
+  }
+
+  /**
+   * Create a promo code from the form
+   * @param {HTMLFormElement} form - Promo code form
+   */
+  async savePromoCode(form) {
+    try {
+      const formData = new FormData(form);
+      const expiresAt = formData.get("expiresAt");
+
+      const result = await apiService.createPromoCode({
+        code: formData.get("code"),
+        type: formData.get("type"),
+        value: formData.get("value"),
+        minSpend: formData.get("minSpend"),
+        perUserLimit: formData.get("perUserLimit"),
+        // Codes stay valid until the end of the chosen day
+        expiresAt: expiresAt
+          ? new Date(`${expiresAt}T23:59:59`).toISOString()
+          : null,
+        businessId: formData.get("businessId"),
+        category: formData.get("category"),
+      });
+
+      if (result.success) {
+        showNotification(result.message, "success");
+        form.reset();
+        this.loadPromoCodes();
+      } else {
+        showNotification(result.message, "error");
+      }
+    } catch (error) {
+      console.error("Error saving promo code:", error);
+      showNotification("Error saving promo code", "error");
+    }
+  }
+
+  /**
+   * Fill the pricing form with the current configuration
+   * @param {HTMLFormElement} form - Pricing settings form
+   */
+  async loadPricingSettings(form) {
+    try {
+      const config = await apiService.getPricingConfig();
+
+      // Rates are stored as fractions but edited as percentages
+      form.elements["defaultTaxRate"].value = +(
+        config.defaultTaxRate * 100
+      ).toFixed(4);
+      form.elements["regionTaxRates"].value = Object.entries(
+        config.regionTaxRates
+      )
+        .map(([region, rate]) => `${region}=${+(rate * 100).toFixed(4)}`)
+        .join("\n");
+      form.elements["serviceFeePercent"].value = config.serviceFeePercent;
+      form.elements["serviceFeeFlat"].value = config.serviceFeeFlat;
+
+      form
+        .querySelectorAll('input[name="taxExemptCategories"]')
+        .forEach((checkbox) => {
+          checkbox.checked = config.taxExemptCategories.includes(
+            checkbox.value
+          );
+        });
+    } catch (error) {
+      console.error("Error loading pricing settings:", error);
+      showNotification("Error loading pricing settings", "error");
+    }
+  }
+
+  /**
+   * Save the pricing form
+   * @param {HTMLFormElement} form - Pricing settings form
+   */
+  async savePricingSettings(form) {
+    try {
+      const formData = new FormData(form);
+
+      // Parse "REGION=rate" lines
+      const regionTaxRates = {};
+      const lines = formData
+        .get("regionTaxRates")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+      for (const line of lines) {
+        const [region, rate] = line.split("=").map((part) => part.trim());
+
+        if (!region || rate === undefined || isNaN(parseFloat(rate))) {
+          showNotification(
+            `Invalid regional tax rate "${line}". Use REGION=rate, e.g. CA=7.25`,
+            "error"
+          );
+          return;
+        }
+
+        regionTaxRates[region] = parseFloat(rate) / 100;
+      }
+
+      const result = await apiService.updatePricingConfig({
+        defaultTaxRate: parseFloat(formData.get("defaultTaxRate")) / 100,
+        regionTaxRates,
+        taxExemptCategories: formData.getAll("taxExemptCategories"),
+        serviceFeePercent: parseFloat(formData.get("serviceFeePercent")),
+        serviceFeeFlat: parseFloat(formData.get("serviceFeeFlat")),
+      });
+
+      if (result.success) {
+        showNotification(result.message, "success");
+      } else {
+        showNotification(result.message, "error");
+      }
+    } catch (error) {
+      console.error("Error saving pricing settings:", error);
+      showNotification("Error saving pricing settings", "error");
+    }
+  }
 }
 
 // Initialize admin service when DOM is loaded
@@ -0,0 +1,717 @@
+/**
+ * HTTP client for the SaveBite backend server
+ *
+ * Implements the same methods as ApiService, but sends each call to the
+ * REST routes exposed by server/index.mjs instead of reading local storage.
+ */
+import { ORDER_POLL_INTERVAL, OrderFeed } from "./order-feed.js";
+import defaultStorage from "./storage.js";
+
+// Storage key for the server-issued token
+const TOKEN_KEY = "savebite_api_token";
+
+/**
+ * ApiClient class talking to the SaveBite server
+ */
+class ApiClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.baseUrl - Server URL (e.g. http://localhost:3000)
+   * @param {StorageAdapter} options.storage - Storage for the auth token
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor({ baseUrl, storage = defaultStorage, fetch = globalThis.fetch }) {
+    if (!baseUrl) {
+      throw new Error("ApiClient requires a baseUrl");
+    }
+
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.storage = storage;
+    this.fetch = fetch;
+    this.ready = this.storage.ready();
+  }
+
+  /**
+   * Send a request to the server
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path (starting with /api)
+   * @param {Object} body - Optional JSON body
+   * @returns {Promise<*>} Parsed response body
+   */
+  async request(method, path, body = undefined) {
+    await this.ready;
+
+    const headers = {};
+    const token = this.storage.get(TOKEN_KEY);
+
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+
+    const response = await this.fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+
+    return response.json();
+  }
+
+  /**
+   * Build a query string from a filters object
+   * @param {Object} filters - Filters object
+   * @returns {string} Query string (including leading "?") or empty string
+   */
+  toQueryString(filters = {}) {
+    const params = new URLSearchParams();
+
+    Object.entries(filters || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== "") {
+        params.set(key, value);
+      }
+    });
+
+    const query = params.toString();
+    return query ? `?${query}` : "";
+  }
+
+  /**
+   * Convert listing filters to query parameters
+   * @param {Object} filters - Listing filters
+   * @returns {Object} Query parameters, with the "near" filter sent as
+   *                   near=lat,lng,radiusKm
+   */
+  toListingQuery(filters = {}) {
+    const { near, ...query } = filters || {};
+
+    if (near) {
+      query.near = [near.lat, near.lng, near.radiusKm]
+        .filter((value) => value !== undefined)
+        .join(",");
+    }
+
+    return query;
+  }
+
+  // ==================== Auth Methods ====================
+
+  /**
+   * Register a new user and keep the returned token
+   * @param {Object} userData - User data for registration
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async register(userData) {
+    const result = await this.request("POST", "/api/auth/register", userData);
+
+    if (result.success) {
+      this.storage.set(TOKEN_KEY, result.token);
+    }
+
+    return result;
+  }
+
+  /**
+   * Log in and keep the returned token
+   * @param {string} email - User email
+   * @param {string} password - User password
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async login(email, password) {
+    const result = await this.request("POST", "/api/auth/login", {
+      email,
+      password,
+    });
+
+    if (result.success) {
+      this.storage.set(TOKEN_KEY, result.token);
+    }
+
+    return result;
+  }
+
+  /**
+   * Log out and forget the token
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async logout() {
+    const result = await this.request("POST", "/api/auth/logout");
+    this.storage.remove(TOKEN_KEY);
+    return result;
+  }
+
+  /**
+   * Get the logged-in user
+   * @returns {Promise<Object>} Result object with success flag and user/message
+   */
+  async getCurrentUser() {
+    return this.request("GET", "/api/auth/me");
+  }
+
+  /**
+   * Change the logged-in user's password
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async changePassword(currentPassword, newPassword) {
+    return this.request("POST", "/api/auth/password", {
+      currentPassword,
+      newPassword,
+    });
+  }
+
+  // ==================== Listing Methods ====================
+
+  /**
+   * Get all listings
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Array>} Array of listings
+   */
+  async getListings(filters = {}) {
+    return this.request(
+      "GET",
+      `/api/listings${this.toQueryString(this.toListingQuery(filters))}`
+    );
+  }
+
+  /**
+   * Get facet counts for the listings page sidebar
+   * @param {Object} filters - Filters, as for getListings
+   * @returns {Promise<Object>} Result object with success flag and facets
+   */
+  async getListingFacets(filters = {}) {
+    return this.request(
+      "GET",
+      `/api/listings/facets${this.toQueryString(this.toListingQuery(filters))}`
+    );
+  }
+
+  /**
+   * Get a listing by ID
+   * @param {string} id - Listing ID
+   * @returns {Promise<Object|null>} Listing object or null if not found
+   */
+  async getListingById(id) {
+    return this.request("GET", `/api/listings/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Create a new listing
+   * @param {Object} listingData - Listing data
+   * @returns {Promise<Object>} Result object with success flag and message/listing
+   */
+  async createListing(listingData) {
+    return this.request("POST", "/api/listings", listingData);
+  }
+
+  /**
+   * Update an existing listing
+   * @param {string} id - Listing ID
+   * @param {Object} listingData - Updated listing data
+   * @returns {Promise<Object>} Result object with success flag and message/listing
+   */
+  async updateListing(id, listingData) {
+    return this.request(
+      "PUT",
+      `/api/listings/${encodeURIComponent(id)}`,
+      listingData
+    );
+  }
+
+  /**
+   * Delete a listing
+   * @param {string} id - Listing ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async deleteListing(id) {
+    return this.request("DELETE", `/api/listings/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Create several listings at once
+   * @param {Array} records - Listing records
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/listings, plus invalidRows if any rows
+   *                            have errors
+   */
+  async importListings(records) {
+    return this.request("POST", "/api/listings/import", { records });
+  }
+
+  // ==================== Listing Image Methods ====================
+
+  /**
+   * Store a listing photo that was resized in the browser
+   * @param {Object} sizes - Map of width -> image data URL
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/imageId
+   */
+  async uploadListingImage(sizes) {
+    return this.request("POST", "/api/images", { sizes });
+  }
+
+  // ==================== Listing Template Methods ====================
+
+  /**
+   * Get the current business's listing templates (all templates for admins)
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            templates/message
+   */
+  async getListingTemplates() {
+    return this.request("GET", "/api/listing-templates");
+  }
+
+  /**
+   * Save a listing as a template that is published again on a schedule
+   * @param {string} listingId - Listing to copy
+   * @param {Object} recurrence - Frequency, days, publishTime and
+   *                              expiresAfterHours
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/template
+   */
+  async createListingTemplate(listingId, recurrence) {
+    return this.request("POST", "/api/listing-templates", {
+      listingId,
+      recurrence,
+    });
+  }
+
+  /**
+   * Change a listing template's schedule or pause/resume it
+   * @param {string} id - Template ID
+   * @param {Object} templateData - recurrence and/or active
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/template
+   */
+  async updateListingTemplate(id, templateData) {
+    return this.request(
+      "PUT",
+      `/api/listing-templates/${encodeURIComponent(id)}`,
+      templateData
+    );
+  }
+
+  /**
+   * Delete a listing template
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async deleteListingTemplate(id) {
+    return this.request(
+      "DELETE",
+      `/api/listing-templates/${encodeURIComponent(id)}`
+    );
+  }
+
+  // ==================== Cart Methods ====================
+
+  /**
+   * Get cart contents
+   * @returns {Promise<Object>} Cart object with items array
+   */
+  async getCart() {
+    return this.request("GET", "/api/cart");
+  }
+
+  /**
+   * Add item to cart and hold its stock
+   * @param {Object} item - Item to add (listing id and quantity)
+   * @returns {Promise<Object>} Result object with success flag and message/cart
+   */
+  async addToCart(item) {
+    return this.request("POST", "/api/cart/items", item);
+  }
+
+  /**
+   * Update cart item quantity and its stock hold
+   * @param {string} itemId - Item ID
+   * @param {number} quantity - New quantity (whole number; 0 removes it)
+   * @returns {Promise<Object>} Result object with success flag and message/cart
+   */
+  async updateCartItemQuantity(itemId, quantity) {
+    return this.request(
+      "PUT",
+      `/api/cart/items/${encodeURIComponent(itemId)}`,
+      { quantity }
+    );
+  }
+
+  /**
+   * Remove item from cart
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object>} Updated cart object
+   */
+  async removeFromCart(itemId) {
+    return this.request(
+      "DELETE",
+      `/api/cart/items/${encodeURIComponent(itemId)}`
+    );
+  }
+
+  /**
+   * Clear cart
+   * @returns {Promise<Object>} Empty cart object
+   */
+  async clearCart() {
+    return this.request("DELETE", "/api/cart");
+  }
+
+  /**
+   * Get the pickup slots for each business in the cart
+   * @returns {Promise<Object>} Result object with success flag and pickups
+   *                            (businessId, businessName and slots)
+   */
+  async getCartPickupSlots() {
+    return this.request("GET", "/api/cart/pickup-slots");
+  }
+
+  // ==================== Order Methods ====================
+
+  /**
+   * Get the orders the current user can see
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Array|Object>} Array of orders, or a result object
+   *                                  with success flag and message if the
+   *                                  user isn't logged in
+   */
+  async getOrders(filters = {}) {
+    return this.request("GET", `/api/orders${this.toQueryString(filters)}`);
+  }
+
+  /**
+   * Get order by ID
+   * @param {string} id - Order ID
+   * @returns {Promise<Object|null>} Order object, null if not found, or a
+   *                                 result object with success flag and
+   *                                 message if the user can't see it
+   */
+  async getOrderById(id) {
+    return this.request("GET", `/api/orders/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Create an order group from the cart, with one sub-order per business
+   * @param {Object} orderData - Customer details and per-business pickups
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message or group/orders
+   */
+  async createOrder(orderData) {
+    return this.request("POST", "/api/orders", orderData);
+  }
+
+  /**
+   * Get an order group with its sub-orders
+   * @param {string} id - Order group ID
+   * @returns {Promise<Object|null>} Order group, null if not found, or a
+   *                                 result object with success flag and
+   *                                 message if the user can't see it
+   */
+  async getOrderGroup(id) {
+    return this.request("GET", `/api/order-groups/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Find the order a customer is collecting from their pickup code
+   * @param {string} input - Pickup code or QR payload
+   * @returns {Promise<Object>} Result object with success flag and message/order
+   */
+  async findOrderByPickupCode(input) {
+    return this.request("GET", `/api/pickups/${encodeURIComponent(input)}`);
+  }
+
+  /**
+   * Add the items of a past order back to the cart
+   * @param {string} id - Order ID
+   * @returns {Promise<Object>} Result object with success flag, message,
+   *                            added and unavailable items and the cart
+   */
+  async reorder(id) {
+    return this.request(
+      "POST",
+      `/api/orders/${encodeURIComponent(id)}/reorder`
+    );
+  }
+
+  /**
+   * Update order status
+   * @param {string} id - Order ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Result object with success flag and message/order
+   */
+  async updateOrderStatus(id, status) {
+    return this.request(
+      "PATCH",
+      `/api/orders/${encodeURIComponent(id)}/status`,
+      { status }
+    );
+  }
+
+  /**
+   * Subscribe to new and updated orders
+   *
+   * The server can't push changes, so the feed polls it for them.
+   * @param {Function} listener - Called with { type, order } where type is
+   *                              'created' or 'updated'
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message or unsubscribe function
+   */
+  async subscribeToOrders(listener) {
+    const result = await this.getCurrentUser();
+    if (!result.success) return result;
+
+    const { user } = result;
+    if (user.role !== "business" && user.role !== "admin") {
+      return { success: false, message: "Unauthorized" };
+    }
+
+    const filters = user.role === "business" ? { businessId: user.id } : {};
+    const feed = new OrderFeed(() => this.getOrders(filters), listener, {
+      pollInterval: ORDER_POLL_INTERVAL,
+    });
+
+    await feed.start();
+
+    return { success: true, unsubscribe: () => feed.close() };
+  }
+
+  // ==================== User Methods ====================
+
+  /**
+   * Get all users
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Object>} Result object with success flag and users/message
+   */
+  async getUsers(filters = {}) {
+    return this.request("GET", `/api/users${this.toQueryString(filters)}`);
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Result object with success flag and user/message
+   */
+  async getUserById(id) {
+    return this.request("GET", `/api/users/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Update user status (block/unblock)
+   * @param {string} id - User ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async updateUserStatus(id, status) {
+    return this.request(
+      "PATCH",
+      `/api/users/${encodeURIComponent(id)}/status`,
+      { status }
+    );
+  }
+
+  /**
+   * Update user profile
+   * @param {string} id - User ID
+   * @param {Object} userData - Updated user data (profile fields only; id,
+   *                            email, role and status can't be changed)
+   * @returns {Promise<Object>} Result object with success flag and message/user
+   */
+  async updateUserProfile(id, userData) {
+    return this.request(
+      "PUT",
+      `/api/users/${encodeURIComponent(id)}`,
+      userData
+    );
+  }
+
+  // ==================== Notification Methods ====================
+
+  /**
+   * Get the current user's notifications
+   * @returns {Promise<Object>} Result object with success flag,
+   *                            notifications and unreadCount, or message
+   */
+  async getNotifications() {
+    return this.request("GET", "/api/notifications");
+  }
+
+  /**
+   * Mark the current user's notifications as read
+   * @param {Array} ids - Notification IDs (all of them if not given)
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async markNotificationsRead(ids = null) {
+    return this.request("POST", "/api/notifications/read", { ids });
+  }
+
+  /**
+   * Delete the current user's notifications
+   * @param {Array} ids - Notification IDs (all of them if not given)
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async clearNotifications(ids = null) {
+    return this.request("POST", "/api/notifications/clear", { ids });
+  }
+
+  // ==================== Favorites Methods ====================
+
+  /**
+   * Get the current customer's favorite businesses and listings
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            businesses/listings, or message
+   */
+  async getFavorites() {
+    return this.request("GET", "/api/favorites");
+  }
+
+  /**
+   * Add a business or listing to the current customer's favorites
+   * @param {string} type - 'business' or 'listing'
+   * @param {string} id - Business user ID or listing ID
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/favorite
+   */
+  async addFavorite(type, id) {
+    return this.request(
+      "PUT",
+      `/api/favorites/${encodeURIComponent(type)}/${encodeURIComponent(id)}`
+    );
+  }
+
+  /**
+   * Remove a business or listing from the current customer's favorites
+   * @param {string} type - 'business' or 'listing'
+   * @param {string} id - Business user ID or listing ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async removeFavorite(type, id) {
+    return this.request(
+      "DELETE",
+      `/api/favorites/${encodeURIComponent(type)}/${encodeURIComponent(id)}`
+    );
+  }
+
+  // ==================== Saved Search Methods ====================
+
+  /**
+   * Get the current customer's saved searches
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            savedSearches/message
+   */
+  async getSavedSearches() {
+    return this.request("GET", "/api/saved-searches");
+  }
+
+  /**
+   * Save a set of listing filters for the current customer
+   * @param {string} name - Name for the search
+   * @param {Object} filters - getListings filters
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/savedSearch
+   */
+  async createSavedSearch(name, filters) {
+    return this.request("POST", "/api/saved-searches", { name, filters });
+  }
+
+  /**
+   * Mark the alerts for a saved search as read
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async markSavedSearchSeen(id) {
+    return this.request(
+      "POST",
+      `/api/saved-searches/${encodeURIComponent(id)}/seen`
+    );
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async deleteSavedSearch(id) {
+    return this.request(
+      "DELETE",
+      `/api/saved-searches/${encodeURIComponent(id)}`
+    );
+  }
+
+  // ==================== Pricing Methods ====================
+
+  /**
+   * Get the pricing configuration (tax rates, exempt categories, fees)
+   * @returns {Promise<Object>} Pricing configuration
+   */
+  async getPricingConfig() {
+    return this.request("GET", "/api/pricing");
+  }
+
+  /**
+   * Update the pricing configuration
+   * @param {Object} config - Pricing configuration
+   * @returns {Promise<Object>} Result object with success flag and message/config
+   */
+  async updatePricingConfig(config) {
+    return this.request("PUT", "/api/pricing", config);
+  }
+
+  /**
+   * Get the totals the cart would be charged at checkout
+   * @param {string} promoCode - Promo code to apply (optional)
+   * @returns {Promise<Object>} Combined totals plus per-business orders
+   */
+  async getCartTotals(promoCode = "") {
+    return this.request(
+      "GET",
+      `/api/cart/totals${this.toQueryString({ promoCode })}`
+    );
+  }
+
+  // ==================== Promo Code Methods ====================
+
+  /**
+   * Get all promo codes
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            promoCodes/message
+   */
+  async getPromoCodes() {
+    return this.request("GET", "/api/promo-codes");
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} promoData - Promo code data
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/promoCode
+   */
+  async createPromoCode(promoData) {
+    return this.request("POST", "/api/promo-codes", promoData);
+  }
+
+  /**
+   * Delete a promo code
+   * @param {string} id - Promo code ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async deletePromoCode(id) {
+    return this.request("DELETE", `/api/promo-codes/${encodeURIComponent(id)}`);
+  }
+
+  // ==================== Stats Methods ====================
+
+  /**
+   * Get statistics for dashboard
+   * @param {string} type - Type of stats ('admin', 'business', or 'overview')
+   * @returns {Promise<Object>} Statistics object
+   */
+  async getStats(type = "overview") {
+    return this.request("GET", `/api/stats/${encodeURIComponent(type)}`);
+  }
+}
+
+export { ApiClient };
+export default ApiClient;
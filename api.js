@@ -2,22 +2,230 @@
  * API service for SaveBite application
  *
  * This file contains mock API functions that simulate backend endpoints.
- * In a real application, these would make actual HTTP requests to a server.
+ * The same ApiService also runs behind the Node server (server/index.mjs);
+ * use createApiService({ baseUrl }) to talk to that server over HTTP.
  */
-import authService from "./auth.js";
-import { generateId, isExpired } from "./utils.js";
-
-// Constants for localStorage keys
+import ApiClient from "./api-client.js";
+import defaultAuthService from "./auth.js";
+import defaultEmailService from "./email.js";
+import {
+  accountBlockedEmail,
+  listingExpiringEmail,
+  orderCancelledEmail,
+  orderPlacedEmail,
+  orderReadyEmail,
+} from "./email-templates.js";
+import {
+  calculatePricing,
+  normalizePricingConfig,
+  sumPricing,
+  validatePricingConfig,
+} from "./pricing.js";
+import {
+  applyPromoCode,
+  checkPromoCode,
+  normalizeCode,
+  validatePromoCodeData,
+} from "./promo-codes.js";
+import defaultStorage from "./storage.js";
+import {
+  checkCustomerCancellation,
+  checkTransition,
+  isFinalStatus,
+} from "./order-status.js";
+import {
+  MAX_IMPORT_ROWS,
+  toListingData,
+  validateListingData,
+} from "./listing-data.js";
+import {
+  getLatestPublishTime,
+  getNextPublishTime,
+  getTemplateExpiry,
+  getTemplateListingData,
+  normalizeRecurrence,
+  validateRecurrence,
+} from "./listing-templates.js";
+import { SearchIndex, getPriceBand } from "./search-index.js";
+import {
+  MAX_SAVED_SEARCHES,
+  MAX_SEARCH_ALERTS,
+  normalizeSearchFilters,
+  validateSavedSearch,
+} from "./saved-searches.js";
+import {
+  matchesDietaryNeeds,
+  normalizeDietaryProfile,
+  parseTagList,
+  validateDietaryInfo,
+} from "./dietary.js";
+import {
+  geocodeAddress,
+  getDistanceKm,
+  isValidLocation,
+  normalizeNear,
+} from "./geo.js";
+import { validateImageData } from "./listing-images.js";
+import {
+  EXPIRY_WARNING_TIME,
+  MAX_NOTIFICATIONS,
+  accountStatusNotification,
+  expiringListingNotification,
+  newOrderNotification,
+  orderStatusNotification,
+} from "./notifications.js";
+import { OrderFeed, reportFeedError } from "./order-feed.js";
+import { generatePickupCode, parsePickupInput } from "./pickup-code.js";
+import defaultSync from "./sync.js";
+import {
+  getEffectivePrice,
+  validateMarkdownSchedule,
+} from "./markdown-schedule.js";
+import {
+  DEFAULT_PICKUP_SCHEDULE,
+  getPickupSlots,
+  normalizePickupSchedule,
+  validatePickupSchedule,
+} from "./pickup-hours.js";
+import { generateId, isExpired, isValidEmail } from "./utils.js";
+
+// Constants for storage keys
 const LISTINGS_KEY = "savebite_listings";
 const ORDERS_KEY = "savebite_orders";
+const ORDER_GROUPS_KEY = "savebite_order_groups";
 const CART_KEY = "savebite_cart";
+const RESERVATIONS_KEY = "savebite_reservations";
+const PRICING_KEY = "savebite_pricing";
+const PROMO_CODES_KEY = "savebite_promo_codes";
+const LISTING_TEMPLATES_KEY = "savebite_listing_templates";
+const FAVORITES_KEY = "savebite_favorites";
+const SAVED_SEARCHES_KEY = "savebite_saved_searches";
+const SEARCH_ALERTS_KEY = "savebite_search_alerts";
+const NOTIFICATIONS_KEY = "savebite_notifications";
+
+// What customers can add to their favorites
+const FAVORITE_TYPES = ["business", "listing"];
+
+// Fields users can change on their own profile; id, email, role, status
+// and passwords are never taken from a profile update
+const PROFILE_FIELDS = [
+  "name",
+  "phone",
+  "businessName",
+  "businessType",
+  "businessAddress",
+  "businessDescription",
+  "taxRegion",
+  "pickupSchedule",
+  "dietaryProfile",
+  "businessLocation",
+];
+
+// Fields a business can set on its listings; id, business, status and
+// timestamps are never taken from the submitted data
+const LISTING_FIELDS = [
+  "foodName",
+  "category",
+  "originalPrice",
+  "discountedPrice",
+  "quantity",
+  "expiryDate",
+  "description",
+  "imageUrl",
+  "imageId",
+  "pickupOnly",
+  "pickupAddress",
+  "markdownSchedule",
+  "dietaryTags",
+  "allergens",
+];
+
+// Each uploaded image is stored under its own key so listings stay small
+const IMAGE_KEY_PREFIX = "savebite_image_";
+
+// How long items added to a cart are held for the customer
+const HOLD_DURATION = 15 * 60 * 1000; // 15 minutes
 
 /**
  * API Service class
  */
 class ApiService {
-  constructor() {
-    this.initializeMockData();
+  /**
+   * @param {Object} options - Service options
+   * @param {StorageAdapter} options.storage - Storage adapter to use
+   * @param {AuthService} options.auth - Auth service sharing the same storage
+   * @param {boolean} options.simulateLatency - Delay responses like a network call
+   * @param {string} options.imageBaseUrl - URL uploaded images are served
+   *                                        from (null to use data URLs)
+   * @param {TabSync} options.sync - Tells other tabs about changes
+   * @param {EmailService} options.email - Sends emails to users
+   */
+  constructor({
+    storage = defaultStorage,
+    auth = defaultAuthService,
+    simulateLatency = true,
+    imageBaseUrl = null,
+    sync = defaultSync,
+    email = defaultEmailService,
+  } = {}) {
+    this.storage = storage;
+    this.auth = auth;
+    this.simulateLatency = simulateLatency;
+    this.imageBaseUrl = imageBaseUrl;
+    this.sync = sync;
+    this.email = email;
+
+    // Live order feeds opened with subscribeToOrders
+    this.orderFeeds = [];
+
+    // Resolves once stored data is loaded and mock data is created
+    this.ready = Promise.all([this.storage.ready(), this.auth.ready]).then(() =>
+      this.initializeMockData()
+    );
+  }
+
+  /**
+   * Get the simulated network delay for a call
+   * @param {number} ms - Delay in milliseconds
+   * @returns {number} Delay to use (0 when latency simulation is off)
+   */
+  latency(ms) {
+    return this.simulateLatency ? ms : 0;
+  }
+
+  /**
+   * Do a call's work after the simulated network delay. Anything the work
+   * throws resolves the call as a failure instead of escaping the timer.
+   * @param {Function} resolve - Resolves the call's promise
+   * @param {number} ms - Delay in milliseconds
+   * @param {Function} work - Work to do; resolves the call itself
+   */
+  afterLatency(resolve, ms, work) {
+    setTimeout(() => {
+      try {
+        work();
+      } catch (error) {
+        console.error("Error handling API call:", error);
+        resolve({
+          success: false,
+          message: "Something went wrong. Please check your request",
+        });
+      }
+    }, this.latency(ms));
+  }
+
+  /**
+   * Tell other open tabs that data changed so they can re-render
+   * @param {string} topic - What changed (e.g. 'cart', 'listings', 'orders')
+   * @param {Object} detail - Extra information for listeners
+   */
+  emitChange(topic, detail = {}) {
+    this.sync.publish(topic, detail);
+
+    // Feeds in this tab hear about order changes straight away
+    if (topic === "orders") {
+      this.orderFeeds.forEach((feed) => feed.refresh().catch(reportFeedError));
+    }
   }
 
   /**
@@ -25,26 +233,24 @@ class ApiService {
    */
   initializeMockData() {
     // Initialize listings if they don't exist
-    if (!localStorage.getItem(LISTINGS_KEY)) {
+    if (!this.storage.has(LISTINGS_KEY)) {
       this.createMockListings();
     }
 
     // Initialize empty orders array if it doesn't exist
-    if (!localStorage.getItem(ORDERS_KEY)) {
-      localStorage.setItem(ORDERS_KEY, JSON.stringify([]));
+    if (!this.storage.has(ORDERS_KEY)) {
+      this.storage.set(ORDERS_KEY, []);
     }
 
-    // Initialize empty cart if it doesn't exist
-    if (!localStorage.getItem(CART_KEY)) {
-      localStorage.setItem(CART_KEY, JSON.stringify({ items: [] }));
-    }
+    // Carts are created when the first item is added, so the server doesn't
+    // store an empty cart for every anonymous request
   }
 
   /**
    * Create mock listings data
    */
   createMockListings() {
-    const users = authService.getUsers();
+    const users = this.auth.getUsers();
     const businessUsers = users.filter((user) => user.role === "business");
 
     // If no business users, add some default ones
@@ -85,9 +291,15 @@ class ApiService {
         },
       ];
 
-      const users = authService.getUsers();
+      // Place them on the map from their addresses
+      defaultBusinesses.forEach((business) => {
+        const { lat, lng } = geocodeAddress(business.businessAddress);
+        business.businessLocation = { lat, lng };
+      });
+
+      const users = this.auth.getUsers();
       users.push(...defaultBusinesses);
-      authService.saveUsers(users);
+      this.auth.saveUsers(users);
 
       businessUsers.push(...defaultBusinesses);
     }
@@ -116,6 +328,8 @@ class ApiService {
           "https://images.pexels.com/photos/1373915/pexels-photo-1373915.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
         pickupOnly: true,
         pickupAddress: business1.businessAddress,
+        dietaryTags: ["vegetarian"],
+        allergens: ["gluten", "sulphites"],
         createdAt: new Date().toISOString(),
         status: "active",
       },
@@ -137,6 +351,8 @@ class ApiService {
           "https://images.pexels.com/photos/1647163/pexels-photo-1647163.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
         pickupOnly: true,
         pickupAddress: business1.businessAddress,
+        dietaryTags: ["vegan"],
+        allergens: ["gluten", "sesame"],
         createdAt: new Date().toISOString(),
         status: "active",
       }
@@ -163,6 +379,8 @@ class ApiService {
           "https://images.pexels.com/photos/205961/pexels-photo-205961.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
         pickupOnly: true,
         pickupAddress: business2.businessAddress,
+        dietaryTags: ["vegetarian"],
+        allergens: ["gluten", "eggs", "milk", "nuts"],
         createdAt: new Date().toISOString(),
         status: "active",
       },
@@ -184,6 +402,8 @@ class ApiService {
           "https://images.pexels.com/photos/1756062/pexels-photo-1756062.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
         pickupOnly: true,
         pickupAddress: business2.businessAddress,
+        dietaryTags: ["vegan"],
+        allergens: ["gluten"],
         createdAt: new Date().toISOString(),
         status: "active",
       }
@@ -210,6 +430,8 @@ class ApiService {
           "https://images.pexels.com/photos/1132047/pexels-photo-1132047.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
         pickupOnly: false,
         pickupAddress: business3.businessAddress,
+        dietaryTags: ["vegan", "vegetarian", "gluten-free", "halal"],
+        allergens: [],
         createdAt: new Date().toISOString(),
         status: "active",
       },
@@ -231,13 +453,15 @@ class ApiService {
           "https://images.pexels.com/photos/248412/pexels-photo-248412.jpeg?auto=compress&cs=tinysrgb&w=1260&h=750&dpr=2",
         pickupOnly: true,
         pickupAddress: business3.businessAddress,
+        dietaryTags: ["vegetarian", "gluten-free"],
+        allergens: ["milk"],
         createdAt: new Date().toISOString(),
         status: "active",
       }
     );
 
-    // Save mock listings to localStorage
-    localStorage.setItem(LISTINGS_KEY, JSON.stringify(mockListings));
+    // Save mock listings to storage
+    this.storage.set(LISTINGS_KEY, mockListings);
   }
 
   // ==================== Listing API Methods ====================
@@ -248,56 +472,17 @@ class ApiService {
    * @returns {Promise<Array>} Array of listings
    */
   async getListings(filters = {}) {
+    await this.ready;
+
     return new Promise((resolve) => {
       // Simulate network delay
-      setTimeout(() => {
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        let listings = listingsJson ? JSON.parse(listingsJson) : [];
-
-        // Check for expired listings and update their status
-        listings = listings.map((listing) => {
-          if (isExpired(listing.expiryDate) && listing.status === "active") {
-            return { ...listing, status: "expired" };
-          }
-          return listing;
-        });
-
-        // Save updated listings
-        localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings));
+      this.afterLatency(resolve, 300, () => {
+        const near = normalizeNear(filters && filters.near);
+        let listings = this.loadListings(near);
 
         // Apply filters if provided
         if (filters) {
-          // Filter by business ID
-          if (filters.businessId) {
-            listings = listings.filter(
-              (listing) => listing.businessId === filters.businessId
-            );
-          }
-
-          // Filter by status
-          if (filters.status) {
-            listings = listings.filter(
-              (listing) => listing.status === filters.status
-            );
-          }
-
-          // Filter by category
-          if (filters.category && filters.category !== "all") {
-            listings = listings.filter(
-              (listing) => listing.category === filters.category
-            );
-          }
-
-          // Filter by search term
-          if (filters.search) {
-            const searchTerm = filters.search.toLowerCase();
-            listings = listings.filter(
-              (listing) =>
-                listing.foodName.toLowerCase().includes(searchTerm) ||
-                listing.description.toLowerCase().includes(searchTerm) ||
-                listing.businessName.toLowerCase().includes(searchTerm)
-            );
-          }
+          listings = this.filterListings(listings, filters, near);
 
           // Sort listings
           if (filters.sortBy) {
@@ -322,6 +507,18 @@ class ApiService {
                   return discountB - discountA;
                 });
                 break;
+              case "distance":
+                // Only "near" searches have distances to sort by
+                if (near) {
+                  listings.sort((a, b) => a.distanceKm - b.distanceKm);
+                }
+                break;
+              case "relevance":
+                // Only searches have scores to sort by
+                if (filters.search) {
+                  listings.sort((a, b) => b.searchScore - a.searchScore);
+                }
+                break;
             }
           }
 
@@ -331,9 +528,182 @@ class ApiService {
           }
         }
 
+        // Add image URLs and how much stock isn't held in carts
+        const holds = this.getActiveHolds();
+        listings = listings.map((listing) =>
+          this.withAvailability(this.withImage(listing), holds)
+        );
+
         resolve(listings);
-      }, 300); // Simulate 300ms network delay
+      });
+    });
+  }
+
+  /**
+   * Get facet counts for the listings page sidebar
+   * @param {Object} filters - Filters, as for getListings
+   * @returns {Promise<Object>} Result object with success flag and facets
+   *                            (category, businessType and priceBand counts
+   *                            of active listings)
+   */
+  async getListingFacets(filters = {}) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const near = normalizeNear(filters && filters.near);
+        const listings = this.loadListings(near).filter(
+          (listing) => listing.status === "active"
+        );
+
+        // Each facet counts listings matching every filter but its own, so
+        // its other values can still be picked
+        const countBy = (filterKey, getValue) => {
+          const counts = {};
+
+          this.filterListings(
+            listings,
+            { ...filters, [filterKey]: undefined },
+            near
+          ).forEach((listing) => {
+            const value = getValue(listing);
+            counts[value] = (counts[value] || 0) + 1;
+          });
+
+          return counts;
+        };
+
+        resolve({
+          success: true,
+          facets: {
+            category: countBy("category", (listing) => listing.category),
+            businessType: countBy(
+              "businessType",
+              (listing) => listing.businessType
+            ),
+            priceBand: countBy("priceBand", (listing) =>
+              getPriceBand(listing.discountedPrice)
+            ),
+          },
+        });
+      });
+    });
+  }
+
+  /**
+   * Read listings for browsing: publishes due templates, marks expired
+   * listings and applies price drops
+   * @param {Object|null} near - Normalized "near" filter, if any
+   * @returns {Array} Listings with current prices and business details
+   */
+  loadListings(near) {
+    // Publish listings from templates that are due
+    this.publishDueTemplates();
+
+    // Warn businesses about listings that are about to expire
+    this.notifyExpiringListings();
+
+    let listings = this.storage.get(LISTINGS_KEY, []);
+    let expired = false;
+
+    // Check for expired listings and update their status
+    listings = listings.map((listing) => {
+      if (isExpired(listing.expiryDate) && listing.status === "active") {
+        expired = true;
+        return { ...listing, status: "expired" };
+      }
+      return listing;
     });
+
+    // Only save listings when one of them has just expired
+    if (expired) {
+      this.storage.set(LISTINGS_KEY, listings);
+    }
+
+    // Apply price drops so filters and sorting use the current price
+    listings = listings.map((listing) => this.withCurrentPrice(listing));
+
+    // Add business types, locations and, for "near" searches, distances
+    return this.withBusinessDetails(listings, near);
+  }
+
+  /**
+   * Apply getListings filters
+   * @param {Array} listings - Listings from loadListings
+   * @param {Object} filters - Filters
+   * @param {Object|null} near - Normalized "near" filter, if any
+   * @returns {Array} Matching listings (with searchScore when searching)
+   */
+  filterListings(listings, filters, near) {
+    // Filter by business ID
+    if (filters.businessId) {
+      listings = listings.filter(
+        (listing) => listing.businessId === filters.businessId
+      );
+    }
+
+    // Filter by status
+    if (filters.status) {
+      listings = listings.filter(
+        (listing) => listing.status === filters.status
+      );
+    }
+
+    // Filter by category
+    if (filters.category && filters.category !== "all") {
+      listings = listings.filter(
+        (listing) => listing.category === filters.category
+      );
+    }
+
+    // Filter by business type
+    if (filters.businessType && filters.businessType !== "all") {
+      listings = listings.filter(
+        (listing) => listing.businessType === filters.businessType
+      );
+    }
+
+    // Filter by price band
+    if (filters.priceBand && filters.priceBand !== "all") {
+      listings = listings.filter(
+        (listing) => getPriceBand(listing.discountedPrice) === filters.priceBand
+      );
+    }
+
+    // Filter by dietary tags and allergens to avoid
+    const dietaryTags = parseTagList(filters.dietaryTags);
+    const excludeAllergens = parseTagList(filters.excludeAllergens);
+
+    if (dietaryTags.length > 0 || excludeAllergens.length > 0) {
+      listings = listings.filter((listing) =>
+        matchesDietaryNeeds(listing, {
+          dietaryTags,
+          allergens: excludeAllergens,
+        })
+      );
+    }
+
+    // Filter by distance
+    if (near) {
+      listings = listings.filter(
+        (listing) =>
+          listing.distanceKm !== null && listing.distanceKm <= near.radiusKm
+      );
+    }
+
+    // Filter by search term, scoring matches for relevance sorting
+    if (filters.search) {
+      const scores = new SearchIndex(listings).search(filters.search);
+
+      listings = listings
+        .filter((listing) => scores.has(listing.id))
+        .map((listing) => ({
+          ...listing,
+          searchScore: Math.round(scores.get(listing.id) * 100) / 100,
+        }));
+    }
+
+    return listings;
   }
 
   /**
@@ -342,26 +712,37 @@ class ApiService {
    * @returns {Promise<Object|null>} Listing object or null if not found
    */
   async getListingById(id) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        const listings = listingsJson ? JSON.parse(listingsJson) : [];
-        const listing = listings.find((listing) => listing.id === id) || null;
+    await this.ready;
 
-        resolve(listing);
-      }, 200);
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const listings = this.storage.get(LISTINGS_KEY, []);
+        const listing = listings.find((listing) => listing.id === id);
+
+        resolve(
+          listing
+            ? this.withAvailability(
+                this.withImage(this.withCurrentPrice(listing)),
+                this.getActiveHolds()
+              )
+            : null
+        );
+      });
     });
   }
 
   /**
    * Create a new listing
-   * @param {Object} listingData - Listing data
+   * @param {Object} listingData - Listing data (only LISTING_FIELDS are
+   *                               saved)
    * @returns {Promise<Object>} Result object with success flag and message/listing
    */
   async createListing(listingData) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
         // Check if user is authorized (business or admin)
         if (
@@ -375,37 +756,203 @@ class ApiService {
           return;
         }
 
-        // Create new listing object
-        const newListing = {
-          id: generateId(),
-          businessId: currentUser.id,
-          businessName: currentUser.businessName || currentUser.name,
-          ...listingData,
-          createdAt: new Date().toISOString(),
-          status: "active",
-        };
+        resolve(
+          this.insertListing(
+            currentUser,
+            pickFields(listingData, LISTING_FIELDS)
+          )
+        );
+      });
+    });
+  }
+
+  /**
+   * Create several listings at once. Nothing is imported unless every
+   * listing is valid.
+   * @param {Array} records - Listing records (see LISTING_FILE_COLUMNS)
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/listings, plus invalidRows (row
+   *                            number and messages) if any rows have errors
+   */
+  async importListings(records) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 500, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (business or admin)
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only businesses can import listings",
+          });
+          return;
+        }
+
+        if (!Array.isArray(records) || records.length === 0) {
+          resolve({
+            success: false,
+            message: "There are no listings to import",
+          });
+          return;
+        }
+
+        if (records.length > MAX_IMPORT_ROWS) {
+          resolve({
+            success: false,
+            message: `You can import at most ${MAX_IMPORT_ROWS} listings at once`,
+          });
+          return;
+        }
+
+        // Same defaults and rules as the preview
+        const listingsData = records.map((record) =>
+          toListingData(record, {
+            pickupAddress: currentUser.businessAddress,
+          })
+        );
+
+        const invalidRows = listingsData
+          .map((listingData, i) => ({
+            row: i + 1,
+            messages: validateListingData(listingData),
+          }))
+          .filter((row) => row.messages.length > 0);
+
+        if (invalidRows.length > 0) {
+          resolve({
+            success: false,
+            message: `${invalidRows.length} of ${records.length} rows have errors. Nothing was imported`,
+            invalidRows,
+          });
+          return;
+        }
+
+        const listings = listingsData.map(
+          (listingData) => this.insertListing(currentUser, listingData).listing
+        );
+
+        resolve({
+          success: true,
+          message: `Imported ${listings.length} listing${
+            listings.length === 1 ? "" : "s"
+          }`,
+          listings,
+        });
+      });
+    });
+  }
+
+  /**
+   * Check and store a new listing for a business
+   * @param {Object} business - Business user the listing belongs to
+   * @param {Object} listingData - Listing data
+   * @returns {Object} Result object with success flag and message/listing
+   */
+  insertListing(business, listingData) {
+    // Same checks as the listing form and imports
+    const errors = validateListingData(listingData);
+
+    if (errors.length > 0) {
+      return { success: false, message: errors.join(". ") };
+    }
+
+    // Create new listing object
+    const newListing = {
+      markdownSchedule: [],
+      dietaryTags: [],
+      allergens: null,
+      ...listingData,
+      id: generateId(),
+      businessId: business.id,
+      businessName: business.businessName || business.name,
+      createdAt: new Date().toISOString(),
+      status: "active",
+    };
+
+    // Add to listings
+    const listings = this.storage.get(LISTINGS_KEY, []);
+    listings.push(newListing);
+    this.storage.set(LISTINGS_KEY, listings);
+    this.emitChange("listings", { listingIds: [newListing.id] });
+
+    // Alert customers whose saved searches match it
+    this.notifySavedSearches(newListing);
 
-        // Add to listings
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        const listings = listingsJson ? JSON.parse(listingsJson) : [];
-        listings.push(newListing);
-        localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings));
+    return { success: true, listing: newListing };
+  }
+
+  /**
+   * Add an alert for every saved search a new listing matches
+   * @param {Object} listing - New listing
+   */
+  notifySavedSearches(listing) {
+    const savedSearches = this.storage.get(SAVED_SEARCHES_KEY, []);
+    if (savedSearches.length === 0) return;
+
+    const alerts = this.storage.get(SEARCH_ALERTS_KEY, []);
+    const current = this.withCurrentPrice(listing);
+    const alertedUserIds = new Set();
+
+    savedSearches.forEach((savedSearch) => {
+      const near = normalizeNear(savedSearch.filters.near);
+      const matches = this.filterListings(
+        this.withBusinessDetails([current], near),
+        savedSearch.filters,
+        near
+      );
+
+      if (matches.length === 0) return;
+
+      alerts.push({
+        id: generateId(),
+        userId: savedSearch.userId,
+        savedSearchId: savedSearch.id,
+        listingId: listing.id,
+        read: false,
+        createdAt: new Date().toISOString(),
+      });
+      alertedUserIds.add(savedSearch.userId);
+    });
+
+    if (alertedUserIds.size === 0) return;
 
-        resolve({ success: true, listing: newListing });
-      }, 300);
+    // Drop alerts that were already seen, and keep only each alerted
+    // customer's newest ones
+    const dropped = new Set();
+    alertedUserIds.forEach((userId) => {
+      const userAlerts = alerts.filter(
+        (alert) => alert.userId === userId && !alert.read
+      );
+      userAlerts
+        .slice(0, Math.max(0, userAlerts.length - MAX_SEARCH_ALERTS))
+        .forEach((alert) => dropped.add(alert.id));
     });
+
+    this.storage.set(
+      SEARCH_ALERTS_KEY,
+      alerts.filter((alert) => !alert.read && !dropped.has(alert.id))
+    );
+    this.emitChange("saved-searches");
   }
 
   /**
    * Update an existing listing
    * @param {string} id - Listing ID
-   * @param {Object} listingData - Updated listing data
+   * @param {Object} listingData - Updated listing data (only LISTING_FIELDS
+   *                               are saved)
    * @returns {Promise<Object>} Result object with success flag and message/listing
    */
   async updateListing(id, listingData) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
         // Check if user is authorized
         if (
@@ -420,8 +967,7 @@ class ApiService {
         }
 
         // Get existing listings
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        const listings = listingsJson ? JSON.parse(listingsJson) : [];
+        const listings = this.storage.get(LISTINGS_KEY, []);
 
         // Find the listing
         const listingIndex = listings.findIndex((listing) => listing.id === id);
@@ -448,15 +994,39 @@ class ApiService {
         // Update listing
         const updatedListing = {
           ...listing,
-          ...listingData,
+          ...pickFields(listingData, LISTING_FIELDS),
           updatedAt: new Date().toISOString(),
         };
 
+        // Check the price drops against the updated prices, and the
+        // dietary tags against the allergens
+        const errors = [
+          ...validateMarkdownSchedule(
+            updatedListing.markdownSchedule || [],
+            updatedListing
+          ),
+          ...validateDietaryInfo({
+            dietaryTags: updatedListing.dietaryTags || [],
+            allergens: updatedListing.allergens || null,
+          }),
+        ];
+
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
+          return;
+        }
+
+        // A new expiry date gets its own expiry warning
+        if (updatedListing.expiryDate !== listing.expiryDate) {
+          delete updatedListing.expiryWarningSentAt;
+        }
+
         listings[listingIndex] = updatedListing;
-        localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings));
+        this.storage.set(LISTINGS_KEY, listings);
+        this.emitChange("listings", { listingIds: [id] });
 
         resolve({ success: true, listing: updatedListing });
-      }, 300);
+      });
     });
   }
 
@@ -466,9 +1036,11 @@ class ApiService {
    * @returns {Promise<Object>} Result object with success flag and message
    */
   async deleteListing(id) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
         // Check if user is authorized
         if (
@@ -483,8 +1055,7 @@ class ApiService {
         }
 
         // Get existing listings
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        const listings = listingsJson ? JSON.parse(listingsJson) : [];
+        const listings = this.storage.get(LISTINGS_KEY, []);
 
         // Find the listing
         const listingIndex = listings.findIndex((listing) => listing.id === id);
@@ -510,542 +1081,3074 @@ class ApiService {
 
         // Remove listing
         listings.splice(listingIndex, 1);
-        localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings));
+        this.storage.set(LISTINGS_KEY, listings);
+        this.emitChange("listings", { listingIds: [id] });
 
         resolve({ success: true, message: "Listing deleted successfully" });
-      }, 300);
+      });
     });
   }
 
-  // ==================== Cart API Methods ====================
-
   /**
-   * Get cart contents
-   * @returns {Promise<Object>} Cart object with items array
+   * Apply a listing's price drops
+   * @param {Object} listing - Stored listing
+   * @returns {Object} Listing with discountedPrice set to the current price,
+   *                   basePrice (the price before any drops) and
+   *                   nextPriceDrop (null when there are no more drops)
    */
-  async getCart() {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const cartJson = localStorage.getItem(CART_KEY);
-        const cart = cartJson ? JSON.parse(cartJson) : { items: [] };
-        resolve(cart);
-      }, 100);
-    });
+  withCurrentPrice(listing) {
+    const { price, nextDrop } = getEffectivePrice(listing);
+
+    return {
+      ...listing,
+      basePrice: listing.discountedPrice,
+      discountedPrice: price,
+      nextPriceDrop: nextDrop,
+    };
   }
 
   /**
-   * Add item to cart
-   * @param {Object} item - Item to add
-   * @returns {Promise<Object>} Updated cart object
+   * Add the type and location of each listing's business
+   * @param {Array} listings - Listings
+   * @param {Object|null} near - Normalized "near" filter, if any
+   * @returns {Array} Listings with businessType, businessLocation (null when
+   *                  the business hasn't set one) and, for "near" searches,
+   *                  distanceKm (null without a location)
    */
-  async addToCart(item) {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const cartJson = localStorage.getItem(CART_KEY);
-        const cart = cartJson ? JSON.parse(cartJson) : { items: [] };
+  withBusinessDetails(listings, near) {
+    const businesses = new Map(
+      this.auth
+        .getUsers()
+        .filter((user) => user.role === "business")
+        .map((user) => [user.id, user])
+    );
 
-        // Check if item already exists in cart
-        const existingItemIndex = cart.items.findIndex((i) => i.id === item.id);
+    return listings.map((listing) => {
+      const business = businesses.get(listing.businessId);
+      const businessLocation =
+        business && isValidLocation(business.businessLocation)
+          ? business.businessLocation
+          : null;
+      const located = {
+        ...listing,
+        businessType: (business && business.businessType) || "other",
+        businessLocation,
+      };
 
-        if (existingItemIndex !== -1) {
-          // Update quantity
-          cart.items[existingItemIndex].quantity += item.quantity;
-        } else {
-          // Add new item
-          cart.items.push(item);
-        }
+      if (near) {
+        located.distanceKm = businessLocation
+          ? Math.round(getDistanceKm(near, businessLocation) * 100) / 100
+          : null;
+      }
 
-        localStorage.setItem(CART_KEY, JSON.stringify(cart));
-        resolve(cart);
-      }, 200);
+      return located;
     });
   }
 
+  // ==================== Listing Image API Methods ====================
+
   /**
-   * Update cart item quantity
-   * @param {string} itemId - Item ID
-   * @param {number} quantity - New quantity
-   * @returns {Promise<Object>} Updated cart object
+   * Store a listing photo that was resized in the browser
+   * @param {Object} sizes - Map of width -> image data URL
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/imageId
    */
-  async updateCartItemQuantity(itemId, quantity) {
+  async uploadListingImage(sizes) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const cartJson = localStorage.getItem(CART_KEY);
-        const cart = cartJson ? JSON.parse(cartJson) : { items: [] };
+      this.afterLatency(resolve, 500, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Find item
-        const itemIndex = cart.items.findIndex((i) => i.id === itemId);
+        // Check if user is authorized (business or admin)
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only businesses can upload images",
+          });
+          return;
+        }
 
-        if (itemIndex !== -1) {
-          if (quantity <= 0) {
-            // Remove item if quantity is 0 or less
-            cart.items.splice(itemIndex, 1);
-          } else {
-            // Update quantity
-            cart.items[itemIndex].quantity = quantity;
-          }
+        const errors = validateImageData(sizes);
+
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
+          return;
         }
 
-        localStorage.setItem(CART_KEY, JSON.stringify(cart));
-        resolve(cart);
-      }, 200);
+        const image = {
+          id: generateId(),
+          uploadedBy: currentUser.id,
+          sizes,
+          createdAt: new Date().toISOString(),
+        };
+
+        this.storage.set(IMAGE_KEY_PREFIX + image.id, image);
+
+        resolve({ success: true, imageId: image.id });
+      });
     });
   }
 
   /**
-   * Remove item from cart
-   * @param {string} itemId - Item ID
-   * @returns {Promise<Object>} Updated cart object
+   * Get one size of an uploaded image, for serving it as a file
+   * @param {string} id - Image ID
+   * @param {string} width - Image width
+   * @returns {Object|null} Object with contentType and base64 data, or null
+   *                        if there's no such image
    */
-  async removeFromCart(itemId) {
+  getImageFile(id, width) {
+    const image = this.storage.get(IMAGE_KEY_PREFIX + id);
+    const dataUrl = image && image.sizes[width];
+    if (!dataUrl) return null;
+
+    const [header, data] = dataUrl.split(",");
+
+    return {
+      contentType: header.replace(/^data:/, "").replace(/;base64$/, ""),
+      base64: data,
+    };
+  }
+
+  /**
+   * Add the URLs of a listing's uploaded image
+   * @param {Object} listing - Listing object
+   * @returns {Object} Listing with imageUrl (smallest size) and imageSrcset,
+   *                   unchanged if it uses an image URL instead
+   */
+  withImage(listing) {
+    const image = listing.imageId
+      ? this.storage.get(IMAGE_KEY_PREFIX + listing.imageId)
+      : null;
+
+    if (!image) return listing;
+
+    const urls = Object.keys(image.sizes)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .map((width) => ({
+        width,
+        url: this.imageBaseUrl
+          ? `${this.imageBaseUrl}/${image.id}/${width}`
+          : image.sizes[width],
+      }));
+
+    return {
+      ...listing,
+      imageUrl: urls[0].url,
+      imageSrcset: urls.map(({ url, width }) => `${url} ${width}w`).join(", "),
+    };
+  }
+
+  // ==================== Listing Template API Methods ====================
+
+  /**
+   * Get the current business's listing templates (all templates for admins)
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            templates/message
+   */
+  async getListingTemplates() {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const cartJson = localStorage.getItem(CART_KEY);
-        const cart = cartJson ? JSON.parse(cartJson) : { items: [] };
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Remove item
-        cart.items = cart.items.filter((i) => i.id !== itemId);
+        // Check if user is authorized (business or admin)
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only businesses can view listing templates",
+          });
+          return;
+        }
 
-        localStorage.setItem(CART_KEY, JSON.stringify(cart));
-        resolve(cart);
-      }, 200);
+        // Show up-to-date publish times
+        this.publishDueTemplates();
+
+        let templates = this.storage.get(LISTING_TEMPLATES_KEY, []);
+
+        if (currentUser.role !== "admin") {
+          templates = templates.filter(
+            (template) => template.businessId === currentUser.id
+          );
+        }
+
+        // Newest first
+        templates.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        resolve({ success: true, templates });
+      });
     });
   }
 
   /**
-   * Clear cart
-   * @returns {Promise<Object>} Empty cart object
+   * Save a listing as a template that is published again on a schedule
+   * @param {string} listingId - Listing to copy
+   * @param {Object} recurrence - Frequency ('daily', 'weekdays' or 'custom'),
+   *                              days (for 'custom'), publishTime ("HH:MM")
+   *                              and expiresAfterHours
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/template
    */
-  async clearCart() {
+  async createListingTemplate(listingId, recurrence) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const emptyCart = { items: [] };
-        localStorage.setItem(CART_KEY, JSON.stringify(emptyCart));
-        resolve(emptyCart);
-      }, 200);
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (business or admin)
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message:
+              "Unauthorized: Only businesses can create listing templates",
+          });
+          return;
+        }
+
+        const listing = this.storage
+          .get(LISTINGS_KEY, [])
+          .find((listing) => listing.id === listingId);
+
+        if (!listing) {
+          resolve({ success: false, message: "Listing not found" });
+          return;
+        }
+
+        // Check if user is the owner or an admin
+        if (
+          currentUser.role !== "admin" &&
+          listing.businessId !== currentUser.id
+        ) {
+          resolve({
+            success: false,
+            message:
+              "Unauthorized: You can only create templates from your own listings",
+          });
+          return;
+        }
+
+        const rule = normalizeRecurrence(recurrence);
+        const errors = validateRecurrence(rule);
+
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
+          return;
+        }
+
+        const newTemplate = {
+          id: generateId(),
+          businessId: listing.businessId,
+          businessName: listing.businessName,
+          listing: getTemplateListingData(listing),
+          recurrence: rule,
+          active: true,
+          nextPublishAt: getNextPublishTime(
+            rule,
+            new Date(),
+            this.getPickupSchedule(listing.businessId).timeZone
+          ).toISOString(),
+          lastPublishedAt: null,
+          lastListingId: null,
+          createdAt: new Date().toISOString(),
+        };
+
+        const templates = this.storage.get(LISTING_TEMPLATES_KEY, []);
+        templates.push(newTemplate);
+        this.storage.set(LISTING_TEMPLATES_KEY, templates);
+        this.emitChange("templates");
+
+        resolve({
+          success: true,
+          message: "Template created successfully",
+          template: newTemplate,
+        });
+      });
     });
   }
 
-  // ==================== Order API Methods ====================
+  /**
+   * Change a listing template's schedule or pause/resume it
+   * @param {string} id - Template ID
+   * @param {Object} templateData - recurrence and/or active
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/template
+   */
+  async updateListingTemplate(id, templateData) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (business or admin)
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message:
+              "Unauthorized: Only businesses can update listing templates",
+          });
+          return;
+        }
+
+        const templates = this.storage.get(LISTING_TEMPLATES_KEY, []);
+        const templateIndex = templates.findIndex(
+          (template) => template.id === id
+        );
+
+        if (templateIndex === -1) {
+          resolve({ success: false, message: "Template not found" });
+          return;
+        }
+
+        const template = templates[templateIndex];
+
+        // Check if user is the owner or an admin
+        if (
+          currentUser.role !== "admin" &&
+          template.businessId !== currentUser.id
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only update your own templates",
+          });
+          return;
+        }
+
+        const rule = templateData.recurrence
+          ? normalizeRecurrence(templateData.recurrence)
+          : template.recurrence;
+        const errors = validateRecurrence(rule);
+
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
+          return;
+        }
+
+        // Runs missed while paused aren't published on resume
+        const updatedTemplate = {
+          ...template,
+          recurrence: rule,
+          active:
+            templateData.active === undefined
+              ? template.active
+              : Boolean(templateData.active),
+          nextPublishAt: getNextPublishTime(
+            rule,
+            new Date(),
+            this.getPickupSchedule(template.businessId).timeZone
+          ).toISOString(),
+          updatedAt: new Date().toISOString(),
+        };
+
+        templates[templateIndex] = updatedTemplate;
+        this.storage.set(LISTING_TEMPLATES_KEY, templates);
+        this.emitChange("templates");
+
+        resolve({
+          success: true,
+          message: "Template updated successfully",
+          template: updatedTemplate,
+        });
+      });
+    });
+  }
 
   /**
-   * Get all orders
-   * @param {Object} filters - Optional filters
-   * @returns {Promise<Array>} Array of orders
+   * Delete a listing template (listings it published are kept)
+   * @param {string} id - Template ID
+   * @returns {Promise<Object>} Result object with success flag and message
    */
-  async getOrders(filters = {}) {
+  async deleteListingTemplate(id) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const ordersJson = localStorage.getItem(ORDERS_KEY);
-        let orders = ordersJson ? JSON.parse(ordersJson) : [];
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Apply filters if provided
-        if (filters) {
-          // Filter by user ID (customer)
-          if (filters.userId) {
-            orders = orders.filter((order) => order.userId === filters.userId);
-          }
+        // Check if user is authorized (business or admin)
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message:
+              "Unauthorized: Only businesses can delete listing templates",
+          });
+          return;
+        }
 
-          // Filter by business ID
-          if (filters.businessId) {
-            orders = orders.filter((order) => {
-              return order.items.some(
-                (item) => item.businessId === filters.businessId
-              );
-            });
+        const templates = this.storage.get(LISTING_TEMPLATES_KEY, []);
+        const templateIndex = templates.findIndex(
+          (template) => template.id === id
+        );
+
+        if (templateIndex === -1) {
+          resolve({ success: false, message: "Template not found" });
+          return;
+        }
+
+        // Check if user is the owner or an admin
+        if (
+          currentUser.role !== "admin" &&
+          templates[templateIndex].businessId !== currentUser.id
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only delete your own templates",
+          });
+          return;
+        }
+
+        templates.splice(templateIndex, 1);
+        this.storage.set(LISTING_TEMPLATES_KEY, templates);
+        this.emitChange("templates");
+
+        resolve({ success: true, message: "Template deleted successfully" });
+      });
+    });
+  }
+
+  /**
+   * Publish a listing for every active template whose publish time has
+   * passed. Only the latest missed run is published, and only if its
+   * listing wouldn't already have expired.
+   * @param {Date} now - Current time (for testing)
+   */
+  publishDueTemplates(now = new Date()) {
+    const templates = this.storage.get(LISTING_TEMPLATES_KEY, []);
+    const due = templates.filter(
+      (template) => template.active && new Date(template.nextPublishAt) <= now
+    );
+
+    if (due.length === 0) return;
+
+    const users = this.auth.getUsers();
+
+    due.forEach((template) => {
+      const business = users.find((user) => user.id === template.businessId);
+      const { timeZone } = normalizePickupSchedule(
+        business && business.pickupSchedule
+      );
+      const publishedAt = getLatestPublishTime(
+        template.recurrence,
+        now,
+        timeZone
+      );
+      const expiryDate = getTemplateExpiry(template.recurrence, publishedAt);
+
+      if (expiryDate > now && business && business.status !== "blocked") {
+        const result = this.insertListing(business, {
+          ...template.listing,
+          expiryDate: expiryDate.toISOString(),
+          templateId: template.id,
+        });
+
+        if (result.success) {
+          template.lastPublishedAt = publishedAt.toISOString();
+          template.lastListingId = result.listing.id;
+        }
+      }
+
+      template.nextPublishAt = getNextPublishTime(
+        template.recurrence,
+        now,
+        timeZone
+      ).toISOString();
+    });
+
+    this.storage.set(LISTING_TEMPLATES_KEY, templates);
+  }
+
+  // ==================== Cart API Methods ====================
+
+  /**
+   * Get cart contents
+   * @returns {Promise<Object>} Cart object with items array; each item has
+   *                            reservedUntil set while its stock is held
+   */
+  async getCart() {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 100, () => {
+        const cart = this.storage.get(CART_KEY, { items: [] });
+        const currentUser = this.auth.getCurrentUser();
+        const holds = currentUser ? this.getActiveHolds() : [];
+        const listings = this.storage.get(LISTINGS_KEY, []);
+
+        cart.items = this.withListingDetails(cart.items, listings).map(
+          (item) => {
+            const hold = holds.find(
+              (hold) =>
+                hold.listingId === item.id && hold.holderId === currentUser.id
+            );
+            return { ...item, reservedUntil: hold ? hold.expiresAt : null };
           }
+        );
+
+        resolve(cart);
+      });
+    });
+  }
+
+  /**
+   * Add item to cart and hold its stock
+   *
+   * Only the item's id and quantity are used; everything else in the cart
+   * item is copied from the stored listing.
+   * @param {Object} item - Item to add (listing id and quantity)
+   * @returns {Promise<Object>} Result object with success flag and message/cart
+   */
+  async addToCart(item) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to add items to your cart",
+          });
+          return;
+        }
+
+        if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+          resolve({
+            success: false,
+            message: "Quantity must be a whole number of at least 1",
+          });
+          return;
+        }
+
+        const cart = this.storage.get(CART_KEY, { items: [] });
+
+        // Check if item already exists in cart
+        const existingItemIndex = cart.items.findIndex((i) => i.id === item.id);
+        const quantity =
+          existingItemIndex !== -1
+            ? cart.items[existingItemIndex].quantity + item.quantity
+            : item.quantity;
+
+        // Hold the stock before touching the cart
+        const result = this.reserveStock(item.id, currentUser.id, quantity);
+
+        if (!result.success) {
+          resolve(result);
+          return;
+        }
+
+        if (existingItemIndex !== -1) {
+          // Update quantity
+          cart.items[existingItemIndex].quantity = quantity;
+        } else {
+          // Add new item, built from the listing (reserveStock checked
+          // that it exists)
+          const listing = this.storage
+            .get(LISTINGS_KEY, [])
+            .find((listing) => listing.id === item.id);
+          cart.items.push(this.toCartItem(this.withImage(listing), quantity));
+        }
+
+        this.storage.set(CART_KEY, cart);
+        this.emitChange("cart");
+        resolve({ success: true, cart });
+      });
+    });
+  }
+
+  /**
+   * Update cart item quantity and its stock hold
+   * @param {string} itemId - Item ID
+   * @param {number} quantity - New quantity (whole number; 0 removes it)
+   * @returns {Promise<Object>} Result object with success flag and message/cart
+   */
+  async updateCartItemQuantity(itemId, quantity) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to update your cart",
+          });
+          return;
+        }
+
+        // Same rule as addToCart, except 0 removes the item
+        if (!Number.isInteger(quantity) || quantity < 0) {
+          resolve({
+            success: false,
+            message: "Quantity must be a whole number",
+          });
+          return;
+        }
+
+        const cart = this.storage.get(CART_KEY, { items: [] });
+
+        // Find item
+        const itemIndex = cart.items.findIndex((i) => i.id === itemId);
+
+        if (itemIndex !== -1) {
+          if (quantity === 0) {
+            // Remove item if quantity is 0
+            cart.items.splice(itemIndex, 1);
+            this.setHold(itemId, currentUser.id, 0);
+          } else {
+            // Update quantity if the stock can be held
+            const result = this.reserveStock(itemId, currentUser.id, quantity);
+
+            if (!result.success) {
+              resolve(result);
+              return;
+            }
+
+            cart.items[itemIndex].quantity = quantity;
+          }
+        }
+
+        this.storage.set(CART_KEY, cart);
+        this.emitChange("cart");
+        resolve({ success: true, cart });
+      });
+    });
+  }
+
+  /**
+   * Remove item from cart and release its stock hold
+   * @param {string} itemId - Item ID
+   * @returns {Promise<Object>} Updated cart object
+   */
+  async removeFromCart(itemId) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const cart = this.storage.get(CART_KEY, { items: [] });
+        const currentUser = this.auth.getCurrentUser();
+
+        // Remove item
+        cart.items = cart.items.filter((i) => i.id !== itemId);
+
+        if (currentUser) {
+          this.setHold(itemId, currentUser.id, 0);
+        }
+
+        this.storage.set(CART_KEY, cart);
+        this.emitChange("cart");
+        resolve(cart);
+      });
+    });
+  }
+
+  /**
+   * Clear cart and release its stock holds
+   * @returns {Promise<Object>} Empty cart object
+   */
+  async clearCart() {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const cart = this.storage.get(CART_KEY, { items: [] });
+        const currentUser = this.auth.getCurrentUser();
+
+        if (currentUser) {
+          cart.items.forEach((item) =>
+            this.setHold(item.id, currentUser.id, 0)
+          );
+        }
+
+        const emptyCart = { items: [] };
+        this.storage.set(CART_KEY, emptyCart);
+        this.emitChange("cart");
+        resolve(emptyCart);
+      });
+    });
+  }
+
+  /**
+   * Get the pickup slots for each business in the cart
+   * @returns {Promise<Object>} Result object with success flag and pickups
+   *                            (businessId, businessName and slots)
+   */
+  async getCartPickupSlots() {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const cart = this.storage.get(CART_KEY, { items: [] });
+        const listings = this.storage.get(LISTINGS_KEY, []);
+        const itemsByBusiness = this.groupItemsByBusiness(
+          this.withListingDetails(cart.items, listings)
+        );
+
+        const pickups = Object.entries(itemsByBusiness).map(
+          ([businessId, items]) => ({
+            businessId,
+            businessName: items[0].businessName,
+            slots: this.getAvailablePickupSlots(businessId, items, listings),
+          })
+        );
+
+        resolve({ success: true, pickups });
+      });
+    });
+  }
+
+  // ==================== Reservation Helpers ====================
+  //
+  // Items in a cart hold listing stock for HOLD_DURATION. Holds don't change
+  // listing.quantity; they reduce what other customers can reserve or order
+  // until they expire. Checks and updates run synchronously inside one
+  // callback, so no other request can interleave between them.
+
+  /**
+   * Get unexpired stock holds, dropping expired ones from storage
+   * @returns {Array} Array of hold objects
+   */
+  getActiveHolds() {
+    const holds = this.storage.get(RESERVATIONS_KEY, []);
+    const now = new Date();
+    const activeHolds = holds.filter((hold) => new Date(hold.expiresAt) > now);
+
+    if (activeHolds.length !== holds.length) {
+      this.storage.set(RESERVATIONS_KEY, activeHolds);
+    }
+
+    return activeHolds;
+  }
+
+  /**
+   * Get how many units of a listing are not held by other customers
+   * @param {Object} listing - Listing object
+   * @param {Array} holds - Active holds
+   * @param {string} holderId - Customer whose own hold is ignored (optional)
+   * @returns {number} Available quantity
+   */
+  getAvailableQuantity(listing, holds, holderId = null) {
+    const held = holds
+      .filter(
+        (hold) => hold.listingId === listing.id && hold.holderId !== holderId
+      )
+      .reduce((total, hold) => total + hold.quantity, 0);
+
+    return Math.max(0, listing.quantity - held);
+  }
+
+  /**
+   * Add the unheld quantity to a listing
+   * @param {Object} listing - Listing object
+   * @param {Array} holds - Active holds
+   * @returns {Object} Listing with availableQuantity
+   */
+  withAvailability(listing, holds) {
+    return {
+      ...listing,
+      availableQuantity: this.getAvailableQuantity(listing, holds),
+    };
+  }
+
+  /**
+   * Place, renew or release (quantity 0) a customer's hold on a listing
+   * @param {string} listingId - Listing ID
+   * @param {string} holderId - Customer's user ID
+   * @param {number} quantity - Quantity to hold
+   */
+  setHold(listingId, holderId, quantity) {
+    const holds = this.getActiveHolds().filter(
+      (hold) => !(hold.listingId === listingId && hold.holderId === holderId)
+    );
+
+    if (quantity > 0) {
+      holds.push({
+        listingId,
+        holderId,
+        quantity,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + HOLD_DURATION).toISOString(),
+      });
+    }
+
+    this.storage.set(RESERVATIONS_KEY, holds);
+
+    // Held stock isn't available to other customers
+    this.emitChange("listings", { listingIds: [listingId] });
+  }
+
+  /**
+   * Hold stock for a customer if enough is available
+   * @param {string} listingId - Listing ID
+   * @param {string} holderId - Customer's user ID
+   * @param {number} quantity - Total quantity the customer wants held
+   * @returns {Object} Result object with success flag and message/available
+   */
+  reserveStock(listingId, holderId, quantity) {
+    const listings = this.storage.get(LISTINGS_KEY, []);
+    const listing = listings.find((listing) => listing.id === listingId);
+
+    if (
+      !listing ||
+      listing.status !== "active" ||
+      isExpired(listing.expiryDate)
+    ) {
+      return {
+        success: false,
+        message: "This listing is no longer available",
+        available: 0,
+      };
+    }
+
+    const available = this.getAvailableQuantity(
+      listing,
+      this.getActiveHolds(),
+      holderId
+    );
+
+    if (quantity > available) {
+      return {
+        success: false,
+        message:
+          available > 0
+            ? `Only ${available} of ${listing.foodName} available`
+            : `${listing.foodName} is out of stock`,
+        available,
+      };
+    }
+
+    this.setHold(listingId, holderId, quantity);
+    return { success: true, available };
+  }
+
+  // ==================== Pickup Slot Helpers ====================
+
+  /**
+   * Get a business's pickup schedule
+   * @param {string} businessId - Business user ID
+   * @returns {Object} Pickup schedule (defaults if not set)
+   */
+  getPickupSchedule(businessId) {
+    const business = this.auth
+      .getUsers()
+      .find((user) => user.id === businessId);
+
+    return normalizePickupSchedule(business && business.pickupSchedule);
+  }
+
+  /**
+   * Count a business's booked orders per pickup slot
+   * @param {string} businessId - Business user ID
+   * @returns {Object} Map of slot start (ISO) -> number of orders
+   */
+  getSlotBookings(businessId) {
+    const bookings = {};
+
+    this.storage
+      .get(ORDERS_KEY, [])
+      .filter(
+        (order) =>
+          order.businessId === businessId && order.status !== "cancelled"
+      )
+      .forEach((order) => {
+        bookings[order.pickupTime] = (bookings[order.pickupTime] || 0) + 1;
+      });
+
+    return bookings;
+  }
+
+  /**
+   * Get the slots a business's items can be picked up in
+   *
+   * Slots have to end before the earliest expiry among the items.
+   * @param {string} businessId - Business user ID
+   * @param {Array} items - Cart items from this business
+   * @param {Array} listings - All listings
+   * @returns {Array} Available slots
+   */
+  getAvailablePickupSlots(businessId, items, listings) {
+    const expiryTimes = items
+      .map((item) => {
+        const listing = listings.find((listing) => listing.id === item.id);
+        return new Date((listing || item).expiryDate).getTime();
+      })
+      .filter((time) => !isNaN(time));
+
+    return getPickupSlots(this.getPickupSchedule(businessId), {
+      until: expiryTimes.length > 0 ? new Date(Math.min(...expiryTimes)) : null,
+      bookings: this.getSlotBookings(businessId),
+    });
+  }
+
+  // ==================== Order API Methods ====================
+
+  /**
+   * Get the orders the current user can see
+   *
+   * Customers get their own orders, businesses the orders for their
+   * listings and admins every order.
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Array|Object>} Array of orders, or a result object
+   *                                  with success flag and message if the
+   *                                  user isn't logged in
+   */
+  async getOrders(filters = {}) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to view orders",
+          });
+          return;
+        }
+
+        let orders = this.storage
+          .get(ORDERS_KEY, [])
+          .filter((order) => this.canViewOrder(order, currentUser));
+
+        // Apply filters if provided
+        if (filters) {
+          // Filter by user ID (customer)
+          if (filters.userId) {
+            orders = orders.filter((order) => order.userId === filters.userId);
+          }
+
+          // Filter by business ID (orders from before checkout was split
+          // per business can hold items from several businesses)
+          if (filters.businessId) {
+            orders = orders.filter((order) => {
+              return order.businessId
+                ? order.businessId === filters.businessId
+                : order.items.some(
+                    (item) => item.businessId === filters.businessId
+                  );
+            });
+          }
+
+          // Filter by order group
+          if (filters.groupId) {
+            orders = orders.filter(
+              (order) => order.groupId === filters.groupId
+            );
+          }
+
+          // Filter by status
+          if (filters.status && filters.status !== "all") {
+            orders = orders.filter((order) => order.status === filters.status);
+          }
+
+          // Sort orders (newest first by default)
+          orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        resolve(orders.map((order) => this.toOrderView(order, currentUser)));
+      });
+    });
+  }
+
+  /**
+   * Get order by ID
+   * @param {string} id - Order ID
+   * @returns {Promise<Object|null>} Order object, null if not found, or a
+   *                                 result object with success flag and
+   *                                 message if the user can't see it
+   */
+  async getOrderById(id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to view orders",
+          });
+          return;
+        }
+
+        const orders = this.storage.get(ORDERS_KEY, []);
+        const order = orders.find((order) => order.id === id) || null;
+
+        if (order && !this.canViewOrder(order, currentUser)) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only view your own orders",
+          });
+          return;
+        }
+
+        resolve(order && this.toOrderView(order, currentUser));
+      });
+    });
+  }
+
+  /**
+   * Create an order group from the cart, with one sub-order per business
+   * @param {Object} orderData - Customer details (customerName, customerEmail,
+   *                             customerPhone, notes), pickups, a map of
+   *                             businessId -> { pickupTime }, and an optional
+   *                             promoCode
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message or group/orders
+   */
+  async createOrder(orderData) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 500, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authenticated
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to place an order",
+          });
+          return;
+        }
+
+        // The address goes into the confirmation email's headers
+        if (orderData.customerEmail && !isValidEmail(orderData.customerEmail)) {
+          resolve({
+            success: false,
+            message: "Please enter a valid email address",
+          });
+          return;
+        }
+
+        // Get cart
+        const cart = this.storage.get(CART_KEY, { items: [] });
+
+        if (cart.items.length === 0) {
+          resolve({ success: false, message: "Cart is empty" });
+          return;
+        }
+
+        // Group items by business; each business is picked up separately
+        const listings = this.storage.get(LISTINGS_KEY, []);
+        const itemsByBusiness = this.groupItemsByBusiness(
+          this.withListingDetails(cart.items, listings)
+        );
+
+        // Every business needs a pickup time in one of its open slots; a
+        // single pickupTime applies to all businesses without their own
+        const pickups = orderData.pickups || {};
+        const pickupTimes = {};
+
+        for (const [businessId, items] of Object.entries(itemsByBusiness)) {
+          const pickupTime = new Date(
+            (pickups[businessId] && pickups[businessId].pickupTime) ||
+              orderData.pickupTime
+          );
+
+          if (isNaN(pickupTime)) {
+            resolve({
+              success: false,
+              message: `Please choose a pickup time for ${items[0].businessName}`,
+            });
+            return;
+          }
+
+          const slot = this.getAvailablePickupSlots(
+            businessId,
+            items,
+            listings
+          ).find((slot) => slot.start === pickupTime.toISOString());
+
+          if (!slot) {
+            resolve({
+              success: false,
+              message: `The pickup time for ${items[0].businessName} is no longer available. Please choose another time`,
+            });
+            return;
+          }
+
+          pickupTimes[businessId] = slot.start;
+        }
+
+        // Check stock for every item; other customers' holds count as taken
+        const holds = this.getActiveHolds();
+        const errors = [];
+
+        cart.items.forEach((item) => {
+          const listing = listings.find((listing) => listing.id === item.id);
+
+          if (
+            !listing ||
+            listing.status !== "active" ||
+            isExpired(listing.expiryDate)
+          ) {
+            errors.push({
+              itemId: item.id,
+              name: item.name,
+              requested: item.quantity,
+              available: 0,
+              message: `${item.name} is no longer available`,
+            });
+            return;
+          }
+
+          const available = this.getAvailableQuantity(
+            listing,
+            holds,
+            currentUser.id
+          );
+
+          if (item.quantity > available) {
+            errors.push({
+              itemId: item.id,
+              name: item.name,
+              requested: item.quantity,
+              available,
+              message:
+                available > 0
+                  ? `Only ${available} of ${item.name} available`
+                  : `${item.name} is out of stock`,
+            });
+          }
+        });
+
+        if (errors.length > 0) {
+          resolve({
+            success: false,
+            message: "Some items in your cart are no longer available",
+            errors,
+          });
+          return;
+        }
+
+        // Price each business's items, applying the promo code if given
+        const pricedCart = this.priceCart(
+          cart.items,
+          currentUser.id,
+          orderData.promoCode
+        );
+
+        if (!pricedCart.success) {
+          resolve(pricedCart);
+          return;
+        }
+
+        const { promo } = pricedCart;
+
+        // Create one sub-order per business, linked by a group
+        const groupId = generateId();
+        const createdAt = new Date().toISOString();
+
+        // Pickup codes only need to be unique among open orders
+        const pickupCodes = this.storage
+          .get(ORDERS_KEY, [])
+          .filter((order) => order.pickupCode && !isFinalStatus(order.status))
+          .map((order) => order.pickupCode);
+
+        const newOrders = pricedCart.orders.map(
+          ({ businessId, items, pricing }) => {
+            const listing = listings.find(
+              (listing) => listing.id === items[0].id
+            );
+
+            let pickupCode = generatePickupCode();
+            while (pickupCodes.includes(pickupCode)) {
+              pickupCode = generatePickupCode();
+            }
+            pickupCodes.push(pickupCode);
+
+            return {
+              id: generateId(),
+              groupId,
+              userId: currentUser.id,
+              userName: currentUser.name,
+              userEmail: currentUser.email,
+              customerName: orderData.customerName,
+              customerEmail: orderData.customerEmail,
+              customerPhone: orderData.customerPhone,
+              notes: orderData.notes || "",
+              businessId,
+              businessName: items[0].businessName,
+              pickupLocationId: businessId,
+              pickupLocationName: items[0].businessName,
+              pickupAddress: listing
+                ? listing.pickupAddress
+                : items[0].pickupAddress,
+              pickupTime: pickupTimes[businessId],
+              pickupCode,
+              items,
+              ...pricing,
+              promoCode: promo ? promo.code : null,
+              status: "pending",
+              statusHistory: [
+                {
+                  status: "pending",
+                  at: createdAt,
+                  by: currentUser.id,
+                  role: currentUser.role,
+                },
+              ],
+              createdAt,
+            };
+          }
+        );
+
+        const newGroup = {
+          id: groupId,
+          userId: currentUser.id,
+          orderIds: newOrders.map((order) => order.id),
+          ...sumPricing(newOrders),
+          promoCode: promo
+            ? {
+                id: promo.id,
+                code: promo.code,
+                discount: sumPricing(newOrders).discount,
+              }
+            : null,
+          createdAt,
+        };
+
+        // Count the redemption
+        if (promo) {
+          const promoCodes = this.storage.get(PROMO_CODES_KEY, []);
+          const promoCode = promoCodes.find((code) => code.id === promo.id);
+          promoCode.timesUsed = (promoCode.timesUsed || 0) + 1;
+          this.storage.set(PROMO_CODES_KEY, promoCodes);
+        }
+
+        // Add to orders
+        const orders = this.storage.get(ORDERS_KEY, []);
+        orders.push(...newOrders);
+        this.storage.set(ORDERS_KEY, orders);
+
+        const groups = this.storage.get(ORDER_GROUPS_KEY, []);
+        groups.push(newGroup);
+        this.storage.set(ORDER_GROUPS_KEY, groups);
+
+        // Let each business know about its order
+        newOrders.forEach((order) =>
+          this.publishNotification(
+            order.businessId,
+            newOrderNotification(order)
+          )
+        );
+
+        // Update listings quantities
+        cart.items.forEach((item) => {
+          const listingIndex = listings.findIndex(
+            (listing) => listing.id === item.id
+          );
+          if (listingIndex !== -1) {
+            listings[listingIndex].quantity -= item.quantity;
+
+            // Mark as sold out if quantity is 0
+            if (listings[listingIndex].quantity <= 0) {
+              listings[listingIndex].status = "sold-out";
+            }
+          }
+        });
+
+        this.storage.set(LISTINGS_KEY, listings);
+
+        // Release the holds now that the stock is sold
+        cart.items.forEach((item) => this.setHold(item.id, currentUser.id, 0));
+
+        // Clear cart
+        this.storage.set(CART_KEY, { items: [] });
+
+        this.emitChange("orders", {
+          orderIds: newOrders.map((order) => order.id),
+        });
+        this.emitChange("listings");
+        this.emitChange("cart");
+
+        const group = this.withGroupOrders(newGroup, newOrders);
+
+        // Email the customer their pickup details
+        this.email.send(
+          orderData.customerEmail || currentUser.email,
+          orderPlacedEmail(group, this.email.appUrl),
+          "order-placed"
+        );
+
+        resolve({
+          success: true,
+          group,
+          orders: newOrders,
+        });
+      });
+    });
+  }
+
+  /**
+   * Get an order group with its sub-orders
+   *
+   * Only the customer who placed the group and admins can see it.
+   * @param {string} id - Order group ID
+   * @returns {Promise<Object|null>} Order group, null if not found, or a
+   *                                 result object with success flag and
+   *                                 message if the user can't see it
+   */
+  async getOrderGroup(id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to view orders",
+          });
+          return;
+        }
+
+        const groups = this.storage.get(ORDER_GROUPS_KEY, []);
+        const group = groups.find((group) => group.id === id);
+
+        if (!group) {
+          resolve(null);
+          return;
+        }
+
+        if (currentUser.role !== "admin" && group.userId !== currentUser.id) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only view your own orders",
+          });
+          return;
+        }
+
+        const orders = this.storage
+          .get(ORDERS_KEY, [])
+          .filter((order) => order.groupId === id);
+
+        resolve(
+          this.withGroupOrders(
+            group,
+            orders.map((order) => this.toOrderView(order, currentUser))
+          )
+        );
+      });
+    });
+  }
+
+  /**
+   * Find the order a customer is collecting from their pickup code
+   *
+   * Accepts a typed code or a scanned QR payload. Businesses can only look
+   * up their own orders.
+   * @param {string} input - Pickup code or QR payload
+   * @returns {Promise<Object>} Result object with success flag and message/order
+   */
+  async findOrderByPickupCode(input) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized
+        if (
+          !currentUser ||
+          (currentUser.role !== "business" && currentUser.role !== "admin")
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only businesses can verify pickups",
+          });
+          return;
+        }
+
+        const { orderId, code } = parsePickupInput(input);
+
+        if (!code) {
+          resolve({ success: false, message: "Please enter a pickup code" });
+          return;
+        }
+
+        let matches = this.storage
+          .get(ORDERS_KEY, [])
+          .filter(
+            (order) =>
+              order.pickupCode === code && (!orderId || order.id === orderId)
+          );
+
+        if (matches.length === 0) {
+          resolve({
+            success: false,
+            message: "No order was found for this pickup code",
+          });
+          return;
+        }
+
+        if (currentUser.role === "business") {
+          matches = matches.filter(
+            (order) => order.businessId === currentUser.id
+          );
+
+          if (matches.length === 0) {
+            resolve({
+              success: false,
+              message: "Unauthorized: This order is for another business",
+            });
+            return;
+          }
+        }
+
+        // Codes can repeat once an order is closed, so prefer an open one
+        const order =
+          matches.find((order) => !isFinalStatus(order.status)) ||
+          matches[matches.length - 1];
+
+        resolve({ success: true, order: this.toOrderView(order, currentUser) });
+      });
+    });
+  }
+
+  /**
+   * Add the items of a past order back to the cart
+   *
+   * Items are added at their current price. Items that are gone are
+   * skipped, and items with less stock left are added with what remains.
+   * @param {string} id - Order ID
+   * @returns {Promise<Object>} Result object with success flag, message,
+   *                            added and unavailable items and the cart
+   */
+  async reorder(id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to reorder",
+          });
+          return;
+        }
+
+        const order = this.storage
+          .get(ORDERS_KEY, [])
+          .find((order) => order.id === id);
+
+        if (!order) {
+          resolve({ success: false, message: "Order not found" });
+          return;
+        }
+
+        if (order.userId !== currentUser.id) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only reorder your own orders",
+          });
+          return;
+        }
+
+        const listings = this.storage.get(LISTINGS_KEY, []);
+        const cart = this.storage.get(CART_KEY, { items: [] });
+        const added = [];
+        const unavailable = [];
+
+        order.items.forEach((item) => {
+          const listing = listings.find((listing) => listing.id === item.id);
+          const cartItem = cart.items.find((i) => i.id === item.id);
+          const inCart = cartItem ? cartItem.quantity : 0;
+
+          // Hold as much as we can, up to the quantity ordered last time
+          let result = this.reserveStock(
+            item.id,
+            currentUser.id,
+            inCart + item.quantity
+          );
+          let quantity = item.quantity;
+
+          if (!result.success && result.available > inCart) {
+            quantity = result.available - inCart;
+            result = this.reserveStock(
+              item.id,
+              currentUser.id,
+              inCart + quantity
+            );
+          }
+
+          if (!result.success) {
+            unavailable.push({
+              id: item.id,
+              name: item.name,
+              message: result.message,
+            });
+            return;
+          }
+
+          if (cartItem) {
+            cartItem.quantity += quantity;
+          } else {
+            cart.items.push(this.toCartItem(this.withImage(listing), quantity));
+          }
+
+          added.push({ id: item.id, name: item.name, quantity });
+        });
+
+        this.storage.set(CART_KEY, cart);
+        this.emitChange("cart");
+
+        if (added.length === 0) {
+          resolve({
+            success: false,
+            message: "None of the items from this order are available any more",
+            added,
+            unavailable,
+          });
+          return;
+        }
+
+        resolve({
+          success: true,
+          message:
+            unavailable.length > 0
+              ? "Some items were added to your cart"
+              : "All items were added to your cart",
+          added,
+          unavailable,
+          cart,
+        });
+      });
+    });
+  }
+
+  /**
+   * Create a cart item from a listing
+   * @param {Object} listing - Listing object
+   * @param {number} quantity - Quantity
+   * @returns {Object} Cart item
+   */
+  toCartItem(listing, quantity) {
+    return {
+      id: listing.id,
+      businessId: listing.businessId,
+      businessName: listing.businessName,
+      name: listing.foodName,
+      originalPrice: listing.originalPrice,
+      discountedPrice: listing.discountedPrice,
+      quantity,
+      imageUrl: listing.imageUrl,
+      expiryDate: listing.expiryDate,
+      pickupOnly: listing.pickupOnly,
+      pickupAddress: listing.pickupAddress,
+    };
+  }
+
+  /**
+   * Group items by the business that sells them
+   * @param {Array} items - Cart or order items
+   * @returns {Object} Map of businessId -> items
+   */
+  groupItemsByBusiness(items) {
+    const itemsByBusiness = {};
+
+    items.forEach((item) => {
+      if (!itemsByBusiness[item.businessId]) {
+        itemsByBusiness[item.businessId] = [];
+      }
+      itemsByBusiness[item.businessId].push(item);
+    });
+
+    return itemsByBusiness;
+  }
+
+  /**
+   * Copy items, taking everything but the quantity from their listings
+   *
+   * Business, name and prices always come from the stored listing (at its
+   * current price), never from what a client put in its cart.
+   * @param {Array} items - Cart items
+   * @param {Array} listings - All listings
+   * @returns {Array} Items with category (unchanged if their listing is gone)
+   */
+  withListingDetails(items, listings) {
+    return items.map((item) => {
+      const listing = listings.find((listing) => listing.id === item.id);
+
+      if (!listing) return item;
+
+      return {
+        ...this.toCartItem(this.withImage(listing), item.quantity),
+        category: listing.category,
+        discountedPrice: getEffectivePrice(listing).price,
+      };
+    });
+  }
+
+  /**
+   * Price cart items as one order per business
+   * @param {Array} cartItems - Cart items
+   * @param {string} userId - Customer placing the order
+   * @param {string} promoCode - Promo code to apply (optional)
+   * @returns {Object} Result object with success flag and message, or the
+   *                   promo code used and orders (businessId, businessName,
+   *                   items and pricing for each business)
+   */
+  priceCart(cartItems, userId, promoCode = "") {
+    const listings = this.storage.get(LISTINGS_KEY, []);
+    let items = this.withListingDetails(cartItems, listings);
+    let promo = null;
+
+    if (normalizeCode(promoCode)) {
+      promo = this.storage
+        .get(PROMO_CODES_KEY, [])
+        .find((code) => code.code === normalizeCode(promoCode));
+
+      // Per-user limits count earlier checkouts that used the code
+      const timesUsedByUser = promo
+        ? this.storage
+            .get(ORDER_GROUPS_KEY, [])
+            .filter(
+              (group) =>
+                group.userId === userId &&
+                group.promoCode &&
+                group.promoCode.id === promo.id
+            ).length
+        : 0;
+
+      const check = checkPromoCode(promo, { items, timesUsedByUser });
+
+      if (!check.valid) {
+        return { success: false, message: check.message };
+      }
+
+      items = applyPromoCode(promo, items);
+    }
+
+    const orders = Object.entries(this.groupItemsByBusiness(items)).map(
+      ([businessId, items]) => ({
+        businessId,
+        businessName: items[0].businessName,
+        items,
+        pricing: this.calculateOrderTotals(items, businessId),
+      })
+    );
+
+    return { success: true, promo, orders };
+  }
+
+  /**
+   * Calculate the totals for one business's items
+   * @param {Array} items - Items with category
+   * @param {string} businessId - Business the items are picked up from
+   * @returns {Object} Pricing from calculatePricing
+   */
+  calculateOrderTotals(items, businessId) {
+    const business = this.auth
+      .getUsers()
+      .find((user) => user.id === businessId);
+
+    return calculatePricing(items, this.storage.get(PRICING_KEY, {}), {
+      region: business ? business.taxRegion : null,
+    });
+  }
+
+  /**
+   * Attach sub-orders and an overall status to an order group
+   *
+   * The group status is the sub-orders' status when they all agree,
+   * otherwise "partial".
+   * @param {Object} group - Order group
+   * @param {Array} orders - The group's sub-orders
+   * @returns {Object} Order group with orders and status
+   */
+  withGroupOrders(group, orders) {
+    const statuses = [...new Set(orders.map((order) => order.status))];
+
+    return {
+      ...group,
+      orders,
+      status: statuses.length === 1 ? statuses[0] : "partial",
+    };
+  }
+
+  /**
+   * Check whether a user can see an order
+   *
+   * Customers can see the orders they placed, businesses the orders for
+   * their listings (or, for orders from before checkout was split, for any
+   * item in them) and admins every order.
+   * @param {Object} order - Order
+   * @param {Object} user - User
+   * @returns {boolean} Whether the user can see the order
+   */
+  canViewOrder(order, user) {
+    if (user.role === "admin" || order.userId === user.id) return true;
+
+    if (user.role !== "business") return false;
+
+    return order.businessId
+      ? order.businessId === user.id
+      : order.items.some((item) => item.businessId === user.id);
+  }
+
+  /**
+   * Prepare an order for a user who can see it
+   *
+   * The pickup code is what the customer shows to collect the order, so
+   * only the customer who placed it gets it.
+   * @param {Object} order - Order
+   * @param {Object} user - User the order is sent to
+   * @returns {Object} Order, without pickupCode unless it's the user's own
+   */
+  toOrderView(order, user) {
+    if (order.userId === user.id) return order;
+
+    const { pickupCode, ...orderView } = order;
+    return orderView;
+  }
+
+  /**
+   * Update order status
+   *
+   * Businesses move their own orders through the lifecycle, customers can
+   * cancel their own pending orders and admins can make any legal change
+   * (see order-status.js). Cancelling puts the items back in stock.
+   * @param {string} id - Order ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Result object with success flag and message/order
+   */
+  async updateOrderStatus(id, status) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is logged in
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to update orders",
+          });
+          return;
+        }
+
+        // Get orders
+        const orders = this.storage.get(ORDERS_KEY, []);
+
+        // Find order
+        const orderIndex = orders.findIndex((order) => order.id === id);
+
+        if (orderIndex === -1) {
+          resolve({ success: false, message: "Order not found" });
+          return;
+        }
+
+        const order = orders[orderIndex];
+
+        // If business user, check they own the order (or, for orders from
+        // before checkout was split, any item in it)
+        if (currentUser.role === "business") {
+          const ownsOrder = order.businessId
+            ? order.businessId === currentUser.id
+            : order.items.some((item) => item.businessId === currentUser.id);
+
+          if (!ownsOrder) {
+            resolve({
+              success: false,
+              message:
+                "Unauthorized: You can only update orders for your listings",
+            });
+            return;
+          }
+        }
+
+        // Customers can only touch their own orders
+        if (
+          currentUser.role === "customer" &&
+          order.userId !== currentUser.id
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only update your own orders",
+          });
+          return;
+        }
+
+        // Check the change is allowed by the lifecycle (customers can
+        // only cancel, and only until shortly before pickup)
+        const transition =
+          currentUser.role === "customer" && status === "cancelled"
+            ? checkCustomerCancellation(order)
+            : checkTransition(order.status, status, currentUser.role);
+
+        if (!transition.allowed) {
+          resolve({ success: false, message: transition.message });
+          return;
+        }
+
+        // Update order status
+        const now = new Date().toISOString();
+
+        order.status = status;
+        order.updatedAt = now;
+        order.statusHistory = [
+          ...(order.statusHistory || []),
+          { status, at: now, by: currentUser.id, role: currentUser.role },
+        ];
+
+        orders[orderIndex] = order;
+        this.storage.set(ORDERS_KEY, orders);
+        this.emitChange("orders", { orderIds: [id] });
+
+        // Put cancelled items back in stock
+        if (status === "cancelled") {
+          this.restoreStock(order.items);
+        }
+
+        // Let the customer and business know, apart from whoever made the
+        // change
+        [
+          [order.userId, "customer"],
+          [order.businessId, "business"],
+        ]
+          .filter(([userId]) => userId && userId !== currentUser.id)
+          .forEach(([userId, audience]) =>
+            this.publishNotification(
+              userId,
+              orderStatusNotification(order, audience)
+            )
+          );
+
+        // Email the customer when there's something for them to do
+        const emails = {
+          "ready-for-pickup": orderReadyEmail,
+          cancelled: orderCancelledEmail,
+        };
+        if (emails[status]) {
+          this.email.send(
+            order.customerEmail || order.userEmail,
+            emails[status](order, this.email.appUrl),
+            `order-${status}`
+          );
+        }
+
+        resolve({ success: true, order: this.toOrderView(order, currentUser) });
+      });
+    });
+  }
+
+  /**
+   * Return ordered quantities to their listings
+   *
+   * Sold-out listings become active again unless they've expired.
+   * @param {Array} items - Order items
+   */
+  restoreStock(items) {
+    const listings = this.storage.get(LISTINGS_KEY, []);
+
+    items.forEach((item) => {
+      const listing = listings.find((listing) => listing.id === item.id);
+      if (!listing) return;
+
+      listing.quantity += item.quantity;
+
+      if (
+        listing.status === "sold-out" &&
+        listing.quantity > 0 &&
+        !isExpired(listing.expiryDate)
+      ) {
+        listing.status = "active";
+      }
+    });
+
+    this.storage.set(LISTINGS_KEY, listings);
+    this.emitChange("listings");
+  }
+
+  /**
+   * Subscribe to new and updated orders as they happen
+   *
+   * Businesses get their own orders and admins every order. Changes made
+   * through this service are sent at once, and changes made in other tabs
+   * as soon as the tab sync reports them.
+   * @param {Function} listener - Called with { type, order } where type is
+   *                              'created' or 'updated'
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message or unsubscribe function
+   */
+  async subscribeToOrders(listener) {
+    await this.ready;
+
+    const currentUser = this.auth.getCurrentUser();
+    if (
+      !currentUser ||
+      (currentUser.role !== "business" && currentUser.role !== "admin")
+    ) {
+      return { success: false, message: "Unauthorized" };
+    }
+
+    const filters =
+      currentUser.role === "business" ? { businessId: currentUser.id } : {};
+    const feed = new OrderFeed(() => this.getOrders(filters), listener);
+
+    await feed.start();
+    this.orderFeeds.push(feed);
+
+    const stopSync = this.sync.subscribe("orders", () =>
+      feed.refresh().catch(reportFeedError)
+    );
+
+    return {
+      success: true,
+      unsubscribe: () => {
+        feed.close();
+        stopSync();
+        this.orderFeeds = this.orderFeeds.filter((item) => item !== feed);
+      },
+    };
+  }
+
+  // ==================== User API Methods ====================
+
+  /**
+   * Get all users
+   * @param {Object} filters - Optional filters
+   * @returns {Promise<Array>} Array of users
+   */
+  async getUsers(filters = {}) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is an admin
+        if (!currentUser || currentUser.role !== "admin") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only admins can view all users",
+          });
+          return;
+        }
+
+        let users = this.auth.getUsers();
+
+        // Apply filters
+        if (filters) {
+          // Filter by role
+          if (filters.role && filters.role !== "all") {
+            users = users.filter((user) => user.role === filters.role);
+          }
+
+          // Filter by status
+          if (filters.status && filters.status !== "all") {
+            users = users.filter((user) => user.status === filters.status);
+          }
+
+          // Filter by search term
+          if (filters.search) {
+            const searchTerm = filters.search.toLowerCase();
+            users = users.filter(
+              (user) =>
+                user.name.toLowerCase().includes(searchTerm) ||
+                user.email.toLowerCase().includes(searchTerm) ||
+                (user.businessName &&
+                  user.businessName.toLowerCase().includes(searchTerm))
+            );
+          }
+
+          // Sort users by join date (newest first by default)
+          users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+
+        resolve({
+          success: true,
+          users: users.map((user) => this.auth.toPublicUser(user)),
+        });
+      });
+    });
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object>} Result object with success flag and user/message
+   */
+  async getUserById(id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (admin or the user themselves)
+        if (
+          !currentUser ||
+          (currentUser.role !== "admin" && currentUser.id !== id)
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only view your own profile",
+          });
+          return;
+        }
+
+        const users = this.auth.getUsers();
+        const user = users.find((user) => user.id === id);
+
+        if (!user) {
+          resolve({ success: false, message: "User not found" });
+          return;
+        }
+
+        resolve({ success: true, user: this.auth.toPublicUser(user) });
+      });
+    });
+  }
+
+  /**
+   * Update user status (block/unblock)
+   * @param {string} id - User ID
+   * @param {string} status - New status
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async updateUserStatus(id, status) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is an admin
+        if (!currentUser || currentUser.role !== "admin") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only admins can update user status",
+          });
+          return;
+        }
+
+        const users = this.auth.getUsers();
+        const userIndex = users.findIndex((user) => user.id === id);
+
+        if (userIndex === -1) {
+          resolve({ success: false, message: "User not found" });
+          return;
+        }
+
+        // Prevent blocking self
+        if (id === currentUser.id) {
+          resolve({
+            success: false,
+            message: "You cannot block your own account",
+          });
+          return;
+        }
+
+        // Update user status
+        users[userIndex].status = status;
+        users[userIndex].updatedAt = new Date().toISOString();
+
+        this.auth.saveUsers(users);
+        this.emitChange("users", { userIds: [id] });
+
+        // End the user's existing sessions right away
+        if (status === "blocked") {
+          this.auth.revokeUserSessions(id);
+        }
+
+        // Tell the user the next time they're signed in
+        this.publishNotification(id, accountStatusNotification(status));
+
+        // Blocked users can't sign in to see that, so email them too
+        if (status === "blocked") {
+          this.email.send(
+            users[userIndex].email,
+            accountBlockedEmail(users[userIndex]),
+            "account-blocked"
+          );
+        }
+
+        resolve({
+          success: true,
+          message: `User ${
+            status === "blocked" ? "blocked" : "activated"
+          } successfully`,
+        });
+      });
+    });
+  }
+
+  /**
+   * Update user profile
+   * @param {string} id - User ID
+   * @param {Object} userData - Updated user data (only PROFILE_FIELDS are
+   *                            saved)
+   * @returns {Promise<Object>} Result object with success flag and message/user
+   */
+  async updateUserProfile(id, userData) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (admin or the user themselves)
+        if (
+          !currentUser ||
+          (currentUser.role !== "admin" && currentUser.id !== id)
+        ) {
+          resolve({
+            success: false,
+            message: "Unauthorized: You can only update your own profile",
+          });
+          return;
+        }
+
+        const users = this.auth.getUsers();
+        const userIndex = users.findIndex((user) => user.id === id);
+
+        if (userIndex === -1) {
+          resolve({ success: false, message: "User not found" });
+          return;
+        }
+
+        const profileData = pickFields(userData, PROFILE_FIELDS);
+
+        // Check pickup hours as sent, so a wrong shape is reported rather
+        // than replaced by the defaults
+        if (profileData.pickupSchedule) {
+          const errors = validatePickupSchedule({
+            ...DEFAULT_PICKUP_SCHEDULE,
+            ...profileData.pickupSchedule,
+          });
+
+          if (errors.length > 0) {
+            resolve({ success: false, message: errors.join(". ") });
+            return;
+          }
+
+          profileData.pickupSchedule = normalizePickupSchedule(
+            profileData.pickupSchedule
+          );
+        }
+
+        // Keep only known tags and allergens in the dietary profile
+        if (profileData.dietaryProfile) {
+          profileData.dietaryProfile = normalizeDietaryProfile(
+            profileData.dietaryProfile
+          );
+        }
+
+        // Check the business location; null clears it
+        if (profileData.businessLocation) {
+          if (!isValidLocation(profileData.businessLocation)) {
+            resolve({
+              success: false,
+              message: "Business location is invalid",
+            });
+            return;
+          }
+
+          profileData.businessLocation = {
+            lat: profileData.businessLocation.lat,
+            lng: profileData.businessLocation.lng,
+          };
+        }
+
+        // Update user data
+        const updatedUser = {
+          ...users[userIndex],
+          ...profileData,
+          updatedAt: new Date().toISOString(),
+        };
+
+        users[userIndex] = updatedUser;
+        this.auth.saveUsers(users);
+        this.emitChange("users", { userIds: [id] });
+
+        // Re-issue the access token so it carries the new name
+        if (id === currentUser.id) {
+          this.auth.refreshSession();
+        }
+
+        resolve({ success: true, user: this.auth.toPublicUser(updatedUser) });
+      });
+    });
+  }
+
+  // ==================== Notification API Methods ====================
+
+  /**
+   * Get the current user's notifications
+   * @returns {Promise<Object>} Result object with success flag,
+   *                            notifications (newest first) and unreadCount,
+   *                            or message
+   */
+  async getNotifications() {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is logged in
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to see notifications",
+          });
+          return;
+        }
+
+        // Expiry warnings don't wait for someone to browse listings
+        if (currentUser.role === "business") {
+          this.notifyExpiringListings();
+        }
+
+        const notifications = this.storage
+          .get(NOTIFICATIONS_KEY, [])
+          .filter((notification) => notification.userId === currentUser.id)
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        resolve({
+          success: true,
+          notifications,
+          unreadCount: notifications.filter(
+            (notification) => !notification.read
+          ).length,
+        });
+      });
+    });
+  }
+
+  /**
+   * Mark the current user's notifications as read
+   * @param {Array} ids - Notification IDs (all of them if not given)
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async markNotificationsRead(ids = null) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is logged in
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to update notifications",
+          });
+          return;
+        }
+
+        const notifications = this.storage
+          .get(NOTIFICATIONS_KEY, [])
+          .map((notification) =>
+            notification.userId === currentUser.id &&
+            (!ids || ids.includes(notification.id))
+              ? { ...notification, read: true }
+              : notification
+          );
+        this.storage.set(NOTIFICATIONS_KEY, notifications);
+        this.emitChange("notifications");
+
+        resolve({ success: true, message: "Notifications marked as read" });
+      });
+    });
+  }
+
+  /**
+   * Delete the current user's notifications
+   * @param {Array} ids - Notification IDs (all of them if not given)
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async clearNotifications(ids = null) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is logged in
+        if (!currentUser) {
+          resolve({
+            success: false,
+            message: "Unauthorized: Please log in to clear notifications",
+          });
+          return;
+        }
+
+        const notifications = this.storage
+          .get(NOTIFICATIONS_KEY, [])
+          .filter(
+            (notification) =>
+              notification.userId !== currentUser.id ||
+              (ids && !ids.includes(notification.id))
+          );
+        this.storage.set(NOTIFICATIONS_KEY, notifications);
+        this.emitChange("notifications");
+
+        resolve({ success: true, message: "Notifications cleared" });
+      });
+    });
+  }
+
+  /**
+   * Store a notification for a user
+   * @param {string} userId - User to notify
+   * @param {Object} notification - Notification with type, title, message
+   *                                and link (see notifications.js)
+   * @returns {Object} Stored notification
+   */
+  publishNotification(userId, notification) {
+    const stored = {
+      id: generateId(),
+      userId,
+      ...notification,
+      read: false,
+      createdAt: new Date().toISOString(),
+    };
+
+    const notifications = this.storage.get(NOTIFICATIONS_KEY, []);
+    notifications.push(stored);
+
+    // Keep only each user's newest notifications
+    const userNotifications = notifications.filter(
+      (item) => item.userId === userId
+    );
+    const dropped = new Set(
+      userNotifications
+        .slice(0, Math.max(0, userNotifications.length - MAX_NOTIFICATIONS))
+        .map((item) => item.id)
+    );
+
+    this.storage.set(
+      NOTIFICATIONS_KEY,
+      notifications.filter((item) => !dropped.has(item.id))
+    );
+    this.emitChange("notifications", { userIds: [userId] });
+
+    return stored;
+  }
+
+  /**
+   * Warn businesses once about each active listing that's about to expire
+   * with stock left
+   * @param {Date} now - Current time (for testing)
+   */
+  notifyExpiringListings(now = new Date()) {
+    const listings = this.storage.get(LISTINGS_KEY, []);
+    const expiring = listings.filter((listing) => {
+      const timeLeft = new Date(listing.expiryDate) - now;
+
+      return (
+        listing.status === "active" &&
+        listing.quantity > 0 &&
+        !listing.expiryWarningSentAt &&
+        timeLeft > 0 &&
+        timeLeft <= EXPIRY_WARNING_TIME
+      );
+    });
+
+    if (expiring.length === 0) return;
+
+    const users = this.auth.getUsers();
+
+    expiring.forEach((listing) => {
+      const business = users.find((user) => user.id === listing.businessId);
+
+      this.publishNotification(
+        listing.businessId,
+        expiringListingNotification(listing)
+      );
+
+      if (business) {
+        this.email.send(
+          business.email,
+          listingExpiringEmail(listing, this.email.appUrl),
+          "listing-expiring"
+        );
+      }
+
+      listing.expiryWarningSentAt = now.toISOString();
+    });
+
+    this.storage.set(LISTINGS_KEY, listings);
+  }
+
+  // ==================== Favorites API Methods ====================
+
+  /**
+   * Get the current customer's favorite businesses and listings
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            businesses/listings, or message
+   */
+  async getFavorites() {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only customers have favorites",
+          });
+          return;
+        }
+
+        const favorites = this.storage
+          .get(FAVORITES_KEY, [])
+          .filter((favorite) => favorite.userId === currentUser.id);
+        const favoriteIds = (type) =>
+          favorites
+            .filter((favorite) => favorite.type === type)
+            .map((favorite) => favorite.targetId);
+
+        // Favorites whose business or listing was removed are left out
+        const users = this.auth.getUsers();
+        const businesses = favoriteIds("business")
+          .map((id) => users.find((user) => user.id === id))
+          .filter((user) => user && user.role === "business")
+          .map((user) => ({
+            id: user.id,
+            businessName: user.businessName || user.name,
+            businessType: user.businessType || "other",
+            businessAddress: user.businessAddress,
+          }));
+
+        const storedListings = this.storage.get(LISTINGS_KEY, []);
+        const listings = favoriteIds("listing")
+          .map((id) => storedListings.find((listing) => listing.id === id))
+          .filter(Boolean)
+          .map((listing) => this.withImage(this.withCurrentPrice(listing)));
+
+        resolve({ success: true, businesses, listings });
+      });
+    });
+  }
+
+  /**
+   * Add a business or listing to the current customer's favorites
+   * @param {string} type - 'business' or 'listing'
+   * @param {string} id - Business user ID or listing ID
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/favorite
+   */
+  async addFavorite(type, id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only customers can add favorites",
+          });
+          return;
+        }
+
+        if (!FAVORITE_TYPES.includes(type)) {
+          resolve({
+            success: false,
+            message: "Favorites can only be businesses or listings",
+          });
+          return;
+        }
+
+        // Check the business or listing exists
+        const exists =
+          type === "business"
+            ? this.auth
+                .getUsers()
+                .some((user) => user.id === id && user.role === "business")
+            : this.storage
+                .get(LISTINGS_KEY, [])
+                .some((listing) => listing.id === id);
+
+        if (!exists) {
+          resolve({
+            success: false,
+            message: `${
+              type === "business" ? "Business" : "Listing"
+            } not found`,
+          });
+          return;
+        }
+
+        const favorites = this.storage.get(FAVORITES_KEY, []);
+        const existing = favorites.find(
+          (favorite) =>
+            favorite.userId === currentUser.id &&
+            favorite.type === type &&
+            favorite.targetId === id
+        );
+
+        // Adding a favorite twice keeps the first one
+        if (existing) {
+          resolve({
+            success: true,
+            message: "Already in your favorites",
+            favorite: existing,
+          });
+          return;
+        }
+
+        const favorite = {
+          id: generateId(),
+          userId: currentUser.id,
+          type,
+          targetId: id,
+          createdAt: new Date().toISOString(),
+        };
+
+        favorites.push(favorite);
+        this.storage.set(FAVORITES_KEY, favorites);
+        this.emitChange("favorites");
+
+        resolve({
+          success: true,
+          message: "Added to your favorites",
+          favorite,
+        });
+      });
+    });
+  }
+
+  /**
+   * Remove a business or listing from the current customer's favorites
+   * @param {string} type - 'business' or 'listing'
+   * @param {string} id - Business user ID or listing ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async removeFavorite(type, id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only customers can remove favorites",
+          });
+          return;
+        }
 
-          // Filter by status
-          if (filters.status && filters.status !== "all") {
-            orders = orders.filter((order) => order.status === filters.status);
-          }
+        const favorites = this.storage.get(FAVORITES_KEY, []);
+        const favoriteIndex = favorites.findIndex(
+          (favorite) =>
+            favorite.userId === currentUser.id &&
+            favorite.type === type &&
+            favorite.targetId === id
+        );
 
-          // Sort orders (newest first by default)
-          orders.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        if (favoriteIndex === -1) {
+          resolve({ success: false, message: "Favorite not found" });
+          return;
         }
 
-        resolve(orders);
-      }, 300);
+        favorites.splice(favoriteIndex, 1);
+        this.storage.set(FAVORITES_KEY, favorites);
+        this.emitChange("favorites");
+
+        resolve({ success: true, message: "Removed from your favorites" });
+      });
     });
   }
 
+  // ==================== Saved Search API Methods ====================
+
   /**
-   * Get order by ID
-   * @param {string} id - Order ID
-   * @returns {Promise<Object|null>} Order object or null if not found
+   * Get the current customer's saved searches
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            savedSearches (each with newListingIds, the
+   *                            listings it matched since it was last
+   *                            opened), or message
    */
-  async getOrderById(id) {
+  async getSavedSearches() {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const ordersJson = localStorage.getItem(ORDERS_KEY);
-        const orders = ordersJson ? JSON.parse(ordersJson) : [];
-        const order = orders.find((order) => order.id === id) || null;
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        resolve(order);
-      }, 200);
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only customers have saved searches",
+          });
+          return;
+        }
+
+        const alerts = this.storage
+          .get(SEARCH_ALERTS_KEY, [])
+          .filter((alert) => alert.userId === currentUser.id && !alert.read);
+
+        const savedSearches = this.storage
+          .get(SAVED_SEARCHES_KEY, [])
+          .filter((savedSearch) => savedSearch.userId === currentUser.id)
+          .map((savedSearch) => ({
+            ...savedSearch,
+            newListingIds: alerts
+              .filter((alert) => alert.savedSearchId === savedSearch.id)
+              .map((alert) => alert.listingId),
+          }));
+
+        // Newest first
+        savedSearches.sort(
+          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+        );
+
+        resolve({ success: true, savedSearches });
+      });
     });
   }
 
   /**
-   * Create a new order
-   * @param {Object} orderData - Order data
-   * @returns {Promise<Object>} Result object with success flag and message/order
+   * Save a set of listing filters for the current customer
+   * @param {string} name - Name for the search
+   * @param {Object} filters - getListings filters (sorting and limits are
+   *                           not kept)
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/savedSearch
    */
-  async createOrder(orderData) {
+  async createSavedSearch(name, filters) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Check if user is authenticated
-        if (!currentUser) {
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
           resolve({
             success: false,
-            message: "Unauthorized: Please log in to place an order",
+            message: "Unauthorized: Only customers can save searches",
           });
           return;
         }
 
-        // Get cart
-        const cartJson = localStorage.getItem(CART_KEY);
-        const cart = cartJson ? JSON.parse(cartJson) : { items: [] };
+        const savedSearches = this.storage.get(SAVED_SEARCHES_KEY, []);
 
-        if (cart.items.length === 0) {
-          resolve({ success: false, message: "Cart is empty" });
+        if (
+          savedSearches.filter(
+            (savedSearch) => savedSearch.userId === currentUser.id
+          ).length >= MAX_SAVED_SEARCHES
+        ) {
+          resolve({
+            success: false,
+            message: `You can save at most ${MAX_SAVED_SEARCHES} searches. Please delete one first`,
+          });
           return;
         }
 
-        // Create new order
-        const newOrder = {
+        const savedSearch = {
           id: generateId(),
           userId: currentUser.id,
-          userName: currentUser.name,
-          userEmail: currentUser.email,
-          items: [...cart.items], // Clone cart items
-          ...orderData,
-          subtotal: cart.items.reduce(
-            (total, item) => total + item.discountedPrice * item.quantity,
-            0
-          ),
-          savings: cart.items.reduce(
-            (total, item) =>
-              total +
-              (item.originalPrice - item.discountedPrice) * item.quantity,
-            0
-          ),
-          tax: cart.items.reduce(
-            (total, item) =>
-              total + item.discountedPrice * item.quantity * 0.08,
-            0
-          ), // Assuming 8% tax
-          total: cart.items.reduce(
-            (total, item) =>
-              total + item.discountedPrice * item.quantity * 1.08,
-            0
-          ), // Including tax
-          status: "pending",
+          name: String(name || "").trim(),
+          filters: normalizeSearchFilters(filters),
           createdAt: new Date().toISOString(),
         };
 
-        // Add to orders
-        const ordersJson = localStorage.getItem(ORDERS_KEY);
-        const orders = ordersJson ? JSON.parse(ordersJson) : [];
-        orders.push(newOrder);
-        localStorage.setItem(ORDERS_KEY, JSON.stringify(orders));
+        const errors = validateSavedSearch(savedSearch);
 
-        // Update listings quantities
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        const listings = listingsJson ? JSON.parse(listingsJson) : [];
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
+          return;
+        }
 
-        cart.items.forEach((item) => {
-          const listingIndex = listings.findIndex(
-            (listing) => listing.id === item.id
-          );
-          if (listingIndex !== -1) {
-            listings[listingIndex].quantity -= item.quantity;
+        savedSearches.push(savedSearch);
+        this.storage.set(SAVED_SEARCHES_KEY, savedSearches);
+        this.emitChange("saved-searches");
 
-            // Mark as sold out if quantity is 0
-            if (listings[listingIndex].quantity <= 0) {
-              listings[listingIndex].status = "sold-out";
-            }
-          }
+        resolve({
+          success: true,
+          message: "Search saved. We'll let you know about new listings",
+          savedSearch,
         });
-
-        localStorage.setItem(LISTINGS_KEY, JSON.stringify(listings));
-
-        // Clear cart
-        localStorage.setItem(CART_KEY, JSON.stringify({ items: [] }));
-
-        resolve({ success: true, order: newOrder });
-      }, 500);
+      });
     });
   }
 
   /**
-   * Update order status
-   * @param {string} id - Order ID
-   * @param {string} status - New status
-   * @returns {Promise<Object>} Result object with success flag and message/order
+   * Mark the alerts for a saved search as read
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object>} Result object with success flag and message
    */
-  async updateOrderStatus(id, status) {
+  async markSavedSearchSeen(id) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Check if user is authorized
-        if (
-          !currentUser ||
-          (currentUser.role !== "business" && currentUser.role !== "admin")
-        ) {
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
           resolve({
             success: false,
-            message: "Unauthorized: Only businesses can update orders",
+            message: "Unauthorized: Only customers have saved searches",
           });
           return;
         }
 
-        // Get orders
-        const ordersJson = localStorage.getItem(ORDERS_KEY);
-        const orders = ordersJson ? JSON.parse(ordersJson) : [];
-
-        // Find order
-        const orderIndex = orders.findIndex((order) => order.id === id);
+        const savedSearch = this.storage
+          .get(SAVED_SEARCHES_KEY, [])
+          .find(
+            (savedSearch) =>
+              savedSearch.id === id && savedSearch.userId === currentUser.id
+          );
 
-        if (orderIndex === -1) {
-          resolve({ success: false, message: "Order not found" });
+        if (!savedSearch) {
+          resolve({ success: false, message: "Saved search not found" });
           return;
         }
 
-        const order = orders[orderIndex];
-
-        // If business user, check if they own any items in the order
-        if (currentUser.role === "business") {
-          const ownsAnyItem = order.items.some(
-            (item) => item.businessId === currentUser.id
+        const alerts = this.storage
+          .get(SEARCH_ALERTS_KEY, [])
+          .map((alert) =>
+            alert.savedSearchId === id ? { ...alert, read: true } : alert
           );
+        this.storage.set(SEARCH_ALERTS_KEY, alerts);
+        this.emitChange("saved-searches");
 
-          if (!ownsAnyItem) {
-            resolve({
-              success: false,
-              message:
-                "Unauthorized: You can only update orders for your listings",
-            });
-            return;
-          }
+        resolve({ success: true, message: "Alerts marked as read" });
+      });
+    });
+  }
+
+  /**
+   * Delete one of the current customer's saved searches and its alerts
+   * @param {string} id - Saved search ID
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async deleteSavedSearch(id) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (customer only)
+        if (!currentUser || currentUser.role !== "customer") {
+          resolve({
+            success: false,
+            message: "Unauthorized: Only customers can delete saved searches",
+          });
+          return;
         }
 
-        // Update order status
-        order.status = status;
-        order.updatedAt = new Date().toISOString();
+        const savedSearches = this.storage.get(SAVED_SEARCHES_KEY, []);
+        const searchIndex = savedSearches.findIndex(
+          (savedSearch) =>
+            savedSearch.id === id && savedSearch.userId === currentUser.id
+        );
 
-        orders[orderIndex] = order;
-        localStorage.setItem(ORDERS_KEY, JSON.stringify(orders));
+        if (searchIndex === -1) {
+          resolve({ success: false, message: "Saved search not found" });
+          return;
+        }
 
-        resolve({ success: true, order });
-      }, 300);
+        savedSearches.splice(searchIndex, 1);
+        this.storage.set(SAVED_SEARCHES_KEY, savedSearches);
+        this.storage.set(
+          SEARCH_ALERTS_KEY,
+          this.storage
+            .get(SEARCH_ALERTS_KEY, [])
+            .filter((alert) => alert.savedSearchId !== id)
+        );
+        this.emitChange("saved-searches");
+
+        resolve({ success: true, message: "Saved search deleted" });
+      });
     });
   }
 
-  // ==================== User API Methods ====================
+  // ==================== Pricing API Methods ====================
 
   /**
-   * Get all users
-   * @param {Object} filters - Optional filters
-   * @returns {Promise<Array>} Array of users
+   * Get the pricing configuration (tax rates, exempt categories, fees)
+   * @returns {Promise<Object>} Pricing configuration
    */
-  async getUsers(filters = {}) {
+  async getPricingConfig() {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 100, () => {
+        resolve(normalizePricingConfig(this.storage.get(PRICING_KEY, {})));
+      });
+    });
+  }
 
-        // Check if user is an admin
+  /**
+   * Update the pricing configuration
+   * @param {Object} config - Pricing configuration
+   * @returns {Promise<Object>} Result object with success flag and message/config
+   */
+  async updatePricingConfig(config) {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
+
+        // Check if user is authorized (admin only)
         if (!currentUser || currentUser.role !== "admin") {
           resolve({
             success: false,
-            message: "Unauthorized: Only admins can view all users",
+            message: "Unauthorized: Only admins can change pricing",
           });
           return;
         }
 
-        let users = authService.getUsers();
+        const pricingConfig = normalizePricingConfig(config);
+        const errors = validatePricingConfig(pricingConfig);
 
-        // Apply filters
-        if (filters) {
-          // Filter by role
-          if (filters.role && filters.role !== "all") {
-            users = users.filter((user) => user.role === filters.role);
-          }
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
+          return;
+        }
 
-          // Filter by status
-          if (filters.status && filters.status !== "all") {
-            users = users.filter((user) => user.status === filters.status);
-          }
+        this.storage.set(PRICING_KEY, pricingConfig);
+        this.emitChange("pricing");
 
-          // Filter by search term
-          if (filters.search) {
-            const searchTerm = filters.search.toLowerCase();
-            users = users.filter(
-              (user) =>
-                user.name.toLowerCase().includes(searchTerm) ||
-                user.email.toLowerCase().includes(searchTerm) ||
-                (user.businessName &&
-                  user.businessName.toLowerCase().includes(searchTerm))
-            );
-          }
+        resolve({
+          success: true,
+          message: "Pricing updated successfully",
+          config: pricingConfig,
+        });
+      });
+    });
+  }
 
-          // Sort users by join date (newest first by default)
-          users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  /**
+   * Get the totals the cart would be charged at checkout
+   * @param {string} promoCode - Promo code to apply (optional)
+   * @returns {Promise<Object>} Combined totals plus an orders array with the
+   *                            pricing of each business's sub-order, the
+   *                            applied promoCode and, if the code can't be
+   *                            used, promoError
+   */
+  async getCartTotals(promoCode = "") {
+    await this.ready;
+
+    return new Promise((resolve) => {
+      this.afterLatency(resolve, 100, () => {
+        const cart = this.storage.get(CART_KEY, { items: [] });
+        const currentUser = this.auth.getCurrentUser();
+        const userId = currentUser ? currentUser.id : null;
+
+        let pricedCart = this.priceCart(cart.items, userId, promoCode);
+        let promoError = null;
+
+        // Show the totals without the code if it can't be used
+        if (!pricedCart.success) {
+          promoError = pricedCart.message;
+          pricedCart = this.priceCart(cart.items, userId);
         }
 
-        resolve({ success: true, users });
-      }, 300);
+        const orders = pricedCart.orders.map(
+          ({ businessId, businessName, pricing }) => ({
+            businessId,
+            businessName,
+            ...pricing,
+          })
+        );
+
+        resolve({
+          ...sumPricing(orders),
+          orders,
+          promoCode: pricedCart.promo ? pricedCart.promo.code : null,
+          promoError,
+        });
+      });
     });
   }
 
+  // ==================== Promo Code API Methods ====================
+
   /**
-   * Get user by ID
-   * @param {string} id - User ID
-   * @returns {Promise<Object>} Result object with success flag and user/message
+   * Get all promo codes
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            promoCodes/message
    */
-  async getUserById(id) {
+  async getPromoCodes() {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 200, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Check if user is authorized (admin or the user themselves)
-        if (
-          !currentUser ||
-          (currentUser.role !== "admin" && currentUser.id !== id)
-        ) {
+        // Check if user is authorized (admin only)
+        if (!currentUser || currentUser.role !== "admin") {
           resolve({
             success: false,
-            message: "Unauthorized: You can only view your own profile",
+            message: "Unauthorized: Only admins can view promo codes",
           });
           return;
         }
 
-        const users = authService.getUsers();
-        const user = users.find((user) => user.id === id);
+        const promoCodes = this.storage.get(PROMO_CODES_KEY, []);
 
-        if (!user) {
-          resolve({ success: false, message: "User not found" });
-          return;
-        }
+        // Newest first
+        promoCodes.sort(
+          (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+        );
 
-        resolve({ success: true, user });
-      }, 200);
+        resolve({ success: true, promoCodes });
+      });
     });
   }
 
   /**
-   * Update user status (block/unblock)
-   * @param {string} id - User ID
-   * @param {string} status - New status
-   * @returns {Promise<Object>} Result object with success flag and message
+   * Create a promo code
+   * @param {Object} promoData - Code, type ('percent' or 'fixed'), value and
+   *                             optional minSpend, perUserLimit, expiresAt,
+   *                             businessId and category
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/promoCode
    */
-  async updateUserStatus(id, status) {
+  async createPromoCode(promoData) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Check if user is an admin
+        // Check if user is authorized (admin only)
         if (!currentUser || currentUser.role !== "admin") {
           resolve({
             success: false,
-            message: "Unauthorized: Only admins can update user status",
+            message: "Unauthorized: Only admins can create promo codes",
           });
           return;
         }
 
-        const users = authService.getUsers();
-        const userIndex = users.findIndex((user) => user.id === id);
+        const toNumber = (value) =>
+          value === undefined || value === null || value === ""
+            ? null
+            : Number(value);
 
-        if (userIndex === -1) {
-          resolve({ success: false, message: "User not found" });
+        const newPromoCode = {
+          id: generateId(),
+          code: normalizeCode(promoData.code),
+          type: promoData.type,
+          value: toNumber(promoData.value),
+          minSpend: toNumber(promoData.minSpend),
+          perUserLimit: toNumber(promoData.perUserLimit),
+          expiresAt: promoData.expiresAt || null,
+          businessId: promoData.businessId || null,
+          category: promoData.category || null,
+          active: true,
+          timesUsed: 0,
+          createdBy: currentUser.id,
+          createdAt: new Date().toISOString(),
+        };
+
+        const errors = validatePromoCodeData(newPromoCode);
+
+        if (errors.length > 0) {
+          resolve({ success: false, message: errors.join(". ") });
           return;
         }
 
-        // Prevent blocking self
-        if (id === currentUser.id) {
+        // Stored as ISO once it is known to be a valid date
+        if (newPromoCode.expiresAt) {
+          newPromoCode.expiresAt = new Date(
+            newPromoCode.expiresAt
+          ).toISOString();
+        }
+
+        const promoCodes = this.storage.get(PROMO_CODES_KEY, []);
+
+        if (promoCodes.some((code) => code.code === newPromoCode.code)) {
           resolve({
             success: false,
-            message: "You cannot block your own account",
+            message: `Promo code ${newPromoCode.code} already exists`,
           });
           return;
         }
 
-        // Update user status
-        users[userIndex].status = status;
-        users[userIndex].updatedAt = new Date().toISOString();
-
-        authService.saveUsers(users);
+        promoCodes.push(newPromoCode);
+        this.storage.set(PROMO_CODES_KEY, promoCodes);
+        this.emitChange("promo-codes");
 
         resolve({
           success: true,
-          message: `User ${
-            status === "blocked" ? "blocked" : "activated"
-          } successfully`,
+          message: "Promo code created successfully",
+          promoCode: newPromoCode,
         });
-      }, 300);
+      });
     });
   }
 
   /**
-   * Update user profile
-   * @param {string} id - User ID
-   * @param {Object} userData - Updated user data
-   * @returns {Promise<Object>} Result object with success flag and message/user
+   * Delete a promo code (orders that used it keep their record of it)
+   * @param {string} id - Promo code ID
+   * @returns {Promise<Object>} Result object with success flag and message
    */
-  async updateUserProfile(id, userData) {
+  async deletePromoCode(id) {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
-        // Check if user is authorized (admin or the user themselves)
-        if (
-          !currentUser ||
-          (currentUser.role !== "admin" && currentUser.id !== id)
-        ) {
+        // Check if user is authorized (admin only)
+        if (!currentUser || currentUser.role !== "admin") {
           resolve({
             success: false,
-            message: "Unauthorized: You can only update your own profile",
+            message: "Unauthorized: Only admins can delete promo codes",
           });
           return;
         }
 
-        const users = authService.getUsers();
-        const userIndex = users.findIndex((user) => user.id === id);
+        const promoCodes = this.storage.get(PROMO_CODES_KEY, []);
+        const promoIndex = promoCodes.findIndex((code) => code.id === id);
 
-        if (userIndex === -1) {
-          resolve({ success: false, message: "User not found" });
+        if (promoIndex === -1) {
+          resolve({ success: false, message: "Promo code not found" });
           return;
         }
 
-        // Update user data
-        const updatedUser = {
-          ...users[userIndex],
-          ...userData,
-          updatedAt: new Date().toISOString(),
-        };
-
-        // Don't allow changing role unless admin
-        if (currentUser.role !== "admin") {
-          updatedUser.role = users[userIndex].role;
-        }
-
-        users[userIndex] = updatedUser;
-        authService.saveUsers(users);
-
-        // Update session if current user
-        if (id === currentUser.id) {
-          const session = authService.getSession();
-          if (session) {
-            session.userName = updatedUser.name;
-            authService.saveSession(session);
-          }
-        }
+        promoCodes.splice(promoIndex, 1);
+        this.storage.set(PROMO_CODES_KEY, promoCodes);
+        this.emitChange("promo-codes");
 
-        resolve({ success: true, user: updatedUser });
-      }, 300);
+        resolve({ success: true, message: "Promo code deleted successfully" });
+      });
     });
   }
 
@@ -1057,9 +4160,11 @@ class ApiService {
    * @returns {Promise<Object>} Statistics object
    */
   async getStats(type = "overview") {
+    await this.ready;
+
     return new Promise((resolve) => {
-      setTimeout(() => {
-        const currentUser = authService.getCurrentUser();
+      this.afterLatency(resolve, 300, () => {
+        const currentUser = this.auth.getCurrentUser();
 
         // Check if user is authenticated
         if (!currentUser) {
@@ -1070,11 +4175,9 @@ class ApiService {
           return;
         }
 
-        const users = authService.getUsers();
-        const listingsJson = localStorage.getItem(LISTINGS_KEY);
-        const listings = listingsJson ? JSON.parse(listingsJson) : [];
-        const ordersJson = localStorage.getItem(ORDERS_KEY);
-        const orders = ordersJson ? JSON.parse(ordersJson) : [];
+        const users = this.auth.getUsers();
+        const listings = this.storage.get(LISTINGS_KEY, []);
+        const orders = this.storage.get(ORDERS_KEY, []);
 
         let stats = {};
 
@@ -1199,7 +4302,7 @@ class ApiService {
         }
 
         resolve({ success: true, stats });
-      }, 300);
+      });
     });
   }
 
@@ -1217,8 +4320,7 @@ class ApiService {
       { type: "order-completed", message: "Order completed for {item}" },
     ];
 
-    const listingsJson = localStorage.getItem(LISTINGS_KEY);
-    let listings = listingsJson ? JSON.parse(listingsJson) : [];
+    let listings = this.storage.get(LISTINGS_KEY, []);
 
     // Filter by business ID if provided
     if (businessId) {
@@ -1327,6 +4429,29 @@ class ApiService {
   }
 }
 
+/**
+ * Copy the allowed fields of submitted data
+ * @param {Object} data - Submitted data
+ * @param {Array} fields - Field names to keep
+ * @returns {Object} Data with only the allowed fields that were sent
+ */
+function pickFields(data, fields) {
+  return Object.fromEntries(
+    fields.filter((field) => field in data).map((field) => [field, data[field]])
+  );
+}
+
+/**
+ * Create an API service
+ * @param {Object} options - ApiService options, or { baseUrl } for HTTP mode
+ * @returns {ApiService|ApiClient} Local service or HTTP client
+ */
+function createApiService(options = {}) {
+  return options.baseUrl ? new ApiClient(options) : new ApiService(options);
+}
+
 // Create and export API service instance
 const apiService = new ApiService();
+
+export { ApiService, ApiClient, createApiService };
 export default apiService;
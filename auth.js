@@ -1,22 +1,49 @@
 /**
  * Authentication functionality for SaveBite application
  */
+import { hashPassword, needsRehash, verifyPassword } from "./password.js";
+import { generateSecret, signToken, verifyToken } from "./session-token.js";
+import defaultStorage from "./storage.js";
+import defaultSync from "./sync.js";
 import { generateId, showNotification } from "./utils.js";
 
 // Constants
 const SESSION_KEY = "savebite_session";
 const USERS_KEY = "savebite_users";
+const CART_KEY = "savebite_cart";
+const SEARCH_ALERTS_KEY = "savebite_search_alerts";
+const NOTIFICATIONS_KEY = "savebite_notifications";
+const SESSION_SECRET_KEY = "savebite_session_secret";
+const REVOKED_SESSIONS_KEY = "savebite_revoked_sessions";
+
+// Token lifetimes in seconds
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60; // 7 days
+
+// Whether we're running in a browser (services can also run under Node)
+const hasDOM = typeof document !== "undefined";
+
+// Roles users can pick when signing up; admins are added by other admins
+const SELF_SERVICE_ROLES = ["customer", "business"];
+
+// Pages only signed-in users can open
+const PROTECTED_PAGES = [
+  "dashboard.html",
+  "admin.html",
+  "cart.html",
+  "orders.html",
+];
 
 /**
  * User class representing a user in the system
  */
 class User {
-  constructor(id, name, email, role, password) {
+  constructor(id, name, email, role, passwordHash) {
     this.id = id;
     this.name = name;
     this.email = email;
     this.role = role; // 'customer', 'business', or 'admin'
-    this.password = password; // In a real app, this would be hashed
+    this.passwordHash = passwordHash; // Record created by hashPassword
     this.createdAt = new Date().toISOString();
     this.status = "active"; // 'active', 'blocked', 'pending'
 
@@ -31,18 +58,17 @@ class User {
 }
 
 /**
- * Session class representing a user session
+ * Session class representing the verified claims of an access token
  */
 class Session {
-  constructor(userId, userEmail, userName, userRole) {
-    this.userId = userId;
-    this.userEmail = userEmail;
-    this.userName = userName;
-    this.userRole = userRole;
-    this.createdAt = new Date().toISOString();
-    this.expiresAt = new Date(
-      Date.now() + 7 * 24 * 60 * 60 * 1000
-    ).toISOString(); // 7 days from now
+  constructor(claims) {
+    this.sessionId = claims.sid;
+    this.userId = claims.sub;
+    this.userEmail = claims.email;
+    this.userName = claims.name;
+    this.userRole = claims.role;
+    this.createdAt = new Date(claims.iat * 1000).toISOString();
+    this.expiresAt = new Date(claims.exp * 1000).toISOString();
   }
 
   isValid() {
@@ -54,28 +80,40 @@ class Session {
  * AuthService class for handling authentication operations
  */
 class AuthService {
-  constructor() {
-    this.init();
+  /**
+   * @param {Object} options - Service options
+   * @param {StorageAdapter} options.storage - Storage adapter to use
+   * @param {TabSync} options.sync - Tells other tabs about logins and logouts
+   */
+  constructor({ storage = defaultStorage, sync = defaultSync } = {}) {
+    this.storage = storage;
+    this.sync = sync;
+
+    // Resolves once stored data is loaded and defaults are created
+    this.ready = this.storage.ready().then(() => this.init());
   }
 
   /**
    * Initialize the auth service and create default admin user if no users exist
+   * @returns {Promise<void>}
    */
-  init() {
-    const users = this.getUsers();
-
+  async init() {
     // Create default admin user if no users exist
-    if (users.length === 0) {
+    if (this.getUsers().length === 0) {
       const adminUser = new User(
         generateId(),
         "Admin User",
         "admin@savebite.com",
         "admin",
-        "admin123" // In a real app, this would be hashed
+        await hashPassword("admin123")
       );
 
-      users.push(adminUser);
-      this.saveUsers(users);
+      // Re-read users in case another instance seeded them while hashing
+      const users = this.getUsers();
+      if (users.length === 0) {
+        users.push(adminUser);
+        this.saveUsers(users);
+      }
     }
 
     // Update navigation based on auth status
@@ -83,35 +121,48 @@ class AuthService {
   }
 
   /**
-   * Get all users from localStorage
+   * Get all users from storage
    * @returns {Array} Array of user objects
    */
   getUsers() {
-    const usersJson = localStorage.getItem(USERS_KEY);
-    return usersJson ? JSON.parse(usersJson) : [];
+    return this.storage.get(USERS_KEY, []);
   }
 
   /**
-   * Save users to localStorage
+   * Save users to storage
    * @param {Array} users - Array of user objects to save
    */
   saveUsers(users) {
-    localStorage.setItem(USERS_KEY, JSON.stringify(users));
+    this.storage.set(USERS_KEY, users);
   }
 
   /**
    * Get current user session
-   * @returns {Object|null} Session object if exists, null otherwise
+   *
+   * The stored access token is verified on every call; once it expires a new
+   * one is issued from the refresh token, unless the session was revoked or
+   * the user has been blocked in the meantime.
+   * @returns {Session|null} Session if logged in, null otherwise
    */
   getSession() {
-    const sessionJson = localStorage.getItem(SESSION_KEY);
-    if (!sessionJson) return null;
+    const tokens = this.storage.get(SESSION_KEY);
+    if (!tokens) return null;
+
+    const access = verifyToken(tokens.accessToken, this.getSecret());
 
-    const session = JSON.parse(sessionJson);
+    if (
+      access.valid &&
+      access.payload.typ === "access" &&
+      !this.isRevoked(access.payload)
+    ) {
+      return new Session(access.payload);
+    }
 
-    // Check if session is valid (not expired)
-    if (new Date(session.expiresAt) <= new Date()) {
-      // Session expired, clear it
+    // Access token expired, try to refresh it
+    const session = access.reason === "expired" ? this.refreshSession() : null;
+
+    if (!session) {
+      // Session tampered with, revoked or expired, clear it
       this.logout();
       return null;
     }
@@ -120,19 +171,186 @@ class AuthService {
   }
 
   /**
-   * Save session to localStorage
-   * @param {Object} session - Session object to save
+   * Save session tokens to storage
+   * @param {Object} tokens - Object with accessToken and refreshToken
+   */
+  saveSession(tokens) {
+    this.storage.set(SESSION_KEY, tokens);
+  }
+
+  /**
+   * Start a new session for a user
+   * @param {Object} user - User object
+   * @returns {Session} New session
+   */
+  startSession(user) {
+    const sessionId = generateId();
+    const now = Date.now() / 1000; // Milliseconds kept, see isRevoked
+
+    const refreshToken = signToken(
+      {
+        typ: "refresh",
+        sid: sessionId,
+        sub: user.id,
+        iat: now,
+        exp: now + REFRESH_TOKEN_TTL,
+      },
+      this.getSecret()
+    );
+
+    const accessToken = this.createAccessToken(user, sessionId);
+    this.saveSession({ accessToken, refreshToken });
+    this.sync.publish("session", { action: "login" });
+
+    return new Session(verifyToken(accessToken, this.getSecret()).payload);
+  }
+
+  /**
+   * Issue a new access token from the stored refresh token
+   *
+   * Claims are read from the current user record, so this is also used to
+   * pick up profile changes (e.g. a new name) without logging in again.
+   * @returns {Session|null} Refreshed session or null if it can't be refreshed
    */
-  saveSession(session) {
-    localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  refreshSession() {
+    const tokens = this.storage.get(SESSION_KEY);
+    if (!tokens) return null;
+
+    const refresh = verifyToken(tokens.refreshToken, this.getSecret());
+
+    if (
+      !refresh.valid ||
+      refresh.payload.typ !== "refresh" ||
+      this.isRevoked(refresh.payload)
+    ) {
+      return null;
+    }
+
+    // Blocked or deleted users can't refresh
+    const user = this.getUsers().find(
+      (user) => user.id === refresh.payload.sub
+    );
+    if (!user || user.status === "blocked") return null;
+
+    const accessToken = this.createAccessToken(user, refresh.payload.sid);
+    this.saveSession({ accessToken, refreshToken: tokens.refreshToken });
+
+    return new Session(verifyToken(accessToken, this.getSecret()).payload);
+  }
+
+  /**
+   * Create a signed access token for a user
+   * @param {Object} user - User object
+   * @param {string} sessionId - Session ID shared with the refresh token
+   * @returns {string} Signed access token
+   */
+  createAccessToken(user, sessionId) {
+    const now = Date.now() / 1000;
+
+    return signToken(
+      {
+        typ: "access",
+        sid: sessionId,
+        sub: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL,
+      },
+      this.getSecret()
+    );
+  }
+
+  /**
+   * Get the token signing secret, creating it on first use
+   * @returns {string} Signing secret
+   */
+  getSecret() {
+    let secret = this.storage.get(SESSION_SECRET_KEY);
+
+    if (!secret) {
+      secret = generateSecret();
+      this.storage.set(SESSION_SECRET_KEY, secret);
+    }
+
+    return secret;
+  }
+
+  /**
+   * Get the revocation list
+   * @returns {Object} Object with revoked sessions (ID -> expiry) and
+   *                   users (ID -> time all their sessions were revoked)
+   */
+  getRevocations() {
+    return this.storage.get(REVOKED_SESSIONS_KEY, { sessions: {}, users: {} });
+  }
+
+  /**
+   * Save the revocation list, dropping entries for sessions that have expired
+   * @param {Object} revocations - Revocation list
+   */
+  saveRevocations(revocations) {
+    const now = Date.now();
+
+    Object.entries(revocations.sessions).forEach(([sessionId, expiresAt]) => {
+      if (expiresAt <= now) delete revocations.sessions[sessionId];
+    });
+
+    Object.entries(revocations.users).forEach(([userId, revokedAt]) => {
+      if (revokedAt + REFRESH_TOKEN_TTL * 1000 <= now) {
+        delete revocations.users[userId];
+      }
+    });
+
+    this.storage.set(REVOKED_SESSIONS_KEY, revocations);
+  }
+
+  /**
+   * Check whether a token's session has been revoked
+   *
+   * Tokens carry their issue time with milliseconds (iat may be fractional),
+   * so a session started right after its user's sessions were revoked, in
+   * the same second, stays valid.
+   * @param {Object} claims - Verified token claims
+   * @returns {boolean} Whether the session is revoked
+   */
+  isRevoked(claims) {
+    const { sessions, users } = this.getRevocations();
+
+    if (sessions[claims.sid]) return true;
+
+    const revokedAt = users[claims.sub];
+    return Boolean(revokedAt && Math.round(claims.iat * 1000) < revokedAt);
+  }
+
+  /**
+   * Revoke a single session
+   * @param {string} sessionId - Session ID
+   * @param {number} expiresAt - Time the session's refresh token expires (ms)
+   */
+  revokeSession(sessionId, expiresAt = Date.now() + REFRESH_TOKEN_TTL * 1000) {
+    const revocations = this.getRevocations();
+    revocations.sessions[sessionId] = expiresAt;
+    this.saveRevocations(revocations);
+  }
+
+  /**
+   * Revoke every session a user currently has
+   * @param {string} userId - User ID
+   */
+  revokeUserSessions(userId) {
+    const revocations = this.getRevocations();
+    revocations.users[userId] = Date.now();
+    this.saveRevocations(revocations);
   }
 
   /**
    * Register a new user
    * @param {Object} userData - User data for registration
-   * @returns {Object} Result object with success flag and message
+   * @returns {Promise<Object>} Result object with success flag and message
    */
-  register(userData) {
+  async register(userData) {
     const { name, email, password, role } = userData;
 
     // Validate required fields
@@ -140,13 +358,23 @@ class AuthService {
       return { success: false, message: "All fields are required" };
     }
 
-    // Check if email already exists
-    const users = this.getUsers();
-    const existingUser = users.find(
-      (user) => user.email.toLowerCase() === email.toLowerCase()
-    );
+    // Only an admin can add another admin
+    const addedByAdmin = role === "admin";
+    if (addedByAdmin) {
+      const currentUser = this.getCurrentUser();
 
-    if (existingUser) {
+      if (!currentUser || currentUser.role !== "admin") {
+        return {
+          success: false,
+          message: "Unauthorized: Only admins can add administrators",
+        };
+      }
+    } else if (!SELF_SERVICE_ROLES.includes(role)) {
+      return { success: false, message: "Invalid role" };
+    }
+
+    // Check if email already exists
+    if (this.findUserByEmail(email)) {
       return { success: false, message: "Email is already registered" };
     }
 
@@ -156,7 +384,7 @@ class AuthService {
       name,
       email,
       role,
-      password // In a real app, this would be hashed
+      await hashPassword(password)
     );
 
     // Add business-specific properties if role is business
@@ -165,18 +393,25 @@ class AuthService {
       newUser.businessType = userData.businessType || "other";
     }
 
-    // Add user to users array and save
+    // Add user to users array and save (re-read after hashing so
+    // concurrent registrations aren't lost)
+    const users = this.getUsers();
+    if (
+      users.some((user) => user.email.toLowerCase() === email.toLowerCase())
+    ) {
+      return { success: false, message: "Email is already registered" };
+    }
+
     users.push(newUser);
     this.saveUsers(users);
 
+    // The admin who added an admin stays signed in as themselves
+    if (addedByAdmin) {
+      return { success: true, message: "Administrator added" };
+    }
+
     // Automatically log in the new user
-    const session = new Session(
-      newUser.id,
-      newUser.email,
-      newUser.name,
-      newUser.role
-    );
-    this.saveSession(session);
+    this.startSession(newUser);
 
     return { success: true, message: "Registration successful!" };
   }
@@ -185,26 +420,23 @@ class AuthService {
    * Log in a user
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Object} Result object with success flag and message
+   * @returns {Promise<Object>} Result object with success flag and message
    */
-  login(email, password) {
+  async login(email, password) {
     // Validate required fields
     if (!email || !password) {
       return { success: false, message: "Email and password are required" };
     }
 
     // Find user by email
-    const users = this.getUsers();
-    const user = users.find(
-      (user) => user.email.toLowerCase() === email.toLowerCase()
-    );
+    const user = this.findUserByEmail(email);
 
     if (!user) {
       return { success: false, message: "Invalid email or password" };
     }
 
-    // Check password (in a real app, would compare hashed passwords)
-    if (user.password !== password) {
+    // Check password (upgrades plain text passwords to hashes on success)
+    if (!(await this.verifyPassword(user, password))) {
       return { success: false, message: "Invalid email or password" };
     }
 
@@ -217,28 +449,160 @@ class AuthService {
     }
 
     // Create session
-    const session = new Session(user.id, user.email, user.name, user.role);
-    this.saveSession(session);
+    this.startSession(user);
 
     return { success: true, message: "Login successful!" };
   }
 
+  /**
+   * Find a user by email (case-insensitive)
+   * @param {string} email - User email
+   * @returns {Object|null} User object or null if not found
+   */
+  findUserByEmail(email) {
+    return (
+      this.getUsers().find(
+        (user) => user.email.toLowerCase() === email.toLowerCase()
+      ) || null
+    );
+  }
+
+  /**
+   * Verify a user's password
+   *
+   * Users created before passwords were hashed still have a plain text
+   * `password`; when it matches, it is replaced with a hash. Hashes made
+   * with outdated parameters are upgraded the same way.
+   * @param {Object} user - User object
+   * @param {string} password - Password to check
+   * @returns {Promise<boolean>} Whether the password is correct
+   */
+  async verifyPassword(user, password) {
+    if (!user || !password) return false;
+
+    let valid = false;
+    if (user.passwordHash) {
+      valid = await verifyPassword(password, user.passwordHash);
+    } else if (typeof user.password === "string") {
+      valid = user.password === password;
+    }
+
+    if (valid && needsRehash(user.passwordHash)) {
+      await this.setPassword(user.id, password);
+    }
+
+    return valid;
+  }
+
+  /**
+   * Hash and store a new password for a user
+   * @param {string} userId - User ID
+   * @param {string} password - New plain text password
+   * @returns {Promise<boolean>} Whether the user was found
+   */
+  async setPassword(userId, password) {
+    const passwordHash = await hashPassword(password);
+
+    const users = this.getUsers();
+    const user = users.find((user) => user.id === userId);
+    if (!user) return false;
+
+    user.passwordHash = passwordHash;
+    delete user.password;
+    this.saveUsers(users);
+
+    return true;
+  }
+
+  /**
+   * Change a user's password after checking the current one
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Result object with success flag and message
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    const user = this.getUsers().find((user) => user.id === userId);
+
+    if (!user) {
+      return { success: false, message: "User not found" };
+    }
+
+    if (!newPassword) {
+      return { success: false, message: "New password is required" };
+    }
+
+    if (!(await this.verifyPassword(user, currentPassword))) {
+      return { success: false, message: "Current password is incorrect" };
+    }
+
+    await this.setPassword(userId, newPassword);
+    return { success: true, message: "Password updated successfully" };
+  }
+
+  /**
+   * Remove credentials from a user object before handing it out
+   * @param {Object} user - User object
+   * @returns {Object} User object without password fields
+   */
+  toPublicUser(user) {
+    if (!user) return user;
+
+    const { password, passwordHash, ...publicUser } = user;
+    return publicUser;
+  }
+
   /**
    * Log out the current user
    */
   logout() {
-    localStorage.removeItem(SESSION_KEY);
+    // Revoke the session so its tokens can't be reused
+    const tokens = this.storage.get(SESSION_KEY);
+    const refresh =
+      tokens && verifyToken(tokens.refreshToken, this.getSecret());
+
+    if (refresh && refresh.payload && refresh.payload.typ === "refresh") {
+      this.revokeSession(refresh.payload.sid, refresh.payload.exp * 1000);
+    }
+
+    this.storage.remove(SESSION_KEY);
+    this.sync.publish("session", { action: "logout" });
     this.updateNavigation();
+    this.leaveProtectedPage();
+  }
+
+  /**
+   * Redirect to the home page if the current page needs a signed-in user
+   */
+  leaveProtectedPage() {
+    if (!hasDOM) return;
 
-    // Redirect to home page if on a protected page
-    const protectedPages = ["dashboard.html", "admin.html", "cart.html"];
     const currentPage = window.location.pathname.split("/").pop();
 
-    if (protectedPages.includes(currentPage)) {
+    if (PROTECTED_PAGES.includes(currentPage)) {
       window.location.href = "index.html";
     }
   }
 
+  /**
+   * Follow a login or logout made in another tab
+   * @param {Array} events - Session events from the other tab
+   */
+  syncSession(events) {
+    if (!hasDOM) return;
+
+    const { action } = events[events.length - 1].detail;
+
+    if (action === "logout") {
+      this.updateNavigation();
+      this.leaveProtectedPage();
+      showNotification("You have been logged out", "info");
+    } else {
+      // Someone (maybe another user) signed in; start over as them
+      window.location.reload();
+    }
+  }
+
   /**
    * Get the current logged-in user
    * @returns {Object|null} User object if logged in, null otherwise
@@ -255,6 +619,8 @@ class AuthService {
    * Update navigation based on authentication status
    */
   updateNavigation() {
+    if (!hasDOM) return;
+
     // Get elements
     const authRequired = document.querySelectorAll(".auth-required");
     const authNotRequired = document.querySelectorAll(".auth-not-required");
@@ -297,22 +663,74 @@ class AuthService {
       adminOnly.forEach((el) => (el.style.display = "none"));
     }
 
-    // Update cart count if user is a customer
+    // Update cart and saved search alert counts if user is a customer
     if (session && session.userRole === "customer") {
       this.updateCartCount();
+      this.updateAlertCount();
     }
+
+    this.updateNotificationCount();
+  }
+
+  /**
+   * Update the unread notification count on the bell in the navigation
+   */
+  updateNotificationCount() {
+    if (!hasDOM) return;
+
+    const countElements = document.querySelectorAll(".notification-count");
+    if (!countElements.length) return;
+
+    const session = this.getSession();
+    const unread = session
+      ? this.storage
+          .get(NOTIFICATIONS_KEY, [])
+          .filter(
+            (notification) =>
+              notification.userId === session.userId && !notification.read
+          ).length
+      : 0;
+
+    countElements.forEach((el) => {
+      el.textContent = unread;
+      el.style.display = unread > 0 ? "inline-flex" : "none";
+    });
+  }
+
+  /**
+   * Update the count of new saved search matches in the navigation
+   */
+  updateAlertCount() {
+    if (!hasDOM) return;
+
+    const alertCountElements = document.querySelectorAll(".alert-count");
+    if (!alertCountElements.length) return;
+
+    const session = this.getSession();
+    const unread = session
+      ? this.storage
+          .get(SEARCH_ALERTS_KEY, [])
+          .filter((alert) => alert.userId === session.userId && !alert.read)
+          .length
+      : 0;
+
+    alertCountElements.forEach((el) => {
+      el.textContent = unread;
+      el.style.display = unread > 0 ? "inline-flex" : "none";
+    });
   }
 
   /**
    * Update cart count in the navigation
    */
   updateCartCount() {
+    if (!hasDOM) return;
+
     const cartCountElements = document.querySelectorAll(".cart-count");
     if (!cartCountElements.length) return;
 
-    // Get cart from localStorage
-    const cartJson = localStorage.getItem("savebite_cart");
-    const cart = cartJson ? JSON.parse(cartJson) : { items: [] };
+    // Get cart from storage
+    const cart = this.storage.get(CART_KEY, { items: [] });
 
     // Calculate total items in cart
     const totalItems = cart.items.reduce(
@@ -338,14 +756,14 @@ class AuthService {
 const authService = new AuthService();
 
 // Set up login form
-const loginForm = document.getElementById("login-form");
+const loginForm = hasDOM && document.getElementById("login-form");
 if (loginForm) {
-  loginForm.addEventListener("submit", (e) => {
+  loginForm.addEventListener("submit", async (e) => {
     e.preventDefault();
 
     const email = document.getElementById("email").value;
     const password = document.getElementById("password").value;
-    const result = authService.login(email, password);
+    const result = await authService.login(email, password);
 
     const messageEl = document.getElementById("login-message");
     messageEl.textContent = result.message;
@@ -376,7 +794,7 @@ if (loginForm) {
 }
 
 // Set up register form
-const registerForm = document.getElementById("register-form");
+const registerForm = hasDOM && document.getElementById("register-form");
 if (registerForm) {
   // Show/hide business fields based on role selection
   const roleSelect = document.getElementById("role");
@@ -401,7 +819,7 @@ if (registerForm) {
   }
 
   // Handle form submission
-  registerForm.addEventListener("submit", (e) => {
+  registerForm.addEventListener("submit", async (e) => {
     e.preventDefault();
 
     const userData = {
@@ -428,7 +846,7 @@ if (registerForm) {
       return;
     }
 
-    const result = authService.register(userData);
+    const result = await authService.register(userData);
 
     const messageEl = document.getElementById("register-message");
     messageEl.textContent = result.message;
@@ -456,7 +874,7 @@ if (registerForm) {
 }
 
 // Set up logout button
-const logoutBtn = document.getElementById("logout-btn");
+const logoutBtn = hasDOM && document.getElementById("logout-btn");
 if (logoutBtn) {
   logoutBtn.addEventListener("click", (e) => {
     e.preventDefault();
@@ -483,7 +901,7 @@ function protectPage(allowedRoles = []) {
 }
 
 // Protect specific pages
-const currentPage = window.location.pathname.split("/").pop();
+const currentPage = hasDOM ? window.location.pathname.split("/").pop() : "";
 
 switch (currentPage) {
   case "dashboard.html":
@@ -493,13 +911,25 @@ switch (currentPage) {
     protectPage(["admin"]);
     break;
   case "cart.html":
+  case "orders.html":
     protectPage(["customer"]);
     break;
 }
 
 // Update navigation on page load
-document.addEventListener("DOMContentLoaded", () => {
-  authService.updateNavigation();
-});
+if (hasDOM) {
+  document.addEventListener("DOMContentLoaded", () => {
+    authService.updateNavigation();
+  });
+
+  // Keep the session and navigation counts in step with other tabs
+  authService.sync.subscribe("session", (topics, events) =>
+    authService.syncSession(events)
+  );
+  authService.sync.subscribe(["cart", "notifications", "saved-searches"], () =>
+    authService.updateNavigation()
+  );
+}
 
+export { AuthService, User, Session };
 export default authService;
@@ -3,6 +3,10 @@
  */
 import apiService from "./api.js";
 import authService from "./auth.js";
+import { createPickupPayload, formatPickupCode } from "./pickup-code.js";
+import { formatSlotTime, toDateKey } from "./pickup-hours.js";
+import { renderQrSvg } from "./qr-code.js";
+import tabSync from "./sync.js";
 import {
   formatPrice,
   calculateDiscount,
@@ -69,6 +73,7 @@ class CartService {
     const subtotalEl = document.getElementById("subtotal");
     const savingsEl = document.getElementById("savings");
     const taxEl = document.getElementById("tax");
+    const serviceFeeEl = document.getElementById("service-fee");
     const totalEl = document.getElementById("total");
 
     if (!cartContent || !cartItems || !emptyCart) return;
@@ -90,17 +95,8 @@ class CartService {
 
       // Render cart items
       let cartItemsHTML = "";
-      let subtotal = 0;
-      let savings = 0;
 
       cart.items.forEach((item, index) => {
-        const itemSubtotal = item.discountedPrice * item.quantity;
-        const itemSavings =
-          (item.originalPrice - item.discountedPrice) * item.quantity;
-
-        subtotal += itemSubtotal;
-        savings += itemSavings;
-
         cartItemsHTML += `
                     <div class="cart-item" data-id="${
                       item.id
@@ -113,6 +109,18 @@ class CartService {
                             <p class="cart-item-business">${
                               item.businessName
                             }</p>
+                            <p class="cart-item-reservation${
+                              item.reservedUntil ? "" : " expired"
+                            }">
+                                <i class="fas fa-hourglass-half"></i> ${
+                                  item.reservedUntil
+                                    ? `Reserved until ${formatDate(
+                                        item.reservedUntil,
+                                        true
+                                      )}`
+                                    : "Reservation expired"
+                                }
+                            </p>
                             <div class="cart-item-price">
                                 <span class="cart-original-price">${formatPrice(
                                   item.originalPrice
@@ -152,18 +160,22 @@ class CartService {
                 `;
       });
 
-      // Calculate tax and total
-      const tax = subtotal * 0.08; // Assuming 8% tax
-      const total = subtotal + tax;
+      // Get totals from the same pricing used at checkout
+      const totals = await apiService.getCartTotals();
 
       // Update cart items
       cartItems.innerHTML = cartItemsHTML;
 
       // Update summary
-      if (subtotalEl) subtotalEl.textContent = formatPrice(subtotal);
-      if (savingsEl) savingsEl.textContent = formatPrice(savings);
-      if (taxEl) taxEl.textContent = formatPrice(tax);
-      if (totalEl) totalEl.textContent = formatPrice(total);
+      if (subtotalEl) subtotalEl.textContent = formatPrice(totals.subtotal);
+      if (savingsEl) savingsEl.textContent = formatPrice(totals.savings);
+      if (taxEl) taxEl.textContent = formatPrice(totals.tax);
+      if (serviceFeeEl) {
+        serviceFeeEl.textContent = formatPrice(totals.serviceFee);
+        serviceFeeEl.parentElement.style.display =
+          totals.serviceFee > 0 ? "" : "none";
+      }
+      if (totalEl) totalEl.textContent = formatPrice(totals.total);
 
       // Add event listeners
       this.addCartEventListeners();
@@ -220,8 +232,16 @@ class CartService {
         const quantityEl = button.previousElementSibling;
         const currentQuantity = parseInt(quantityEl.textContent);
 
-        // Update quantity
-        await apiService.updateCartItemQuantity(itemId, currentQuantity + 1);
+        // Update quantity (fails if no more stock can be held)
+        const result = await apiService.updateCartItemQuantity(
+          itemId,
+          currentQuantity + 1
+        );
+
+        if (!result.success) {
+          showNotification(result.message, "warning");
+          return;
+        }
 
         // Update cart display
         this.renderCart();
@@ -311,14 +331,24 @@ class CartService {
         pickupLocations[item.businessId].items.push(item);
       });
 
-      // Create pickup options HTML
+      // Open slots per business (within its pickup hours, before the
+      // items expire and not fully booked)
+      const slotResult = await apiService.getCartPickupSlots();
+      const slotsByBusiness = {};
+      (slotResult.pickups || []).forEach((pickup) => {
+        slotsByBusiness[pickup.businessId] = pickup.slots;
+      });
+
+      // Create pickup options HTML (each business is picked up separately)
       let pickupOptionsHTML = "";
 
-      Object.values(pickupLocations).forEach((location, index) => {
+      Object.values(pickupLocations).forEach((location) => {
+        const slots = slotsByBusiness[location.businessId] || [];
+
         pickupOptionsHTML += `
-                    <div class="pickup-option ${
-                      index === 0 ? "selected" : ""
-                    }" data-business-id="${location.businessId}">
+                    <div class="pickup-option" data-business-id="${
+                      location.businessId
+                    }">
                         <div class="pickup-option-header">
                             <span class="pickup-option-name">${
                               location.businessName
@@ -330,86 +360,169 @@ class CartService {
                         <p class="pickup-option-address">${
                           location.pickupAddress
                         }</p>
+                        <div class="form-group pickup-option-time">
+                            <label for="pickup-time-${
+                              location.businessId
+                            }">Pickup Time</label>
+                            ${
+                              slots.length > 0
+                                ? `<select id="pickup-time-${
+                                    location.businessId
+                                  }" required>${this.renderSlotOptions(
+                                    slots
+                                  )}</select>`
+                                : `<p class="pickup-option-unavailable">No pickup times are available before these items expire. Please remove them from your cart.</p>`
+                            }
+                        </div>
                     </div>
                 `;
       });
 
       pickupOptionsContainer.innerHTML = pickupOptionsHTML;
 
-      // Calculate order summary
-      let subtotal = 0;
-      let savings = 0;
+      // Promo codes are entered again for each checkout
+      const promoCodeInput = document.getElementById("promo-code");
+      const promoMessage = document.getElementById("promo-message");
+      if (promoCodeInput) promoCodeInput.value = "";
+      if (promoMessage) promoMessage.textContent = "";
 
-      cart.items.forEach((item) => {
-        subtotal += item.discountedPrice * item.quantity;
-        savings += (item.originalPrice - item.discountedPrice) * item.quantity;
-      });
+      // Get order summary (same pricing createOrder stores)
+      const totals = await apiService.getCartTotals();
+      this.renderOrderSummary(orderSummaryContainer, totals);
 
-      const tax = subtotal * 0.08; // Assuming 8% tax
-      const total = subtotal + tax;
+      // Pre-fill user information
+      const nameInput = document.getElementById("checkout-name");
+      const emailInput = document.getElementById("checkout-email");
+      if (nameInput && emailInput && currentUser) {
+        nameInput.value = currentUser.name;
+        emailInput.value = currentUser.email;
+      }
+
+      // Show modal
+      openModal(modal);
+    } catch (error) {
+      console.error("Error showing checkout modal:", error);
+      showNotification("Error processing checkout", "error");
+    }
+  }
 
-      // Create order summary HTML
-      const orderSummaryHTML = `
+  /**
+   * Render the order summary in the checkout modal
+   * @param {HTMLElement} container - Order summary container
+   * @param {Object} totals - Totals from apiService.getCartTotals
+   */
+  renderOrderSummary(container, totals) {
+    container.innerHTML = `
                 <div class="order-summary-item">
                     <span>Subtotal</span>
-                    <span>${formatPrice(subtotal)}</span>
+                    <span>${formatPrice(totals.subtotal)}</span>
                 </div>
+                ${
+                  totals.discount > 0
+                    ? `
+                <div class="order-summary-item discount">
+                    <span>Promo (${totals.promoCode})</span>
+                    <span>-${formatPrice(totals.discount)}</span>
+                </div>
+                `
+                    : ""
+                }
                 <div class="order-summary-item">
                     <span>You save</span>
-                    <span>${formatPrice(savings)}</span>
+                    <span>${formatPrice(totals.savings)}</span>
+                </div>
+                <div class="order-summary-item">
+                    <span>Tax</span>
+                    <span>${formatPrice(totals.tax)}</span>
                 </div>
+                ${
+                  totals.serviceFee > 0
+                    ? `
                 <div class="order-summary-item">
-                    <span>Estimated Tax</span>
-                    <span>${formatPrice(tax)}</span>
+                    <span>Service Fee</span>
+                    <span>${formatPrice(totals.serviceFee)}</span>
                 </div>
+                `
+                    : ""
+                }
                 <div class="order-summary-item total">
                     <span>Total</span>
-                    <span>${formatPrice(total)}</span>
+                    <span>${formatPrice(totals.total)}</span>
                 </div>
             `;
+  }
 
-      orderSummaryContainer.innerHTML = orderSummaryHTML;
-
-      // Set default pickup time (1 hour from now)
-      const pickupTimeInput = document.getElementById("pickup-time");
-      if (pickupTimeInput) {
-        const defaultTime = new Date();
-        defaultTime.setHours(defaultTime.getHours() + 1);
-        defaultTime.setMinutes(
-          defaultTime.getMinutes() - defaultTime.getTimezoneOffset()
-        );
-        pickupTimeInput.value = defaultTime.toISOString().slice(0, 16);
-        pickupTimeInput.min = new Date().toISOString().slice(0, 16);
-      }
+  /**
+   * Apply the promo code entered in the checkout modal
+   */
+  async applyPromoCode() {
+    const promoCodeInput = document.getElementById("promo-code");
+    const promoMessage = document.getElementById("promo-message");
+    const orderSummaryContainer = document.getElementById("order-summary");
 
-      // Pre-fill user information
-      const nameInput = document.getElementById("checkout-name");
-      const emailInput = document.getElementById("checkout-email");
-      if (nameInput && emailInput && currentUser) {
-        nameInput.value = currentUser.name;
-        emailInput.value = currentUser.email;
-      }
+    if (!promoCodeInput || !orderSummaryContainer) return;
 
-      // Show modal
-      openModal(modal);
+    try {
+      const code = promoCodeInput.value.trim();
+      const totals = await apiService.getCartTotals(code);
 
-      // Add event listeners to pickup options
-      const pickupOptions = document.querySelectorAll(".pickup-option");
-      pickupOptions.forEach((option) => {
-        option.addEventListener("click", () => {
-          // Remove selected class from all options
-          pickupOptions.forEach((opt) => opt.classList.remove("selected"));
+      this.renderOrderSummary(orderSummaryContainer, totals);
 
-          // Add selected class to clicked option
-          option.classList.add("selected");
-        });
-      });
+      if (promoMessage) {
+        if (!code) {
+          promoMessage.textContent = "";
+        } else if (totals.promoError) {
+          promoMessage.textContent = totals.promoError;
+          promoMessage.className = "promo-message error";
+        } else {
+          promoMessage.textContent = `${
+            totals.promoCode
+          } applied: you save ${formatPrice(totals.discount)}`;
+          promoMessage.className = "promo-message success";
+        }
+      }
     } catch (error) {
-      console.error("Error showing checkout modal:", error);
-      showNotification("Error processing checkout", "error");
+      console.error("Error applying promo code:", error);
+      showNotification("Error applying promo code", "error");
     }
   }
 
+  /**
+   * Build the options for a pickup slot select, grouped by day
+   * @param {Array} slots - Available slots
+   * @returns {string} Option groups HTML
+   */
+  renderSlotOptions(slots) {
+    const slotsByDay = {};
+
+    slots.forEach((slot) => {
+      const day = toDateKey(new Date(slot.start));
+      if (!slotsByDay[day]) slotsByDay[day] = [];
+      slotsByDay[day].push(slot);
+    });
+
+    return Object.values(slotsByDay)
+      .map(
+        (daySlots) => `
+            <optgroup label="${new Date(daySlots[0].start).toLocaleDateString(
+              "en-US",
+              { weekday: "long", month: "short", day: "numeric" }
+            )}">
+                ${daySlots
+                  .map(
+                    (slot) => `
+                    <option value="${slot.start}">${formatSlotTime(slot)}${
+                      slot.remaining !== null ? ` (${slot.remaining} left)` : ""
+                    }</option>
+                `
+                  )
+                  .join("")}
+            </optgroup>
+        `
+      )
+      .join("");
+  }
+
   /**
    * Handle checkout form submission
    * @param {HTMLFormElement} form - Checkout form element
@@ -419,48 +532,47 @@ class CartService {
       // Get form data
       const formData = new FormData(form);
 
-      // Get selected pickup option
-      const selectedPickupOption = document.querySelector(
-        ".pickup-option.selected"
-      );
-      if (!selectedPickupOption) {
-        showNotification("Please select a pickup location", "error");
-        return;
-      }
-
       // Create order data
       const orderData = {
         customerName: formData.get("name"),
         customerEmail: formData.get("email"),
         customerPhone: formData.get("phone"),
-        pickupTime: new Date(formData.get("pickupTime")).toISOString(),
         notes: formData.get("notes") || "",
-        pickupLocationId: selectedPickupOption.getAttribute("data-business-id"),
-        pickupLocationName: selectedPickupOption.querySelector(
-          ".pickup-option-name"
-        ).textContent,
-        pickupAddress: selectedPickupOption.querySelector(
-          ".pickup-option-address"
-        ).textContent,
+        pickups: {},
+        promoCode: formData.get("promoCode") || "",
       };
 
       // Validate required fields
       if (
         !orderData.customerName ||
         !orderData.customerEmail ||
-        !orderData.customerPhone ||
-        !orderData.pickupTime
+        !orderData.customerPhone
       ) {
         showNotification("Please fill in all required fields", "error");
         return;
       }
 
-      // Validate pickup time
-      const pickupTime = new Date(orderData.pickupTime);
-      const now = new Date();
-      if (pickupTime <= now) {
-        showNotification("Pickup time must be in the future", "error");
-        return;
+      // Collect and validate a pickup time for each business
+      const pickupOptions = form.querySelectorAll(".pickup-option");
+
+      for (const option of pickupOptions) {
+        const businessName = option.querySelector(
+          ".pickup-option-name"
+        ).textContent;
+        const slotSelect = option.querySelector("select");
+
+        if (!slotSelect || !slotSelect.value) {
+          showNotification(
+            `Please choose a pickup time for ${businessName}`,
+            "error"
+          );
+          return;
+        }
+
+        // Slots are re-checked when the order is placed
+        orderData.pickups[option.getAttribute("data-business-id")] = {
+          pickupTime: slotSelect.value,
+        };
       }
 
       // Create order
@@ -471,14 +583,27 @@ class CartService {
         closeModal(document.getElementById("checkout-modal"));
 
         // Show confirmation modal
-        this.showOrderConfirmation(result.order);
+        this.showOrderConfirmation(result.group);
 
         // Update cart count
         this.updateCartCount();
 
         return true;
       } else {
-        showNotification(result.message || "Error placing order", "error");
+        // List each item that can no longer be supplied
+        const message = result.errors
+          ? `${result.message}: ${result.errors
+              .map((error) => error.message)
+              .join(", ")}`
+          : result.message || "Error placing order";
+
+        showNotification(message, "error");
+
+        if (result.errors) {
+          closeModal(document.getElementById("checkout-modal"));
+          this.renderCart();
+        }
+
         return false;
       }
     } catch (error) {
@@ -490,23 +615,53 @@ class CartService {
 
   /**
    * Show order confirmation modal
-   * @param {Object} order - Order object
+   * @param {Object} group - Order group with one sub-order per business
    */
-  showOrderConfirmation(order) {
+  showOrderConfirmation(group) {
     const modal = document.getElementById("confirmation-modal");
     if (!modal) return;
 
     // Set order details
     const orderIdEl = document.getElementById("order-id");
-    const pickupLocationEl = document.getElementById("pickup-location");
-    const pickupTimeEl = document.getElementById("confirmation-pickup-time");
+    const pickupsEl = document.getElementById("confirmation-pickups");
 
     if (orderIdEl)
-      orderIdEl.textContent = order.id.substring(0, 8).toUpperCase();
-    if (pickupLocationEl)
-      pickupLocationEl.textContent = `${order.pickupLocationName} (${order.pickupAddress})`;
-    if (pickupTimeEl)
-      pickupTimeEl.textContent = formatDate(order.pickupTime, true);
+      orderIdEl.textContent = group.id.substring(0, 8).toUpperCase();
+
+    // One pickup per business
+    if (pickupsEl) {
+      pickupsEl.innerHTML = group.orders
+        .map(
+          (order) => `
+                <div class="confirmation-pickup">
+                    <p><strong>${
+                      order.pickupLocationName
+                    }</strong> (Order #${order.id
+            .substring(0, 8)
+            .toUpperCase()})</p>
+                    <p>${order.pickupAddress}</p>
+                    <p><strong>Pickup Time:</strong> ${formatDate(
+                      order.pickupTime,
+                      true
+                    )}</p>
+                    <div class="pickup-code-display">
+                        <div class="pickup-qr">${renderQrSvg(
+                          createPickupPayload(order),
+                          { size: 140 }
+                        )}</div>
+                        <div>
+                            <p>Pickup code</p>
+                            <span class="pickup-code">${formatPickupCode(
+                              order.pickupCode
+                            )}</span>
+                            <small>Show this code at the counter</small>
+                        </div>
+                    </div>
+                </div>
+            `
+        )
+        .join("");
+    }
 
     // Show modal
     openModal(modal);
@@ -514,6 +669,21 @@ class CartService {
     // Update cart display after order
     this.renderCart();
   }
+
+  /**
+   * Update the cart after it or its listings changed in another tab
+   * @param {Array} topics - Topics that changed
+   */
+  syncChanges(topics) {
+    if (topics.includes("cart")) {
+      this.updateCartCount();
+    }
+
+    // Prices and available quantities come from the listings
+    if (document.getElementById("cart-content")) {
+      this.renderCart();
+    }
+  }
 }
 
 // Create cart service instance
@@ -527,6 +697,11 @@ document.addEventListener("DOMContentLoaded", () => {
     cartService.renderCart();
   }
 
+  // Keep the cart up to date with changes made in other tabs
+  tabSync.subscribe(["cart", "listings"], (topics) =>
+    cartService.syncChanges(topics)
+  );
+
   // Set up checkout form
   const checkoutForm = document.getElementById("checkout-form");
   if (checkoutForm) {
@@ -535,6 +710,14 @@ document.addEventListener("DOMContentLoaded", () => {
       await cartService.submitCheckoutForm(checkoutForm);
     });
   }
+
+  // Set up promo code button
+  const applyPromoBtn = document.getElementById("apply-promo");
+  if (applyPromoBtn) {
+    applyPromoBtn.addEventListener("click", async () => {
+      await cartService.applyPromoCode();
+    });
+  }
 });
 
 export default cartService;
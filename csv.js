@@ -0,0 +1,100 @@
+/**
+ * CSV helpers for SaveBite application
+ *
+ * Reads and writes RFC 4180 style CSV: comma separated, fields with commas,
+ * quotes or line breaks wrapped in double quotes, quotes doubled.
+ *
+ * Text starting with =, +, - or @ is written with a leading ' so spreadsheets
+ * show it instead of running it as a formula, and read back without it.
+ */
+
+// Text spreadsheets treat as a formula
+const FORMULA_START = /^[=+\-@]/;
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @returns {Array} Array of rows, each an array of field strings
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Ignore a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as one line break
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing line break
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines, and drop the ' written before formula-like text
+  return rows
+    .filter((row) => row.some((field) => field.trim() !== ""))
+    .map((row) =>
+      row.map((field) =>
+        field.startsWith("'") && FORMULA_START.test(field.slice(1))
+          ? field.slice(1)
+          : field
+      )
+    );
+}
+
+/**
+ * Quote a value for CSV if it needs it
+ * @param {*} value - Value to write
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+
+  // Numbers like -1 are safe; text like =HYPERLINK(...) isn't
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows of values as CSV text
+ * @param {Array} rows - Array of rows, each an array of values
+ * @returns {string} CSV text
+ */
+function toCsv(rows) {
+  return rows.map((row) => row.map(toCsvField).join(",")).join("\r\n");
+}
+
+export { parseCsv, toCsv };
@@ -3,19 +3,70 @@
  */
 import apiService from "./api.js";
 import authService from "./auth.js";
+import { geocodeAddress } from "./geo.js";
 import listingService from "./listing.js";
+import { describeRecurrence } from "./listing-templates.js";
+import { LocationMap } from "./location-map.js";
+import { newOrderNotification } from "./notifications.js";
+import { getNextStatuses, getOrderStatusLabel } from "./order-status.js";
 import {
+  DAY_NAMES,
+  DEFAULT_TIME_ZONE,
+  normalizePickupSchedule,
+} from "./pickup-hours.js";
+import tabSync from "./sync.js";
+import {
+  closeModal,
+  escapeHtml,
   formatDate,
   formatPrice,
   formatRelativeTime,
+  openModal,
   showNotification,
 } from "./utils.js";
 
+// Button labels and confirmation prompts for order status changes
+const ORDER_ACTIONS = {
+  confirmed: {
+    label: "Confirm Order",
+    confirm: "Confirm this order?",
+    done: "Order confirmed",
+  },
+  "ready-for-pickup": {
+    label: "Mark as Ready",
+    confirm: "Mark this order as ready for pickup?",
+    done: "Order marked as ready for pickup",
+  },
+  "picked-up": {
+    label: "Mark as Picked Up",
+    confirm: "Mark this order as picked up?",
+    done: "Order marked as picked up",
+  },
+  "no-show": {
+    label: "Mark as No-show",
+    confirm: "Mark this order as a no-show?",
+    done: "Order marked as a no-show",
+  },
+  cancelled: {
+    label: "Cancel Order",
+    confirm: "Are you sure you want to cancel this order?",
+    done: "Order cancelled",
+  },
+};
+
 /**
  * DashboardService class for handling dashboard-related operations
  */
 class DashboardService {
   constructor() {
+    this.templates = [];
+    this.businessLocation = null;
+    this.locationMap = null;
+
+    // Orders that came in on the live feed since the Orders tab was opened
+    this.newOrderIds = new Set();
+    this.soundEnabled = true;
+    this.audioContext = null;
     this.init();
   }
 
@@ -44,8 +95,23 @@ class DashboardService {
     // Set up tabs
     this.setupTabs();
 
+    // Set up pickup verification
+    this.setupPickupVerification();
+
+    // Set up listing templates
+    this.setupListingTemplates();
+
     // Load dashboard data
     this.loadDashboardData();
+
+    // Keep the dashboard up to date with changes made in other tabs
+    // (orders arrive on the live order feed)
+    tabSync.subscribe(["listings", "templates"], (topics) =>
+      this.syncChanges(topics)
+    );
+
+    // Show new and updated orders as they happen
+    this.startOrderFeed();
   }
 
   /**
@@ -97,6 +163,163 @@ class DashboardService {
         this.loadTabData(tabId);
       });
     });
+
+    // Open the tab named in the URL, e.g. dashboard.html#orders from a
+    // notification
+    const linkedTab = window.location.hash
+      ? document.querySelector(
+          `.sidebar-nav li[data-tab="${window.location.hash.slice(1)}"]`
+        )
+      : null;
+    if (linkedTab) linkedTab.click();
+  }
+
+  /**
+   * Get the tab that's open
+   * @returns {string|null} Tab ID
+   */
+  getActiveTab() {
+    const activeLink = document.querySelector(".sidebar-nav li.active");
+    return activeLink ? activeLink.getAttribute("data-tab") : null;
+  }
+
+  /**
+   * Subscribe to the live order feed and set up its sound toggle
+   */
+  async startOrderFeed() {
+    const soundToggle = document.getElementById("order-sound-toggle");
+    if (soundToggle) {
+      soundToggle.addEventListener("click", () => {
+        this.soundEnabled = !this.soundEnabled;
+        soundToggle.setAttribute("aria-pressed", String(this.soundEnabled));
+        soundToggle.innerHTML = this.soundEnabled
+          ? '<i class="fas fa-volume-up"></i> Sound on'
+          : '<i class="fas fa-volume-mute"></i> Sound off';
+      });
+    }
+
+    const result = await apiService.subscribeToOrders((event) =>
+      this.handleOrderEvent(event)
+    );
+
+    const liveIndicator = document.getElementById("orders-live-indicator");
+    if (liveIndicator) {
+      liveIndicator.style.display = result.success ? "inline-flex" : "none";
+    }
+
+    if (!result.success) {
+      console.error("Error subscribing to orders:", result.message);
+      return;
+    }
+
+    // Stop listening when the page is closed
+    window.addEventListener("pagehide", result.unsubscribe);
+  }
+
+  /**
+   * Show an order that was placed or updated
+   * @param {Object} event - Feed event with type ('created' or 'updated')
+   *                         and order
+   */
+  handleOrderEvent({ type, order }) {
+    const tabId = this.getActiveTab();
+
+    if (type === "created") {
+      this.alertNewOrder(order);
+      this.newOrderIds.add(order.id);
+      this.updateNewOrdersBadge();
+    }
+
+    // Keep the pending count and the orders list current
+    this.loadDashboardData();
+
+    if (tabId === "orders") {
+      this.loadOrdersData();
+    }
+  }
+
+  /**
+   * Let the business know a new order came in
+   * @param {Object} order - New order
+   */
+  alertNewOrder(order) {
+    const { title, message } = newOrderNotification(order);
+    // showNotification renders HTML, and the customer's name is in the message
+    showNotification(escapeHtml(`${title}: ${message}`), "info");
+
+    if (this.soundEnabled) {
+      this.playOrderSound();
+    }
+  }
+
+  /**
+   * Play a short two-tone chime
+   */
+  playOrderSound() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    try {
+      this.audioContext = this.audioContext || new AudioContext();
+
+      const context = this.audioContext;
+      const start = context.currentTime;
+
+      [880, 1175].forEach((frequency, i) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const toneStart = start + i * 0.18;
+
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, toneStart);
+        gain.gain.exponentialRampToValueAtTime(0.001, toneStart + 0.15);
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(toneStart);
+        oscillator.stop(toneStart + 0.15);
+      });
+    } catch (error) {
+      // Browsers block sound until the user has interacted with the page
+      console.error("Error playing order sound:", error);
+    }
+  }
+
+  /**
+   * Show how many new orders are waiting on the Orders tab and in the title
+   */
+  updateNewOrdersBadge() {
+    const count = this.newOrderIds.size;
+    const badge = document.getElementById("new-orders-badge");
+
+    if (badge) {
+      badge.textContent = count;
+      badge.style.display = count > 0 ? "inline-flex" : "none";
+    }
+
+    const title = document.title.replace(/^\(\d+\) /, "");
+    document.title = count > 0 ? `(${count}) ${title}` : title;
+  }
+
+  /**
+   * Reload the stats and the open tab after another tab changed their data
+   * @param {Array} topics - Topics that changed
+   */
+  syncChanges(topics) {
+    // Topics each tab shows (forms aren't reloaded so input isn't lost)
+    const tabTopics = {
+      listings: ["listings"],
+      templates: ["templates", "listings"],
+    };
+    const tabId = this.getActiveTab();
+
+    if (topics.includes("listings")) {
+      this.loadDashboardData();
+    }
+
+    if ((tabTopics[tabId] || []).some((topic) => topics.includes(topic))) {
+      this.loadTabData(tabId);
+    }
   }
 
   /**
@@ -104,6 +327,11 @@ class DashboardService {
    * @param {string} tabId - Tab ID
    */
   loadTabData(tabId) {
+    // The camera is only needed while verifying pickups
+    if (tabId !== "verify-pickup") {
+      this.stopPickupScanner();
+    }
+
     switch (tabId) {
       case "overview":
         this.loadOverviewData();
@@ -111,9 +339,17 @@ class DashboardService {
       case "listings":
         this.loadListingsData();
         break;
+      case "templates":
+        this.loadTemplatesData();
+        break;
       case "orders":
         this.loadOrdersData();
         break;
+      case "verify-pickup": {
+        const pickupCodeInput = document.getElementById("pickup-code-input");
+        if (pickupCodeInput) pickupCodeInput.focus();
+        break;
+      }
       case "settings":
         this.loadSettingsData();
         break;
@@ -349,29 +585,20 @@ class DashboardService {
           0
         );
 
-        // Get status class
-        let statusClass = "";
-        switch (order.status) {
-          case "pending":
-            statusClass = "pending";
-            break;
-          case "completed":
-            statusClass = "completed";
-            break;
-          case "cancelled":
-            statusClass = "cancelled";
-            break;
-        }
+        // Status changes this business can make next
+        const nextStatuses = getNextStatuses(order.status, "business");
 
         ordersHTML += `
-                    <div class="order-card">
+                    <div class="order-card${
+                      this.newOrderIds.has(order.id) ? " new-order" : ""
+                    }">
                         <div class="order-header">
                             <span class="order-id">Order #${order.id
                               .substring(0, 8)
                               .toUpperCase()}</span>
-                            <span class="order-status ${statusClass}">${
-          order.status.charAt(0).toUpperCase() + order.status.slice(1)
-        }</span>
+                            <span class="order-status ${
+                              order.status
+                            }">${getOrderStatusLabel(order.status)}</span>
                         </div>
                         
                         <div class="order-items">
@@ -398,6 +625,13 @@ class DashboardService {
                             <strong>Subtotal:</strong> ${formatPrice(
                               businessSubtotal
                             )}
+                            ${
+                              order.promoCode
+                                ? `<br><small>Promo ${
+                                    order.promoCode
+                                  }: -${formatPrice(order.discount)}</small>`
+                                : ""
+                            }
                         </div>
                         
                         <div class="order-customer">
@@ -417,11 +651,24 @@ class DashboardService {
                         </div>
                         
                         ${
-                          order.status === "pending"
+                          nextStatuses.length > 0
                             ? `
                             <div class="order-actions">
-                                <button class="btn btn-primary complete-order" data-id="${order.id}">Mark as Completed</button>
-                                <button class="btn btn-secondary cancel-order" data-id="${order.id}">Cancel Order</button>
+                                ${nextStatuses
+                                  .map(
+                                    (status) => `
+                                    <button class="btn ${
+                                      status === "cancelled"
+                                        ? "btn-secondary"
+                                        : "btn-primary"
+                                    } update-order-status" data-id="${
+                                      order.id
+                                    }" data-status="${status}">${
+                                      ORDER_ACTIONS[status].label
+                                    }</button>
+                                `
+                                  )
+                                  .join("")}
                             </div>
                         `
                             : ""
@@ -433,22 +680,20 @@ class DashboardService {
       // Update orders container
       ordersContainer.innerHTML = ordersHTML;
 
-      // Add event listeners
-      const completeButtons =
-        ordersContainer.querySelectorAll(".complete-order");
-      const cancelButtons = ordersContainer.querySelectorAll(".cancel-order");
+      // The new orders have now been seen
+      this.newOrderIds.clear();
+      this.updateNewOrdersBadge();
 
-      completeButtons.forEach((button) => {
-        button.addEventListener("click", async () => {
-          const orderId = button.getAttribute("data-id");
-          await this.updateOrderStatus(orderId, "completed");
-        });
-      });
+      // Add event listeners
+      const statusButtons = ordersContainer.querySelectorAll(
+        ".update-order-status"
+      );
 
-      cancelButtons.forEach((button) => {
+      statusButtons.forEach((button) => {
         button.addEventListener("click", async () => {
           const orderId = button.getAttribute("data-id");
-          await this.updateOrderStatus(orderId, "cancelled");
+          const status = button.getAttribute("data-status");
+          await this.updateOrderStatus(orderId, status);
         });
       });
     } catch (error) {
@@ -471,24 +716,14 @@ class DashboardService {
   async updateOrderStatus(orderId, status) {
     try {
       // Confirm status change
-      const confirmMessage =
-        status === "completed"
-          ? "Are you sure you want to mark this order as completed?"
-          : "Are you sure you want to cancel this order?";
-
-      if (!confirm(confirmMessage)) {
+      if (!confirm(ORDER_ACTIONS[status].confirm)) {
         return;
       }
 
       const result = await apiService.updateOrderStatus(orderId, status);
 
       if (result.success) {
-        showNotification(
-          `Order ${
-            status === "completed" ? "completed" : "cancelled"
-          } successfully`,
-          "success"
-        );
+        showNotification(ORDER_ACTIONS[status].done, "success");
 
         // Reload orders
         this.loadOrdersData();
@@ -504,6 +739,542 @@ class DashboardService {
     }
   }
 
+  /**
+   * Set up the verify pickup form and QR scanner
+   */
+  setupPickupVerification() {
+    const form = document.getElementById("verify-pickup-form");
+    const scanButton = document.getElementById("scan-pickup-btn");
+    const stopButton = document.getElementById("stop-scan-btn");
+
+    if (form) {
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        await this.verifyPickup(form.pickupCode.value);
+      });
+    }
+
+    if (scanButton) {
+      scanButton.addEventListener("click", () => this.startPickupScanner());
+    }
+
+    if (stopButton) {
+      stopButton.addEventListener("click", () => this.stopPickupScanner());
+    }
+  }
+
+  /**
+   * Start scanning pickup QR codes with the camera
+   */
+  async startPickupScanner() {
+    const scanner = document.getElementById("pickup-scanner");
+    const video = document.getElementById("pickup-scanner-video");
+    if (!scanner || !video || this.scannerStream) return;
+
+    // QR detection is built into some browsers only
+    if (!("BarcodeDetector" in window) || !navigator.mediaDevices) {
+      showNotification(
+        "Camera scanning isn't supported in this browser. Please type the code instead.",
+        "warning"
+      );
+      return;
+    }
+
+    try {
+      this.scannerStream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: "environment" },
+      });
+    } catch (error) {
+      console.error("Error starting camera:", error);
+      showNotification("Couldn't access the camera", "error");
+      return;
+    }
+
+    video.srcObject = this.scannerStream;
+    await video.play();
+    scanner.style.display = "block";
+
+    const detector = new BarcodeDetector({ formats: ["qr_code"] });
+
+    // Check a frame every 300ms until a code is found
+    const scanFrame = async () => {
+      if (!this.scannerStream) return;
+
+      try {
+        const codes = await detector.detect(video);
+
+        if (codes.length > 0) {
+          this.stopPickupScanner();
+          await this.verifyPickup(codes[0].rawValue);
+          return;
+        }
+      } catch (error) {
+        console.error("Error scanning QR code:", error);
+      }
+
+      this.scannerTimer = setTimeout(scanFrame, 300);
+    };
+
+    scanFrame();
+  }
+
+  /**
+   * Stop the camera and hide the scanner
+   */
+  stopPickupScanner() {
+    clearTimeout(this.scannerTimer);
+
+    if (this.scannerStream) {
+      this.scannerStream.getTracks().forEach((track) => track.stop());
+      this.scannerStream = null;
+    }
+
+    const scanner = document.getElementById("pickup-scanner");
+    if (scanner) scanner.style.display = "none";
+  }
+
+  /**
+   * Look up the order for a pickup code and show it for confirmation
+   * @param {string} input - Typed pickup code or scanned QR payload
+   */
+  async verifyPickup(input) {
+    const resultContainer = document.getElementById("pickup-result");
+    if (!resultContainer) return;
+
+    try {
+      const result = await apiService.findOrderByPickupCode(input);
+
+      if (!result.success) {
+        resultContainer.innerHTML = `
+                    <p class="pickup-result-error">
+                        <i class="fas fa-exclamation-circle"></i> ${escapeHtml(
+                          result.message
+                        )}
+                    </p>
+                `;
+        return;
+      }
+
+      const order = result.order;
+      const canPickUp = getNextStatuses(order.status, "business").includes(
+        "picked-up"
+      );
+      const statusLabel = escapeHtml(getOrderStatusLabel(order.status));
+
+      resultContainer.innerHTML = `
+                <div class="order-card">
+                    <div class="order-header">
+                        <span class="order-id">Order #${escapeHtml(
+                          order.id.substring(0, 8).toUpperCase()
+                        )}</span>
+                        <span class="order-status ${escapeHtml(
+                          order.status
+                        )}">${statusLabel}</span>
+                    </div>
+
+                    <div class="order-items">
+                        ${order.items
+                          .map(
+                            (item) => `
+                            <div class="order-item">
+                                <div class="order-item-info">
+                                    <span class="order-item-name">${escapeHtml(
+                                      item.name
+                                    )}</span>
+                                    <small>Qty: ${escapeHtml(
+                                      item.quantity
+                                    )}</small>
+                                </div>
+                            </div>
+                        `
+                          )
+                          .join("")}
+                    </div>
+
+                    <div class="order-customer">
+                        <h4><i class="fas fa-user"></i> ${escapeHtml(
+                          order.customerName
+                        )}</h4>
+                        <p><strong>Pickup Time:</strong> ${formatDate(
+                          order.pickupTime,
+                          true
+                        )}</p>
+                    </div>
+
+                    ${
+                      canPickUp
+                        ? `
+                        <div class="order-actions">
+                            <button class="btn btn-primary" id="confirm-pickup-btn" data-id="${escapeHtml(
+                              order.id
+                            )}">Confirm Pickup</button>
+                        </div>
+                    `
+                        : `
+                        <p class="pickup-result-note">${
+                          order.status === "pending" ||
+                          order.status === "confirmed"
+                            ? "This order isn't ready yet. Mark it as ready in Orders before handing it over."
+                            : `This order can't be picked up (${statusLabel}).`
+                        }</p>
+                    `
+                    }
+                </div>
+            `;
+
+      const confirmButton = document.getElementById("confirm-pickup-btn");
+      if (confirmButton) {
+        confirmButton.addEventListener("click", async () => {
+          await this.confirmPickup(confirmButton.getAttribute("data-id"));
+        });
+      }
+    } catch (error) {
+      console.error("Error verifying pickup:", error);
+      showNotification("Error verifying pickup", "error");
+    }
+  }
+
+  /**
+   * Mark a verified order as picked up
+   * @param {string} orderId - Order ID
+   */
+  async confirmPickup(orderId) {
+    try {
+      const result = await apiService.updateOrderStatus(orderId, "picked-up");
+
+      if (!result.success) {
+        showNotification(result.message, "error");
+        return;
+      }
+
+      showNotification(ORDER_ACTIONS["picked-up"].done, "success");
+
+      // Ready for the next customer
+      const form = document.getElementById("verify-pickup-form");
+      const resultContainer = document.getElementById("pickup-result");
+      if (form) form.reset();
+      if (resultContainer) resultContainer.innerHTML = "";
+
+      // Reload dashboard data
+      this.loadDashboardData();
+    } catch (error) {
+      console.error("Error confirming pickup:", error);
+      showNotification("Error confirming pickup", "error");
+    }
+  }
+
+  /**
+   * Set up the template buttons and the template form
+   */
+  setupListingTemplates() {
+    const listingsTableBody = document.getElementById("listings-table-body");
+    const templatesTableBody = document.getElementById("templates-table-body");
+    const form = document.getElementById("template-form");
+    const daysContainer = document.getElementById("template-days");
+
+    // Listing rows are re-rendered, so listen on the table
+    if (listingsTableBody) {
+      listingsTableBody.addEventListener("click", (e) => {
+        const button = e.target.closest(".template");
+        if (button) {
+          this.showTemplateModal(null, button.getAttribute("data-id"));
+        }
+      });
+    }
+
+    if (templatesTableBody) {
+      templatesTableBody.addEventListener("click", async (e) => {
+        const button = e.target.closest("button[data-id]");
+        if (!button) return;
+
+        const templateId = button.getAttribute("data-id");
+
+        if (button.classList.contains("edit")) {
+          const template = this.templates.find(
+            (template) => template.id === templateId
+          );
+          this.showTemplateModal(template);
+        } else if (button.classList.contains("pause")) {
+          await this.updateTemplate(templateId, { active: false });
+        } else if (button.classList.contains("resume")) {
+          await this.updateTemplate(templateId, { active: true });
+        } else if (button.classList.contains("delete")) {
+          await this.deleteTemplate(templateId);
+        }
+      });
+    }
+
+    if (daysContainer) {
+      // Week starts on Monday
+      daysContainer.innerHTML += [1, 2, 3, 4, 5, 6, 0]
+        .map(
+          (day) => `
+                    <label class="checkbox-container">
+                        <input type="checkbox" name="days" value="${day}">
+                        ${DAY_NAMES[day].slice(0, 3)}
+                    </label>
+                `
+        )
+        .join("");
+    }
+
+    if (form) {
+      // Days only apply to custom schedules
+      form.frequency.addEventListener("change", () => {
+        if (daysContainer) {
+          daysContainer.style.display =
+            form.frequency.value === "custom" ? "flex" : "none";
+        }
+      });
+
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        await this.saveTemplate(form);
+      });
+    }
+  }
+
+  /**
+   * Load listing templates tab data
+   */
+  async loadTemplatesData() {
+    const tableBody = document.getElementById("templates-table-body");
+    if (!tableBody) return;
+
+    // Show loading state
+    tableBody.innerHTML = `
+            <tr>
+                <td colspan="6" class="text-center">
+                    <div class="loading-spinner">
+                        <i class="fas fa-spinner fa-spin"></i>
+                    </div>
+                </td>
+            </tr>
+        `;
+
+    try {
+      const result = await apiService.getListingTemplates();
+
+      if (!result.success) {
+        showNotification(result.message, "error");
+        return;
+      }
+
+      this.templates = result.templates;
+
+      if (this.templates.length === 0) {
+        tableBody.innerHTML = `
+                    <tr>
+                        <td colspan="6" class="text-center">
+                            <p>No templates yet. Save a listing as a template to publish it automatically.</p>
+                        </td>
+                    </tr>
+                `;
+        return;
+      }
+
+      tableBody.innerHTML = this.templates
+        .map(
+          (template) => `
+                    <tr class="${template.active ? "" : "template-paused"}">
+                        <td>
+                            ${template.listing.foodName}
+                            <span class="original-price">${formatPrice(
+                              template.listing.discountedPrice
+                            )}</span>
+                        </td>
+                        <td>${describeRecurrence(template.recurrence)}</td>
+                        <td>${template.recurrence.expiresAfterHours} hours</td>
+                        <td>${
+                          template.active
+                            ? formatDate(template.nextPublishAt, true)
+                            : "Paused"
+                        }</td>
+                        <td>${
+                          template.lastPublishedAt
+                            ? formatRelativeTime(template.lastPublishedAt)
+                            : "Not yet"
+                        }</td>
+                        <td>
+                            <div class="listing-actions">
+                                <button class="edit" data-id="${
+                                  template.id
+                                }" title="Edit schedule"><i class="fas fa-edit"></i></button>
+                                ${
+                                  template.active
+                                    ? `<button class="pause" data-id="${template.id}" title="Pause"><i class="fas fa-pause"></i></button>`
+                                    : `<button class="resume" data-id="${template.id}" title="Resume"><i class="fas fa-play"></i></button>`
+                                }
+                                <button class="delete" data-id="${
+                                  template.id
+                                }" title="Delete"><i class="fas fa-trash-alt"></i></button>
+                            </div>
+                        </td>
+                    </tr>
+                `
+        )
+        .join("");
+    } catch (error) {
+      console.error("Error loading templates:", error);
+      tableBody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="text-center">
+                        <p>Error loading templates. Please try again later.</p>
+                    </td>
+                </tr>
+            `;
+    }
+  }
+
+  /**
+   * Show the template form for a new or existing template
+   * @param {Object} template - Template to edit (null for a new one)
+   * @param {string} listingId - Listing to create the template from
+   */
+  async showTemplateModal(template = null, listingId = null) {
+    const modal = document.getElementById("template-modal");
+    const form = document.getElementById("template-form");
+    if (!modal || !form) return;
+
+    form.reset();
+    document.getElementById("template-id").value = template ? template.id : "";
+    document.getElementById("template-listing-id").value = listingId || "";
+
+    let foodName = "";
+
+    if (template) {
+      const { recurrence } = template;
+      foodName = template.listing.foodName;
+
+      form.frequency.value = recurrence.frequency;
+      form.publishTime.value = recurrence.publishTime;
+      form.expiresAfterHours.value = recurrence.expiresAfterHours;
+      form.querySelectorAll('[name="days"]').forEach((checkbox) => {
+        checkbox.checked = recurrence.days.includes(Number(checkbox.value));
+      });
+    } else {
+      const listing = await apiService.getListingById(listingId);
+      if (!listing) {
+        showNotification("Listing not found", "error");
+        return;
+      }
+      foodName = listing.foodName;
+    }
+
+    document.getElementById("template-modal-title").textContent = template
+      ? "Edit Template"
+      : "Repeat Listing";
+    document.getElementById(
+      "template-listing-name"
+    ).textContent = `Publish "${foodName}" automatically with the same details.`;
+
+    // Show the days only for custom schedules
+    form.frequency.dispatchEvent(new Event("change"));
+
+    openModal(modal);
+  }
+
+  /**
+   * Read the recurrence rule from the template form
+   * @param {FormData} formData - Template form data
+   * @returns {Object} Recurrence rule
+   */
+  getRecurrenceFromForm(formData) {
+    return {
+      frequency: formData.get("frequency"),
+      days: formData.getAll("days").map(Number),
+      publishTime: formData.get("publishTime"),
+      expiresAfterHours: parseFloat(formData.get("expiresAfterHours")),
+    };
+  }
+
+  /**
+   * Create or update a template from the template form
+   * @param {HTMLFormElement} form - Template form
+   */
+  async saveTemplate(form) {
+    const templateId = document.getElementById("template-id").value;
+    const listingId = document.getElementById("template-listing-id").value;
+    const recurrence = this.getRecurrenceFromForm(new FormData(form));
+
+    try {
+      const result = templateId
+        ? await apiService.updateListingTemplate(templateId, { recurrence })
+        : await apiService.createListingTemplate(listingId, recurrence);
+
+      if (!result.success) {
+        showNotification(result.message, "error");
+        return;
+      }
+
+      showNotification(
+        `${result.message}. Next listing: ${formatDate(
+          result.template.nextPublishAt,
+          true
+        )}`,
+        "success"
+      );
+      closeModal(document.getElementById("template-modal"));
+      this.loadTemplatesData();
+    } catch (error) {
+      console.error("Error saving template:", error);
+      showNotification("Error saving template", "error");
+    }
+  }
+
+  /**
+   * Pause or resume a template
+   * @param {string} templateId - Template ID
+   * @param {Object} templateData - Template changes
+   */
+  async updateTemplate(templateId, templateData) {
+    try {
+      const result = await apiService.updateListingTemplate(
+        templateId,
+        templateData
+      );
+
+      if (result.success) {
+        showNotification(
+          templateData.active ? "Template resumed" : "Template paused",
+          "success"
+        );
+        this.loadTemplatesData();
+      } else {
+        showNotification(result.message, "error");
+      }
+    } catch (error) {
+      console.error("Error updating template:", error);
+      showNotification("Error updating template", "error");
+    }
+  }
+
+  /**
+   * Delete a template
+   * @param {string} templateId - Template ID
+   */
+  async deleteTemplate(templateId) {
+    if (
+      !confirm("Delete this template? Listings it already published are kept.")
+    ) {
+      return;
+    }
+
+    try {
+      const result = await apiService.deleteListingTemplate(templateId);
+
+      if (result.success) {
+        showNotification(result.message, "success");
+        this.loadTemplatesData();
+      } else {
+        showNotification(result.message, "error");
+      }
+    } catch (error) {
+      console.error("Error deleting template:", error);
+      showNotification("Error deleting template", "error");
+    }
+  }
+
   /**
    * Load settings tab data
    */
@@ -535,6 +1306,23 @@ class DashboardService {
     if (contactEmailInput) contactEmailInput.value = currentUser.email || "";
     if (contactPhoneInput) contactPhoneInput.value = currentUser.phone || "";
 
+    // Tax regions are configured by admins
+    this.loadTaxRegions(currentUser.taxRegion || "");
+
+    // Map location
+    this.renderLocationPicker(
+      currentUser.businessLocation || null,
+      currentUser.businessAddress
+    );
+
+    // Pickup hours, suggesting the browser's time zone until one is saved
+    this.renderPickupSchedule(
+      normalizePickupSchedule({
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        ...currentUser.pickupSchedule,
+      })
+    );
+
     // Set up form submission
     const settingsForm = document.getElementById("business-settings-form");
     if (settingsForm) {
@@ -545,6 +1333,224 @@ class DashboardService {
     }
   }
 
+  /**
+   * Show the business location on the settings map
+   * @param {Object|null} location - Saved location with lat and lng
+   * @param {string} address - Business address, to center the map when no
+   *                           location is saved
+   */
+  renderLocationPicker(location, address) {
+    const mapContainer = document.getElementById("business-location-map");
+    if (!mapContainer) return;
+
+    // Create the map the first time the settings tab is shown
+    if (!this.locationMap) {
+      this.locationMap = new LocationMap(mapContainer, {
+        onClick: (clicked) => this.setBusinessLocation(clicked),
+      });
+
+      const geocodeBtn = document.getElementById("geocode-address-btn");
+      const clearBtn = document.getElementById("clear-location-btn");
+
+      if (geocodeBtn) {
+        geocodeBtn.addEventListener("click", () => {
+          const addressInput = document.getElementById("business-address");
+          const found = geocodeAddress(addressInput ? addressInput.value : "");
+
+          if (!found) {
+            showNotification(
+              "We couldn't find that address. Please click the map instead",
+              "error"
+            );
+            return;
+          }
+
+          this.setBusinessLocation(found);
+          this.locationMap.setView(found, 15);
+        });
+      }
+
+      if (clearBtn) {
+        clearBtn.addEventListener("click", () =>
+          this.setBusinessLocation(null)
+        );
+      }
+    }
+
+    this.setBusinessLocation(location);
+
+    const center = location || geocodeAddress(address);
+    if (center) {
+      this.locationMap.setView(center, 15);
+    } else {
+      this.locationMap.setView({ lat: 20, lng: 0 }, 2);
+    }
+  }
+
+  /**
+   * Set the business location to be saved with the settings
+   * @param {Object|null} location - Location with lat and lng, or null to
+   *                                 clear it
+   */
+  setBusinessLocation(location) {
+    this.businessLocation = location
+      ? {
+          lat: Math.round(location.lat * 1e6) / 1e6,
+          lng: Math.round(location.lng * 1e6) / 1e6,
+        }
+      : null;
+
+    this.locationMap.setMarkers(
+      this.businessLocation
+        ? [{ ...this.businessLocation, className: "business-marker" }]
+        : []
+    );
+
+    const locationText = document.getElementById("business-location-text");
+    if (locationText) {
+      locationText.textContent = this.businessLocation
+        ? `${this.businessLocation.lat.toFixed(
+            5
+          )}, ${this.businessLocation.lng.toFixed(5)}`
+        : "Not set";
+    }
+  }
+
+  /**
+   * Fill the pickup hours fields from a schedule
+   * @param {Object} schedule - Pickup schedule
+   */
+  renderPickupSchedule(schedule) {
+    const hoursContainer = document.getElementById("pickup-hours");
+    const slotMinutesSelect = document.getElementById("slot-minutes");
+    const maxOrdersInput = document.getElementById("max-orders-per-slot");
+    const blackoutDatesInput = document.getElementById("blackout-dates");
+    const timeZoneSelect = document.getElementById("pickup-time-zone");
+
+    if (hoursContainer) {
+      // Week starts on Monday
+      const days = [1, 2, 3, 4, 5, 6, 0];
+
+      hoursContainer.innerHTML = days
+        .map((day) => {
+          const hours = schedule.weeklyHours[day];
+
+          return `
+                    <div class="pickup-hours-row">
+                        <label>
+                            <input type="checkbox" name="pickupOpen-${day}" ${
+            hours ? "checked" : ""
+          }>
+                            ${DAY_NAMES[day]}
+                        </label>
+                        <input type="time" name="pickupFrom-${day}" value="${
+            hours ? hours.open : "08:00"
+          }" ${hours ? "" : "disabled"}>
+                        <span>to</span>
+                        <input type="time" name="pickupUntil-${day}" value="${
+            hours ? hours.close : "20:00"
+          }" ${hours ? "" : "disabled"}>
+                    </div>
+                `;
+        })
+        .join("");
+
+      // Closed days keep their times but can't be edited
+      hoursContainer
+        .querySelectorAll('input[type="checkbox"]')
+        .forEach((checkbox) => {
+          checkbox.addEventListener("change", () => {
+            checkbox
+              .closest(".pickup-hours-row")
+              .querySelectorAll('input[type="time"]')
+              .forEach((input) => (input.disabled = !checkbox.checked));
+          });
+        });
+    }
+
+    if (slotMinutesSelect) slotMinutesSelect.value = schedule.slotMinutes;
+    if (maxOrdersInput) maxOrdersInput.value = schedule.maxOrdersPerSlot || "";
+    if (blackoutDatesInput) {
+      blackoutDatesInput.value = schedule.blackoutDates.join("\n");
+    }
+
+    if (timeZoneSelect) {
+      const timeZones = new Set([
+        schedule.timeZone,
+        DEFAULT_TIME_ZONE,
+        ...(Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : []),
+      ]);
+
+      timeZoneSelect.innerHTML = [...timeZones]
+        .sort()
+        .map(
+          (timeZone) =>
+            `<option value="${escapeHtml(timeZone)}">${escapeHtml(
+              timeZone.replace(/_/g, " ")
+            )}</option>`
+        )
+        .join("");
+      timeZoneSelect.value = schedule.timeZone;
+    }
+  }
+
+  /**
+   * Read the pickup hours fields of the settings form
+   * @param {FormData} formData - Settings form data
+   * @returns {Object} Pickup schedule
+   */
+  getPickupScheduleFromForm(formData) {
+    const maxOrdersPerSlot = formData.get("maxOrdersPerSlot");
+
+    return {
+      weeklyHours: DAY_NAMES.map((name, day) =>
+        formData.get(`pickupOpen-${day}`)
+          ? {
+              open: formData.get(`pickupFrom-${day}`),
+              close: formData.get(`pickupUntil-${day}`),
+            }
+          : null
+      ),
+      blackoutDates: (formData.get("blackoutDates") || "")
+        .split("\n")
+        .map((date) => date.trim())
+        .filter(Boolean),
+      slotMinutes: parseInt(formData.get("slotMinutes")),
+      maxOrdersPerSlot: maxOrdersPerSlot ? Number(maxOrdersPerSlot) : null,
+      timeZone: formData.get("timeZone") || DEFAULT_TIME_ZONE,
+    };
+  }
+
+  /**
+   * Fill the tax region select with the regions admins have configured
+   * @param {string} selectedRegion - Business's current region
+   */
+  async loadTaxRegions(selectedRegion) {
+    const taxRegionSelect = document.getElementById("tax-region");
+    if (!taxRegionSelect) return;
+
+    try {
+      const config = await apiService.getPricingConfig();
+
+      taxRegionSelect.innerHTML =
+        `<option value="">Default (${+(config.defaultTaxRate * 100).toFixed(
+          4
+        )}%)</option>` +
+        Object.entries(config.regionTaxRates)
+          .map(
+            ([region, rate]) =>
+              `<option value="${region}">${region} (${+(rate * 100).toFixed(
+                4
+              )}%)</option>`
+          )
+          .join("");
+
+      taxRegionSelect.value = selectedRegion;
+    } catch (error) {
+      console.error("Error loading tax regions:", error);
+    }
+  }
+
   /**
    * Save settings form
    * @param {HTMLFormElement} form - Settings form
@@ -564,12 +1570,14 @@ class DashboardService {
       // Create updated user data
       const userData = {
         name: formData.get("contactName"),
-        email: formData.get("contactEmail"),
         phone: formData.get("contactPhone"),
         businessName: formData.get("businessName"),
         businessType: formData.get("businessType"),
         businessAddress: formData.get("businessAddress"),
         businessDescription: formData.get("businessDescription"),
+        taxRegion: formData.get("taxRegion") || "",
+        pickupSchedule: this.getPickupScheduleFromForm(formData),
+        businessLocation: this.businessLocation,
       };
 
       // Check if password is being changed
@@ -584,13 +1592,17 @@ class DashboardService {
           return;
         }
 
-        if (currentPassword !== currentUser.password) {
-          showNotification("Current password is incorrect", "error");
+        // Update password (checks the current password against its hash)
+        const passwordResult = await authService.changePassword(
+          currentUser.id,
+          currentPassword,
+          newPassword
+        );
+
+        if (!passwordResult.success) {
+          showNotification(passwordResult.message, "error");
           return;
         }
-
-        // Update password
-        userData.password = newPassword;
       }
 
       // Update user profile
@@ -0,0 +1,237 @@
+/**
+ * Dietary tags and allergens for SaveBite application
+ *
+ * Listings carry dietaryTags (e.g. vegan) and allergens, the EU's 14
+ * allergens the food contains. A listing's allergens are null until the
+ * business declares them, so "free from" filters never show food whose
+ * allergens are unknown. Customers can save the same filters as a dietary
+ * profile to have matching listings highlighted.
+ */
+
+const DIETARY_TAGS = [
+  { id: "vegan", label: "Vegan" },
+  { id: "vegetarian", label: "Vegetarian" },
+  { id: "halal", label: "Halal" },
+  { id: "gluten-free", label: "Gluten-free" },
+];
+
+// The 14 allergens EU law requires food businesses to declare
+const ALLERGENS = [
+  { id: "celery", label: "Celery" },
+  { id: "gluten", label: "Cereals containing gluten" },
+  { id: "crustaceans", label: "Crustaceans" },
+  { id: "eggs", label: "Eggs" },
+  { id: "fish", label: "Fish" },
+  { id: "lupin", label: "Lupin" },
+  { id: "milk", label: "Milk" },
+  { id: "molluscs", label: "Molluscs" },
+  { id: "mustard", label: "Mustard" },
+  { id: "nuts", label: "Tree nuts" },
+  { id: "peanuts", label: "Peanuts" },
+  { id: "sesame", label: "Sesame" },
+  { id: "soya", label: "Soya" },
+  { id: "sulphites", label: "Sulphur dioxide and sulphites" },
+];
+
+// Allergens a dietary tag rules out
+const TAG_CONFLICTS = {
+  vegan: ["eggs", "milk", "fish", "crustaceans", "molluscs"],
+  vegetarian: ["fish", "crustaceans", "molluscs"],
+  "gluten-free": ["gluten"],
+};
+
+/**
+ * Read a list of IDs from an array or a comma/semicolon separated string
+ * @param {Array|string} value - List of IDs
+ * @returns {Array} Trimmed, lowercase IDs
+ */
+function parseTagList(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,;]/);
+
+  return list
+    .map((item) => String(item).trim().toLowerCase())
+    .filter((item) => item !== "");
+}
+
+/**
+ * Check a listing's dietary tags and allergens before it's saved
+ * @param {Object} listingData - Listing data with dietaryTags and allergens
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validateDietaryInfo({ dietaryTags = [], allergens = null }) {
+  const errors = [];
+  const tagIds = DIETARY_TAGS.map((tag) => tag.id);
+  const allergenIds = ALLERGENS.map((allergen) => allergen.id);
+
+  if (!Array.isArray(dietaryTags)) {
+    return ["Dietary tags must be a list"];
+  }
+
+  if (allergens !== null && !Array.isArray(allergens)) {
+    return ["Allergens must be a list"];
+  }
+
+  dietaryTags
+    .filter((tag) => !tagIds.includes(tag))
+    .forEach((tag) => errors.push(`${tag} is not a dietary tag`));
+
+  (allergens || [])
+    .filter((allergen) => !allergenIds.includes(allergen))
+    .forEach((allergen) => errors.push(`${allergen} is not an allergen`));
+
+  // A listing can't be e.g. vegan and contain milk
+  dietaryTags.forEach((tag) => {
+    const conflicts = (TAG_CONFLICTS[tag] || []).filter((allergen) =>
+      (allergens || []).includes(allergen)
+    );
+
+    if (conflicts.length > 0) {
+      errors.push(
+        `${getLabel(DIETARY_TAGS, tag)} food can't contain ${conflicts
+          .map((allergen) => getLabel(ALLERGENS, allergen).toLowerCase())
+          .join(", ")}`
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build a customer's dietary profile from submitted values
+ * @param {Object} profile - Dietary profile with dietaryTags and allergens
+ * @returns {Object} Profile with only known tags and allergens
+ */
+function normalizeDietaryProfile(profile = {}) {
+  const tagIds = DIETARY_TAGS.map((tag) => tag.id);
+  const allergenIds = ALLERGENS.map((allergen) => allergen.id);
+
+  return {
+    dietaryTags: parseTagList(profile.dietaryTags).filter((tag) =>
+      tagIds.includes(tag)
+    ),
+    allergens: parseTagList(profile.allergens).filter((allergen) =>
+      allergenIds.includes(allergen)
+    ),
+  };
+}
+
+/**
+ * Check whether a listing suits a set of dietary needs
+ * @param {Object} listing - Listing with dietaryTags and allergens
+ * @param {Object} needs - Object with dietaryTags the listing must have and
+ *                         allergens it must be free from
+ * @returns {boolean} True if the listing suits them
+ */
+function matchesDietaryNeeds(listing, { dietaryTags = [], allergens = [] }) {
+  const listingTags = listing.dietaryTags || [];
+
+  // Vegan food is also vegetarian
+  const hasTag = (tag) =>
+    listingTags.includes(tag) ||
+    (tag === "vegetarian" && listingTags.includes("vegan"));
+
+  if (!dietaryTags.every(hasTag)) return false;
+
+  // Undeclared allergens can't be ruled out
+  if (allergens.length > 0 && !Array.isArray(listing.allergens)) return false;
+
+  return !allergens.some((allergen) => listing.allergens.includes(allergen));
+}
+
+/**
+ * Check whether a dietary profile has anything in it
+ * @param {Object} profile - Dietary profile with dietaryTags and allergens
+ * @returns {boolean} True if the profile sets any tags or allergens
+ */
+function hasDietaryNeeds(profile) {
+  return Boolean(
+    profile &&
+      ((profile.dietaryTags || []).length > 0 ||
+        (profile.allergens || []).length > 0)
+  );
+}
+
+/**
+ * Get the label for a tag or allergen ID
+ * @param {Array} options - DIETARY_TAGS or ALLERGENS
+ * @param {string} id - Tag or allergen ID
+ * @returns {string} Label
+ */
+function getLabel(options, id) {
+  const option = options.find((item) => item.id === id);
+  return option ? option.label : id;
+}
+
+/**
+ * Render a listing's dietary tags and allergens as badges
+ * @param {Object} listing - Listing with dietaryTags and allergens
+ * @param {boolean} detailed - Also say when allergens aren't declared
+ * @returns {string} Badges HTML (empty if there's nothing to show)
+ */
+function renderDietaryBadges(listing, detailed = false) {
+  const badges = (listing.dietaryTags || []).map(
+    (tag) =>
+      `<span class="dietary-badge dietary-tag">${getLabel(
+        DIETARY_TAGS,
+        tag
+      )}</span>`
+  );
+
+  if (Array.isArray(listing.allergens)) {
+    badges.push(
+      ...listing.allergens.map(
+        (allergen) =>
+          `<span class="dietary-badge allergen-badge" title="Contains ${getLabel(
+            ALLERGENS,
+            allergen
+          ).toLowerCase()}"><i class="fas fa-exclamation-triangle"></i> ${getLabel(
+            ALLERGENS,
+            allergen
+          )}</span>`
+      )
+    );
+  } else if (detailed) {
+    badges.push(
+      '<span class="dietary-badge allergens-unknown">Allergens not declared</span>'
+    );
+  }
+
+  return badges.length > 0
+    ? `<div class="dietary-badges">${badges.join("")}</div>`
+    : "";
+}
+
+/**
+ * Render checkboxes for dietary tags or allergens
+ * @param {string} name - Checkbox name
+ * @param {Array} options - DIETARY_TAGS or ALLERGENS
+ * @param {Array} selected - IDs to check
+ * @returns {string} Checkboxes HTML
+ */
+function renderDietaryCheckboxes(name, options, selected = []) {
+  return options
+    .map(
+      ({ id, label }) => `
+            <label class="checkbox-container">
+                <input type="checkbox" name="${name}" value="${id}"${
+        selected.includes(id) ? " checked" : ""
+      }>
+                ${label}
+            </label>
+        `
+    )
+    .join("");
+}
+
+export {
+  DIETARY_TAGS,
+  ALLERGENS,
+  parseTagList,
+  validateDietaryInfo,
+  normalizeDietaryProfile,
+  matchesDietaryNeeds,
+  hasDietaryNeeds,
+  renderDietaryBadges,
+  renderDietaryCheckboxes,
+};
@@ -0,0 +1,272 @@
+/**
+ * Email templates for SaveBite application
+ *
+ * Each function builds one kind of email as { subject, html, text }; the
+ * text part carries the same content for mail clients that don't show HTML.
+ * EmailService queues and sends them.
+ */
+import { formatPickupCode } from "./pickup-code.js";
+import { escapeHtml, formatDate, formatPrice } from "./utils.js";
+
+// Site the links in emails point to
+const DEFAULT_APP_URL = "https://savebite-reduce-food-waste.netlify.app";
+
+/**
+ * Get the short number shown for an order or order group
+ * @param {string} id - Order or group ID
+ * @returns {string} Order number
+ */
+function getOrderNumber(id) {
+  return id.substring(0, 8).toUpperCase();
+}
+
+/**
+ * Lay out an email in the SaveBite style
+ * @param {Object} content - Email content
+ * @param {string} content.subject - Subject line
+ * @param {string} content.heading - Heading at the top of the email
+ * @param {Array} content.paragraphs - Paragraphs of text
+ * @param {Array} content.sections - Boxes with a title and lines of text
+ * @param {Object} content.action - Button with label and url
+ * @returns {Object} Email with subject, html and text
+ */
+function renderEmail({
+  subject,
+  heading,
+  paragraphs = [],
+  sections = [],
+  action = null,
+}) {
+  const html = `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background-color:#FAFAFA;font-family:Arial,sans-serif;color:#212121;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background-color:#FFFFFF;border-radius:8px;">
+      <tr>
+        <td style="padding:16px 24px;background-color:#2E7D32;border-radius:8px 8px 0 0;color:#FFFFFF;font-size:20px;font-weight:bold;">SaveBite</td>
+      </tr>
+      <tr>
+        <td style="padding:24px;">
+          <h1 style="margin:0 0 16px;font-size:22px;">${escapeHtml(
+            heading
+          )}</h1>
+          ${paragraphs
+            .map(
+              (paragraph) =>
+                `<p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(
+                  paragraph
+                )}</p>`
+            )
+            .join("\n          ")}
+          ${sections
+            .map(
+              (
+                section
+              ) => `<div style="margin:0 0 16px;padding:16px;border:1px solid #E0E0E0;border-radius:8px;">
+            ${
+              section.title
+                ? `<p style="margin:0 0 8px;font-weight:bold;">${escapeHtml(
+                    section.title
+                  )}</p>`
+                : ""
+            }
+            ${section.lines
+              .map(
+                (line) => `<p style="margin:0 0 4px;">${escapeHtml(line)}</p>`
+              )
+              .join("\n            ")}
+          </div>`
+            )
+            .join("\n          ")}
+          ${
+            action
+              ? `<p style="margin:24px 0 0;"><a href="${escapeHtml(
+                  action.url
+                )}" style="display:inline-block;padding:12px 20px;background-color:#2E7D32;color:#FFFFFF;text-decoration:none;border-radius:4px;">${escapeHtml(
+                  action.label
+                )}</a></p>`
+              : ""
+          }
+        </td>
+      </tr>
+      <tr>
+        <td style="padding:16px 24px;color:#757575;font-size:12px;">You're getting this email because you have a SaveBite account.</td>
+      </tr>
+    </table>
+  </body>
+</html>
+`;
+
+  const text = [
+    heading,
+    "",
+    ...paragraphs.flatMap((paragraph) => [paragraph, ""]),
+    ...sections.flatMap((section) => [
+      ...(section.title ? [section.title] : []),
+      ...section.lines,
+      "",
+    ]),
+    ...(action ? [`${action.label}: ${action.url}`, ""] : []),
+    "-- ",
+    "SaveBite",
+  ].join("\n");
+
+  return { subject, html, text };
+}
+
+/**
+ * Describe where and when to collect an order
+ * @param {Object} order - Order
+ * @returns {Array} Lines of text
+ */
+function getPickupLines(order) {
+  return [
+    `Pickup at: ${order.pickupLocationName}, ${order.pickupAddress}`,
+    `Pickup time: ${formatDate(order.pickupTime, true)}`,
+    `Pickup code: ${formatPickupCode(order.pickupCode)}`,
+  ];
+}
+
+/**
+ * Build the email a customer gets after placing an order
+ * @param {Object} group - Order group with one sub-order per business
+ * @param {string} appUrl - Site the links point to
+ * @returns {Object} Email with subject, html and text
+ */
+function orderPlacedEmail(group, appUrl = DEFAULT_APP_URL) {
+  const customer = group.orders[0].customerName || group.orders[0].userName;
+
+  return renderEmail({
+    subject: `We've got your order #${getOrderNumber(group.id)}`,
+    heading: "Thanks for your order!",
+    paragraphs: [
+      `Hi ${customer}, your order has been sent to ${
+        group.orders.length === 1
+          ? group.orders[0].businessName
+          : `${group.orders.length} businesses`
+      }. Show the pickup code at the counter when you collect it.`,
+    ],
+    sections: [
+      ...group.orders.map((order) => ({
+        title: `${order.businessName} (Order #${getOrderNumber(order.id)})`,
+        lines: [
+          ...order.items.map(
+            (item) =>
+              `${item.quantity} x ${item.name}: ${formatPrice(
+                item.discountedPrice * item.quantity
+              )}`
+          ),
+          ...getPickupLines(order),
+        ],
+      })),
+      { lines: [`Total: ${formatPrice(group.total)}`] },
+    ],
+    action: { label: "View your orders", url: `${appUrl}/orders.html` },
+  });
+}
+
+/**
+ * Build the email a customer gets when their order is ready
+ * @param {Object} order - Order
+ * @param {string} appUrl - Site the links point to
+ * @returns {Object} Email with subject, html and text
+ */
+function orderReadyEmail(order, appUrl = DEFAULT_APP_URL) {
+  return renderEmail({
+    subject: `Your order from ${order.businessName} is ready for pickup`,
+    heading: "Your order is ready",
+    paragraphs: [
+      `${order.businessName} has packed order #${getOrderNumber(
+        order.id
+      )}. Please collect it at your pickup time.`,
+    ],
+    sections: [{ lines: getPickupLines(order) }],
+    action: { label: "View your orders", url: `${appUrl}/orders.html` },
+  });
+}
+
+/**
+ * Build the email a customer gets when their order is cancelled
+ * @param {Object} order - Order
+ * @param {string} appUrl - Site the links point to
+ * @returns {Object} Email with subject, html and text
+ */
+function orderCancelledEmail(order, appUrl = DEFAULT_APP_URL) {
+  const lastChange = (order.statusHistory || []).slice(-1)[0];
+  const byCustomer = Boolean(lastChange && lastChange.role === "customer");
+
+  return renderEmail({
+    subject: `Your order from ${order.businessName} was cancelled`,
+    heading: "Your order was cancelled",
+    paragraphs: [
+      byCustomer
+        ? `As you asked, order #${getOrderNumber(order.id)} from ${
+            order.businessName
+          } has been cancelled.`
+        : `Sorry, ${order.businessName} had to cancel order #${getOrderNumber(
+            order.id
+          )}.`,
+      "There's no need to go to the pickup.",
+    ],
+    sections: [
+      {
+        lines: order.items.map((item) => `${item.quantity} x ${item.name}`),
+      },
+    ],
+    action: {
+      label: "Find more food to save",
+      url: `${appUrl}/listings.html`,
+    },
+  });
+}
+
+/**
+ * Build the email a business gets when a listing is about to expire
+ * @param {Object} listing - Listing
+ * @param {string} appUrl - Site the links point to
+ * @returns {Object} Email with subject, html and text
+ */
+function listingExpiringEmail(listing, appUrl = DEFAULT_APP_URL) {
+  return renderEmail({
+    subject: `${listing.foodName} expires soon`,
+    heading: "A listing is about to expire",
+    paragraphs: [
+      `${listing.foodName} expires at ${formatDate(
+        listing.expiryDate,
+        true
+      )} and ${listing.quantity} ${
+        listing.quantity === 1 ? "is" : "are"
+      } still available. A lower price might help it sell in time.`,
+    ],
+    action: {
+      label: "Manage your listings",
+      url: `${appUrl}/dashboard.html#listings`,
+    },
+  });
+}
+
+/**
+ * Build the email a user gets when an administrator blocks their account
+ * @param {Object} user - User
+ * @returns {Object} Email with subject, html and text
+ */
+function accountBlockedEmail(user) {
+  return renderEmail({
+    subject: "Your SaveBite account has been blocked",
+    heading: "Your account has been blocked",
+    paragraphs: [
+      `Hi ${
+        user.businessName || user.name
+      }, an administrator has blocked your SaveBite account, so you can no longer sign in.`,
+      "If you think this is a mistake, please contact support.",
+    ],
+  });
+}
+
+export {
+  DEFAULT_APP_URL,
+  orderPlacedEmail,
+  orderReadyEmail,
+  orderCancelledEmail,
+  listingExpiringEmail,
+  accountBlockedEmail,
+};
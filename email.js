@@ -0,0 +1,269 @@
+/**
+ * Outbound email for SaveBite application
+ *
+ * ApiService hands emails to EmailService, which stores them in a queue and
+ * sends them through a transport. A message that fails to send is tried
+ * again later, waiting longer each time, until it runs out of attempts.
+ *
+ * The default transport keeps sent messages in an outbox in storage, so
+ * local-only mode needs no mail server. The backend server sends over SMTP
+ * instead (server/smtp-transport.mjs), to the development sink in
+ * server/smtp-sink.mjs unless configured otherwise.
+ */
+import { DEFAULT_APP_URL } from "./email-templates.js";
+import defaultStorage from "./storage.js";
+import { generateId } from "./utils.js";
+
+// Constants for storage keys
+const EMAIL_QUEUE_KEY = "savebite_email_queue";
+const OUTBOX_KEY = "savebite_outbox";
+
+// Sender of every email
+const DEFAULT_FROM = "SaveBite <notifications@savebite.com>";
+
+// How long to wait before each retry; a message is tried once more than
+// there are delays, then marked as failed
+const RETRY_DELAYS = [
+  60 * 1000, // 1 minute
+  5 * 60 * 1000, // 5 minutes
+  30 * 60 * 1000, // 30 minutes
+  2 * 60 * 60 * 1000, // 2 hours
+];
+
+// Sent and failed messages kept in the queue; older ones are dropped
+const MAX_FINISHED_MESSAGES = 100;
+
+// Messages kept in the local outbox
+const MAX_OUTBOX_MESSAGES = 100;
+
+/**
+ * Transport that delivers messages to an outbox in storage
+ */
+class OutboxTransport {
+  /**
+   * @param {StorageAdapter} storage - Storage adapter to keep the outbox in
+   */
+  constructor(storage = defaultStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - Message with from, to, subject, html and text
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    const outbox = this.storage.get(OUTBOX_KEY, []);
+    outbox.push({ ...message, deliveredAt: new Date().toISOString() });
+    this.storage.set(OUTBOX_KEY, outbox.slice(-MAX_OUTBOX_MESSAGES));
+  }
+
+  /**
+   * Get the delivered messages
+   * @returns {Array} Messages, oldest first
+   */
+  getMessages() {
+    return this.storage.get(OUTBOX_KEY, []);
+  }
+}
+
+/**
+ * EmailService class for queueing and sending emails
+ */
+class EmailService {
+  /**
+   * @param {Object} options - Service options
+   * @param {StorageAdapter} options.storage - Storage adapter for the queue
+   * @param {Object} options.transport - Object with send(message) returning
+   *                                     a promise that rejects on failure
+   * @param {string} options.from - Sender address
+   * @param {string} options.appUrl - Site the links in emails point to
+   */
+  constructor({
+    storage = defaultStorage,
+    transport = new OutboxTransport(storage),
+    from = DEFAULT_FROM,
+    appUrl = DEFAULT_APP_URL,
+  } = {}) {
+    this.storage = storage;
+    this.transport = transport;
+    this.from = from;
+    this.appUrl = appUrl;
+
+    // Run while the queue is being sent, so it's only sent once at a time
+    this.sending = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Get the queued, sent and failed messages
+   * @returns {Array} Messages, oldest first
+   */
+  getQueue() {
+    return this.storage.get(EMAIL_QUEUE_KEY, []);
+  }
+
+  /**
+   * Queue an email and start sending it
+   * @param {string} to - Recipient address
+   * @param {Object} email - Email with subject, html and text
+   * @param {string} type - Kind of email (e.g. 'order-placed')
+   * @returns {Object|null} Queued message, or null without a recipient
+   */
+  send(to, email, type) {
+    if (!to) return null;
+
+    const message = {
+      id: generateId(),
+      type,
+      from: this.from,
+      to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      sentAt: null,
+    };
+
+    this.storage.set(EMAIL_QUEUE_KEY, [...this.getQueue(), message]);
+
+    // Sending happens in the background so callers don't wait for it
+    this.processQueue().catch((error) =>
+      console.error("Error sending emails:", error)
+    );
+
+    return message;
+  }
+
+  /**
+   * Send every queued message that is due
+   * @param {Date} now - Current time (for testing)
+   * @returns {Promise<Object>} Counts of messages sent, retrying and failed
+   */
+  async processQueue(now = new Date()) {
+    // Wait for a run in progress, then look again for what's left
+    while (this.sending) {
+      await this.sending;
+    }
+
+    this.sending = this.sendDueMessages(now);
+
+    try {
+      return await this.sending;
+    } finally {
+      this.sending = null;
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Try to send the queued messages that are due
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} Counts of messages sent, retrying and failed
+   */
+  async sendDueMessages(now) {
+    const counts = { sent: 0, retrying: 0, failed: 0 };
+    const due = this.getQueue().filter(
+      (message) =>
+        message.status === "queued" && new Date(message.nextAttemptAt) <= now
+    );
+
+    for (const message of due) {
+      const attempts = message.attempts + 1;
+      let changes;
+
+      try {
+        await this.transport.send({
+          from: message.from,
+          to: message.to,
+          subject: message.subject,
+          html: message.html,
+          text: message.text,
+        });
+
+        changes = {
+          status: "sent",
+          attempts,
+          sentAt: new Date().toISOString(),
+          lastError: null,
+        };
+        counts.sent++;
+      } catch (error) {
+        const delay = RETRY_DELAYS[attempts - 1];
+
+        changes =
+          delay === undefined
+            ? { status: "failed", attempts, lastError: error.message }
+            : {
+                attempts,
+                nextAttemptAt: new Date(now.getTime() + delay).toISOString(),
+                lastError: error.message,
+              };
+        counts[delay === undefined ? "failed" : "retrying"]++;
+      }
+
+      this.updateMessage(message.id, changes);
+    }
+
+    return counts;
+  }
+
+  /**
+   * Save changes to a queued message
+   * @param {string} id - Message ID
+   * @param {Object} changes - Fields to change
+   */
+  updateMessage(id, changes) {
+    // Re-read the queue, since messages may have been added while sending
+    const queue = this.getQueue().map((message) =>
+      message.id === id ? { ...message, ...changes } : message
+    );
+
+    // Keep every queued message but only the latest finished ones
+    const finished = queue.filter((message) => message.status !== "queued");
+    const dropped = new Set(
+      finished
+        .slice(0, Math.max(0, finished.length - MAX_FINISHED_MESSAGES))
+        .map((message) => message.id)
+    );
+
+    this.storage.set(
+      EMAIL_QUEUE_KEY,
+      queue.filter((message) => !dropped.has(message.id))
+    );
+  }
+
+  /**
+   * Set a timer to send the next message waiting for a retry
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    const retryTimes = this.getQueue()
+      .filter((message) => message.status === "queued")
+      .map((message) => new Date(message.nextAttemptAt).getTime());
+
+    if (retryTimes.length === 0) return;
+
+    const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+    this.retryTimer = setTimeout(() => {
+      this.processQueue().catch((error) =>
+        console.error("Error sending emails:", error)
+      );
+    }, delay);
+
+    // Don't keep Node processes (the server's tests, scripts) alive for it
+    if (this.retryTimer.unref) this.retryTimer.unref();
+  }
+}
+
+// Shared email service used by the default service instances
+const emailService = new EmailService();
+
+export { EmailService, OutboxTransport, RETRY_DELAYS };
+export default emailService;
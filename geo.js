@@ -0,0 +1,143 @@
+/**
+ * Locations for SaveBite application
+ *
+ * Businesses store their location as { lat, lng }, either looked up from
+ * their address in a small built-in geocoding table (no network needed) or
+ * picked on a map. Listings can then be filtered and sorted by straight-line
+ * distance from the customer.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+// Search radius used when "near me" doesn't say how far
+const DEFAULT_RADIUS_KM = 5;
+
+// Search radii offered on the listings page
+const RADIUS_OPTIONS_KM = [1, 2, 5, 10, 25];
+
+// Known places, matched against addresses. More specific entries (streets)
+// win over less specific ones (towns) when both match.
+const GEOCODING_TABLE = [
+  { place: "main st, anytown", lat: 40.7142, lng: -74.0064 },
+  { place: "oak ave, anytown", lat: 40.7306, lng: -73.9866 },
+  { place: "pine rd, anytown", lat: 40.6943, lng: -73.9918 },
+  { place: "elm st, anytown", lat: 40.7223, lng: -74.0203 },
+  { place: "maple ave, anytown", lat: 40.7411, lng: -74.0105 },
+  { place: "anytown", lat: 40.7128, lng: -74.006 },
+  { place: "colombo", lat: 6.9271, lng: 79.8612 },
+  { place: "kandy", lat: 7.2906, lng: 80.6337 },
+  { place: "galle", lat: 6.0535, lng: 80.221 },
+  { place: "jaffna", lat: 9.6615, lng: 80.0255 },
+  { place: "negombo", lat: 7.2008, lng: 79.8737 },
+  { place: "london", lat: 51.5072, lng: -0.1276 },
+  { place: "manchester", lat: 53.4808, lng: -2.2426 },
+  { place: "new york", lat: 40.7128, lng: -74.006 },
+  { place: "san francisco", lat: 37.7749, lng: -122.4194 },
+  { place: "toronto", lat: 43.6532, lng: -79.3832 },
+  { place: "sydney", lat: -33.8688, lng: 151.2093 },
+  { place: "singapore", lat: 1.3521, lng: 103.8198 },
+];
+
+/**
+ * Look up an address in the geocoding table
+ * @param {string} address - Free-text address
+ * @returns {Object|null} Location with lat, lng and the matched place, or
+ *                        null if no known place appears in the address
+ */
+function geocodeAddress(address) {
+  const text = String(address || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+
+  const match = GEOCODING_TABLE.filter(({ place }) =>
+    text.includes(place)
+  ).sort((a, b) => b.place.length - a.place.length)[0];
+
+  return match ? { lat: match.lat, lng: match.lng, place: match.place } : null;
+}
+
+/**
+ * Check that a value is a usable location
+ * @param {Object} location - Location with lat and lng
+ * @returns {boolean} True if lat and lng are valid coordinates
+ */
+function isValidLocation(location) {
+  return Boolean(
+    location &&
+      typeof location.lat === "number" &&
+      typeof location.lng === "number" &&
+      location.lat >= -90 &&
+      location.lat <= 90 &&
+      location.lng >= -180 &&
+      location.lng <= 180
+  );
+}
+
+/**
+ * Build a "near" filter from submitted values
+ * @param {Object} near - Filter with lat, lng and optional radiusKm
+ * @returns {Object|null} Filter with numeric lat, lng and radiusKm, or null
+ *                        if the coordinates or radius are invalid
+ */
+function normalizeNear(near) {
+  if (!near) return null;
+
+  const filter = {
+    lat: Number(near.lat),
+    lng: Number(near.lng),
+    radiusKm:
+      near.radiusKm === undefined || near.radiusKm === ""
+        ? DEFAULT_RADIUS_KM
+        : Number(near.radiusKm),
+  };
+
+  if (!isValidLocation(filter) || !(filter.radiusKm > 0)) {
+    return null;
+  }
+
+  return filter;
+}
+
+/**
+ * Get the straight-line (great-circle) distance between two locations
+ * @param {Object} from - Location with lat and lng
+ * @param {Object} to - Location with lat and lng
+ * @returns {number} Distance in kilometres
+ */
+function getDistanceKm(from, to) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) *
+      Math.cos(toRadians(to.lat)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Format a distance for display, e.g. "350 m away" or "2.4 km away"
+ * @param {number} km - Distance in kilometres
+ * @returns {string} Formatted distance
+ */
+function formatDistance(km) {
+  if (km < 1) {
+    return `${Math.max(10, Math.round((km * 1000) / 10) * 10)} m away`;
+  }
+
+  return `${km < 10 ? km.toFixed(1) : Math.round(km)} km away`;
+}
+
+export {
+  GEOCODING_TABLE,
+  DEFAULT_RADIUS_KM,
+  RADIUS_OPTIONS_KM,
+  geocodeAddress,
+  isValidLocation,
+  normalizeNear,
+  getDistanceKm,
+  formatDistance,
+};
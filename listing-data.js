@@ -0,0 +1,276 @@
+/**
+ * Listing data rules for SaveBite application
+ *
+ * The listing form and bulk import check listings with the same rules, and
+ * export writes the same columns import reads, so an exported file can be
+ * edited and imported again.
+ */
+import { parseCsv, toCsv } from "./csv.js";
+import { parseTagList, validateDietaryInfo } from "./dietary.js";
+import { validateMarkdownSchedule } from "./markdown-schedule.js";
+
+// Columns of an import/export file
+const LISTING_FILE_COLUMNS = [
+  "foodName",
+  "category",
+  "originalPrice",
+  "discountedPrice",
+  "quantity",
+  "expiryDate",
+  "description",
+  "imageUrl",
+  "pickupOnly",
+  "pickupAddress",
+  "dietaryTags",
+  "allergens",
+];
+
+// Columns that can be left empty
+const OPTIONAL_LISTING_FIELDS = [
+  "pickupOnly",
+  "imageUrl",
+  "dietaryTags",
+  "allergens",
+];
+
+// Fields every listing needs a value for (plus an image URL or photo)
+const REQUIRED_LISTING_FIELDS = LISTING_FILE_COLUMNS.filter(
+  (field) => !OPTIONAL_LISTING_FIELDS.includes(field)
+);
+
+// Written in the allergens column for food with none of the 14 allergens,
+// since an empty column means they haven't been declared
+const NO_ALLERGENS = "none";
+
+// Largest file accepted for import
+const MAX_IMPORT_ROWS = 200;
+
+/**
+ * Check listing data before it's saved
+ * @param {Object} listingData - Listing data
+ * @param {Object} options - Options
+ * @param {boolean} options.hasNewImage - A photo will be uploaded with it
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validateListingData(
+  listingData,
+  { hasNewImage = false, now = new Date() } = {}
+) {
+  const isMissing = (value) =>
+    value === "" ||
+    value === null ||
+    value === undefined ||
+    (typeof value === "number" && isNaN(value));
+
+  // Validate required fields
+  if (REQUIRED_LISTING_FIELDS.some((field) => isMissing(listingData[field]))) {
+    return ["Please fill in all required fields"];
+  }
+
+  if (!hasNewImage && !listingData.imageUrl && !listingData.imageId) {
+    return ["Please add a photo or an image URL"];
+  }
+
+  const errors = [];
+
+  // Validate prices
+  if (listingData.originalPrice < 0 || listingData.discountedPrice < 0) {
+    errors.push("Prices can't be negative");
+  } else if (listingData.discountedPrice >= listingData.originalPrice) {
+    errors.push("Discounted price must be less than original price");
+  }
+
+  // Validate quantity
+  if (!Number.isInteger(listingData.quantity) || listingData.quantity < 0) {
+    errors.push("Quantity must be a whole number");
+  }
+
+  // Validate price drops
+  errors.push(
+    ...validateMarkdownSchedule(listingData.markdownSchedule || [], listingData)
+  );
+
+  // Validate dietary tags and allergens
+  errors.push(
+    ...validateDietaryInfo({
+      dietaryTags: listingData.dietaryTags || [],
+      allergens: listingData.allergens || null,
+    })
+  );
+
+  // Validate expiry date
+  const expiryDate = new Date(listingData.expiryDate);
+  if (isNaN(expiryDate)) {
+    errors.push("Expiry date is invalid");
+  } else if (expiryDate <= now) {
+    errors.push("Expiry date must be in the future");
+  }
+
+  return errors;
+}
+
+/**
+ * Convert an imported record to listing data
+ * @param {Object} record - Record from a CSV row or JSON file
+ * @param {Object} defaults - Values for fields the record leaves empty
+ * @returns {Object} Listing data
+ */
+function toListingData(record, defaults = {}) {
+  const value = (field) =>
+    record[field] === undefined ||
+    record[field] === null ||
+    String(record[field]).trim() === ""
+      ? defaults[field]
+      : record[field];
+  const toNumber = (field) =>
+    value(field) === undefined ? NaN : Number(value(field));
+  const expiryDate = new Date(value("expiryDate"));
+
+  const listingData = {
+    foodName: String(value("foodName") || "").trim(),
+    category: String(value("category") || "")
+      .trim()
+      .toLowerCase(),
+    originalPrice: toNumber("originalPrice"),
+    discountedPrice: toNumber("discountedPrice"),
+    quantity: toNumber("quantity"),
+    expiryDate: isNaN(expiryDate)
+      ? value("expiryDate")
+      : expiryDate.toISOString(),
+    description: String(value("description") || "").trim(),
+    imageUrl: String(value("imageUrl") || "").trim(),
+    pickupOnly: ["true", "yes", "1"].includes(
+      String(value("pickupOnly")).trim().toLowerCase()
+    ),
+    pickupAddress: String(value("pickupAddress") || "").trim(),
+    dietaryTags: parseTagList(record.dietaryTags),
+    allergens: toAllergens(record.allergens),
+  };
+
+  // JSON files can carry price drops too
+  if (Array.isArray(record.markdownSchedule)) {
+    listingData.markdownSchedule = record.markdownSchedule;
+  }
+
+  return listingData;
+}
+
+/**
+ * Read the allergens of an imported record
+ * @param {Array|string} value - List of allergens, "none", or empty
+ * @returns {Array|null} Allergens, or null if they weren't declared
+ */
+function toAllergens(value) {
+  if (Array.isArray(value)) return parseTagList(value);
+
+  const text = String(value === undefined || value === null ? "" : value)
+    .trim()
+    .toLowerCase();
+
+  if (text === "") return null;
+  return text === NO_ALLERGENS ? [] : parseTagList(text);
+}
+
+/**
+ * Read the records in an import file
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell JSON from CSV
+ * @returns {Array} Records (objects keyed by column name)
+ * @throws {Error} If the file can't be read
+ */
+function parseListingFile(text, fileName = "") {
+  let records;
+
+  if (fileName.toLowerCase().endsWith(".json") || /^\s*[[{]/.test(text)) {
+    try {
+      records = JSON.parse(text);
+    } catch (error) {
+      throw new Error("The file isn't valid JSON");
+    }
+
+    // Accept { "listings": [...] } as well as a plain array
+    if (records && !Array.isArray(records)) {
+      records = records.listings;
+    }
+
+    if (!Array.isArray(records)) {
+      throw new Error("The JSON file must contain a list of listings");
+    }
+  } else {
+    const [header, ...rows] = parseCsv(text);
+
+    if (!header) {
+      throw new Error("The file is empty");
+    }
+
+    const columns = header.map((column) => column.trim());
+    // Pickup address can be left out; it defaults to the business address
+    const missing = REQUIRED_LISTING_FIELDS.filter(
+      (field) => field !== "pickupAddress" && !columns.includes(field)
+    );
+
+    if (missing.length > 0) {
+      throw new Error(`The file is missing columns: ${missing.join(", ")}`);
+    }
+
+    records = rows.map((row) =>
+      Object.fromEntries(columns.map((column, i) => [column, row[i]]))
+    );
+  }
+
+  if (records.length === 0) {
+    throw new Error("The file has no listings");
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(
+      `A file can have at most ${MAX_IMPORT_ROWS} listings. Please split it up`
+    );
+  }
+
+  return records;
+}
+
+/**
+ * Write listings as CSV with the import columns and their status
+ * @param {Array} listings - Listings (discountedPrice before price drops
+ *                           is taken from basePrice when present)
+ * @returns {string} CSV text
+ */
+function listingsToCsv(listings) {
+  const toField = (listing, column) => {
+    if (column === "discountedPrice" && listing.basePrice !== undefined) {
+      return listing.basePrice;
+    }
+
+    if (column === "dietaryTags") {
+      return (listing.dietaryTags || []).join(";");
+    }
+
+    if (column === "allergens") {
+      if (!Array.isArray(listing.allergens)) return "";
+      return listing.allergens.length > 0
+        ? listing.allergens.join(";")
+        : NO_ALLERGENS;
+    }
+
+    return listing[column];
+  };
+
+  const rows = listings.map((listing) => [
+    ...LISTING_FILE_COLUMNS.map((column) => toField(listing, column)),
+    listing.status,
+  ]);
+
+  return toCsv([[...LISTING_FILE_COLUMNS, "status"], ...rows]);
+}
+
+export {
+  LISTING_FILE_COLUMNS,
+  MAX_IMPORT_ROWS,
+  validateListingData,
+  toListingData,
+  parseListingFile,
+  listingsToCsv,
+};
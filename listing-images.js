@@ -0,0 +1,140 @@
+/**
+ * Listing images for SaveBite application
+ *
+ * Photos are resized and compressed in the browser into a few widths before
+ * upload, so stored images stay small. Listings with an uploaded photo get
+ * an imageSrcset and browsers pick the width that fits; any image that
+ * fails to load is swapped for a placeholder.
+ */
+
+// Widths (in pixels) images are resized to; smaller originals aren't upscaled
+const IMAGE_WIDTHS = [320, 640, 1024];
+
+// JPEG quality used when compressing
+const IMAGE_QUALITY = 0.8;
+
+// Largest photo accepted from the file picker
+const MAX_IMAGE_FILE_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Largest total size of the resized images (as data URLs)
+const MAX_IMAGE_DATA_SIZE = 800 * 1024; // 800 KB
+
+// Shown when a listing has no image or its image fails to load
+const PLACEHOLDER_IMAGE = `data:image/svg+xml,${encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" width="640" height="480" viewBox="0 0 640 480">' +
+    '<rect width="640" height="480" fill="#f1f3f1"/>' +
+    '<circle cx="320" cy="220" r="70" fill="none" stroke="#b8c4b9" stroke-width="12"/>' +
+    '<circle cx="320" cy="220" r="36" fill="#b8c4b9"/>' +
+    '<text x="320" y="350" font-family="sans-serif" font-size="28" fill="#8a988b" text-anchor="middle">No image</text>' +
+    "</svg>"
+)}`;
+
+/**
+ * Resize and compress a photo into each of the image widths
+ * @param {File} file - Image file chosen by the user
+ * @returns {Promise<Object>} Map of width -> JPEG data URL
+ * @throws {Error} If the file isn't an image that can be read
+ */
+async function resizeImage(file) {
+  if (!file.type.startsWith("image/")) {
+    throw new Error("Please choose an image file");
+  }
+
+  if (file.size > MAX_IMAGE_FILE_SIZE) {
+    throw new Error("Photos must be smaller than 10 MB");
+  }
+
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    throw new Error("This image couldn't be read. Please try another one");
+  }
+
+  const sizes = {};
+
+  for (const width of IMAGE_WIDTHS) {
+    const targetWidth = Math.min(width, bitmap.width);
+    const canvas = document.createElement("canvas");
+    canvas.width = targetWidth;
+    canvas.height = Math.round((bitmap.height * targetWidth) / bitmap.width);
+
+    // JPEG has no transparency, so fill transparent areas with white
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#fff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+    sizes[targetWidth] = canvas.toDataURL("image/jpeg", IMAGE_QUALITY);
+
+    // The original is smaller than the remaining widths
+    if (targetWidth === bitmap.width) break;
+  }
+
+  bitmap.close();
+  return sizes;
+}
+
+/**
+ * Check resized images before they're stored
+ * @param {Object} sizes - Map of width -> data URL
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validateImageData(sizes) {
+  if (!sizes || typeof sizes !== "object" || Array.isArray(sizes)) {
+    return ["No image was uploaded"];
+  }
+
+  const entries = Object.entries(sizes);
+  const errors = [];
+
+  if (entries.length === 0 || entries.length > IMAGE_WIDTHS.length) {
+    errors.push(`Upload between 1 and ${IMAGE_WIDTHS.length} image sizes`);
+  }
+
+  entries.forEach(([width, dataUrl]) => {
+    if (!/^[1-9]\d*$/.test(width)) {
+      errors.push(`${width} is not a valid image width`);
+    } else if (
+      typeof dataUrl !== "string" ||
+      !/^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+/]+=*$/.test(dataUrl)
+    ) {
+      errors.push(`The ${width}px image is not a valid image`);
+    }
+  });
+
+  const totalSize = entries.reduce(
+    (total, [, dataUrl]) => total + String(dataUrl).length,
+    0
+  );
+
+  if (totalSize > MAX_IMAGE_DATA_SIZE) {
+    errors.push("The image is too large. Please choose a smaller photo");
+  }
+
+  return errors;
+}
+
+/**
+ * Render a listing's image with a responsive srcset and placeholder fallback
+ * @param {Object} listing - Listing with imageUrl and optional imageSrcset
+ * @param {string} sizes - Value for the sizes attribute
+ * @returns {string} Image HTML
+ */
+function renderListingImage(listing, sizes = "100vw") {
+  const srcset = listing.imageSrcset
+    ? ` srcset="${listing.imageSrcset}" sizes="${sizes}"`
+    : "";
+
+  return `<img src="${listing.imageUrl || PLACEHOLDER_IMAGE}"${srcset} alt="${
+    listing.foodName
+  }" loading="lazy" onerror="this.onerror=null;this.removeAttribute('srcset');this.src='${PLACEHOLDER_IMAGE}'">`;
+}
+
+export {
+  IMAGE_WIDTHS,
+  PLACEHOLDER_IMAGE,
+  resizeImage,
+  validateImageData,
+  renderListingImage,
+};
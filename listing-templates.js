@@ -0,0 +1,234 @@
+/**
+ * Listing templates for SaveBite application
+ *
+ * A template is a listing saved with a recurrence rule, e.g. "every weekday
+ * at 6 PM, expiring 4 hours later". Due templates are published as new
+ * listings whenever listings are read, so nothing has to run in the
+ * background. Publish times are read in the business's pickup time zone.
+ */
+import {
+  DAY_NAMES,
+  DEFAULT_TIME_ZONE,
+  getZonedParts,
+  parseTime,
+  zonedTimeToDate,
+} from "./pickup-hours.js";
+
+// How often a template can repeat
+const RECURRENCE_FREQUENCIES = ["daily", "weekdays", "custom"];
+
+// Listing fields copied into a template
+const TEMPLATE_LISTING_FIELDS = [
+  "foodName",
+  "category",
+  "originalPrice",
+  "discountedPrice",
+  "quantity",
+  "description",
+  "imageUrl",
+  "imageId",
+  "pickupOnly",
+  "pickupAddress",
+  "markdownSchedule",
+  "dietaryTags",
+  "allergens",
+];
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Copy the reusable fields of a listing
+ * @param {Object} listing - Stored listing
+ * @returns {Object} Listing data for a template
+ */
+function getTemplateListingData(listing) {
+  const data = {};
+
+  TEMPLATE_LISTING_FIELDS.forEach((field) => {
+    if (listing[field] !== undefined) {
+      data[field] = listing[field];
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Build a recurrence rule from submitted values
+ * @param {Object} recurrence - Submitted recurrence rule
+ * @returns {Object} Recurrence rule with days only kept for 'custom'
+ */
+function normalizeRecurrence(recurrence = {}) {
+  return {
+    frequency: recurrence.frequency,
+    days:
+      recurrence.frequency === "custom"
+        ? (recurrence.days || []).map(Number)
+        : [],
+    publishTime: recurrence.publishTime,
+    expiresAfterHours: Number(recurrence.expiresAfterHours),
+  };
+}
+
+/**
+ * Get the days of the week a recurrence rule publishes on
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {Array} Day numbers, indexed like Date.getDay()
+ */
+function getRecurrenceDays(recurrence) {
+  switch (recurrence.frequency) {
+    case "daily":
+      return [0, 1, 2, 3, 4, 5, 6];
+    case "weekdays":
+      return [1, 2, 3, 4, 5];
+    default:
+      return [...(recurrence.days || [])].sort();
+  }
+}
+
+/**
+ * Check a recurrence rule before it's saved
+ * @param {Object} recurrence - Recurrence rule with frequency, days (for
+ *                              'custom'), publishTime and expiresAfterHours
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validateRecurrence(recurrence) {
+  const errors = [];
+
+  if (!RECURRENCE_FREQUENCIES.includes(recurrence.frequency)) {
+    errors.push("Repeat must be daily, weekdays or custom");
+  } else if (
+    recurrence.frequency === "custom" &&
+    (!Array.isArray(recurrence.days) ||
+      recurrence.days.length === 0 ||
+      recurrence.days.some(
+        (day) => !Number.isInteger(day) || day < 0 || day > 6
+      ))
+  ) {
+    errors.push("Please choose at least one day to publish on");
+  }
+
+  if (isNaN(parseTime(recurrence.publishTime))) {
+    errors.push("Publish time is invalid");
+  }
+
+  if (
+    typeof recurrence.expiresAfterHours !== "number" ||
+    isNaN(recurrence.expiresAfterHours) ||
+    recurrence.expiresAfterHours <= 0 ||
+    recurrence.expiresAfterHours > 72
+  ) {
+    errors.push("Listings must expire between 0 and 72 hours after publishing");
+  }
+
+  return errors;
+}
+
+/**
+ * Find the scheduled publish times around a date
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} date - Date to search around
+ * @param {number} direction - 1 to search forwards, -1 backwards
+ * @param {string} timeZone - Business's time zone
+ * @returns {Array} Publish times in search order (one week's worth)
+ */
+function getRunsAround(recurrence, date, direction, timeZone) {
+  const days = getRecurrenceDays(recurrence);
+  const minutes = parseTime(recurrence.publishTime);
+  const today = getZonedParts(date, timeZone);
+  const runs = [];
+
+  for (let offset = 0; offset <= 7; offset++) {
+    // Calendar date in the business's time zone, as midnight UTC
+    const day = new Date(
+      Date.UTC(today.year, today.month - 1, today.day + offset * direction)
+    );
+
+    if (days.includes(day.getUTCDay())) {
+      runs.push(zonedTimeToDate(day, minutes, timeZone));
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Get the next time a template publishes
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} after - Publish time must be after this
+ * @param {string} timeZone - Business's time zone
+ * @returns {Date|null} Next publish time (null if the rule has no days)
+ */
+function getNextPublishTime(
+  recurrence,
+  after = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
+) {
+  return (
+    getRunsAround(recurrence, after, 1, timeZone).find((run) => run > after) ||
+    null
+  );
+}
+
+/**
+ * Get the most recent time a template was due to publish
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} now - Current time
+ * @param {string} timeZone - Business's time zone
+ * @returns {Date|null} Latest publish time (null if the rule has no days)
+ */
+function getLatestPublishTime(
+  recurrence,
+  now = new Date(),
+  timeZone = DEFAULT_TIME_ZONE
+) {
+  return (
+    getRunsAround(recurrence, now, -1, timeZone).find((run) => run <= now) ||
+    null
+  );
+}
+
+/**
+ * Get the expiry date of a listing published from a template
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date} publishedAt - Scheduled publish time
+ * @returns {Date} Expiry date
+ */
+function getTemplateExpiry(recurrence, publishedAt) {
+  return new Date(publishedAt.getTime() + recurrence.expiresAfterHours * HOUR);
+}
+
+/**
+ * Describe a recurrence rule, e.g. "Weekdays at 6:00 PM"
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {string} Description
+ */
+function describeRecurrence(recurrence) {
+  const minutes = parseTime(recurrence.publishTime);
+  const time = new Date(2000, 0, 1, 0, minutes).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  switch (recurrence.frequency) {
+    case "daily":
+      return `Every day at ${time}`;
+    case "weekdays":
+      return `Weekdays at ${time}`;
+    default:
+      return `${getRecurrenceDays(recurrence)
+        .map((day) => DAY_NAMES[day].slice(0, 3))
+        .join(", ")} at ${time}`;
+  }
+}
+
+export {
+  RECURRENCE_FREQUENCIES,
+  getTemplateListingData,
+  normalizeRecurrence,
+  validateRecurrence,
+  getNextPublishTime,
+  getLatestPublishTime,
+  getTemplateExpiry,
+  describeRecurrence,
+};
@@ -3,14 +3,39 @@
  */
 import apiService from "./api.js";
 import authService from "./auth.js";
+import {
+  listingsToCsv,
+  parseListingFile,
+  toListingData,
+  validateListingData,
+} from "./listing-data.js";
+import {
+  ALLERGENS,
+  DIETARY_TAGS,
+  hasDietaryNeeds,
+  matchesDietaryNeeds,
+  renderDietaryBadges,
+  renderDietaryCheckboxes,
+} from "./dietary.js";
+import { DEFAULT_RADIUS_KM, formatDistance } from "./geo.js";
+import { LocationMap, clusterPoints } from "./location-map.js";
+import { PRICE_BANDS } from "./search-index.js";
+import tabSync from "./sync.js";
+import { renderListingImage, resizeImage } from "./listing-images.js";
+import {
+  describeSearchFilters,
+  normalizeSearchFilters,
+} from "./saved-searches.js";
 import {
   formatDate,
   formatPrice,
   calculateDiscount,
   isExpired,
+  formatTimeUntil,
   formatTimeUntilExpiry,
   showNotification,
   openModal,
+  closeModal,
 } from "./utils.js";
 
 /**
@@ -20,9 +45,23 @@ class ListingService {
   constructor() {
     this.currentFilters = {
       category: "all",
+      businessType: "all",
+      priceBand: "all",
       sortBy: "expiry",
       search: "",
     };
+
+    // Listings read from the import file, waiting to be imported
+    this.importRows = [];
+
+    // Browse page view ('grid' or 'map') and the map's businesses
+    this.viewMode = "grid";
+    this.listingsMap = null;
+    this.mapBusinesses = [];
+
+    // Customer's favorite businesses and listings (null until loaded)
+    this.favorites = null;
+    this.savedSearches = [];
   }
 
   /**
@@ -80,6 +119,16 @@ class ListingService {
       // Create listings HTML
       let listingsHTML = "";
 
+      // Highlight listings that suit the customer's dietary profile
+      const currentUser = authService.getCurrentUser();
+      const isCustomer = currentUser && currentUser.role === "customer";
+      const dietaryProfile = isCustomer ? currentUser.dietaryProfile : null;
+
+      // Customers can add listings to their favorites from the card
+      if (isCustomer && !this.favorites) {
+        await this.loadFavorites();
+      }
+
       listings.forEach((listing, index) => {
         // Skip if listing is not active
         if (listing.status !== "active" && !options.showAll) {
@@ -95,15 +144,32 @@ class ListingService {
         // Check if listing is expired
         const expired = isExpired(listing.expiryDate);
 
+        const dietMatch =
+          hasDietaryNeeds(dietaryProfile) &&
+          matchesDietaryNeeds(listing, dietaryProfile);
+
         // Create listing card
         listingsHTML += `
-                    <div class="listing-card" data-id="${
-                      listing.id
-                    }" style="animation-delay: ${index * 0.1}s">
+                    <div class="listing-card${
+                      dietMatch ? " diet-match" : ""
+                    }" data-id="${listing.id}" style="animation-delay: ${
+          index * 0.1
+        }s">
                         <div class="listing-image">
-                            <img src="${listing.imageUrl}" alt="${
-          listing.foodName
-        }">
+                            ${renderListingImage(
+                              listing,
+                              "(max-width: 576px) 100vw, 320px"
+                            )}
+                            ${
+                              dietMatch
+                                ? '<span class="diet-match-badge"><i class="fas fa-leaf"></i> Matches your diet</span>'
+                                : ""
+                            }
+                            ${
+                              isCustomer
+                                ? this.renderFavoriteButton(listing.id)
+                                : ""
+                            }
                         </div>
                         <div class="listing-content">
                             <h3 class="listing-title">${listing.foodName}</h3>
@@ -111,6 +177,13 @@ class ListingService {
                                 <i class="fas fa-store"></i> ${
                                   listing.businessName
                                 }
+                                ${
+                                  typeof listing.distanceKm === "number"
+                                    ? `<span class="listing-distance"><i class="fas fa-location-arrow"></i> ${formatDistance(
+                                        listing.distanceKm
+                                      )}</span>`
+                                    : ""
+                                }
                             </p>
                             <div class="listing-details">
                                 <span class="listing-expiry">
@@ -124,7 +197,7 @@ class ListingService {
                                 </span>
                                 <span class="listing-quantity">
                                     <i class="fas fa-cubes"></i> ${
-                                      listing.quantity
+                                      listing.availableQuantity
                                     } left
                                 </span>
                             </div>
@@ -139,6 +212,12 @@ class ListingService {
                                 </div>
                                 <span class="discount-badge">-${discountPercentage}%</span>
                             </div>
+                            ${
+                              listing.nextPriceDrop && !expired
+                                ? this.renderNextPriceDrop(listing)
+                                : ""
+                            }
+                            ${renderDietaryBadges(listing)}
                             <div class="listing-action">
                                 ${
                                   mergedOptions.showAddToCart && !expired
@@ -190,6 +269,14 @@ class ListingService {
       });
     }
 
+    // Add event listeners to favorite buttons
+    container.querySelectorAll(".favorite-btn").forEach((button) => {
+      button.addEventListener("click", async (e) => {
+        e.stopPropagation(); // Prevent opening listing detail
+        await this.toggleFavorite("listing", button.getAttribute("data-id"));
+      });
+    });
+
     // Add event listeners to view detail
     const listingCards = container.querySelectorAll(".listing-card");
     listingCards.forEach((card) => {
@@ -260,19 +347,33 @@ class ListingService {
       const currentUser = authService.getCurrentUser();
       const isCustomer = currentUser && currentUser.role === "customer";
 
+      if (isCustomer && !this.favorites) {
+        await this.loadFavorites();
+      }
+
       // Create listing detail HTML
       detailContainer.innerHTML = `
                 <div class="listing-detail-image">
-                    <img src="${listing.imageUrl}" alt="${listing.foodName}">
+                    ${renderListingImage(
+                      listing,
+                      "(max-width: 768px) 100vw, 50vw"
+                    )}
+                    ${isCustomer ? this.renderFavoriteButton(listing.id) : ""}
                 </div>
                 <div class="listing-detail-content">
                     <h2 class="listing-detail-title">${listing.foodName}</h2>
                     <p class="listing-detail-business">
                         <i class="fas fa-store"></i> ${listing.businessName}
+                        ${
+                          isCustomer
+                            ? this.renderFollowButton(listing.businessId)
+                            : ""
+                        }
                     </p>
                     <p class="listing-detail-description">${
                       listing.description
                     }</p>
+                    ${renderDietaryBadges(listing, true)}
                     
                     <div class="listing-detail-info">
                         <div class="detail-info-item">
@@ -281,7 +382,7 @@ class ListingService {
                         </div>
                         <div class="detail-info-item">
                             <span><i class="fas fa-cubes"></i> Available</span>
-                            <span>${listing.quantity} items</span>
+                            <span>${listing.availableQuantity} items</span>
                         </div>
                         <div class="detail-info-item">
                             <span><i class="fas fa-tag"></i> Category</span>
@@ -302,6 +403,11 @@ class ListingService {
                         </div>
                         <span class="listing-detail-discount">-${discountPercentage}% OFF</span>
                     </div>
+                    ${
+                      listing.nextPriceDrop && !expired
+                        ? this.renderNextPriceDrop(listing)
+                        : ""
+                    }
                     
                     ${
                       isCustomer && !expired
@@ -310,7 +416,7 @@ class ListingService {
                             <label for="item-quantity">Quantity:</label>
                             <div class="quantity-controls">
                                 <button type="button" class="quantity-btn minus" id="quantity-minus">-</button>
-                                <input type="number" class="quantity-input" id="item-quantity" value="1" min="1" max="${listing.quantity}">
+                                <input type="number" class="quantity-input" id="item-quantity" value="1" min="1" max="${listing.availableQuantity}">
                                 <button type="button" class="quantity-btn plus" id="quantity-plus">+</button>
                             </div>
                         </div>
@@ -373,7 +479,7 @@ class ListingService {
 
           plusBtn.addEventListener("click", () => {
             const currentVal = parseInt(quantityInput.value);
-            if (currentVal < listing.quantity) {
+            if (currentVal < listing.availableQuantity) {
               quantityInput.value = currentVal + 1;
             }
           });
@@ -382,8 +488,8 @@ class ListingService {
             let value = parseInt(quantityInput.value);
             if (isNaN(value) || value < 1) {
               value = 1;
-            } else if (value > listing.quantity) {
-              value = listing.quantity;
+            } else if (value > listing.availableQuantity) {
+              value = listing.availableQuantity;
             }
             quantityInput.value = value;
           });
@@ -402,6 +508,21 @@ class ListingService {
         }
       }
 
+      // Favorite and follow buttons
+      detailContainer.querySelectorAll(".favorite-btn").forEach((button) => {
+        button.addEventListener("click", () =>
+          this.toggleFavorite("listing", listing.id)
+        );
+      });
+
+      detailContainer
+        .querySelectorAll(".follow-business-btn")
+        .forEach((button) => {
+          button.addEventListener("click", () =>
+            this.toggleFavorite("business", listing.businessId)
+          );
+        });
+
       // View more button
       const viewMoreBtn = document.getElementById("detail-view-more");
       if (viewMoreBtn) {
@@ -459,37 +580,29 @@ class ListingService {
         return;
       }
 
-      // Check if listing is available
-      if (listing.quantity <= 0) {
+      // Check if listing is available (stock held in other carts is taken)
+      if (listing.availableQuantity <= 0) {
         showNotification("This item is out of stock", "error");
         return;
       }
 
       // Check if requested quantity is available
-      if (quantity > listing.quantity) {
-        quantity = listing.quantity;
+      if (quantity > listing.availableQuantity) {
+        quantity = listing.availableQuantity;
         showNotification(
           `Only ${quantity} items available. Adjusted quantity.`,
           "warning"
         );
       }
 
-      // Add to cart
-      const cartItem = {
-        id: listing.id,
-        businessId: listing.businessId,
-        businessName: listing.businessName,
-        name: listing.foodName,
-        originalPrice: listing.originalPrice,
-        discountedPrice: listing.discountedPrice,
-        quantity: quantity,
-        imageUrl: listing.imageUrl,
-        expiryDate: listing.expiryDate,
-        pickupOnly: listing.pickupOnly,
-        pickupAddress: listing.pickupAddress,
-      };
+      // Add to cart (the item's details are copied from the listing) and
+      // hold the stock, if it's still available
+      const result = await apiService.addToCart({ id: listing.id, quantity });
 
-      await apiService.addToCart(cartItem);
+      if (!result.success) {
+        showNotification(result.message, "error");
+        return;
+      }
 
       // Update cart count
       authService.updateCartCount();
@@ -511,6 +624,8 @@ class ListingService {
     const searchInput = document.getElementById("search-input");
     const searchBtn = document.getElementById("search-btn");
     const resetBtn = document.getElementById("filter-reset");
+    const nearMeBtn = document.getElementById("near-me-btn");
+    const nearRadius = document.getElementById("near-radius");
 
     if (!categoryFilter || !sortByFilter || !searchInput || !searchBtn) {
       return;
@@ -525,20 +640,46 @@ class ListingService {
     // Set up sort filter
     sortByFilter.addEventListener("change", () => {
       this.currentFilters.sortBy = sortByFilter.value;
+
+      // Sorting by distance needs the customer's location
+      if (sortByFilter.value === "distance" && !this.currentFilters.near) {
+        this.findNearMe();
+        return;
+      }
+
       this.applyFilters();
     });
 
+    // Set up "near me" search
+    if (nearMeBtn) {
+      nearMeBtn.addEventListener("click", () => {
+        if (this.currentFilters.near) {
+          this.clearNearMe();
+          this.applyFilters();
+        } else {
+          this.findNearMe();
+        }
+      });
+    }
+
+    if (nearRadius) {
+      nearRadius.addEventListener("change", () => {
+        if (this.currentFilters.near) {
+          this.currentFilters.near.radiusKm = Number(nearRadius.value);
+          this.applyFilters();
+        }
+      });
+    }
+
     // Set up search
     searchBtn.addEventListener("click", () => {
-      this.currentFilters.search = searchInput.value.trim();
-      this.applyFilters();
+      this.search(searchInput.value.trim());
     });
 
     // Search on enter key
     searchInput.addEventListener("keypress", (e) => {
       if (e.key === "Enter") {
-        this.currentFilters.search = searchInput.value.trim();
-        this.applyFilters();
+        this.search(searchInput.value.trim());
       }
     });
 
@@ -551,12 +692,192 @@ class ListingService {
 
         this.currentFilters = {
           category: "all",
+          businessType: "all",
+          priceBand: "all",
           sortBy: "expiry",
           search: "",
         };
+        this.clearNearMe();
+
+        document
+          .querySelectorAll("#dietary-filters input:checked")
+          .forEach((input) => (input.checked = false));
 
         this.applyFilters();
+        this.renderFavorites();
+      });
+    }
+  }
+
+  /**
+   * Search listings, showing the best matches first
+   * @param {string} searchTerm - Search text (empty to stop searching)
+   */
+  search(searchTerm) {
+    const sortByFilter = document.getElementById("sort-by");
+
+    this.currentFilters.search = searchTerm;
+
+    if (searchTerm && this.currentFilters.sortBy === "expiry") {
+      this.currentFilters.sortBy = "relevance";
+    } else if (!searchTerm && this.currentFilters.sortBy === "relevance") {
+      this.currentFilters.sortBy = "expiry";
+    }
+    if (sortByFilter) sortByFilter.value = this.currentFilters.sortBy;
+
+    this.applyFilters();
+  }
+
+  /**
+   * Show facet counts for the current filters in the listings sidebar
+   */
+  async renderFacets() {
+    const facetsContainer = document.getElementById("listings-facets");
+    if (!facetsContainer) return;
+
+    try {
+      const result = await apiService.getListingFacets(this.currentFilters);
+      if (!result.success) return;
+
+      const groups = [
+        {
+          facet: "category",
+          title: "Category",
+          options: ["meals", "bakery", "produce", "dairy", "other"].map(
+            (value) => ({ value, label: this.formatCategory(value) })
+          ),
+        },
+        {
+          facet: "businessType",
+          title: "Business Type",
+          options: ["restaurant", "cafe", "bakery", "grocery", "other"].map(
+            (value) => ({ value, label: this.formatBusinessType(value) })
+          ),
+        },
+        {
+          facet: "priceBand",
+          title: "Price",
+          options: PRICE_BANDS.map(({ id, label }) => ({ value: id, label })),
+        },
+      ];
+
+      facetsContainer.innerHTML = groups
+        .map(({ facet, title, options }) => {
+          const counts = result.facets[facet];
+          const selected = this.currentFilters[facet] || "all";
+          const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+          return `
+                    <div class="facet-group">
+                        <h3>${title}</h3>
+                        <ul>
+                            ${[{ value: "all", label: "All" }, ...options]
+                              .map(({ value, label }) => {
+                                const count =
+                                  value === "all" ? total : counts[value] || 0;
+
+                                return `
+                                    <li>
+                                        <button class="facet-option${
+                                          value === selected ? " active" : ""
+                                        }" data-facet="${facet}" data-value="${value}"${
+                                  count === 0 && value !== selected
+                                    ? " disabled"
+                                    : ""
+                                }>
+                                            ${label}
+                                            <span class="facet-count">${count}</span>
+                                        </button>
+                                    </li>
+                                `;
+                              })
+                              .join("")}
+                        </ul>
+                    </div>
+                `;
+        })
+        .join("");
+
+      // Pick a facet value (picking the selected one again clears it)
+      facetsContainer.querySelectorAll(".facet-option").forEach((button) => {
+        button.addEventListener("click", () => {
+          const { facet, value } = button.dataset;
+          this.currentFilters[facet] =
+            this.currentFilters[facet] === value ? "all" : value;
+
+          // Keep the category dropdown in step with the sidebar
+          const categoryFilter = document.getElementById("category-filter");
+          if (facet === "category" && categoryFilter) {
+            categoryFilter.value = this.currentFilters.category;
+          }
+
+          this.applyFilters();
+        });
       });
+    } catch (error) {
+      console.error("Error loading facets:", error);
+    }
+  }
+
+  /**
+   * Ask the browser for the customer's location and show listings near it
+   */
+  findNearMe() {
+    const nearMeBtn = document.getElementById("near-me-btn");
+    const nearRadius = document.getElementById("near-radius");
+    const sortByFilter = document.getElementById("sort-by");
+
+    const fail = (message) => {
+      showNotification(message, "error");
+      this.clearNearMe();
+      this.applyFilters();
+    };
+
+    if (!navigator.geolocation) {
+      fail("Your browser can't share your location");
+      return;
+    }
+
+    if (nearMeBtn) nearMeBtn.disabled = true;
+
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        if (nearMeBtn) {
+          nearMeBtn.disabled = false;
+          nearMeBtn.classList.add("active");
+        }
+
+        this.currentFilters.near = {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          radiusKm: nearRadius ? Number(nearRadius.value) : DEFAULT_RADIUS_KM,
+        };
+        this.currentFilters.sortBy = "distance";
+        if (sortByFilter) sortByFilter.value = "distance";
+
+        this.applyFilters();
+      },
+      () => {
+        if (nearMeBtn) nearMeBtn.disabled = false;
+        fail("We couldn't get your location. Please allow location access");
+      },
+      { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  }
+
+  /**
+   * Stop filtering listings by the customer's location
+   */
+  clearNearMe() {
+    const nearMeBtn = document.getElementById("near-me-btn");
+    const sortByFilter = document.getElementById("sort-by");
+
+    delete this.currentFilters.near;
+    if (nearMeBtn) nearMeBtn.classList.remove("active");
+
+    if (this.currentFilters.sortBy === "distance") {
+      this.currentFilters.sortBy = "expiry";
+      if (sortByFilter) sortByFilter.value = "expiry";
     }
   }
 
@@ -564,6 +885,14 @@ class ListingService {
    * Apply current filters and update listings
    */
   applyFilters() {
+    this.renderFacets();
+
+    // The map shows the same filtered listings as the grid
+    if (this.viewMode === "map") {
+      this.renderListingsMap();
+      return;
+    }
+
     const listingsContainer = document.getElementById("listings-container");
     if (listingsContainer) {
       this.renderListings(listingsContainer, {
@@ -572,6 +901,223 @@ class ListingService {
     }
   }
 
+  /**
+   * Set up the grid/map toggle on the listings page
+   */
+  setupViewToggle() {
+    const viewButtons = document.querySelectorAll(".view-toggle [data-view]");
+
+    viewButtons.forEach((button) => {
+      button.addEventListener("click", () => {
+        if (button.dataset.view === this.viewMode) return;
+
+        viewButtons.forEach((other) =>
+          other.classList.toggle("active", other === button)
+        );
+        this.setViewMode(button.dataset.view);
+      });
+    });
+  }
+
+  /**
+   * Switch the listings page between the card grid and the map
+   * @param {string} viewMode - 'grid' or 'map'
+   */
+  setViewMode(viewMode) {
+    const listingsContainer = document.getElementById("listings-container");
+    const mapView = document.getElementById("listings-map-view");
+    const noResults = document.getElementById("no-results");
+
+    this.viewMode = viewMode;
+    if (listingsContainer) {
+      listingsContainer.style.display = viewMode === "grid" ? "" : "none";
+    }
+    if (mapView) {
+      mapView.style.display = viewMode === "map" ? "" : "none";
+    }
+    if (noResults) noResults.style.display = "none";
+
+    this.applyFilters();
+  }
+
+  /**
+   * Show the filtered listings on the map, one pin per business
+   */
+  async renderListingsMap() {
+    const mapContainer = document.getElementById("listings-map");
+    const panel = document.getElementById("map-business-panel");
+    if (!mapContainer || !panel) return;
+
+    if (!this.listingsMap) {
+      this.listingsMap = new LocationMap(mapContainer, {
+        onViewChange: () => this.updateMapMarkers(),
+      });
+    }
+
+    try {
+      const listings = await apiService.getListings(this.currentFilters);
+
+      // Group the active listings by business
+      const businesses = new Map();
+      listings
+        .filter(
+          (listing) =>
+            listing.status === "active" &&
+            !isExpired(listing.expiryDate) &&
+            listing.businessLocation
+        )
+        .forEach((listing) => {
+          if (!businesses.has(listing.businessId)) {
+            businesses.set(listing.businessId, {
+              ...listing.businessLocation,
+              businessId: listing.businessId,
+              businessName: listing.businessName,
+              distanceKm: listing.distanceKm,
+              listings: [],
+            });
+          }
+          businesses.get(listing.businessId).listings.push(listing);
+        });
+
+      this.mapBusinesses = [...businesses.values()];
+
+      // Keep the open business, if it's still on the map
+      const openBusiness = this.mapBusinesses.find(
+        (business) => business.businessId === panel.dataset.businessId
+      );
+
+      if (openBusiness) {
+        this.showMapBusiness(openBusiness);
+      } else {
+        delete panel.dataset.businessId;
+        panel.innerHTML = `
+                    <p class="map-panel-hint">
+                        ${
+                          this.mapBusinesses.length > 0
+                            ? "Click a pin to see what a business has available"
+                            : "No listings on the map match your search or filters"
+                        }
+                    </p>
+                `;
+      }
+
+      // Fit the businesses in view, or the search area for "near me"
+      const near = this.currentFilters.near;
+      const locations = near
+        ? [...this.mapBusinesses, near]
+        : this.mapBusinesses;
+
+      if (locations.length > 0) {
+        this.listingsMap.fitLocations(locations);
+      } else {
+        this.updateMapMarkers();
+      }
+    } catch (error) {
+      console.error("Error rendering listings map:", error);
+      panel.innerHTML = `
+                <div class="error-message">
+                    <i class="fas fa-exclamation-circle"></i>
+                    <p>Error loading listings</p>
+                </div>
+            `;
+    }
+  }
+
+  /**
+   * Redraw the map pins, clustering businesses that would overlap
+   */
+  updateMapMarkers() {
+    if (!this.listingsMap) return;
+
+    const map = this.listingsMap;
+    const markers = clusterPoints(this.mapBusinesses, map.zoom).map(
+      (cluster) => {
+        const count = cluster.points.reduce(
+          (total, business) => total + business.listings.length,
+          0
+        );
+
+        // One business: show its items
+        if (cluster.points.length === 1) {
+          const business = cluster.points[0];
+
+          return {
+            ...business,
+            title: business.businessName,
+            className: "business-marker",
+            html: `<i class="fas fa-map-marker-alt"></i><span class="marker-count">${count}</span>`,
+            onClick: () => this.showMapBusiness(business),
+          };
+        }
+
+        // Several businesses: zoom in on them
+        return {
+          lat: cluster.lat,
+          lng: cluster.lng,
+          title: `${cluster.points.length} businesses`,
+          className: "cluster-marker",
+          html: `<span>${count}</span>`,
+          onClick: () => map.fitLocations(cluster.points, map.zoom + 2),
+        };
+      }
+    );
+
+    // Mark the customer's position for "near me" searches
+    if (this.currentFilters.near) {
+      markers.push({
+        ...this.currentFilters.near,
+        title: "You are here",
+        className: "you-are-here-marker",
+        html: '<i class="fas fa-circle"></i>',
+      });
+    }
+
+    map.setMarkers(markers);
+  }
+
+  /**
+   * Show a business's current items next to the map
+   * @param {Object} business - Map business with businessName and listings
+   */
+  showMapBusiness(business) {
+    const panel = document.getElementById("map-business-panel");
+    if (!panel) return;
+
+    panel.dataset.businessId = business.businessId;
+    panel.innerHTML = `
+            <h3>${business.businessName}</h3>
+            ${
+              typeof business.distanceKm === "number"
+                ? `<p class="listing-distance"><i class="fas fa-location-arrow"></i> ${formatDistance(
+                    business.distanceKm
+                  )}</p>`
+                : ""
+            }
+            <ul class="map-business-items">
+                ${business.listings
+                  .map(
+                    (listing) => `
+                    <li class="map-business-item" data-id="${listing.id}">
+                        <span class="map-item-name">${listing.foodName}</span>
+                        <span class="map-item-details">
+                            ${formatPrice(listing.discountedPrice)}
+                            &middot; ${listing.availableQuantity} left
+                        </span>
+                    </li>
+                `
+                  )
+                  .join("")}
+            </ul>
+        `;
+
+    // Open the listing detail modal for an item
+    panel.querySelectorAll(".map-business-item").forEach((item) => {
+      item.addEventListener("click", () => {
+        this.showListingDetail(item.dataset.id);
+      });
+    });
+  }
+
   /**
    * Format category name for display
    * @param {string} category - Category slug
@@ -594,6 +1140,24 @@ class ListingService {
     }
   }
 
+  /**
+   * Format business type for display
+   * @param {string} businessType - Business type slug
+   * @returns {string} Formatted business type
+   */
+  formatBusinessType(businessType) {
+    switch (businessType) {
+      case "restaurant":
+        return "Restaurant";
+      case "cafe":
+        return "Café";
+      case "grocery":
+        return "Grocery Store";
+      default:
+        return businessType.charAt(0).toUpperCase() + businessType.slice(1);
+    }
+  }
+
   /**
    * Render a listing form (add/edit)
    * @param {HTMLFormElement} form - Form element
@@ -613,7 +1177,8 @@ class ListingService {
       form.elements["foodName"].value = listing.foodName;
       form.elements["category"].value = listing.category;
       form.elements["originalPrice"].value = listing.originalPrice;
-      form.elements["discountedPrice"].value = listing.discountedPrice;
+      // Edit the price before any drops, not the current one
+      form.elements["discountedPrice"].value = listing.basePrice;
       form.elements["quantity"].value = listing.quantity;
 
       // Format date for datetime-local input
@@ -622,9 +1187,34 @@ class ListingService {
       form.elements["expiryDate"].value = formattedDate;
 
       form.elements["description"].value = listing.description;
-      form.elements["imageUrl"].value = listing.imageUrl;
+      // Uploaded photos are kept unless a new photo or URL is given
+      form.elements["imageFile"].value = "";
+      form.elements["imageId"].value = listing.imageId || "";
+      form.elements["imageUrl"].value = listing.imageId ? "" : listing.imageUrl;
       form.elements["pickupOnly"].checked = listing.pickupOnly;
       form.elements["pickupAddress"].value = listing.pickupAddress;
+
+      // Tick the dietary tags and allergens
+      const dietaryTags = listing.dietaryTags || [];
+      const allergens = listing.allergens || [];
+      form.querySelectorAll('[name="dietaryTags"]').forEach((input) => {
+        input.checked = dietaryTags.includes(input.value);
+      });
+      form.querySelectorAll('[name="allergens"]').forEach((input) => {
+        input.checked = allergens.includes(input.value);
+      });
+      form.elements["noAllergens"].checked =
+        Array.isArray(listing.allergens) && listing.allergens.length === 0;
+
+      // Fill in the price drops, leaving unused rows empty
+      const percentInputs = form.querySelectorAll('[name="markdownPercent"]');
+      const hoursInputs = form.querySelectorAll('[name="markdownHours"]');
+      const schedule = listing.markdownSchedule || [];
+
+      percentInputs.forEach((input, i) => {
+        input.value = schedule[i] ? schedule[i].percentOff : "";
+        hoursInputs[i].value = schedule[i] ? schedule[i].hoursBeforeExpiry : "";
+      });
     } else {
       // Set default values for new listing
       form.reset();
@@ -662,6 +1252,7 @@ class ListingService {
 
       // Get form data
       const formData = new FormData(form);
+      const imageFile = form.elements["imageFile"].files[0] || null;
       const listingData = {
         foodName: formData.get("foodName"),
         category: formData.get("category"),
@@ -671,35 +1262,47 @@ class ListingService {
         expiryDate: new Date(formData.get("expiryDate")).toISOString(),
         description: formData.get("description"),
         imageUrl: formData.get("imageUrl"),
+        // A typed URL replaces the uploaded photo
+        imageId: formData.get("imageUrl")
+          ? null
+          : formData.get("imageId") || null,
         pickupOnly: formData.get("pickupOnly") === "on",
         pickupAddress: formData.get("pickupAddress"),
+        markdownSchedule: this.getMarkdownScheduleFromForm(formData),
+        dietaryTags: formData.getAll("dietaryTags"),
+        allergens: this.getAllergensFromForm(formData),
       };
 
-      // Validate required fields
-      for (const [key, value] of Object.entries(listingData)) {
-        if (value === "" || value === null || value === undefined) {
-          showNotification(`Please fill in all required fields`, "error");
-          return false;
-        }
-      }
-
-      // Validate prices
-      if (listingData.discountedPrice >= listingData.originalPrice) {
+      if (!listingData.markdownSchedule) {
         showNotification(
-          "Discounted price must be less than original price",
+          "Please enter both a percentage and a time for each price drop",
           "error"
         );
         return false;
       }
 
-      // Validate expiry date
-      const expiryDate = new Date(listingData.expiryDate);
-      const now = new Date();
-      if (expiryDate <= now) {
-        showNotification("Expiry date must be in the future", "error");
+      // Check required fields, prices, price drops and expiry date
+      const errors = validateListingData(listingData, {
+        hasNewImage: Boolean(imageFile),
+      });
+      if (errors.length > 0) {
+        showNotification(errors[0], "error");
         return false;
       }
 
+      // Upload the new photo, if any, in place of the current image
+      if (imageFile) {
+        const upload = await this.uploadImage(imageFile);
+
+        if (!upload.success) {
+          showNotification(upload.message, "error");
+          return false;
+        }
+
+        listingData.imageId = upload.imageId;
+        listingData.imageUrl = "";
+      }
+
       let result;
 
       if (mode === "edit") {
@@ -732,6 +1335,550 @@ class ListingService {
     }
   }
 
+  /**
+   * Read the declared allergens from a listing form
+   * @param {FormData} formData - Form data
+   * @returns {Array|null} Allergens the food contains (empty if it contains
+   *                       none), or null if they weren't declared
+   */
+  getAllergensFromForm(formData) {
+    const allergens = formData.getAll("allergens");
+
+    if (allergens.length > 0) return allergens;
+    return formData.get("noAllergens") === "on" ? [] : null;
+  }
+
+  /**
+   * Fill in the dietary tag and allergen checkboxes on the page
+   */
+  renderDietaryOptions() {
+    document.querySelectorAll("[data-options]").forEach((container) => {
+      const name = container.dataset.options;
+
+      container.innerHTML = renderDietaryCheckboxes(
+        name,
+        name === "allergens" ? ALLERGENS : DIETARY_TAGS
+      );
+    });
+  }
+
+  /**
+   * Set up the dietary filters in the listings sidebar
+   */
+  setupDietaryFilters() {
+    const dietaryFilters = document.getElementById("dietary-filters");
+    const saveProfileBtn = document.getElementById("save-dietary-profile-btn");
+    if (!dietaryFilters) return;
+
+    const getChecked = (name) =>
+      [...dietaryFilters.querySelectorAll(`[name="${name}"]:checked`)].map(
+        (input) => input.value
+      );
+
+    dietaryFilters.addEventListener("change", () => {
+      this.currentFilters.dietaryTags = getChecked("dietaryTags");
+      this.currentFilters.excludeAllergens = getChecked("allergens");
+      this.applyFilters();
+    });
+
+    // Save the ticked filters so matching listings are highlighted
+    if (saveProfileBtn) {
+      saveProfileBtn.addEventListener("click", async () => {
+        const currentUser = authService.getCurrentUser();
+        if (!currentUser) return;
+
+        const result = await apiService.updateUserProfile(currentUser.id, {
+          dietaryProfile: {
+            dietaryTags: getChecked("dietaryTags"),
+            allergens: getChecked("allergens"),
+          },
+        });
+
+        if (result.success) {
+          showNotification("Dietary profile saved", "success");
+          this.applyFilters();
+        } else {
+          showNotification(result.message, "error");
+        }
+      });
+    }
+  }
+
+  /**
+   * Load the customer's favorite businesses and listings
+   */
+  async loadFavorites() {
+    const result = await apiService.getFavorites();
+
+    this.favorites = result.success
+      ? { businesses: result.businesses, listings: result.listings }
+      : { businesses: [], listings: [] };
+  }
+
+  /**
+   * Check whether a business or listing is in the customer's favorites
+   * @param {string} type - 'business' or 'listing'
+   * @param {string} id - Business user ID or listing ID
+   * @returns {boolean} True if it's a favorite
+   */
+  isFavorite(type, id) {
+    if (!this.favorites) return false;
+
+    const favorites =
+      type === "business" ? this.favorites.businesses : this.favorites.listings;
+    return favorites.some((favorite) => favorite.id === id);
+  }
+
+  /**
+   * Render the heart button that adds a listing to the favorites
+   * @param {string} listingId - Listing ID
+   * @returns {string} Button HTML
+   */
+  renderFavoriteButton(listingId) {
+    const favorite = this.isFavorite("listing", listingId);
+
+    return `<button type="button" class="favorite-btn${
+      favorite ? " active" : ""
+    }" data-id="${listingId}" title="${
+      favorite ? "Remove from favorites" : "Add to favorites"
+    }" aria-pressed="${favorite}"><i class="${
+      favorite ? "fas" : "far"
+    } fa-heart"></i></button>`;
+  }
+
+  /**
+   * Render the button that follows a business
+   * @param {string} businessId - Business user ID
+   * @returns {string} Button HTML
+   */
+  renderFollowButton(businessId) {
+    const following = this.isFavorite("business", businessId);
+
+    return `<button type="button" class="btn btn-small btn-secondary follow-business-btn${
+      following ? " active" : ""
+    }" data-id="${businessId}" aria-pressed="${following}">${
+      following
+        ? '<i class="fas fa-check"></i> Following'
+        : '<i class="fas fa-plus"></i> Follow'
+    }</button>`;
+  }
+
+  /**
+   * Add a business or listing to the favorites, or remove it if it's
+   * already there
+   * @param {string} type - 'business' or 'listing'
+   * @param {string} id - Business user ID or listing ID
+   */
+  async toggleFavorite(type, id) {
+    const favorite = this.isFavorite(type, id);
+    const result = favorite
+      ? await apiService.removeFavorite(type, id)
+      : await apiService.addFavorite(type, id);
+
+    if (!result.success) {
+      showNotification(result.message, "error");
+      return;
+    }
+
+    showNotification(result.message, "success");
+    await this.loadFavorites();
+
+    // Update every button for it on the page
+    document
+      .querySelectorAll(
+        type === "business"
+          ? `.follow-business-btn[data-id="${id}"]`
+          : `.favorite-btn[data-id="${id}"]`
+      )
+      .forEach((button) => {
+        button.outerHTML =
+          type === "business"
+            ? this.renderFollowButton(id)
+            : this.renderFavoriteButton(id);
+      });
+
+    // Re-attach listeners to the new buttons
+    document
+      .querySelectorAll(
+        type === "business"
+          ? `.follow-business-btn[data-id="${id}"]`
+          : `.favorite-btn[data-id="${id}"]`
+      )
+      .forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation(); // Prevent opening listing detail
+          this.toggleFavorite(type, id);
+        });
+      });
+
+    this.renderFavorites();
+  }
+
+  /**
+   * Show the customer's favorites in the listings sidebar
+   */
+  async renderFavorites() {
+    const favoritesList = document.getElementById("favorites-list");
+    const currentUser = authService.getCurrentUser();
+    if (!favoritesList || !currentUser || currentUser.role !== "customer") {
+      return;
+    }
+
+    if (!this.favorites) {
+      await this.loadFavorites();
+    }
+
+    const { businesses, listings } = this.favorites;
+
+    if (businesses.length === 0 && listings.length === 0) {
+      favoritesList.innerHTML = `
+                <li class="sidebar-empty">
+                    Follow a business or tap <i class="far fa-heart"></i> on a listing to keep it here
+                </li>
+            `;
+      return;
+    }
+
+    // Businesses filter the listings; listings open their details
+    favoritesList.innerHTML = `
+            ${businesses
+              .map(
+                (business) => `
+                <li>
+                    <button class="facet-option${
+                      this.currentFilters.businessId === business.id
+                        ? " active"
+                        : ""
+                    }" data-business-id="${business.id}">
+                        <span><i class="fas fa-store"></i> ${
+                          business.businessName
+                        }</span>
+                    </button>
+                </li>
+            `
+              )
+              .join("")}
+            ${listings
+              .map((listing) => {
+                // Listings that can't be bought any more stay listed
+                const statusText = isExpired(listing.expiryDate)
+                  ? "Expired"
+                  : listing.status.charAt(0).toUpperCase() +
+                    listing.status.slice(1);
+                const available = statusText === "Active";
+
+                return `
+                <li>
+                    <button class="facet-option" data-listing-id="${
+                      listing.id
+                    }"${available ? "" : " disabled"}>
+                        <span><i class="fas fa-heart"></i> ${
+                          listing.foodName
+                        }</span>
+                        ${
+                          available
+                            ? ""
+                            : `<span class="facet-count">${statusText}</span>`
+                        }
+                    </button>
+                </li>
+            `;
+              })
+              .join("")}
+        `;
+
+    favoritesList.querySelectorAll("[data-business-id]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const { businessId } = button.dataset;
+
+        // Picking the selected business again shows every business
+        if (this.currentFilters.businessId === businessId) {
+          delete this.currentFilters.businessId;
+        } else {
+          this.currentFilters.businessId = businessId;
+        }
+
+        this.applyFilters();
+        this.renderFavorites();
+      });
+    });
+
+    favoritesList.querySelectorAll("[data-listing-id]").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.showListingDetail(button.dataset.listingId);
+      });
+    });
+  }
+
+  /**
+   * Show the customer's saved searches in the listings sidebar
+   * @param {boolean} announce - Tell the customer about new matches
+   */
+  async renderSavedSearches(announce = false) {
+    const savedSearchesList = document.getElementById("saved-searches-list");
+    const currentUser = authService.getCurrentUser();
+    if (!savedSearchesList || !currentUser || currentUser.role !== "customer") {
+      return;
+    }
+
+    const result = await apiService.getSavedSearches();
+    if (!result.success) return;
+
+    this.savedSearches = result.savedSearches;
+
+    if (this.savedSearches.length === 0) {
+      savedSearchesList.innerHTML = `
+                <li class="sidebar-empty">
+                    Save a search to hear about new listings that match it
+                </li>
+            `;
+      return;
+    }
+
+    savedSearchesList.innerHTML = this.savedSearches
+      .map(
+        (savedSearch) => `
+                <li class="saved-search">
+                    <button class="facet-option" data-id="${
+                      savedSearch.id
+                    }" title="${describeSearchFilters(savedSearch.filters)}">
+                        <span>${savedSearch.name}</span>
+                        ${
+                          savedSearch.newListingIds.length > 0
+                            ? `<span class="new-matches">${savedSearch.newListingIds.length} new</span>`
+                            : ""
+                        }
+                    </button>
+                    <button class="saved-search-delete" data-id="${
+                      savedSearch.id
+                    }" aria-label="Delete saved search">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </li>
+            `
+      )
+      .join("");
+
+    savedSearchesList.querySelectorAll(".facet-option").forEach((button) => {
+      button.addEventListener("click", () => {
+        const savedSearch = this.savedSearches.find(
+          (search) => search.id === button.dataset.id
+        );
+        if (savedSearch) this.applySavedSearch(savedSearch);
+      });
+    });
+
+    savedSearchesList
+      .querySelectorAll(".saved-search-delete")
+      .forEach((button) => {
+        button.addEventListener("click", () =>
+          this.deleteSavedSearch(button.dataset.id)
+        );
+      });
+
+    // Let the customer know about listings published since their last visit
+    const newCount = this.savedSearches.reduce(
+      (total, savedSearch) => total + savedSearch.newListingIds.length,
+      0
+    );
+
+    if (announce && newCount > 0) {
+      showNotification(
+        `${newCount} new listing${
+          newCount === 1 ? " matches" : "s match"
+        } your saved searches`,
+        "info",
+        5000
+      );
+    }
+  }
+
+  /**
+   * Save the current filters as a search the customer is alerted about
+   */
+  async saveCurrentSearch() {
+    const name = prompt(
+      "Name this search",
+      describeSearchFilters(normalizeSearchFilters(this.currentFilters))
+    );
+
+    // Cancelled
+    if (name === null) return;
+
+    const result = await apiService.createSavedSearch(
+      name,
+      this.currentFilters
+    );
+
+    if (result.success) {
+      showNotification(result.message, "success");
+      this.renderSavedSearches();
+    } else {
+      showNotification(result.message, "error");
+    }
+  }
+
+  /**
+   * Show the listings a saved search matches and clear its alerts
+   * @param {Object} savedSearch - Saved search
+   */
+  async applySavedSearch(savedSearch) {
+    const { filters } = savedSearch;
+    const categoryFilter = document.getElementById("category-filter");
+    const sortByFilter = document.getElementById("sort-by");
+    const searchInput = document.getElementById("search-input");
+    const nearMeBtn = document.getElementById("near-me-btn");
+    const nearRadius = document.getElementById("near-radius");
+
+    this.currentFilters = {
+      category: "all",
+      businessType: "all",
+      priceBand: "all",
+      sortBy: filters.search
+        ? "relevance"
+        : filters.near
+        ? "distance"
+        : "expiry",
+      search: "",
+      ...filters,
+    };
+
+    // Changing the radius mustn't change the saved search
+    if (filters.near) this.currentFilters.near = { ...filters.near };
+
+    // Show the search's filters in the controls
+    if (categoryFilter) categoryFilter.value = this.currentFilters.category;
+    if (sortByFilter) sortByFilter.value = this.currentFilters.sortBy;
+    if (searchInput) searchInput.value = this.currentFilters.search;
+    if (nearMeBtn) nearMeBtn.classList.toggle("active", Boolean(filters.near));
+    if (nearRadius && filters.near) nearRadius.value = filters.near.radiusKm;
+
+    document
+      .querySelectorAll("#dietary-filters input[type='checkbox']")
+      .forEach((input) => {
+        const selected =
+          input.name === "allergens"
+            ? filters.excludeAllergens || []
+            : filters.dietaryTags || [];
+        input.checked = selected.includes(input.value);
+      });
+
+    this.applyFilters();
+    this.renderFavorites();
+
+    if (savedSearch.newListingIds.length > 0) {
+      await apiService.markSavedSearchSeen(savedSearch.id);
+      authService.updateNavigation();
+      this.renderSavedSearches();
+    }
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search ID
+   */
+  async deleteSavedSearch(id) {
+    if (!confirm("Delete this saved search?")) return;
+
+    const result = await apiService.deleteSavedSearch(id);
+
+    if (result.success) {
+      showNotification(result.message, "success");
+      authService.updateNavigation();
+      this.renderSavedSearches();
+    } else {
+      showNotification(result.message, "error");
+    }
+  }
+
+  /**
+   * Re-render listings, favorites and saved searches changed in another tab
+   * @param {Array} topics - Topics that changed
+   */
+  async syncChanges(topics) {
+    // Favorites are reloaded the next time they're rendered
+    if (topics.includes("favorites")) {
+      this.favorites = null;
+    }
+
+    if (topics.includes("listings") || topics.includes("favorites")) {
+      if (document.getElementById("listings-container")) {
+        this.applyFilters();
+        this.renderFavorites();
+      }
+
+      const featuredListingsContainer = document.getElementById(
+        "featured-listings-container"
+      );
+      if (featuredListingsContainer) {
+        this.renderListings(featuredListingsContainer, {
+          limit: 3,
+          filters: { sortBy: "discount" },
+        });
+      }
+    }
+
+    if (topics.includes("saved-searches")) {
+      this.renderSavedSearches();
+    }
+  }
+
+  /**
+   * Resize a photo and upload it
+   * @param {File} file - Image file
+   * @returns {Promise<Object>} Result object with success flag and
+   *                            message/imageId
+   */
+  async uploadImage(file) {
+    let sizes;
+
+    try {
+      sizes = await resizeImage(file);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    return apiService.uploadListingImage(sizes);
+  }
+
+  /**
+   * Read the price drops from a listing form
+   * @param {FormData} formData - Listing form data
+   * @returns {Array|null} Markdown schedule, or null if a row is half filled in
+   */
+  getMarkdownScheduleFromForm(formData) {
+    const percents = formData.getAll("markdownPercent");
+    const hours = formData.getAll("markdownHours");
+    const schedule = [];
+
+    for (let i = 0; i < percents.length; i++) {
+      if (percents[i] === "" && hours[i] === "") continue;
+      if (percents[i] === "" || hours[i] === "") return null;
+
+      schedule.push({
+        hoursBeforeExpiry: parseFloat(hours[i]),
+        percentOff: parseFloat(percents[i]),
+      });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Render the note about a listing's next price drop
+   * @param {Object} listing - Listing with nextPriceDrop
+   * @returns {string} Note HTML
+   */
+  renderNextPriceDrop(listing) {
+    return `
+            <p class="next-price-drop">
+                <i class="fas fa-arrow-down"></i> Drops to ${formatPrice(
+                  listing.nextPriceDrop.price
+                )} ${formatTimeUntil(listing.nextPriceDrop.at)}
+            </p>
+        `;
+  }
+
   /**
    * Delete a listing
    * @param {string} listingId - ID of listing to delete
@@ -879,6 +2026,9 @@ class ListingService {
                                 <button class="edit" data-id="${
                                   listing.id
                                 }"><i class="fas fa-edit"></i></button>
+                                <button class="template" data-id="${
+                                  listing.id
+                                }" title="Repeat as template"><i class="fas fa-redo"></i></button>
                                 <button class="delete" data-id="${
                                   listing.id
                                 }"><i class="fas fa-trash-alt"></i></button>
@@ -925,6 +2075,170 @@ class ListingService {
     }
   }
 
+  /**
+   * Read an import file and show each row with its validation result
+   * @param {File} file - CSV or JSON file
+   */
+  async previewImportFile(file) {
+    const preview = document.getElementById("import-preview");
+    const importBtn = document.getElementById("import-listings-confirm");
+    if (!preview || !importBtn) return;
+
+    this.importRows = [];
+    importBtn.disabled = true;
+
+    if (!file) {
+      preview.innerHTML = "";
+      return;
+    }
+
+    let records;
+
+    try {
+      records = parseListingFile(await file.text(), file.name);
+    } catch (error) {
+      preview.innerHTML = `
+                <p class="import-error">
+                    <i class="fas fa-exclamation-circle"></i> ${error.message}
+                </p>
+            `;
+      return;
+    }
+
+    // Empty pickup addresses default to the business address, as in the form
+    const currentUser = authService.getCurrentUser();
+    const rows = records.map((record) => {
+      const listingData = toListingData(record, {
+        pickupAddress: currentUser ? currentUser.businessAddress : undefined,
+      });
+      return { listingData, errors: validateListingData(listingData) };
+    });
+    const invalidCount = rows.filter((row) => row.errors.length > 0).length;
+
+    preview.innerHTML = `
+            <p class="import-summary ${invalidCount > 0 ? "has-errors" : ""}">
+                ${
+                  invalidCount > 0
+                    ? `${invalidCount} of ${rows.length} rows have errors. Fix them and choose the file again.`
+                    : `${rows.length} listing${
+                        rows.length === 1 ? "" : "s"
+                      } ready to import.`
+                }
+            </p>
+            <div class="listings-table-container">
+                <table class="listings-table import-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Food Item</th>
+                            <th>Price</th>
+                            <th>Quantity</th>
+                            <th>Expiry Date</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows
+                          .map(
+                            ({ listingData, errors }, i) => `
+                            <tr class="${
+                              errors.length > 0 ? "import-invalid" : ""
+                            }">
+                                <td>${i + 1}</td>
+                                <td>${listingData.foodName || "-"}</td>
+                                <td>${
+                                  isNaN(listingData.discountedPrice)
+                                    ? "-"
+                                    : formatPrice(listingData.discountedPrice)
+                                }</td>
+                                <td>${
+                                  isNaN(listingData.quantity)
+                                    ? "-"
+                                    : listingData.quantity
+                                }</td>
+                                <td>${
+                                  isNaN(new Date(listingData.expiryDate))
+                                    ? "-"
+                                    : formatDate(listingData.expiryDate, true)
+                                }</td>
+                                <td>${
+                                  errors.length > 0
+                                    ? errors.join("<br>")
+                                    : '<i class="fas fa-check"></i> Ready'
+                                }</td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+    if (invalidCount === 0) {
+      this.importRows = rows.map((row) => row.listingData);
+      importBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Import the previewed listings
+   * @returns {Promise<boolean>} Success status
+   */
+  async importListings() {
+    if (this.importRows.length === 0) return false;
+
+    try {
+      const result = await apiService.importListings(this.importRows);
+
+      if (!result.success) {
+        showNotification(result.message, "error");
+        return false;
+      }
+
+      showNotification(result.message, "success");
+      this.importRows = [];
+      return true;
+    } catch (error) {
+      console.error("Error importing listings:", error);
+      showNotification("Error importing listings", "error");
+      return false;
+    }
+  }
+
+  /**
+   * Download the current business's listings as a CSV file
+   */
+  async exportBusinessListings() {
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+      const listings = await apiService.getListings({
+        businessId: currentUser.id,
+      });
+
+      if (listings.length === 0) {
+        showNotification("You don't have any listings to export", "info");
+        return;
+      }
+
+      const blob = new Blob([listingsToCsv(listings)], {
+        type: "text/csv;charset=utf-8",
+      });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `savebite-listings-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error("Error exporting listings:", error);
+      showNotification("Error exporting listings", "error");
+    }
+  }
+
   /**
    * Show edit listing modal
    * @param {string} listingId - ID of listing to edit
@@ -983,16 +2297,38 @@ const listingService = new ListingService();
 
 // Set up listings page if on that page
 document.addEventListener("DOMContentLoaded", () => {
+  // Dietary tag and allergen checkboxes on listing forms and filters
+  listingService.renderDietaryOptions();
+
   // Initialize listing functionality
   const listingsContainer = document.getElementById("listings-container");
   if (listingsContainer) {
-    // Set up filters
+    // Set up filters and the grid/map toggle
     listingService.setupFilters();
+    listingService.setupDietaryFilters();
+    listingService.setupViewToggle();
 
-    // Render listings
+    // Render listings and their facet counts
     listingService.renderListings(listingsContainer);
+    listingService.renderFacets();
+
+    // Customers' favorites and saved searches
+    listingService.renderFavorites();
+    listingService.renderSavedSearches(true);
+
+    const saveSearchBtn = document.getElementById("save-search-btn");
+    if (saveSearchBtn) {
+      saveSearchBtn.addEventListener("click", () => {
+        listingService.saveCurrentSearch();
+      });
+    }
   }
 
+  // Keep listings up to date with changes made in other tabs
+  tabSync.subscribe(["listings", "favorites", "saved-searches"], (topics) =>
+    listingService.syncChanges(topics)
+  );
+
   // Initialize featured listings on home page
   const featuredListingsContainer = document.getElementById(
     "featured-listings-container"
@@ -1117,6 +2453,51 @@ document.addEventListener("DOMContentLoaded", () => {
       }
     });
   }
+
+  // Set up listing export
+  const exportListingsBtn = document.getElementById("export-listings-btn");
+  if (exportListingsBtn) {
+    exportListingsBtn.addEventListener("click", () => {
+      listingService.exportBusinessListings();
+    });
+  }
+
+  // Set up listing import
+  const importModal = document.getElementById("import-listings-modal");
+  const importFileInput = document.getElementById("import-file");
+  const importListingsBtn = document.getElementById("import-listings-btn");
+  const confirmImportBtn = document.getElementById("import-listings-confirm");
+  if (importModal && importFileInput && importListingsBtn && confirmImportBtn) {
+    importListingsBtn.addEventListener("click", () => {
+      // Start with an empty preview
+      importFileInput.value = "";
+      listingService.previewImportFile(null);
+      openModal(importModal);
+    });
+
+    importFileInput.addEventListener("change", () => {
+      listingService.previewImportFile(importFileInput.files[0]);
+    });
+
+    confirmImportBtn.addEventListener("click", async () => {
+      confirmImportBtn.disabled = true;
+      const success = await listingService.importListings();
+
+      if (success) {
+        closeModal(importModal);
+
+        // Update business listings table
+        const listingsTableBody = document.getElementById(
+          "listings-table-body"
+        );
+        if (listingsTableBody) {
+          listingService.renderBusinessListings(listingsTableBody);
+        }
+      } else {
+        confirmImportBtn.disabled = false;
+      }
+    });
+  }
 });
 
 export default listingService;
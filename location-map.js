@@ -0,0 +1,383 @@
+/**
+ * Location map for SaveBite application
+ *
+ * A small slippy map (Web Mercator, 256px tiles) with markers, panning and
+ * zooming. Tiles load from OpenStreetMap; when they can't (e.g. offline) the
+ * map keeps working over a plain grid labelled with the places from the
+ * built-in geocoding table, so points can still be picked and markers still
+ * show.
+ */
+import { GEOCODING_TABLE } from "./geo.js";
+
+const TILE_SIZE = 256;
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 18;
+
+// Raster tile source
+const TILE_URL = "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const TILE_ATTRIBUTION = "&copy; OpenStreetMap contributors";
+
+// Pointer movement (in pixels) below which a drag counts as a click
+const CLICK_TOLERANCE = 4;
+
+// Space (in pixels) kept around locations when fitting them in view
+const FIT_PADDING = 40;
+
+/**
+ * Convert a location to world pixel coordinates
+ * @param {Object} location - Location with lat and lng
+ * @param {number} zoom - Zoom level
+ * @returns {Object} Object with x and y
+ */
+function project(location, zoom) {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const lat = Math.max(-85.0511, Math.min(85.0511, location.lat));
+  const sin = Math.sin((lat * Math.PI) / 180);
+
+  return {
+    x: ((location.lng + 180) / 360) * worldSize,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * worldSize,
+  };
+}
+
+/**
+ * Convert world pixel coordinates to a location
+ * @param {Object} point - Object with x and y
+ * @param {number} zoom - Zoom level
+ * @returns {Object} Location with lat and lng
+ */
+function unproject(point, zoom) {
+  const worldSize = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * point.y) / worldSize;
+
+  return {
+    lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    // Wrap around the date line
+    lng: (((((point.x / worldSize) * 360) % 360) + 360) % 360) - 180,
+  };
+}
+
+/**
+ * Group locations that would overlap on the map at a zoom level
+ * @param {Array} points - Objects with lat and lng
+ * @param {number} zoom - Zoom level
+ * @param {number} radius - Distance (in pixels) within which points join a
+ *                          cluster
+ * @returns {Array} Clusters with lat and lng (the average of their points)
+ *                  and points
+ */
+function clusterPoints(points, zoom, radius = 40) {
+  const clusters = [];
+
+  points.forEach((point) => {
+    const position = project(point, zoom);
+    const cluster = clusters.find(
+      ({ x, y }) => Math.hypot(x - position.x, y - position.y) <= radius
+    );
+
+    if (cluster) {
+      cluster.points.push(point);
+      // Keep the cluster centered on its points
+      cluster.x += (position.x - cluster.x) / cluster.points.length;
+      cluster.y += (position.y - cluster.y) / cluster.points.length;
+    } else {
+      clusters.push({ ...position, points: [point] });
+    }
+  });
+
+  return clusters.map(({ x, y, points }) => ({
+    ...unproject({ x, y }, zoom),
+    points,
+  }));
+}
+
+class LocationMap {
+  /**
+   * @param {HTMLElement} container - Element to draw the map in
+   * @param {Object} options - Options
+   * @param {Object} options.center - Location to center on
+   * @param {number} options.zoom - Zoom level
+   * @param {Function} options.onClick - Called with the clicked location
+   * @param {Function} options.onViewChange - Called after panning or zooming
+   */
+  constructor(
+    container,
+    {
+      center = { lat: 0, lng: 0 },
+      zoom = 13,
+      onClick = null,
+      onViewChange = null,
+    } = {}
+  ) {
+    this.container = container;
+    this.center = center;
+    this.zoom = zoom;
+    this.onClick = onClick;
+    this.onViewChange = onViewChange;
+    this.markers = [];
+
+    this.render();
+  }
+
+  /**
+   * Build the map's elements and wire up panning and zooming
+   */
+  render() {
+    this.container.classList.add("location-map");
+    this.container.innerHTML = `
+            <div class="location-map-tiles"></div>
+            <div class="location-map-labels"></div>
+            <div class="location-map-markers"></div>
+            <div class="location-map-zoom">
+                <button type="button" data-zoom="1" aria-label="Zoom in">+</button>
+                <button type="button" data-zoom="-1" aria-label="Zoom out">&minus;</button>
+            </div>
+            <div class="location-map-attribution">${TILE_ATTRIBUTION}</div>
+        `;
+
+    this.tilesLayer = this.container.querySelector(".location-map-tiles");
+    this.labelsLayer = this.container.querySelector(".location-map-labels");
+    this.markersLayer = this.container.querySelector(".location-map-markers");
+
+    this.container.querySelectorAll("[data-zoom]").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.setView(this.center, this.zoom + Number(button.dataset.zoom));
+      });
+    });
+
+    // Pan by dragging; a press that barely moves is a click
+    let drag = null;
+
+    this.container.addEventListener("pointerdown", (e) => {
+      if (e.target.closest("button, .location-map-marker")) return;
+
+      drag = {
+        startX: e.clientX,
+        startY: e.clientY,
+        origin: project(this.center, this.zoom),
+        moved: false,
+      };
+      this.container.setPointerCapture(e.pointerId);
+    });
+
+    this.container.addEventListener("pointermove", (e) => {
+      if (!drag) return;
+
+      const dx = e.clientX - drag.startX;
+      const dy = e.clientY - drag.startY;
+
+      if (Math.abs(dx) > CLICK_TOLERANCE || Math.abs(dy) > CLICK_TOLERANCE) {
+        drag.moved = true;
+      }
+
+      if (drag.moved) {
+        this.center = unproject(
+          { x: drag.origin.x - dx, y: drag.origin.y - dy },
+          this.zoom
+        );
+        this.redraw();
+      }
+    });
+
+    this.container.addEventListener("pointerup", (e) => {
+      if (!drag) return;
+
+      const { moved } = drag;
+      drag = null;
+
+      if (moved) {
+        if (this.onViewChange) this.onViewChange(this);
+      } else if (this.onClick) {
+        this.onClick(this.getLocationAt(e.clientX, e.clientY));
+      }
+    });
+
+    // Zoom with the mouse wheel
+    this.container.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        this.setView(this.center, this.zoom + (e.deltaY < 0 ? 1 : -1));
+      },
+      { passive: false }
+    );
+  }
+
+  /**
+   * Center the map on a location
+   * @param {Object} center - Location with lat and lng
+   * @param {number} zoom - Zoom level (defaults to the current zoom)
+   */
+  setView(center, zoom = this.zoom) {
+    this.center = { lat: center.lat, lng: center.lng };
+    this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, Math.round(zoom)));
+    this.redraw();
+
+    if (this.onViewChange) this.onViewChange(this);
+  }
+
+  /**
+   * Center and zoom the map so all locations are in view
+   * @param {Array} locations - Objects with lat and lng
+   * @param {number} maxZoom - Closest zoom to use (e.g. for one location)
+   */
+  fitLocations(locations, maxZoom = 15) {
+    if (locations.length === 0) return;
+
+    const width = Math.max(0, this.container.clientWidth - 2 * FIT_PADDING);
+    const height = Math.max(0, this.container.clientHeight - 2 * FIT_PADDING);
+    let zoom = maxZoom;
+    let bounds;
+
+    // Zoom out until the locations fit
+    for (; zoom >= MIN_ZOOM; zoom--) {
+      const points = locations.map((location) => project(location, zoom));
+      const xs = points.map((point) => point.x);
+      const ys = points.map((point) => point.y);
+
+      bounds = {
+        minX: Math.min(...xs),
+        maxX: Math.max(...xs),
+        minY: Math.min(...ys),
+        maxY: Math.max(...ys),
+      };
+
+      if (
+        zoom === MIN_ZOOM ||
+        (bounds.maxX - bounds.minX <= width &&
+          bounds.maxY - bounds.minY <= height)
+      ) {
+        break;
+      }
+    }
+
+    this.setView(
+      unproject(
+        {
+          x: (bounds.minX + bounds.maxX) / 2,
+          y: (bounds.minY + bounds.maxY) / 2,
+        },
+        zoom
+      ),
+      zoom
+    );
+  }
+
+  /**
+   * Replace the map's markers
+   * @param {Array} markers - Markers with lat, lng and optional html, title,
+   *                          className and onClick
+   */
+  setMarkers(markers) {
+    this.markers = markers;
+    this.redrawMarkers();
+  }
+
+  /**
+   * Get the world pixel at the map's top-left corner
+   * @returns {Object} Object with x and y
+   */
+  getOrigin() {
+    const center = project(this.center, this.zoom);
+
+    return {
+      x: center.x - this.container.clientWidth / 2,
+      y: center.y - this.container.clientHeight / 2,
+    };
+  }
+
+  /**
+   * Get the location under a point on the screen
+   * @param {number} clientX - Horizontal position in the viewport
+   * @param {number} clientY - Vertical position in the viewport
+   * @returns {Object} Location with lat and lng
+   */
+  getLocationAt(clientX, clientY) {
+    const rect = this.container.getBoundingClientRect();
+    const origin = this.getOrigin();
+
+    return unproject(
+      { x: origin.x + clientX - rect.left, y: origin.y + clientY - rect.top },
+      this.zoom
+    );
+  }
+
+  /**
+   * Redraw tiles and markers for the current view
+   */
+  redraw() {
+    const origin = this.getOrigin();
+    const tileCount = 2 ** this.zoom;
+    const firstX = Math.floor(origin.x / TILE_SIZE);
+    const firstY = Math.floor(origin.y / TILE_SIZE);
+    const lastX = Math.floor(
+      (origin.x + this.container.clientWidth) / TILE_SIZE
+    );
+    const lastY = Math.floor(
+      (origin.y + this.container.clientHeight) / TILE_SIZE
+    );
+
+    let tilesHTML = "";
+
+    for (let x = firstX; x <= lastX; x++) {
+      for (
+        let y = Math.max(0, firstY);
+        y <= Math.min(tileCount - 1, lastY);
+        y++
+      ) {
+        // Wrap around the date line
+        const tileX = ((x % tileCount) + tileCount) % tileCount;
+        const url = TILE_URL.replace("{z}", this.zoom)
+          .replace("{x}", tileX)
+          .replace("{y}", y);
+
+        // Tiles that fail to load are hidden, leaving the grid and place
+        // labels behind them
+        tilesHTML += `<img src="${url}" alt="" draggable="false" style="left: ${
+          x * TILE_SIZE - origin.x
+        }px; top: ${
+          y * TILE_SIZE - origin.y
+        }px" onerror="this.style.visibility='hidden';this.closest('.location-map').classList.add('location-map-offline')">`;
+      }
+    }
+
+    this.container.classList.remove("location-map-offline");
+    this.tilesLayer.innerHTML = tilesHTML;
+    this.labelsLayer.innerHTML = GEOCODING_TABLE.map((place) => {
+      const point = project(place, this.zoom);
+      return `<span style="left: ${point.x - origin.x}px; top: ${
+        point.y - origin.y
+      }px">${place.place}</span>`;
+    }).join("");
+    this.container.style.backgroundPosition = `${-origin.x}px ${-origin.y}px`;
+    this.redrawMarkers();
+  }
+
+  /**
+   * Position the markers for the current view
+   */
+  redrawMarkers() {
+    const origin = this.getOrigin();
+    this.markersLayer.innerHTML = "";
+
+    this.markers.forEach((marker) => {
+      const point = project(marker, this.zoom);
+      const element = document.createElement("div");
+
+      element.className = `location-map-marker ${marker.className || ""}`;
+      element.style.left = `${point.x - origin.x}px`;
+      element.style.top = `${point.y - origin.y}px`;
+      element.innerHTML =
+        marker.html || '<i class="fas fa-map-marker-alt"></i>';
+      if (marker.title) element.title = marker.title;
+
+      if (marker.onClick) {
+        element.addEventListener("click", () => marker.onClick(marker));
+      }
+
+      this.markersLayer.appendChild(element);
+    });
+  }
+}
+
+export { LocationMap, project, unproject, clusterPoints };
@@ -0,0 +1,144 @@
+/**
+ * Markdown schedules for SaveBite application
+ *
+ * A listing sells at its discountedPrice until the first step of its
+ * markdown schedule, then gets cheaper as it nears expiry, e.g. 60% off with
+ * 6 hours left and 80% off with 2 hours left. Percentages are off the
+ * original price. The effective price is worked out whenever listings are
+ * read, so carts pick up the current price at checkout.
+ */
+import { roundCurrency } from "./pricing.js";
+
+// Most price drops a listing can have
+const MAX_MARKDOWN_STEPS = 3;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Sort a markdown schedule so the earliest price drop comes first
+ * @param {Array} schedule - Steps with hoursBeforeExpiry and percentOff
+ * @returns {Array} Sorted copy of the schedule
+ */
+function sortMarkdownSchedule(schedule = []) {
+  return [...(schedule || [])].sort(
+    (a, b) => b.hoursBeforeExpiry - a.hoursBeforeExpiry
+  );
+}
+
+/**
+ * Check a listing's markdown schedule before it's saved
+ * @param {Array} schedule - Steps with hoursBeforeExpiry and percentOff
+ * @param {Object} listing - Listing with originalPrice and discountedPrice
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validateMarkdownSchedule(schedule, listing) {
+  const errors = [];
+
+  if (!Array.isArray(schedule)) {
+    return ["Price drops must be a list"];
+  }
+
+  if (schedule.length > MAX_MARKDOWN_STEPS) {
+    errors.push(`A listing can have at most ${MAX_MARKDOWN_STEPS} price drops`);
+  }
+
+  schedule.forEach((step) => {
+    const { hoursBeforeExpiry, percentOff } = step || {};
+
+    if (
+      typeof hoursBeforeExpiry !== "number" ||
+      isNaN(hoursBeforeExpiry) ||
+      hoursBeforeExpiry <= 0
+    ) {
+      errors.push("Price drop times must be a positive number of hours");
+    }
+
+    if (
+      typeof percentOff !== "number" ||
+      isNaN(percentOff) ||
+      percentOff <= 0 ||
+      percentOff >= 100
+    ) {
+      errors.push("Price drop percentages must be between 0% and 100%");
+    }
+  });
+
+  if (errors.length > 0) return errors;
+
+  // Each drop has to be deeper than the one before it
+  const sorted = sortMarkdownSchedule(schedule);
+
+  sorted.forEach((step, i) => {
+    const previous = sorted[i - 1];
+    if (!previous) return;
+
+    if (step.hoursBeforeExpiry === previous.hoursBeforeExpiry) {
+      errors.push("Price drops must be at different times");
+    } else if (step.percentOff <= previous.percentOff) {
+      errors.push("Each price drop must be deeper than the one before it");
+    }
+  });
+
+  if (
+    sorted.length > 0 &&
+    getMarkdownPrice(listing, sorted[0].percentOff) >= listing.discountedPrice
+  ) {
+    errors.push(
+      "The first price drop must be cheaper than the discounted price"
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Get a listing's price at a percentage off its original price
+ * @param {Object} listing - Listing with originalPrice
+ * @param {number} percentOff - Percentage off
+ * @returns {number} Price
+ */
+function getMarkdownPrice(listing, percentOff) {
+  return roundCurrency(listing.originalPrice * (1 - percentOff / 100));
+}
+
+/**
+ * Work out what a listing sells for right now
+ * @param {Object} listing - Listing with discountedPrice, expiryDate and
+ *                           optional markdownSchedule
+ * @param {Date} now - Current time (for testing)
+ * @returns {Object} Object with price and nextDrop (at, price and
+ *                   percentOff of the next price drop, or null)
+ */
+function getEffectivePrice(listing, now = new Date()) {
+  const expiry = new Date(listing.expiryDate).getTime();
+  let price = listing.discountedPrice;
+  let nextDrop = null;
+
+  for (const step of sortMarkdownSchedule(listing.markdownSchedule)) {
+    const at = expiry - step.hoursBeforeExpiry * HOUR;
+    const stepPrice = Math.min(
+      listing.discountedPrice,
+      getMarkdownPrice(listing, step.percentOff)
+    );
+
+    if (now.getTime() >= at) {
+      price = stepPrice;
+    } else {
+      nextDrop = {
+        at: new Date(at).toISOString(),
+        price: stepPrice,
+        percentOff: step.percentOff,
+      };
+      break;
+    }
+  }
+
+  return { price, nextDrop };
+}
+
+export {
+  MAX_MARKDOWN_STEPS,
+  sortMarkdownSchedule,
+  validateMarkdownSchedule,
+  getEffectivePrice,
+};
@@ -0,0 +1,238 @@
+/**
+ * Notification center for SaveBite application
+ *
+ * The bell in the header opens a panel listing the user's stored
+ * notifications, where they can be marked as read or cleared.
+ */
+import apiService from "./api.js";
+import authService from "./auth.js";
+import { NOTIFICATION_ICONS } from "./notifications.js";
+import tabSync from "./sync.js";
+import { escapeHtml, formatRelativeTime, showNotification } from "./utils.js";
+
+/**
+ * NotificationCenter class for the header notification panel
+ */
+class NotificationCenter {
+  constructor() {
+    this.notifications = [];
+  }
+
+  /**
+   * Set up the bell and panel if the page has them
+   */
+  init() {
+    this.bell = document.getElementById("notification-bell");
+    this.panel = document.getElementById("notification-panel");
+
+    if (!this.bell || !this.panel || !authService.getSession()) return;
+
+    this.bell.addEventListener("click", (e) => {
+      e.stopPropagation();
+
+      if (this.panel.classList.contains("show")) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    // Close the panel when clicking outside it
+    document.addEventListener("click", (e) => {
+      if (
+        this.panel.classList.contains("show") &&
+        !this.panel.contains(e.target)
+      ) {
+        this.close();
+      }
+    });
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") this.close();
+    });
+
+    // Show notifications that arrive or are read in other tabs
+    tabSync.subscribe("notifications", () => {
+      if (this.panel.classList.contains("show")) this.refresh();
+    });
+  }
+
+  /**
+   * Open the panel and load the latest notifications
+   */
+  async open() {
+    this.panel.classList.add("show");
+    this.bell.setAttribute("aria-expanded", "true");
+
+    this.panel.innerHTML = `
+            <div class="loading-spinner">
+                <i class="fas fa-spinner fa-spin"></i>
+            </div>
+        `;
+
+    await this.refresh();
+  }
+
+  /**
+   * Close the panel
+   */
+  close() {
+    if (!this.panel) return;
+
+    this.panel.classList.remove("show");
+    this.bell.setAttribute("aria-expanded", "false");
+  }
+
+  /**
+   * Reload notifications and redraw the panel and unread count
+   */
+  async refresh() {
+    const result = await apiService.getNotifications();
+
+    if (!result.success) {
+      this.panel.innerHTML = `<p class="notification-empty">${result.message}</p>`;
+      return;
+    }
+
+    this.notifications = result.notifications;
+    this.render();
+    authService.updateNavigation();
+  }
+
+  /**
+   * Draw the panel's notifications and actions
+   */
+  render() {
+    const hasUnread = this.notifications.some(
+      (notification) => !notification.read
+    );
+
+    this.panel.innerHTML = `
+            <div class="notification-panel-header">
+                <h3>Notifications</h3>
+                <div class="notification-panel-actions">
+                    <button type="button" id="mark-notifications-read"${
+                      hasUnread ? "" : " disabled"
+                    }>Mark all read</button>
+                    <button type="button" id="clear-notifications"${
+                      this.notifications.length > 0 ? "" : " disabled"
+                    }>Clear all</button>
+                </div>
+            </div>
+            ${
+              this.notifications.length === 0
+                ? `
+                <p class="notification-empty">
+                    <i class="fas fa-bell-slash"></i> You're all caught up
+                </p>
+            `
+                : `
+                <ul class="notification-list">
+                    ${this.notifications
+                      .map(
+                        (notification) => `
+                        <li class="notification-item${
+                          notification.read ? "" : " unread"
+                        }" data-id="${notification.id}">
+                            <i class="fas ${
+                              NOTIFICATION_ICONS[notification.type] || "fa-bell"
+                            } notification-icon"></i>
+                            <div class="notification-body">
+                                <strong>${escapeHtml(
+                                  notification.title
+                                )}</strong>
+                                <p>${escapeHtml(notification.message)}</p>
+                                <small>${formatRelativeTime(
+                                  notification.createdAt
+                                )}</small>
+                            </div>
+                            <button type="button" class="notification-dismiss" data-id="${
+                              notification.id
+                            }" aria-label="Clear notification">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        </li>
+                    `
+                      )
+                      .join("")}
+                </ul>
+            `
+            }
+        `;
+
+    const markReadBtn = document.getElementById("mark-notifications-read");
+    if (markReadBtn) {
+      markReadBtn.addEventListener("click", () => this.markRead());
+    }
+
+    const clearBtn = document.getElementById("clear-notifications");
+    if (clearBtn) {
+      clearBtn.addEventListener("click", () => this.clear());
+    }
+
+    // Opening a notification marks it as read and follows its link
+    this.panel.querySelectorAll(".notification-item").forEach((item) => {
+      item.addEventListener("click", async () => {
+        const notification = this.notifications.find(
+          (notification) => notification.id === item.dataset.id
+        );
+        if (!notification) return;
+
+        if (!notification.read) {
+          await this.markRead([notification.id]);
+        }
+
+        if (notification.link) {
+          window.location.href = notification.link;
+        }
+      });
+    });
+
+    this.panel.querySelectorAll(".notification-dismiss").forEach((button) => {
+      button.addEventListener("click", (e) => {
+        e.stopPropagation(); // Don't open the notification
+        this.clear([button.dataset.id]);
+      });
+    });
+  }
+
+  /**
+   * Mark notifications as read
+   * @param {Array} ids - Notification IDs (all of them if not given)
+   */
+  async markRead(ids = null) {
+    const result = await apiService.markNotificationsRead(ids);
+
+    if (result.success) {
+      await this.refresh();
+    } else {
+      showNotification(result.message, "error");
+    }
+  }
+
+  /**
+   * Delete notifications
+   * @param {Array} ids - Notification IDs (all of them if not given)
+   */
+  async clear(ids = null) {
+    const result = await apiService.clearNotifications(ids);
+
+    if (result.success) {
+      await this.refresh();
+    } else {
+      showNotification(result.message, "error");
+    }
+  }
+}
+
+// Create notification center instance
+const notificationCenter = new NotificationCenter();
+
+// Set up the bell when the page loads
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", () => {
+    notificationCenter.init();
+  });
+}
+
+export default notificationCenter;
@@ -0,0 +1,125 @@
+/**
+ * In-app notifications for SaveBite application
+ *
+ * Notifications are stored per user, so a business that was away from the
+ * screen still finds its new orders under the bell in the header. This file
+ * builds the notification for each event; ApiService stores them.
+ */
+import { getOrderStatusLabel } from "./order-status.js";
+import { formatPrice } from "./utils.js";
+
+// Icon shown for each kind of notification
+const NOTIFICATION_ICONS = {
+  "new-order": "fa-receipt",
+  "order-status": "fa-clipboard-check",
+  "listing-expiring": "fa-hourglass-half",
+  "account-status": "fa-user-shield",
+};
+
+// Most notifications kept per user; older ones are dropped
+const MAX_NOTIFICATIONS = 50;
+
+// How long before a listing expires its business is warned
+const EXPIRY_WARNING_TIME = 2 * 60 * 60 * 1000; // 2 hours
+
+/**
+ * Build the notification a business gets for a new order
+ * @param {Object} order - New order
+ * @returns {Object} Notification with type, title, message and link
+ */
+function newOrderNotification(order) {
+  const customer = order.customerName || order.userName;
+  const itemCount = order.items.reduce(
+    (total, item) => total + item.quantity,
+    0
+  );
+
+  return {
+    type: "new-order",
+    title: "New order",
+    message: `${customer} ordered ${itemCount} item${
+      itemCount === 1 ? "" : "s"
+    } (${formatPrice(order.total)})`,
+    link: "dashboard.html#orders",
+  };
+}
+
+/**
+ * Build the notification for an order's status change
+ * @param {Object} order - Updated order
+ * @param {string} audience - Who it's for ('customer' or 'business')
+ * @returns {Object} Notification with type, title, message and link
+ */
+function orderStatusNotification(order, audience) {
+  const orderNumber = order.id.substring(0, 8).toUpperCase();
+  const customer = order.customerName || order.userName;
+  const status = getOrderStatusLabel(order.status).toLowerCase();
+  const messages = {
+    confirmed: `${order.businessName} confirmed your order`,
+    "ready-for-pickup": `Your order from ${order.businessName} is ready for pickup`,
+    "picked-up": `Your order from ${order.businessName} was picked up`,
+    "no-show": `Your order from ${order.businessName} wasn't picked up`,
+    cancelled: `Your order from ${order.businessName} was cancelled`,
+  };
+
+  return {
+    type: "order-status",
+    title: `Order #${orderNumber}: ${getOrderStatusLabel(order.status)}`,
+    message:
+      audience === "business"
+        ? `${customer}'s order is now ${status}`
+        : messages[order.status] || `Your order is now ${status}`,
+    link: audience === "business" ? "dashboard.html#orders" : "orders.html",
+  };
+}
+
+/**
+ * Build the notification a business gets when a listing is about to expire
+ * @param {Object} listing - Listing
+ * @returns {Object} Notification with type, title, message and link
+ */
+function expiringListingNotification(listing) {
+  return {
+    type: "listing-expiring",
+    title: "Listing expiring soon",
+    message: `${listing.foodName} expires at ${new Date(
+      listing.expiryDate
+    ).toLocaleTimeString([], {
+      hour: "2-digit",
+      minute: "2-digit",
+    })} with ${listing.quantity} left`,
+    link: "dashboard.html#listings",
+  };
+}
+
+/**
+ * Build the notification for a user whose account was blocked or unblocked
+ * @param {string} status - New account status
+ * @returns {Object} Notification with type, title, message and link
+ */
+function accountStatusNotification(status) {
+  return status === "blocked"
+    ? {
+        type: "account-status",
+        title: "Account blocked",
+        message:
+          "An administrator blocked your account. Please contact support if you think this is a mistake",
+        link: null,
+      }
+    : {
+        type: "account-status",
+        title: "Account reactivated",
+        message: "Your account is active again",
+        link: null,
+      };
+}
+
+export {
+  NOTIFICATION_ICONS,
+  MAX_NOTIFICATIONS,
+  EXPIRY_WARNING_TIME,
+  newOrderNotification,
+  orderStatusNotification,
+  expiringListingNotification,
+  accountStatusNotification,
+};
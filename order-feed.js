@@ -0,0 +1,138 @@
+/**
+ * Live order feed for SaveBite application
+ *
+ * Stands in for a server-sent events stream of orders. A feed remembers the
+ * orders it last saw and, whenever it's told something changed (or on a
+ * timer, when all it can do is poll a server), sends an event for each order
+ * that is new or has changed since.
+ */
+
+// How often ApiClient's feeds poll the server
+const ORDER_POLL_INTERVAL = 15 * 1000; // 15 seconds
+
+/**
+ * Get what has to differ for an order to count as updated
+ * @param {Object} order - Order
+ * @returns {string} Version of the order
+ */
+function getOrderVersion(order) {
+  return `${order.status}|${order.updatedAt || order.createdAt}`;
+}
+
+/**
+ * Log an error thrown while sending order events
+ * @param {Error} error - Error
+ */
+function reportFeedError(error) {
+  console.error("Error sending order updates:", error);
+}
+
+/**
+ * OrderFeed class pushing new and updated orders to a listener
+ */
+class OrderFeed {
+  /**
+   * @param {Function} loadOrders - Returns a promise of the orders to watch
+   * @param {Function} listener - Called with { type, order } where type is
+   *                              'created' or 'updated'
+   * @param {Object} options - Feed options
+   * @param {number} options.pollInterval - Milliseconds between checks
+   *                                        (0 to check only on refresh)
+   */
+  constructor(loadOrders, listener, { pollInterval = 0 } = {}) {
+    this.loadOrders = loadOrders;
+    this.listener = listener;
+    this.pollInterval = pollInterval;
+    this.versions = new Map();
+    this.checks = Promise.resolve();
+    this.timer = null;
+    this.closed = false;
+  }
+
+  /**
+   * Read the current orders; only changes after this are sent
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const orders = await this.loadOrders();
+    orders.forEach((order) =>
+      this.versions.set(order.id, getOrderVersion(order))
+    );
+
+    if (this.pollInterval > 0) {
+      this.timer = setInterval(
+        () => this.refresh().catch(reportFeedError),
+        this.pollInterval
+      );
+    }
+  }
+
+  /**
+   * Check for new and updated orders
+   * @returns {Promise<void>} Resolves once the check (and any before it) ran;
+   *                          rejects if the listener threw
+   */
+  refresh() {
+    // Checks run one at a time so no change is sent twice
+    const check = this.checks.then(() => this.check());
+
+    // A failed check mustn't stop the ones after it
+    this.checks = check.catch(() => {});
+    return check;
+  }
+
+  /**
+   * Send an event for every order that changed since the last check
+   * @returns {Promise<void>} Rejects with the first listener error, once
+   *                          every event was sent
+   */
+  async check() {
+    if (this.closed) return;
+
+    let orders;
+    try {
+      orders = await this.loadOrders();
+    } catch (error) {
+      console.error("Error checking for new orders:", error);
+      return;
+    }
+
+    if (this.closed || !Array.isArray(orders)) return;
+
+    // Oldest first, so listeners get changes in the order they happened
+    const events = [];
+    [...orders]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach((order) => {
+        const version = getOrderVersion(order);
+        const previous = this.versions.get(order.id);
+
+        if (previous === version) return;
+
+        this.versions.set(order.id, version);
+        events.push({ type: previous ? "updated" : "created", order });
+      });
+
+    // One failing event mustn't keep the rest of the batch from the listener
+    let listenerError = null;
+    events.forEach((event) => {
+      try {
+        this.listener(event);
+      } catch (error) {
+        listenerError = listenerError || error;
+      }
+    });
+
+    if (listenerError) throw listenerError;
+  }
+
+  /**
+   * Stop sending events
+   */
+  close() {
+    this.closed = true;
+    clearInterval(this.timer);
+  }
+}
+
+export { OrderFeed, ORDER_POLL_INTERVAL, reportFeedError };
@@ -0,0 +1,160 @@
+/**
+ * Order lifecycle for SaveBite application
+ *
+ * An order moves pending -> confirmed -> ready-for-pickup and ends as
+ * picked-up or no-show. It can be cancelled until it has been picked up;
+ * who may cancel depends on the role and how far the order has got.
+ */
+
+// Order statuses in lifecycle order
+const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "ready-for-pickup",
+  "picked-up",
+  "no-show",
+  "cancelled",
+];
+
+// Display labels (completed is kept for orders from before the lifecycle)
+const ORDER_STATUS_LABELS = {
+  pending: "Pending",
+  confirmed: "Confirmed",
+  "ready-for-pickup": "Ready for Pickup",
+  "picked-up": "Picked Up",
+  "no-show": "No-show",
+  cancelled: "Cancelled",
+  completed: "Completed",
+};
+
+// Allowed next statuses for each status
+const ORDER_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["ready-for-pickup", "cancelled"],
+  "ready-for-pickup": ["picked-up", "no-show", "cancelled"],
+  "picked-up": [],
+  "no-show": [],
+  cancelled: [],
+  completed: [],
+};
+
+// Statuses a customer may cancel their own order from
+const CUSTOMER_CANCELLABLE_STATUSES = ["pending"];
+
+// How long before pickup customers can still cancel
+const CUSTOMER_CANCEL_CUTOFF = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Get the display label for an order status
+ * @param {string} status - Order status
+ * @returns {string} Label
+ */
+function getOrderStatusLabel(status) {
+  return ORDER_STATUS_LABELS[status] || status;
+}
+
+/**
+ * Check whether an order status is final
+ * @param {string} status - Order status
+ * @returns {boolean} True if no further transitions are possible
+ */
+function isFinalStatus(status) {
+  return (ORDER_TRANSITIONS[status] || []).length === 0;
+}
+
+/**
+ * Check whether a role may move an order from one status to another
+ *
+ * Ownership is checked by the caller; this only covers the lifecycle.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Role of the user making the change
+ * @returns {Object} Object with allowed flag and message
+ */
+function checkTransition(from, to, role) {
+  if (!ORDER_STATUSES.includes(to)) {
+    return { allowed: false, message: `Unknown order status: ${to}` };
+  }
+
+  if (!(ORDER_TRANSITIONS[from] || []).includes(to)) {
+    return {
+      allowed: false,
+      message: `Can't change an order from ${getOrderStatusLabel(
+        from
+      )} to ${getOrderStatusLabel(to)}`,
+    };
+  }
+
+  if (role === "customer") {
+    if (to !== "cancelled") {
+      return {
+        allowed: false,
+        message: "Unauthorized: Customers can only cancel orders",
+      };
+    }
+
+    if (!CUSTOMER_CANCELLABLE_STATUSES.includes(from)) {
+      return {
+        allowed: false,
+        message: "Orders can only be cancelled before they're confirmed",
+      };
+    }
+  }
+
+  return { allowed: true, message: "" };
+}
+
+/**
+ * Get the last moment a customer can cancel an order
+ * @param {Object} order - Order with pickupTime
+ * @returns {Date} Cancellation deadline
+ */
+function getCancellationDeadline(order) {
+  return new Date(
+    new Date(order.pickupTime).getTime() - CUSTOMER_CANCEL_CUTOFF
+  );
+}
+
+/**
+ * Check whether a customer can still cancel an order
+ * @param {Object} order - Order
+ * @param {Date} now - Current time (for testing)
+ * @returns {Object} Object with allowed flag and message
+ */
+function checkCustomerCancellation(order, now = new Date()) {
+  const transition = checkTransition(order.status, "cancelled", "customer");
+  if (!transition.allowed) return transition;
+
+  if (now >= getCancellationDeadline(order)) {
+    return {
+      allowed: false,
+      message: "Orders can't be cancelled less than an hour before pickup",
+    };
+  }
+
+  return { allowed: true, message: "" };
+}
+
+/**
+ * Get the statuses a role may move an order to next
+ * @param {string} status - Current status
+ * @param {string} role - User role
+ * @returns {Array} Allowed next statuses
+ */
+function getNextStatuses(status, role) {
+  return (ORDER_TRANSITIONS[status] || []).filter(
+    (next) => checkTransition(status, next, role).allowed
+  );
+}
+
+export {
+  ORDER_STATUSES,
+  ORDER_STATUS_LABELS,
+  ORDER_TRANSITIONS,
+  getOrderStatusLabel,
+  isFinalStatus,
+  checkTransition,
+  getCancellationDeadline,
+  checkCustomerCancellation,
+  getNextStatuses,
+};
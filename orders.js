@@ -0,0 +1,274 @@
+/**
+ * Order history functionality for SaveBite application
+ */
+import apiService from "./api.js";
+import authService from "./auth.js";
+import {
+  checkCustomerCancellation,
+  getCancellationDeadline,
+  getOrderStatusLabel,
+  isFinalStatus,
+} from "./order-status.js";
+import { createPickupPayload, formatPickupCode } from "./pickup-code.js";
+import { renderQrSvg } from "./qr-code.js";
+import tabSync from "./sync.js";
+import { formatDate, formatPrice, showNotification } from "./utils.js";
+
+/**
+ * OrdersService class for the customer's order history page
+ */
+class OrdersService {
+  /**
+   * Load the signed-in customer's orders
+   * @param {string} status - Status filter ('all' for every order)
+   */
+  async loadOrders(status = "all") {
+    const ordersList = document.getElementById("my-orders-list");
+    const noOrders = document.getElementById("no-my-orders");
+    if (!ordersList) return;
+
+    const currentUser = authService.getCurrentUser();
+    if (!currentUser) return;
+
+    try {
+      // Show loading state
+      ordersList.innerHTML =
+        '<div class="loading-spinner"><i class="fas fa-spinner fa-spin"></i></div>';
+
+      const orders = await apiService.getOrders({
+        userId: currentUser.id,
+        status,
+      });
+
+      if (orders.length === 0) {
+        ordersList.innerHTML = "";
+        if (noOrders) noOrders.style.display = "block";
+        return;
+      }
+
+      if (noOrders) noOrders.style.display = "none";
+
+      ordersList.innerHTML = orders
+        .map((order) => this.renderOrder(order))
+        .join("");
+
+      // Add event listeners
+      ordersList.querySelectorAll(".cancel-my-order").forEach((button) => {
+        button.addEventListener("click", async () => {
+          await this.cancelOrder(button.getAttribute("data-id"));
+        });
+      });
+
+      ordersList.querySelectorAll(".reorder").forEach((button) => {
+        button.addEventListener("click", async () => {
+          await this.reorder(button.getAttribute("data-id"));
+        });
+      });
+    } catch (error) {
+      console.error("Error loading orders:", error);
+      ordersList.innerHTML = `
+                <div class="error-message">
+                    <i class="fas fa-exclamation-circle"></i>
+                    <h3>Error loading orders</h3>
+                    <p>Please try again later</p>
+                </div>
+            `;
+    }
+  }
+
+  /**
+   * Render one order card
+   * @param {Object} order - Order object
+   * @returns {string} Order card HTML
+   */
+  renderOrder(order) {
+    const canCancel = checkCustomerCancellation(order).allowed;
+
+    return `
+            <div class="my-order-card">
+                <div class="my-order-header">
+                    <div>
+                        <h3>${
+                          order.businessName || order.pickupLocationName
+                        }</h3>
+                        <small>Order #${order.id
+                          .substring(0, 8)
+                          .toUpperCase()} &middot; Placed ${formatDate(
+      order.createdAt,
+      true
+    )}</small>
+                    </div>
+                    <span class="my-order-status ${
+                      order.status
+                    }">${getOrderStatusLabel(order.status)}</span>
+                </div>
+
+                <div class="my-order-pickup">
+                    <p><i class="fas fa-store"></i> ${
+                      order.pickupLocationName
+                    }</p>
+                    <p><i class="fas fa-map-marker-alt"></i> ${
+                      order.pickupAddress
+                    }</p>
+                    <p><i class="fas fa-clock"></i> ${formatDate(
+                      order.pickupTime,
+                      true
+                    )}</p>
+                </div>
+
+                ${
+                  order.pickupCode && !isFinalStatus(order.status)
+                    ? `
+                    <div class="pickup-code-display">
+                        <div class="pickup-qr">${renderQrSvg(
+                          createPickupPayload(order),
+                          { size: 120 }
+                        )}</div>
+                        <div>
+                            <p>Pickup code</p>
+                            <span class="pickup-code">${formatPickupCode(
+                              order.pickupCode
+                            )}</span>
+                            <small>Show this code at the counter</small>
+                        </div>
+                    </div>
+                `
+                    : ""
+                }
+
+                <div class="my-order-items">
+                    ${order.items
+                      .map(
+                        (item) => `
+                        <div class="my-order-item">
+                            <span>${item.name} x${item.quantity}</span>
+                            <span>${formatPrice(
+                              item.discountedPrice * item.quantity
+                            )}</span>
+                        </div>
+                    `
+                      )
+                      .join("")}
+                </div>
+
+                <div class="my-order-totals">
+                    <span class="my-order-savings">You saved ${formatPrice(
+                      order.savings || 0
+                    )}</span>
+                    <span class="my-order-total">Total ${formatPrice(
+                      order.total
+                    )}</span>
+                </div>
+
+                <div class="my-order-actions">
+                    ${
+                      canCancel
+                        ? `
+                        <button class="btn btn-secondary cancel-my-order" data-id="${
+                          order.id
+                        }">Cancel Order</button>
+                        <small>You can cancel until ${formatDate(
+                          getCancellationDeadline(order),
+                          true
+                        )}</small>
+                    `
+                        : ""
+                    }
+                    <button class="btn btn-primary reorder" data-id="${
+                      order.id
+                    }">Reorder</button>
+                </div>
+            </div>
+        `;
+  }
+
+  /**
+   * Cancel one of the customer's orders
+   * @param {string} orderId - Order ID
+   */
+  async cancelOrder(orderId) {
+    if (!confirm("Are you sure you want to cancel this order?")) {
+      return;
+    }
+
+    try {
+      const result = await apiService.updateOrderStatus(orderId, "cancelled");
+
+      if (result.success) {
+        showNotification("Order cancelled", "success");
+      } else {
+        showNotification(result.message, "error");
+      }
+
+      this.loadOrders(this.getStatusFilter());
+    } catch (error) {
+      console.error("Error cancelling order:", error);
+      showNotification("Error cancelling order", "error");
+    }
+  }
+
+  /**
+   * Add the items of a past order to the cart
+   * @param {string} orderId - Order ID
+   */
+  async reorder(orderId) {
+    try {
+      const result = await apiService.reorder(orderId);
+
+      if (!result.success) {
+        showNotification(result.message, "error");
+        return;
+      }
+
+      // Update cart count
+      authService.updateCartCount();
+
+      if (result.unavailable.length > 0) {
+        showNotification(
+          `${result.message}. Not available: ${result.unavailable
+            .map((item) => item.name)
+            .join(", ")}`,
+          "warning"
+        );
+      } else {
+        showNotification(result.message, "success");
+      }
+    } catch (error) {
+      console.error("Error reordering:", error);
+      showNotification("Error adding items to your cart", "error");
+    }
+  }
+
+  /**
+   * Get the selected status filter
+   * @returns {string} Status filter
+   */
+  getStatusFilter() {
+    const filter = document.getElementById("my-orders-filter");
+    return filter ? filter.value : "all";
+  }
+}
+
+// Create and export orders service instance
+const ordersService = new OrdersService();
+
+// Initialize orders page
+document.addEventListener("DOMContentLoaded", () => {
+  if (!document.getElementById("my-orders-list")) return;
+
+  ordersService.loadOrders();
+
+  // Show status changes made in other tabs
+  tabSync.subscribe("orders", () =>
+    ordersService.loadOrders(ordersService.getStatusFilter())
+  );
+
+  const filter = document.getElementById("my-orders-filter");
+  if (filter) {
+    filter.addEventListener("change", () => {
+      ordersService.loadOrders(filter.value);
+    });
+  }
+});
+
+export default ordersService;
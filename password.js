@@ -0,0 +1,136 @@
+/**
+ * Password hashing for SaveBite application
+ *
+ * Uses PBKDF2 (SHA-256) from the Web Crypto API, which is available in
+ * browsers and in Node 20+, so hashes made on either side verify on the other.
+ */
+
+// Hashing parameters
+const HASH_ALGORITHM = "PBKDF2-SHA256";
+const HASH_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Derive a key from a password
+ * @param {string} password - Plain text password
+ * @param {Uint8Array} salt - Salt bytes
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} Derived key bytes
+ */
+async function deriveKey(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    keyMaterial,
+    HASH_BITS
+  );
+
+  return new Uint8Array(bits);
+}
+
+/**
+ * Compare two byte arrays without leaking where they differ
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} Whether the arrays are equal
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<Object>} Hash record (algorithm, iterations, salt, hash)
+ */
+async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveKey(password, salt, HASH_ITERATIONS);
+
+  return {
+    algorithm: HASH_ALGORITHM,
+    iterations: HASH_ITERATIONS,
+    salt: toBase64(salt),
+    hash: toBase64(hash),
+  };
+}
+
+/**
+ * Check a password against a hash record
+ * @param {string} password - Plain text password
+ * @param {Object} record - Hash record created by hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, record) {
+  if (!isPasswordHash(record)) return false;
+
+  const hash = await deriveKey(
+    password,
+    fromBase64(record.salt),
+    record.iterations
+  );
+
+  return timingSafeEqual(hash, fromBase64(record.hash));
+}
+
+/**
+ * Check whether a value is a hash record
+ * @param {*} record - Value to check
+ * @returns {boolean} Whether the value is a hash record
+ */
+function isPasswordHash(record) {
+  return Boolean(
+    record &&
+      record.algorithm === HASH_ALGORITHM &&
+      record.salt &&
+      record.hash &&
+      record.iterations > 0
+  );
+}
+
+/**
+ * Check whether a hash record should be recomputed with current parameters
+ * @param {Object} record - Hash record
+ * @returns {boolean} Whether the record is outdated
+ */
+function needsRehash(record) {
+  return !isPasswordHash(record) || record.iterations < HASH_ITERATIONS;
+}
+
+export { hashPassword, verifyPassword, isPasswordHash, needsRehash };
@@ -0,0 +1,78 @@
+/**
+ * Pickup codes for SaveBite application
+ *
+ * Each order gets a short code the customer shows at the counter, either
+ * read out or as a QR code. The QR payload carries the order ID as well so
+ * a scan finds the order directly.
+ */
+
+// Letters and digits that can't be mistaken for each other (no 0/O, 1/I/L)
+const PICKUP_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const PICKUP_CODE_LENGTH = 6;
+
+// Prefix that marks a scanned QR code as a SaveBite pickup
+const PICKUP_PAYLOAD_PREFIX = "SAVEBITE-PICKUP";
+
+/**
+ * Generate a random pickup code
+ * @returns {string} Pickup code
+ */
+function generatePickupCode() {
+  // Skip byte values past the last whole multiple of the alphabet size so
+  // every character is equally likely
+  const limit = 256 - (256 % PICKUP_CODE_ALPHABET.length);
+  let code = "";
+
+  while (code.length < PICKUP_CODE_LENGTH) {
+    const [value] = crypto.getRandomValues(new Uint8Array(1));
+    if (value < limit) {
+      code += PICKUP_CODE_ALPHABET[value % PICKUP_CODE_ALPHABET.length];
+    }
+  }
+
+  return code;
+}
+
+/**
+ * Format a pickup code for display
+ * @param {string} code - Pickup code
+ * @returns {string} Code split into two groups, e.g. "K7P 2QX"
+ */
+function formatPickupCode(code) {
+  const half = Math.ceil(code.length / 2);
+  return `${code.slice(0, half)} ${code.slice(half)}`;
+}
+
+/**
+ * Create the QR payload for an order
+ * @param {Object} order - Order with id and pickupCode
+ * @returns {string} QR payload
+ */
+function createPickupPayload(order) {
+  return `${PICKUP_PAYLOAD_PREFIX}:${order.id}:${order.pickupCode}`;
+}
+
+/**
+ * Read a typed code or a scanned QR payload
+ * @param {string} input - Typed code or QR payload
+ * @returns {Object} Object with orderId (null for typed codes) and code
+ */
+function parsePickupInput(input) {
+  const text = String(input || "").trim();
+  const parts = text.split(":");
+
+  if (parts.length === 3 && parts[0] === PICKUP_PAYLOAD_PREFIX) {
+    return { orderId: parts[1], code: parts[2].toUpperCase() };
+  }
+
+  return { orderId: null, code: text.replace(/[\s-]/g, "").toUpperCase() };
+}
+
+export {
+  PICKUP_CODE_ALPHABET,
+  PICKUP_CODE_LENGTH,
+  generatePickupCode,
+  formatPickupCode,
+  createPickupPayload,
+  parsePickupInput,
+};
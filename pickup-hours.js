@@ -0,0 +1,333 @@
+/**
+ * Pickup hours for SaveBite application
+ *
+ * Businesses set weekly pickup hours, dates they're closed, a slot length
+ * and optionally how many orders they can hand over per slot. Checkout
+ * offers the slots that are open, not full and end before the earliest
+ * expiry of the items being collected.
+ *
+ * Hours and closed dates are read in the business's time zone
+ * (schedule.timeZone), never the time zone of the machine generating the
+ * slots, so the server and every browser offer the same slots. Schedules
+ * saved before businesses could pick a time zone are read as UTC.
+ */
+
+// Day names, indexed like Date.getDay()
+const DAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// Slot lengths businesses can choose from, in minutes
+const SLOT_LENGTHS = [15, 30, 60];
+
+// Time zone of schedules that don't name one
+const DEFAULT_TIME_ZONE = "UTC";
+
+// Schedule used until a business sets its own
+const DEFAULT_PICKUP_SCHEDULE = {
+  weeklyHours: DAY_NAMES.map(() => ({ open: "08:00", close: "20:00" })), // null = closed
+  blackoutDates: [], // "YYYY-MM-DD" dates the business is closed
+  slotMinutes: 30,
+  maxOrdersPerSlot: null, // null = no limit
+  timeZone: DEFAULT_TIME_ZONE, // IANA name, e.g. "Europe/London"
+};
+
+// Date formatters by time zone (they're slow to create)
+const zonedFormatters = new Map();
+
+// Earliest a slot can start, so the business has time to prepare
+const PICKUP_LEAD_TIME = 30 * 60 * 1000; // 30 minutes
+
+// How many days ahead slots are offered
+const BOOKING_HORIZON_DAYS = 7;
+
+/**
+ * Fill in missing values of a pickup schedule with defaults
+ *
+ * Weekly hours and closed dates that aren't lists are replaced by the
+ * defaults too; check a schedule with validatePickupSchedule before saving
+ * it to report them instead.
+ * @param {Object} schedule - Stored pickup schedule
+ * @returns {Object} Complete pickup schedule
+ */
+function normalizePickupSchedule(schedule = {}) {
+  const normalized = { ...DEFAULT_PICKUP_SCHEDULE, ...(schedule || {}) };
+  const weeklyHours = Array.isArray(normalized.weeklyHours)
+    ? normalized.weeklyHours
+    : DEFAULT_PICKUP_SCHEDULE.weeklyHours;
+  const blackoutDates = Array.isArray(normalized.blackoutDates)
+    ? normalized.blackoutDates
+    : DEFAULT_PICKUP_SCHEDULE.blackoutDates;
+
+  return {
+    ...normalized,
+    weeklyHours: DAY_NAMES.map((day, i) =>
+      weeklyHours[i] ? { ...weeklyHours[i] } : null
+    ),
+    blackoutDates: [...blackoutDates],
+  };
+}
+
+/**
+ * Convert a "HH:MM" time to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes (NaN if invalid)
+ */
+function parseTime(time) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * Get the local "YYYY-MM-DD" key for a date
+ * @param {Date} date - Date
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Check whether a time zone name is one the browser (or Node) knows
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} Whether the time zone is valid
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") return false;
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the calendar date and wall-clock time of a moment in a time zone
+ * @param {Date|number} date - Moment
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Object} year, month (1-12), day, hour, minute and second
+ */
+function getZonedParts(date, timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+
+  const parts = {};
+  zonedFormatters
+    .get(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+
+  return parts;
+}
+
+/**
+ * Find the moment a wall-clock time happens on a date in a time zone
+ * @param {Date} day - Calendar date, as midnight UTC
+ * @param {number} minutes - Minutes after midnight
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} Moment
+ */
+function zonedTimeToDate(day, minutes, timeZone) {
+  // The wall-clock time read as if it were UTC, minus the zone's offset
+  const wallTime = day.getTime() + minutes * 60 * 1000;
+  const getOffset = (time) => {
+    const parts = getZonedParts(time, timeZone);
+    return (
+      Date.UTC(
+        parts.year,
+        parts.month - 1,
+        parts.day,
+        parts.hour,
+        parts.minute,
+        parts.second
+      ) - time
+    );
+  };
+
+  // Take the offset again at the first guess, in case a daylight saving
+  // change falls in between
+  const guess = wallTime - getOffset(wallTime);
+  return new Date(wallTime - getOffset(guess));
+}
+
+/**
+ * Check a pickup schedule before it's saved
+ * @param {Object} schedule - Pickup schedule
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validatePickupSchedule(schedule) {
+  const errors = [];
+
+  if (
+    !Array.isArray(schedule.weeklyHours) ||
+    schedule.weeklyHours.length !== 7
+  ) {
+    errors.push("Pickup hours must list all seven days");
+  } else {
+    schedule.weeklyHours.forEach((hours, i) => {
+      if (!hours) return;
+
+      const open = parseTime(hours.open);
+      const close = parseTime(hours.close);
+
+      if (isNaN(open) || isNaN(close)) {
+        errors.push(`Pickup hours for ${DAY_NAMES[i]} are invalid`);
+      } else if (close - open < schedule.slotMinutes) {
+        errors.push(
+          `Pickup hours for ${DAY_NAMES[i]} must be at least one slot long`
+        );
+      }
+    });
+  }
+
+  if (!Array.isArray(schedule.blackoutDates)) {
+    errors.push("Closed dates must be a list");
+  } else {
+    schedule.blackoutDates.forEach((date) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+        errors.push(`${date} is not a valid date (use YYYY-MM-DD)`);
+      }
+    });
+  }
+
+  if (!isValidTimeZone(schedule.timeZone)) {
+    errors.push(`${schedule.timeZone} is not a time zone`);
+  }
+
+  if (!SLOT_LENGTHS.includes(schedule.slotMinutes)) {
+    errors.push("Slot length must be 15, 30 or 60 minutes");
+  }
+
+  if (
+    schedule.maxOrdersPerSlot !== null &&
+    (!Number.isInteger(schedule.maxOrdersPerSlot) ||
+      schedule.maxOrdersPerSlot < 1)
+  ) {
+    errors.push("Orders per slot must be a whole number of at least 1");
+  }
+
+  return errors;
+}
+
+/**
+ * List the pickup slots a customer can book
+ * @param {Object} schedule - Pickup schedule
+ * @param {Object} options - Options
+ * @param {Date} options.until - Slots must end by this time (earliest expiry)
+ * @param {Object} options.bookings - Map of slot start (ISO) -> orders booked
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Array} Slots with start, end (ISO strings) and remaining
+ *                  (null when there's no limit)
+ */
+function getPickupSlots(
+  schedule,
+  { until = null, bookings = {}, now = new Date() } = {}
+) {
+  const {
+    weeklyHours,
+    blackoutDates,
+    slotMinutes,
+    maxOrdersPerSlot,
+    timeZone,
+  } = normalizePickupSchedule(schedule);
+  const earliest = new Date(now.getTime() + PICKUP_LEAD_TIME);
+  const today = getZonedParts(now, timeZone);
+  const slots = [];
+
+  for (let offset = 0; offset < BOOKING_HORIZON_DAYS; offset++) {
+    // Calendar date in the business's time zone, held as midnight UTC
+    const day = new Date(
+      Date.UTC(today.year, today.month - 1, today.day + offset)
+    );
+
+    const hours = weeklyHours[day.getUTCDay()];
+    if (!hours || blackoutDates.includes(day.toISOString().slice(0, 10))) {
+      continue;
+    }
+
+    const close = parseTime(hours.close);
+
+    for (
+      let minutes = parseTime(hours.open);
+      minutes + slotMinutes <= close;
+      minutes += slotMinutes
+    ) {
+      const start = zonedTimeToDate(day, minutes, timeZone);
+      const end = new Date(start.getTime() + slotMinutes * 60 * 1000);
+
+      if (start < earliest) continue;
+      if (until && end > until) return slots;
+
+      const booked = bookings[start.toISOString()] || 0;
+      const remaining =
+        maxOrdersPerSlot === null ? null : maxOrdersPerSlot - booked;
+
+      if (remaining === null || remaining > 0) {
+        slots.push({
+          start: start.toISOString(),
+          end: end.toISOString(),
+          remaining,
+        });
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Describe a slot for display, e.g. "9:00 AM - 9:30 AM"
+ * @param {Object} slot - Slot with start and end
+ * @returns {string} Slot label
+ */
+function formatSlotTime(slot) {
+  const format = (date) =>
+    new Date(date).toLocaleTimeString("en-US", {
+      hour: "numeric",
+      minute: "2-digit",
+    });
+
+  return `${format(slot.start)} - ${format(slot.end)}`;
+}
+
+export {
+  DAY_NAMES,
+  SLOT_LENGTHS,
+  DEFAULT_TIME_ZONE,
+  DEFAULT_PICKUP_SCHEDULE,
+  normalizePickupSchedule,
+  isValidTimeZone,
+  validatePickupSchedule,
+  parseTime,
+  toDateKey,
+  getZonedParts,
+  zonedTimeToDate,
+  getPickupSlots,
+  formatSlotTime,
+};
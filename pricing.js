@@ -0,0 +1,195 @@
+/**
+ * Pricing engine for SaveBite application
+ *
+ * Computes subtotal, discount, savings, tax, service fee and total for a set
+ * of items.
+ * The cart preview and createOrder both go through calculatePricing, so the
+ * amounts a customer sees are the amounts that get stored.
+ */
+
+// Default pricing configuration (admins can change it in Settings)
+const DEFAULT_PRICING_CONFIG = {
+  defaultTaxRate: 0.08, // Used for businesses without a configured region
+  regionTaxRates: {}, // Region code -> tax rate, e.g. { "CA": 0.0725 }
+  taxExemptCategories: [], // Listing categories that aren't taxed
+  serviceFeePercent: 0, // Percentage of the subtotal, per order
+  serviceFeeFlat: 0, // Fixed amount, per order
+};
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Fill in missing values of a pricing configuration with defaults
+ * @param {Object} config - Stored pricing configuration
+ * @returns {Object} Complete pricing configuration
+ */
+function normalizePricingConfig(config = {}) {
+  return {
+    ...DEFAULT_PRICING_CONFIG,
+    ...config,
+    regionTaxRates: { ...(config.regionTaxRates || {}) },
+    taxExemptCategories: [...(config.taxExemptCategories || [])],
+  };
+}
+
+/**
+ * Check a pricing configuration before it's saved
+ * @param {Object} config - Pricing configuration
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validatePricingConfig(config) {
+  const errors = [];
+  const isRate = (value) =>
+    typeof value === "number" && !isNaN(value) && value >= 0 && value < 1;
+
+  if (!isRate(config.defaultTaxRate)) {
+    errors.push("Default tax rate must be between 0% and 100%");
+  }
+
+  Object.entries(config.regionTaxRates || {}).forEach(([region, rate]) => {
+    if (!region.trim()) {
+      errors.push("Region codes can't be empty");
+    } else if (!isRate(rate)) {
+      errors.push(`Tax rate for ${region} must be between 0% and 100%`);
+    }
+  });
+
+  if (!Array.isArray(config.taxExemptCategories)) {
+    errors.push("Tax-exempt categories must be a list");
+  }
+
+  if (
+    typeof config.serviceFeePercent !== "number" ||
+    isNaN(config.serviceFeePercent) ||
+    config.serviceFeePercent < 0 ||
+    config.serviceFeePercent > 100
+  ) {
+    errors.push("Service fee percentage must be between 0 and 100");
+  }
+
+  if (
+    typeof config.serviceFeeFlat !== "number" ||
+    isNaN(config.serviceFeeFlat) ||
+    config.serviceFeeFlat < 0
+  ) {
+    errors.push("Flat service fee can't be negative");
+  }
+
+  return errors;
+}
+
+/**
+ * Get the tax rate for a region
+ * @param {Object} config - Pricing configuration
+ * @param {string} region - Region code (optional)
+ * @returns {number} Tax rate
+ */
+function getTaxRate(config, region) {
+  if (region && config.regionTaxRates[region] !== undefined) {
+    return config.regionTaxRates[region];
+  }
+
+  return config.defaultTaxRate;
+}
+
+/**
+ * Calculate the pricing for one order's items
+ *
+ * Promo discounts (item.promoDiscount) come off before tax and the service
+ * fee are worked out.
+ * @param {Array} items - Items with discountedPrice, originalPrice, quantity,
+ *                        category and optional promoDiscount
+ * @param {Object} config - Pricing configuration
+ * @param {Object} options - Options
+ * @param {string} options.region - Tax region of the pickup location
+ * @returns {Object} Pricing with subtotal, discount, savings, taxableSubtotal,
+ *                   taxRate, tax, serviceFee and total
+ */
+function calculatePricing(items, config, { region = null } = {}) {
+  const pricingConfig = normalizePricingConfig(config);
+
+  let subtotal = 0;
+  let discount = 0;
+  let savings = 0;
+  let taxableSubtotal = 0;
+
+  items.forEach((item) => {
+    const lineTotal = item.discountedPrice * item.quantity;
+    const lineDiscount = item.promoDiscount || 0;
+
+    subtotal += lineTotal;
+    discount += lineDiscount;
+    savings +=
+      (item.originalPrice - item.discountedPrice) * item.quantity +
+      lineDiscount;
+
+    if (!pricingConfig.taxExemptCategories.includes(item.category)) {
+      taxableSubtotal += lineTotal - lineDiscount;
+    }
+  });
+
+  subtotal = roundCurrency(subtotal);
+  discount = roundCurrency(discount);
+  taxableSubtotal = roundCurrency(taxableSubtotal);
+
+  const discountedSubtotal = roundCurrency(subtotal - discount);
+  const taxRate = getTaxRate(pricingConfig, region);
+  const tax = roundCurrency(taxableSubtotal * taxRate);
+  const serviceFee =
+    items.length > 0
+      ? roundCurrency(
+          (discountedSubtotal * pricingConfig.serviceFeePercent) / 100 +
+            pricingConfig.serviceFeeFlat
+        )
+      : 0;
+
+  return {
+    subtotal,
+    discount,
+    savings: roundCurrency(savings),
+    taxableSubtotal,
+    taxRate,
+    tax,
+    serviceFee,
+    total: roundCurrency(discountedSubtotal + tax + serviceFee),
+  };
+}
+
+/**
+ * Add up the pricing of several orders
+ * @param {Array} pricings - Pricing objects from calculatePricing
+ * @returns {Object} Combined subtotal, discount, savings, tax, serviceFee
+ *                   and total
+ */
+function sumPricing(pricings) {
+  const sum = (field) =>
+    roundCurrency(
+      pricings.reduce((total, pricing) => total + pricing[field], 0)
+    );
+
+  return {
+    subtotal: sum("subtotal"),
+    discount: sum("discount"),
+    savings: sum("savings"),
+    tax: sum("tax"),
+    serviceFee: sum("serviceFee"),
+    total: sum("total"),
+  };
+}
+
+export {
+  DEFAULT_PRICING_CONFIG,
+  roundCurrency,
+  normalizePricingConfig,
+  validatePricingConfig,
+  getTaxRate,
+  calculatePricing,
+  sumPricing,
+};
@@ -0,0 +1,178 @@
+/**
+ * Promo code rules for SaveBite application
+ *
+ * A promo code takes a percentage or a fixed amount off the items it applies
+ * to (optionally only one business's or one category's items). The discount
+ * is spread over those items so each business's sub-order carries its share.
+ */
+import { roundCurrency } from "./pricing.js";
+
+// Promo code types
+const PROMO_TYPES = ["percent", "fixed"];
+
+/**
+ * Normalize a code as typed by a customer or admin
+ * @param {string} code - Promo code
+ * @returns {string} Trimmed, upper-case code
+ */
+function normalizeCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+/**
+ * Check promo code data before it's saved
+ * @param {Object} data - Promo code data
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validatePromoCodeData(data) {
+  const errors = [];
+
+  if (!/^[A-Z0-9_-]{3,20}$/.test(normalizeCode(data.code))) {
+    errors.push("Code must be 3-20 letters, numbers, dashes or underscores");
+  }
+
+  if (!PROMO_TYPES.includes(data.type)) {
+    errors.push("Type must be percent or fixed");
+  }
+
+  if (typeof data.value !== "number" || isNaN(data.value) || data.value <= 0) {
+    errors.push("Discount must be greater than 0");
+  } else if (data.type === "percent" && data.value > 100) {
+    errors.push("Percentage discount can't be more than 100");
+  }
+
+  if (data.minSpend !== null && (isNaN(data.minSpend) || data.minSpend < 0)) {
+    errors.push("Minimum spend can't be negative");
+  }
+
+  if (
+    data.perUserLimit !== null &&
+    (!Number.isInteger(data.perUserLimit) || data.perUserLimit < 1)
+  ) {
+    errors.push("Per-user limit must be a whole number of at least 1");
+  }
+
+  if (data.expiresAt && isNaN(new Date(data.expiresAt))) {
+    errors.push("Expiry date is invalid");
+  }
+
+  return errors;
+}
+
+/**
+ * Get the items a promo code applies to
+ * @param {Object} promo - Promo code
+ * @param {Array} items - Items with businessId and category
+ * @returns {Array} Eligible items
+ */
+function getEligibleItems(promo, items) {
+  return items.filter(
+    (item) =>
+      (!promo.businessId || item.businessId === promo.businessId) &&
+      (!promo.category || item.category === promo.category)
+  );
+}
+
+/**
+ * Check whether a promo code can be used
+ * @param {Object} promo - Promo code
+ * @param {Object} context - Checkout context
+ * @param {Array} context.items - Items with businessId and category
+ * @param {number} context.timesUsedByUser - Times the customer already used it
+ * @param {Date} context.now - Current time (for testing)
+ * @returns {Object} Object with valid flag and message
+ */
+function checkPromoCode(
+  promo,
+  { items, timesUsedByUser = 0, now = new Date() }
+) {
+  if (!promo || !promo.active) {
+    return { valid: false, message: "This promo code is not valid" };
+  }
+
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) {
+    return { valid: false, message: "This promo code has expired" };
+  }
+
+  if (promo.perUserLimit && timesUsedByUser >= promo.perUserLimit) {
+    return {
+      valid: false,
+      message: "You have already used this promo code",
+    };
+  }
+
+  const eligibleItems = getEligibleItems(promo, items);
+
+  if (eligibleItems.length === 0) {
+    return {
+      valid: false,
+      message: "This promo code doesn't apply to any items in your cart",
+    };
+  }
+
+  const eligibleSubtotal = eligibleItems.reduce(
+    (total, item) => total + item.discountedPrice * item.quantity,
+    0
+  );
+
+  if (promo.minSpend && eligibleSubtotal < promo.minSpend) {
+    return {
+      valid: false,
+      message: `Spend at least $${promo.minSpend.toFixed(
+        2
+      )} on eligible items to use this code`,
+    };
+  }
+
+  return { valid: true, message: "Promo code applied" };
+}
+
+/**
+ * Spread a promo code's discount over the items it applies to
+ * @param {Object} promo - Promo code (already checked with checkPromoCode)
+ * @param {Array} items - Items with businessId and category
+ * @returns {Array} Copies of the items with promoDiscount set
+ */
+function applyPromoCode(promo, items) {
+  const eligibleItems = getEligibleItems(promo, items);
+  const eligibleSubtotal = eligibleItems.reduce(
+    (total, item) => total + item.discountedPrice * item.quantity,
+    0
+  );
+
+  const discount = roundCurrency(
+    promo.type === "percent"
+      ? (eligibleSubtotal * promo.value) / 100
+      : Math.min(promo.value, eligibleSubtotal)
+  );
+
+  // Share the discount by line total; the last line takes the rounding
+  // remainder so the shares add up exactly
+  let remaining = discount;
+
+  return items.map((item) => {
+    if (!eligibleItems.includes(item)) {
+      return { ...item, promoDiscount: 0 };
+    }
+
+    const isLast = item === eligibleItems[eligibleItems.length - 1];
+    const lineTotal = item.discountedPrice * item.quantity;
+    const share = isLast
+      ? remaining
+      : roundCurrency((discount * lineTotal) / eligibleSubtotal);
+
+    remaining = roundCurrency(remaining - share);
+    return { ...item, promoDiscount: share };
+  });
+}
+
+export {
+  PROMO_TYPES,
+  normalizeCode,
+  validatePromoCodeData,
+  getEligibleItems,
+  checkPromoCode,
+  applyPromoCode,
+};
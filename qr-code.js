@@ -0,0 +1,493 @@
+/**
+ * QR code generator for SaveBite application
+ *
+ * A small encoder for the pickup QR codes: byte mode, error correction
+ * level M, versions 1-10 (up to 213 bytes). Output is an SVG string so it
+ * can be dropped into any template without a canvas.
+ */
+
+// Error correction layout per version at level M:
+// [EC codewords per block, [block count, data codewords per block], ...]
+const VERSIONS = [
+  null,
+  [10, [1, 16]],
+  [16, [1, 28]],
+  [26, [1, 44]],
+  [18, [2, 32]],
+  [24, [2, 43]],
+  [16, [4, 27]],
+  [18, [4, 31]],
+  [22, [2, 38], [2, 39]],
+  [22, [3, 36], [2, 37]],
+  [26, [4, 43], [1, 44]],
+];
+
+// Alignment pattern centres per version
+const ALIGNMENT_POSITIONS = [
+  null,
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+];
+
+// Format bits for level M are 00
+const EC_LEVEL_M = 0;
+
+// GF(256) log/antilog tables for Reed-Solomon (polynomial 0x11D)
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = x;
+  LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+  EXP[i] = EXP[i - 255];
+}
+
+/**
+ * Multiply two GF(256) elements
+ * @param {number} a - First element
+ * @param {number} b - Second element
+ * @returns {number} Product
+ */
+function gfMultiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+/**
+ * Compute Reed-Solomon error correction codewords
+ * @param {Array} data - Data codewords
+ * @param {number} ecCount - Number of EC codewords
+ * @returns {Array} EC codewords
+ */
+function reedSolomon(data, ecCount) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(ecCount-1))
+  let generator = [1];
+  for (let i = 0; i < ecCount; i++) {
+    const next = new Array(generator.length + 1).fill(0);
+    generator.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+    });
+    generator = next;
+  }
+
+  // Polynomial division; the remainder is the EC codewords
+  const remainder = new Array(ecCount).fill(0);
+  data.forEach((byte) => {
+    const factor = byte ^ remainder.shift();
+    remainder.push(0);
+    for (let i = 0; i < ecCount; i++) {
+      remainder[i] ^= gfMultiply(generator[i + 1], factor);
+    }
+  });
+
+  return remainder;
+}
+
+/**
+ * Compute a BCH code (used for format and version information)
+ * @param {number} value - Value to protect
+ * @param {number} generator - Generator polynomial
+ * @param {number} bits - Number of check bits
+ * @returns {number} Value followed by its check bits
+ */
+function bchCode(value, generator, bits) {
+  const generatorLength = generator.toString(2).length;
+  let remainder = value << bits;
+
+  while (remainder.toString(2).length >= generatorLength) {
+    remainder ^= generator << (remainder.toString(2).length - generatorLength);
+  }
+
+  return (value << bits) | remainder;
+}
+
+/**
+ * Pick the smallest version that fits a payload
+ * @param {number} byteLength - Payload length in bytes
+ * @returns {number} Version (1-10)
+ */
+function chooseVersion(byteLength) {
+  for (let version = 1; version < VERSIONS.length; version++) {
+    const countBits = version < 10 ? 8 : 16;
+    const [, ...groups] = VERSIONS[version];
+    const dataCodewords = groups.reduce(
+      (total, [blocks, size]) => total + blocks * size,
+      0
+    );
+
+    if (4 + countBits + byteLength * 8 <= dataCodewords * 8) {
+      return version;
+    }
+  }
+
+  throw new Error("Text is too long for a QR code");
+}
+
+/**
+ * Encode a payload into the final codeword sequence
+ * @param {Uint8Array} bytes - Payload bytes
+ * @param {number} version - QR version
+ * @returns {Array} Interleaved data and EC codewords
+ */
+function encodeCodewords(bytes, version) {
+  const [ecCount, ...groups] = VERSIONS[version];
+  const dataCapacity = groups.reduce(
+    (total, [blocks, size]) => total + blocks * size,
+    0
+  );
+
+  // Mode indicator (byte mode), character count, data
+  const bits = [];
+  const pushBits = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  pushBits(0b0100, 4);
+  pushBits(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => pushBits(byte, 8));
+
+  // Terminator, then pad to a byte boundary
+  pushBits(0, Math.min(4, dataCapacity * 8 - bits.length));
+  while (bits.length % 8 !== 0) bits.push(0);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit));
+  }
+
+  // Pad codewords
+  for (let i = 0; data.length < dataCapacity; i++) {
+    data.push(i % 2 === 0 ? 0xec : 0x11);
+  }
+
+  // Split into blocks and add error correction to each
+  const blocks = [];
+  let offset = 0;
+  groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const blockData = data.slice(offset, offset + size);
+      blocks.push({ data: blockData, ec: reedSolomon(blockData, ecCount) });
+      offset += size;
+    }
+  });
+
+  // Interleave data codewords, then EC codewords
+  const codewords = [];
+  const maxDataLength = Math.max(...blocks.map((block) => block.data.length));
+  for (let i = 0; i < maxDataLength; i++) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) codewords.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < ecCount; i++) {
+    blocks.forEach((block) => codewords.push(block.ec[i]));
+  }
+
+  return codewords;
+}
+
+/**
+ * Check whether a mask pattern flips a module
+ * @param {number} mask - Mask pattern (0-7)
+ * @param {number} row - Row
+ * @param {number} col - Column
+ * @returns {boolean} True if the module is flipped
+ */
+function maskApplies(mask, row, col) {
+  switch (mask) {
+    case 0:
+      return (row + col) % 2 === 0;
+    case 1:
+      return row % 2 === 0;
+    case 2:
+      return col % 3 === 0;
+    case 3:
+      return (row + col) % 3 === 0;
+    case 4:
+      return (Math.floor(row / 2) + Math.floor(col / 3)) % 2 === 0;
+    case 5:
+      return ((row * col) % 2) + ((row * col) % 3) === 0;
+    case 6:
+      return (((row * col) % 2) + ((row * col) % 3)) % 2 === 0;
+    default:
+      return (((row + col) % 2) + ((row * col) % 3)) % 2 === 0;
+  }
+}
+
+/**
+ * Build the module grid with function patterns in place
+ * @param {number} version - QR version
+ * @returns {Object} Object with modules and reserved grids
+ */
+function createBaseMatrix(version) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(0));
+  const reserved = Array.from({ length: size }, () =>
+    new Array(size).fill(false)
+  );
+
+  const setFunction = (row, col, dark) => {
+    modules[row][col] = dark ? 1 : 0;
+    reserved[row][col] = true;
+  };
+
+  // Finder patterns with separators
+  [
+    [0, 0],
+    [0, size - 7],
+    [size - 7, 0],
+  ].forEach(([top, left]) => {
+    for (let r = -1; r <= 7; r++) {
+      for (let c = -1; c <= 7; c++) {
+        const row = top + r;
+        const col = left + c;
+        if (row < 0 || row >= size || col < 0 || col >= size) continue;
+
+        const ring = Math.max(Math.abs(r - 3), Math.abs(c - 3));
+        setFunction(row, col, ring !== 2 && ring !== 4);
+      }
+    }
+  });
+
+  // Timing patterns
+  for (let i = 8; i < size - 8; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Alignment patterns (skipping the three that would overlap the finders)
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  positions.forEach((row, i) => {
+    positions.forEach((col, j) => {
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      ) {
+        return;
+      }
+
+      for (let r = -2; r <= 2; r++) {
+        for (let c = -2; c <= 2; c++) {
+          setFunction(
+            row + r,
+            col + c,
+            Math.max(Math.abs(r), Math.abs(c)) !== 1
+          );
+        }
+      }
+    });
+  });
+
+  // Dark module and format information areas
+  setFunction(size - 8, 8, true);
+  for (let i = 0; i < 9; i++) {
+    if (!reserved[8][i]) reserved[8][i] = true;
+    if (!reserved[i][8]) reserved[i][8] = true;
+  }
+  for (let i = 0; i < 8; i++) {
+    reserved[8][size - 1 - i] = true;
+    reserved[size - 1 - i][8] = true;
+  }
+
+  // Version information (version 7 and up)
+  if (version >= 7) {
+    const versionBits = bchCode(version, 0x1f25, 12);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((versionBits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  return { size, modules, reserved };
+}
+
+/**
+ * Write the format information for a mask
+ * @param {Array} modules - Module grid
+ * @param {number} mask - Mask pattern
+ */
+function placeFormatBits(modules, mask) {
+  const size = modules.length;
+  const bits = bchCode((EC_LEVEL_M << 3) | mask, 0x537, 10) ^ 0x5412;
+  const bit = (i) => (bits >>> i) & 1;
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) modules[i][8] = bit(i);
+  modules[7][8] = bit(6);
+  modules[8][8] = bit(7);
+  modules[8][7] = bit(8);
+  for (let i = 9; i < 15; i++) modules[8][14 - i] = bit(i);
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) modules[8][size - 1 - i] = bit(i);
+  for (let i = 8; i < 15; i++) modules[size - 15 + i][8] = bit(i);
+}
+
+/**
+ * Score a masked grid (lower is better), per the four penalty rules
+ * @param {Array} modules - Module grid
+ * @returns {number} Penalty score
+ */
+function getPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+
+  // Rule 1: runs of five or more same-coloured modules
+  const scoreRuns = (get) => {
+    for (let i = 0; i < size; i++) {
+      let run = 1;
+      for (let j = 1; j <= size; j++) {
+        if (j < size && get(i, j) === get(i, j - 1)) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+    }
+  };
+  scoreRuns((i, j) => modules[i][j]);
+  scoreRuns((i, j) => modules[j][i]);
+
+  // Rule 2: 2x2 blocks of one colour
+  for (let row = 0; row < size - 1; row++) {
+    for (let col = 0; col < size - 1; col++) {
+      const colour = modules[row][col];
+      if (
+        modules[row][col + 1] === colour &&
+        modules[row + 1][col] === colour &&
+        modules[row + 1][col + 1] === colour
+      ) {
+        penalty += 3;
+      }
+    }
+  }
+
+  // Rule 3: finder-like 1:1:3:1:1 patterns next to four light modules
+  const patterns = ["10111010000", "00001011101"];
+  for (let i = 0; i < size; i++) {
+    const row = modules[i].join("");
+    const col = modules.map((line) => line[i]).join("");
+    patterns.forEach((pattern) => {
+      for (
+        let j = row.indexOf(pattern);
+        j !== -1;
+        j = row.indexOf(pattern, j + 1)
+      ) {
+        penalty += 40;
+      }
+      for (
+        let j = col.indexOf(pattern);
+        j !== -1;
+        j = col.indexOf(pattern, j + 1)
+      ) {
+        penalty += 40;
+      }
+    });
+  }
+
+  // Rule 4: balance of dark and light modules
+  const dark = modules.reduce(
+    (total, line) => total + line.reduce((sum, module) => sum + module, 0),
+    0
+  );
+  const percent = (dark * 100) / (size * size);
+  penalty += Math.floor(Math.abs(percent - 50) / 5) * 10;
+
+  return penalty;
+}
+
+/**
+ * Create the module grid for a piece of text
+ * @param {string} text - Text to encode
+ * @returns {Array} Square grid of 1 (dark) and 0 (light) modules
+ */
+function createQrMatrix(text) {
+  const bytes = new TextEncoder().encode(text);
+  const version = chooseVersion(bytes.length);
+  const codewords = encodeCodewords(bytes, version);
+  const { size, modules, reserved } = createBaseMatrix(version);
+
+  // Place data bits in two-column zigzags from the bottom right,
+  // skipping the vertical timing pattern
+  let bitIndex = 0;
+  let upward = true;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+
+    for (let i = 0; i < size; i++) {
+      const row = upward ? size - 1 - i : i;
+
+      for (let c = 0; c < 2; c++) {
+        const col = right - c;
+        if (reserved[row][col]) continue;
+
+        const byte = codewords[bitIndex >>> 3];
+        modules[row][col] =
+          byte === undefined ? 0 : (byte >>> (7 - (bitIndex & 7))) & 1;
+        bitIndex++;
+      }
+    }
+
+    upward = !upward;
+  }
+
+  // Try every mask and keep the one with the lowest penalty
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = modules.map((line, row) =>
+      line.map((module, col) =>
+        !reserved[row][col] && maskApplies(mask, row, col) ? module ^ 1 : module
+      )
+    );
+    placeFormatBits(candidate, mask);
+
+    const penalty = getPenalty(candidate);
+    if (!best || penalty < best.penalty) {
+      best = { modules: candidate, penalty };
+    }
+  }
+
+  return best.modules;
+}
+
+/**
+ * Render a QR code as an SVG string
+ * @param {string} text - Text to encode
+ * @param {Object} options - Options
+ * @param {number} options.size - Width and height in pixels
+ * @param {number} options.margin - Quiet zone in modules
+ * @returns {string} SVG markup
+ */
+function renderQrSvg(text, { size = 160, margin = 4 } = {}) {
+  const matrix = createQrMatrix(text);
+  const dimension = matrix.length + margin * 2;
+
+  let path = "";
+  matrix.forEach((line, row) => {
+    line.forEach((module, col) => {
+      if (module) path += `M${col + margin} ${row + margin}h1v1h-1z`;
+    });
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+export { reedSolomon, bchCode, createQrMatrix, renderQrSvg };
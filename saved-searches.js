@@ -0,0 +1,125 @@
+/**
+ * Saved searches for SaveBite application
+ *
+ * A saved search keeps a customer's getListings filters. Whenever a new
+ * listing is published that the filters match, the customer gets an alert
+ * for it until they next open the search.
+ */
+import { ALLERGENS, DIETARY_TAGS, parseTagList } from "./dietary.js";
+import { normalizeNear } from "./geo.js";
+import { PRICE_BANDS } from "./search-index.js";
+
+// Filters a saved search keeps; sorting and paging don't change what matches
+const SAVED_SEARCH_FILTERS = [
+  "search",
+  "category",
+  "businessType",
+  "priceBand",
+  "dietaryTags",
+  "excludeAllergens",
+  "near",
+  "businessId",
+];
+
+// Most searches a customer can save
+const MAX_SAVED_SEARCHES = 20;
+
+// Most new-listing alerts kept per customer; older ones are dropped
+const MAX_SEARCH_ALERTS = 100;
+
+// Longest saved search name
+const MAX_NAME_LENGTH = 60;
+
+/**
+ * Keep only the filters a saved search stores, dropping empty ones
+ * @param {Object} filters - getListings filters
+ * @returns {Object} Filters to save (near is null if it's invalid)
+ */
+function normalizeSearchFilters(filters = {}) {
+  const normalized = {};
+
+  SAVED_SEARCH_FILTERS.forEach((key) => {
+    const value = filters[key];
+
+    if (key === "dietaryTags" || key === "excludeAllergens") {
+      const list = parseTagList(value);
+      if (list.length > 0) normalized[key] = list;
+    } else if (key === "near") {
+      if (value) normalized.near = normalizeNear(value);
+    } else if (value !== undefined && value !== null) {
+      const text = String(value).trim();
+      if (text !== "" && text !== "all") normalized[key] = text;
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Check a saved search before it's stored
+ * @param {Object} savedSearch - Saved search with name and normalized filters
+ * @returns {Array} Array of error messages (empty if valid)
+ */
+function validateSavedSearch({ name, filters }) {
+  const errors = [];
+
+  if (!name) {
+    errors.push("Please give the search a name");
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.push(`Search names can be at most ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (Object.keys(filters).length === 0) {
+    errors.push("Please search or pick a filter before saving the search");
+  }
+
+  if (filters.near === null) {
+    errors.push("The search location is invalid");
+  }
+
+  return errors;
+}
+
+/**
+ * Describe a saved search's filters, e.g. "bread, Bakery, Vegan, within 5 km"
+ * @param {Object} filters - Normalized filters
+ * @returns {string} Description (used as the default name)
+ */
+function describeSearchFilters(filters) {
+  const capitalize = (value) =>
+    value.charAt(0).toUpperCase() + value.slice(1).replace(/-/g, " ");
+  const getLabel = (options, id) => {
+    const option = options.find((item) => item.id === id);
+    return option ? option.label : id;
+  };
+  const parts = [];
+
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.category) parts.push(capitalize(filters.category));
+  if (filters.businessType) parts.push(capitalize(filters.businessType));
+  if (filters.priceBand) parts.push(getLabel(PRICE_BANDS, filters.priceBand));
+
+  (filters.dietaryTags || []).forEach((tag) =>
+    parts.push(getLabel(DIETARY_TAGS, tag))
+  );
+
+  if ((filters.excludeAllergens || []).length > 0) {
+    parts.push(
+      `free from ${filters.excludeAllergens
+        .map((allergen) => getLabel(ALLERGENS, allergen).toLowerCase())
+        .join(", ")}`
+    );
+  }
+
+  if (filters.near) parts.push(`within ${filters.near.radiusKm} km`);
+
+  return parts.join(", ").slice(0, MAX_NAME_LENGTH) || "All listings";
+}
+
+export {
+  MAX_SAVED_SEARCHES,
+  MAX_SEARCH_ALERTS,
+  normalizeSearchFilters,
+  validateSavedSearch,
+  describeSearchFilters,
+};
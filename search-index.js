@@ -0,0 +1,275 @@
+/**
+ * Listing search for SaveBite application
+ *
+ * Listings are indexed by word stems per field, so "baked pastries" finds
+ * "Pastry bake". Query words also match the start of longer words and, past
+ * a few letters, words one or two typos away. Matches in the food name rank
+ * above the business name, category and description. Facet counts break
+ * results down by category, business type and price band.
+ */
+
+// How much a match in each field counts towards a listing's score
+const FIELD_WEIGHTS = {
+  foodName: 3,
+  businessName: 2,
+  category: 1.5,
+  description: 1,
+};
+
+// How much a match counts depending on how the word matched
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.5,
+};
+
+// Words too common to search on
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "for",
+  "from",
+  "in",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+// Suffixes removed by the stemmer, tried in order (first match wins)
+const STEM_RULES = [
+  ["sses", "ss"],
+  ["ies", "y"],
+  ["ied", "y"],
+  ["ches", "ch"],
+  ["shes", "sh"],
+  ["xes", "x"],
+  ["oes", "o"],
+  ["ing", ""],
+  ["ed", ""],
+  ["ly", ""],
+  ["s", ""],
+];
+
+// Price bands (by current price) for the price facet
+const PRICE_BANDS = [
+  { id: "under-5", label: "Under $5", min: 0, max: 5 },
+  { id: "5-10", label: "$5 to $10", min: 5, max: 10 },
+  { id: "10-20", label: "$10 to $20", min: 10, max: 20 },
+  { id: "20-plus", label: "$20 and over", min: 20, max: Infinity },
+];
+
+/**
+ * Reduce a word to its stem, e.g. "pastries" -> "pastry", "baked" -> "bak"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+
+  let stemmed = word;
+  const rule = STEM_RULES.find(
+    ([suffix]) =>
+      stemmed.endsWith(suffix) &&
+      stemmed.length - suffix.length >= 3 &&
+      !(suffix === "s" && stemmed.endsWith("ss"))
+  );
+
+  if (rule) {
+    stemmed = stemmed.slice(0, -rule[0].length) + rule[1];
+  }
+
+  // "bake", "baked" and "baking" all become "bak"
+  if (stemmed.length > 3 && stemmed.endsWith("e")) {
+    stemmed = stemmed.slice(0, -1);
+  }
+
+  return stemmed;
+}
+
+/**
+ * Split text into searchable word stems
+ * @param {string} text - Text to split
+ * @returns {Array} Stems, without stop words
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Drop accents: "café" -> "cafe"
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+/**
+ * Count the edits (insert, delete, substitute, swap) between two words
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Stop counting past this many edits
+ * @returns {number} Edit distance (max + 1 if it's more than max)
+ */
+function getEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+
+      // Swapped letters count as one edit
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Get how many typos a query word may have
+ * @param {string} term - Query stem
+ * @returns {number} Allowed edits
+ */
+function getAllowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Get the price band a price falls in
+ * @param {number} price - Price
+ * @returns {string} Price band ID
+ */
+function getPriceBand(price) {
+  const band = PRICE_BANDS.find(({ min, max }) => price >= min && price < max);
+  return band ? band.id : PRICE_BANDS[PRICE_BANDS.length - 1].id;
+}
+
+class SearchIndex {
+  /**
+   * @param {Array} documents - Objects with an id and the FIELD_WEIGHTS
+   *                            fields
+   */
+  constructor(documents = []) {
+    // stem -> Map of document ID -> weighted term frequency
+    this.postings = new Map();
+    this.documentIds = [];
+
+    documents.forEach((document) => this.add(document));
+  }
+
+  /**
+   * Add a document to the index
+   * @param {Object} document - Object with an id and the FIELD_WEIGHTS fields
+   */
+  add(document) {
+    this.documentIds.push(document.id);
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      tokenize(document[field]).forEach((term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+
+        const documents = this.postings.get(term);
+        documents.set(document.id, (documents.get(document.id) || 0) + weight);
+      });
+    });
+  }
+
+  /**
+   * Find the indexed stems a query stem matches
+   * @param {string} term - Query stem
+   * @returns {Array} Arrays of [stem, match quality]
+   */
+  expandTerm(term) {
+    const allowedTypos = getAllowedTypos(term);
+    const matches = [];
+
+    this.postings.forEach((_, indexed) => {
+      if (indexed === term) {
+        matches.push([indexed, MATCH_QUALITY.exact]);
+      } else if (term.length >= 3 && indexed.startsWith(term)) {
+        matches.push([indexed, MATCH_QUALITY.prefix]);
+      } else if (
+        allowedTypos > 0 &&
+        getEditDistance(term, indexed, allowedTypos) <= allowedTypos
+      ) {
+        matches.push([indexed, MATCH_QUALITY.fuzzy]);
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Score documents against a query; every query word has to match. A
+   * query of nothing but stop words, like "the", filters nothing out.
+   * @param {string} query - Search text
+   * @returns {Map} Document ID -> score, for matching documents only
+   */
+  search(query) {
+    const terms = [...new Set(tokenize(query))];
+    let scores = null;
+
+    if (terms.length === 0) {
+      return new Map(this.documentIds.map((id) => [id, 0]));
+    }
+
+    for (const term of terms) {
+      const termScores = new Map();
+
+      this.expandTerm(term).forEach(([indexed, quality]) => {
+        const documents = this.postings.get(indexed);
+        // Rarer words count for more
+        const idf = Math.log(1 + this.documentIds.length / documents.size);
+
+        documents.forEach((frequency, id) => {
+          const score = frequency * quality * idf;
+          termScores.set(id, Math.max(termScores.get(id) || 0, score));
+        });
+      });
+
+      // Keep only documents matching every word so far
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) {
+            combined.set(id, score + termScores.get(id));
+          }
+        });
+        scores = combined;
+      }
+
+      if (scores.size === 0) break;
+    }
+
+    return scores || new Map();
+  }
+}
+
+export { PRICE_BANDS, SearchIndex, tokenize, getPriceBand };
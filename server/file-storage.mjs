@@ -0,0 +1,148 @@
+/**
+ * File-backed storage adapter for the SaveBite server
+ *
+ * Keeps every key in memory and rewrites a single JSON file on each change.
+ * Keys with one of the given prefixes (uploaded images) are kept out of it
+ * instead: each is stored as its own file next to the data file and read on
+ * demand, so large values don't have to be rewritten on every change.
+ * Writes go to a temporary file first and are renamed into place, so a crash
+ * mid-write never leaves a half-written store behind.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { MemoryStorageAdapter } from "../storage.js";
+
+/**
+ * Write a file through a temporary file, so it's never left half-written
+ * @param {string} filePath - Path of the file
+ * @param {string} text - File contents
+ */
+function writeFileAtomic(filePath, text) {
+  const tempPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tempPath, text);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * FileStorageAdapter class persisting storage to a JSON file
+ */
+class FileStorageAdapter extends MemoryStorageAdapter {
+  /**
+   * @param {string} filePath - Path of the JSON data file
+   * @param {Object} options - Options
+   * @param {Array} options.fileKeyPrefixes - Prefixes of keys stored as
+   *                                          separate files
+   */
+  constructor(filePath, { fileKeyPrefixes = [] } = {}) {
+    super();
+    this.filePath = filePath;
+    this.fileKeyPrefixes = fileKeyPrefixes;
+    // e.g. data/savebite.json keeps its separate files in data/savebite-files/
+    this.fileDir = path.join(
+      path.dirname(filePath),
+      `${path.basename(filePath, path.extname(filePath))}-files`
+    );
+    this.load();
+  }
+
+  /**
+   * Load entries from the data file if it exists
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const entries = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    let moved = false;
+
+    Object.entries(entries).forEach(([key, value]) => {
+      if (this.isFileKey(key)) {
+        // Written before the key was kept in its own file
+        this.set(key, value);
+        moved = true;
+      } else {
+        super.set(key, value);
+      }
+    });
+
+    if (moved) this.save();
+  }
+
+  /**
+   * Write all entries except separate files to the data file
+   */
+  save() {
+    const entries = {};
+    super.keys().forEach((key) => {
+      entries[key] = super.get(key);
+    });
+
+    writeFileAtomic(this.filePath, JSON.stringify(entries, null, 2));
+  }
+
+  /**
+   * Check whether a key is stored as its own file
+   * @param {string} key - Storage key
+   * @returns {boolean} Whether the key has a file key prefix
+   */
+  isFileKey(key) {
+    return this.fileKeyPrefixes.some((prefix) => key.startsWith(prefix));
+  }
+
+  /**
+   * Get the path of the file a key is stored in
+   * @param {string} key - Storage key with a file key prefix
+   * @returns {string} File path
+   */
+  getKeyPath(key) {
+    return path.join(this.fileDir, `${encodeURIComponent(key)}.json`);
+  }
+
+  get(key, fallback = null) {
+    if (!this.isFileKey(key)) return super.get(key, fallback);
+
+    const keyPath = this.getKeyPath(key);
+    return fs.existsSync(keyPath)
+      ? JSON.parse(fs.readFileSync(keyPath, "utf8"))
+      : fallback;
+  }
+
+  set(key, value) {
+    if (this.isFileKey(key)) {
+      writeFileAtomic(this.getKeyPath(key), JSON.stringify(value));
+      return;
+    }
+
+    super.set(key, value);
+    this.save();
+  }
+
+  remove(key) {
+    if (this.isFileKey(key)) {
+      fs.rmSync(this.getKeyPath(key), { force: true });
+      return;
+    }
+
+    super.remove(key);
+    this.save();
+  }
+
+  has(key) {
+    return this.isFileKey(key)
+      ? fs.existsSync(this.getKeyPath(key))
+      : super.has(key);
+  }
+
+  keys() {
+    const fileKeys = fs.existsSync(this.fileDir)
+      ? fs
+          .readdirSync(this.fileDir)
+          .filter((name) => name.endsWith(".json"))
+          .map((name) => decodeURIComponent(name.slice(0, -".json".length)))
+      : [];
+
+    return [...super.keys(), ...fileKeys];
+  }
+}
+
+export default FileStorageAdapter;
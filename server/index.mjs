@@ -0,0 +1,560 @@
+/**
+ * HTTP backend server for SaveBite application
+ *
+ * Exposes the ApiService contract as REST routes. Each request gets its own
+ * AuthService/ApiService pair on top of the shared file store, with the
+ * session and cart scoped to the caller's token, so the server applies
+ * exactly the same rules and filters as the in-browser service.
+ *
+ * Usage: node server/index.mjs
+ *   PORT               - Port to listen on (default 3000)
+ *   SAVEBITE_DATA_FILE - JSON data file (default server/data/savebite.json)
+ *   SMTP_HOST          - SMTP server emails are sent to (default localhost)
+ *   SMTP_PORT          - SMTP server port (default 2525, the smtp-sink.mjs
+ *                        development sink)
+ *   SAVEBITE_APP_URL   - Site the links in emails point to
+ */
+import http from "node:http";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { ApiService } from "../api.js";
+import { AuthService } from "../auth.js";
+import { EmailService } from "../email.js";
+import { ScopedStorageAdapter } from "../storage.js";
+import FileStorageAdapter from "./file-storage.mjs";
+import SmtpTransport from "./smtp-transport.mjs";
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE =
+  process.env.SAVEBITE_DATA_FILE ||
+  path.join(serverDir, "data", "savebite.json");
+
+// Keys that belong to a single client rather than the whole store
+const SCOPED_KEYS = ["savebite_session", "savebite_cart"];
+
+// Routes only signed-in users can call
+const CART_PATH = /^\/api\/cart(\/|$)/;
+
+// Maximum accepted request body size (1 MB)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Uploaded listing images are served as files from here
+const IMAGE_PATH = /^\/api\/images\/([^/]+)\/(\d+)$/;
+
+// Uploaded images (see IMAGE_KEY_PREFIX in api.js) are kept out of the data
+// file, which is rewritten on every change
+const store = new FileStorageAdapter(DATA_FILE, {
+  fileKeyPrefixes: ["savebite_image_"],
+});
+
+// One email queue for every request, sent over SMTP
+const email = new EmailService({
+  storage: store,
+  transport: new SmtpTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 2525,
+  }),
+  appUrl: process.env.SAVEBITE_APP_URL || undefined,
+});
+
+/**
+ * Create the services for one request
+ * @param {string} token - Client token used to scope session and cart
+ * @param {string} origin - Origin the request was sent to, used for image URLs
+ * @returns {Object} Object with auth and api services
+ */
+function createServices(token, origin = "") {
+  const storage = new ScopedStorageAdapter(store, token, SCOPED_KEYS);
+  const auth = new AuthService({ storage });
+  const api = new ApiService({
+    storage,
+    auth,
+    simulateLatency: false,
+    imageBaseUrl: `${origin}/api/images`,
+    email,
+  });
+
+  return { auth, api };
+}
+
+/**
+ * Read the bearer token from a request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token or null if not provided
+ */
+function getToken(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object if none); rejects
+ *                            unless it's a JSON object
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+
+    req.on("end", () => {
+      let parsed;
+      try {
+        parsed = body ? JSON.parse(body) : {};
+      } catch (error) {
+        reject(new Error("Invalid JSON body"));
+        return;
+      }
+
+      // Services read fields off the body, so null, arrays and plain
+      // values are turned away here
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+        reject(new Error("Request body must be a JSON object"));
+        return;
+      }
+
+      resolve(parsed);
+    });
+
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Convert query parameters to an ApiService filters object
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object} Filters object
+ */
+function parseFilters(searchParams) {
+  const filters = Object.fromEntries(searchParams.entries());
+
+  if (filters.limit) {
+    filters.limit = parseInt(filters.limit);
+  }
+
+  // near=lat,lng,radiusKm
+  if (filters.near) {
+    const [lat, lng, radiusKm] = filters.near.split(",");
+    filters.near = { lat, lng, radiusKm };
+  }
+
+  return filters;
+}
+
+/**
+ * Send one size of an uploaded image
+ * @param {http.ServerResponse} res - Response
+ * @param {ApiService} api - API service
+ * @param {string} id - Image ID
+ * @param {string} width - Image width
+ */
+function sendImage(res, api, id, width) {
+  const file = api.getImageFile(id, width);
+
+  if (!file) {
+    sendJson(res, 404, { success: false, message: "Image not found" });
+    return;
+  }
+
+  // Images never change once uploaded
+  res.writeHead(200, {
+    "Content-Type": file.contentType,
+    "Cache-Control": "public, max-age=31536000, immutable",
+  });
+  res.end(Buffer.from(file.base64, "base64"));
+}
+
+/**
+ * Pick an HTTP status code for a service result
+ * @param {*} result - Value returned by the service
+ * @returns {number} HTTP status code
+ */
+function getStatusCode(result) {
+  if (result === null) return 404;
+
+  if (result && result.success === false) {
+    if (/^Unauthorized: (Please log in|Not logged in)/.test(result.message)) {
+      return 401;
+    }
+    if (/^Unauthorized/.test(result.message)) return 403;
+    if (result.errors) return 409; // e.g. stock no longer available
+    if (/not found/i.test(result.message)) return 404;
+    return 400;
+  }
+
+  return 200;
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {*} data - Data to send
+ */
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
+
+// Route table: [method, path pattern, handler]
+// Handlers receive ({ auth, api, params, query, body, token }) and return
+// the value to send back
+const routes = [
+  // ==================== Auth Routes ====================
+  [
+    "POST",
+    /^\/api\/auth\/register$/,
+    async ({ auth, body, token }) => {
+      const result = await auth.register(body);
+      return result.success ? { ...result, token } : result;
+    },
+  ],
+  [
+    "POST",
+    /^\/api\/auth\/login$/,
+    async ({ auth, body, token }) => {
+      const result = await auth.login(body.email, body.password);
+      return result.success ? { ...result, token } : result;
+    },
+  ],
+  [
+    "POST",
+    /^\/api\/auth\/logout$/,
+    async ({ auth }) => {
+      auth.logout();
+      return { success: true, message: "Logged out" };
+    },
+  ],
+  [
+    "POST",
+    /^\/api\/auth\/password$/,
+    async ({ auth, body }) => {
+      const user = auth.getCurrentUser();
+      return user
+        ? auth.changePassword(user.id, body.currentPassword, body.newPassword)
+        : {
+            success: false,
+            message: "Unauthorized: Please log in to change your password",
+          };
+    },
+  ],
+  [
+    "GET",
+    /^\/api\/auth\/me$/,
+    async ({ auth }) => {
+      const user = auth.getCurrentUser();
+      return user
+        ? { success: true, user: auth.toPublicUser(user) }
+        : { success: false, message: "Unauthorized: Not logged in" };
+    },
+  ],
+
+  // ==================== Listing Routes ====================
+  ["GET", /^\/api\/listings$/, ({ api, query }) => api.getListings(query)],
+  [
+    "GET",
+    /^\/api\/listings\/facets$/,
+    ({ api, query }) => api.getListingFacets(query),
+  ],
+  [
+    "GET",
+    /^\/api\/listings\/([^/]+)$/,
+    ({ api, params }) => api.getListingById(params[0]),
+  ],
+  ["POST", /^\/api\/listings$/, ({ api, body }) => api.createListing(body)],
+  [
+    "POST",
+    /^\/api\/listings\/import$/,
+    ({ api, body }) => api.importListings(body.records),
+  ],
+  [
+    "PUT",
+    /^\/api\/listings\/([^/]+)$/,
+    ({ api, params, body }) => api.updateListing(params[0], body),
+  ],
+  [
+    "DELETE",
+    /^\/api\/listings\/([^/]+)$/,
+    ({ api, params }) => api.deleteListing(params[0]),
+  ],
+
+  // ==================== Listing Image Routes ====================
+  [
+    "POST",
+    /^\/api\/images$/,
+    ({ api, body }) => api.uploadListingImage(body.sizes),
+  ],
+
+  // ==================== Listing Template Routes ====================
+  ["GET", /^\/api\/listing-templates$/, ({ api }) => api.getListingTemplates()],
+  [
+    "POST",
+    /^\/api\/listing-templates$/,
+    ({ api, body }) =>
+      api.createListingTemplate(body.listingId, body.recurrence),
+  ],
+  [
+    "PUT",
+    /^\/api\/listing-templates\/([^/]+)$/,
+    ({ api, params, body }) => api.updateListingTemplate(params[0], body),
+  ],
+  [
+    "DELETE",
+    /^\/api\/listing-templates\/([^/]+)$/,
+    ({ api, params }) => api.deleteListingTemplate(params[0]),
+  ],
+
+  // ==================== Cart Routes ====================
+  ["GET", /^\/api\/cart$/, ({ api }) => api.getCart()],
+  ["POST", /^\/api\/cart\/items$/, ({ api, body }) => api.addToCart(body)],
+  [
+    "PUT",
+    /^\/api\/cart\/items\/([^/]+)$/,
+    ({ api, params, body }) =>
+      api.updateCartItemQuantity(params[0], body.quantity),
+  ],
+  [
+    "DELETE",
+    /^\/api\/cart\/items\/([^/]+)$/,
+    ({ api, params }) => api.removeFromCart(params[0]),
+  ],
+  ["DELETE", /^\/api\/cart$/, ({ api }) => api.clearCart()],
+  ["GET", /^\/api\/cart\/pickup-slots$/, ({ api }) => api.getCartPickupSlots()],
+
+  // ==================== Order Routes ====================
+  ["GET", /^\/api\/orders$/, ({ api, query }) => api.getOrders(query)],
+  [
+    "GET",
+    /^\/api\/orders\/([^/]+)$/,
+    ({ api, params }) => api.getOrderById(params[0]),
+  ],
+  ["POST", /^\/api\/orders$/, ({ api, body }) => api.createOrder(body)],
+  [
+    "GET",
+    /^\/api\/order-groups\/([^/]+)$/,
+    ({ api, params }) => api.getOrderGroup(params[0]),
+  ],
+  [
+    "POST",
+    /^\/api\/orders\/([^/]+)\/reorder$/,
+    ({ api, params }) => api.reorder(params[0]),
+  ],
+  [
+    "GET",
+    /^\/api\/pickups\/([^/]+)$/,
+    ({ api, params }) => api.findOrderByPickupCode(params[0]),
+  ],
+  [
+    "PATCH",
+    /^\/api\/orders\/([^/]+)\/status$/,
+    ({ api, params, body }) => api.updateOrderStatus(params[0], body.status),
+  ],
+
+  // ==================== User Routes ====================
+  ["GET", /^\/api\/users$/, ({ api, query }) => api.getUsers(query)],
+  [
+    "GET",
+    /^\/api\/users\/([^/]+)$/,
+    ({ api, params }) => api.getUserById(params[0]),
+  ],
+  [
+    "PUT",
+    /^\/api\/users\/([^/]+)$/,
+    ({ api, params, body }) => api.updateUserProfile(params[0], body),
+  ],
+  [
+    "PATCH",
+    /^\/api\/users\/([^/]+)\/status$/,
+    ({ api, params, body }) => api.updateUserStatus(params[0], body.status),
+  ],
+
+  // ==================== Notification Routes ====================
+  ["GET", /^\/api\/notifications$/, ({ api }) => api.getNotifications()],
+  [
+    "POST",
+    /^\/api\/notifications\/read$/,
+    ({ api, body }) => api.markNotificationsRead(body.ids),
+  ],
+  [
+    "POST",
+    /^\/api\/notifications\/clear$/,
+    ({ api, body }) => api.clearNotifications(body.ids),
+  ],
+
+  // ==================== Favorites Routes ====================
+  ["GET", /^\/api\/favorites$/, ({ api }) => api.getFavorites()],
+  [
+    "PUT",
+    /^\/api\/favorites\/(business|listing)\/([^/]+)$/,
+    ({ api, params }) => api.addFavorite(params[0], params[1]),
+  ],
+  [
+    "DELETE",
+    /^\/api\/favorites\/(business|listing)\/([^/]+)$/,
+    ({ api, params }) => api.removeFavorite(params[0], params[1]),
+  ],
+
+  // ==================== Saved Search Routes ====================
+  ["GET", /^\/api\/saved-searches$/, ({ api }) => api.getSavedSearches()],
+  [
+    "POST",
+    /^\/api\/saved-searches$/,
+    ({ api, body }) => api.createSavedSearch(body.name, body.filters),
+  ],
+  [
+    "POST",
+    /^\/api\/saved-searches\/([^/]+)\/seen$/,
+    ({ api, params }) => api.markSavedSearchSeen(params[0]),
+  ],
+  [
+    "DELETE",
+    /^\/api\/saved-searches\/([^/]+)$/,
+    ({ api, params }) => api.deleteSavedSearch(params[0]),
+  ],
+
+  // ==================== Pricing Routes ====================
+  ["GET", /^\/api\/pricing$/, ({ api }) => api.getPricingConfig()],
+  ["PUT", /^\/api\/pricing$/, ({ api, body }) => api.updatePricingConfig(body)],
+  [
+    "GET",
+    /^\/api\/cart\/totals$/,
+    ({ api, query }) => api.getCartTotals(query.promoCode),
+  ],
+
+  // ==================== Promo Code Routes ====================
+  ["GET", /^\/api\/promo-codes$/, ({ api }) => api.getPromoCodes()],
+  [
+    "POST",
+    /^\/api\/promo-codes$/,
+    ({ api, body }) => api.createPromoCode(body),
+  ],
+  [
+    "DELETE",
+    /^\/api\/promo-codes\/([^/]+)$/,
+    ({ api, params }) => api.deletePromoCode(params[0]),
+  ],
+
+  // ==================== Stats Routes ====================
+  ["GET", /^\/api\/stats$/, ({ api }) => api.getStats()],
+  [
+    "GET",
+    /^\/api\/stats\/([^/]+)$/,
+    ({ api, params }) => api.getStats(params[0]),
+  ],
+];
+
+/**
+ * Handle an incoming request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  // Allow the browser client to call the API from another origin
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader(
+    "Access-Control-Allow-Methods",
+    "GET, POST, PUT, PATCH, DELETE, OPTIONS"
+  );
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+
+  // Images are sent as files rather than JSON
+  const imageMatch = req.method === "GET" && url.pathname.match(IMAGE_PATH);
+  if (imageMatch) {
+    const { api } = createServices(randomUUID(), url.origin);
+    await api.ready;
+    sendImage(res, api, decodeURIComponent(imageMatch[1]), imageMatch[2]);
+    return;
+  }
+
+  // Find matching route
+  let match = null;
+  const route = routes.find(([method, pattern]) => {
+    if (method !== req.method) return false;
+    match = url.pathname.match(pattern);
+    return match !== null;
+  });
+
+  if (!route) {
+    sendJson(res, 404, { success: false, message: "Route not found" });
+    return;
+  }
+
+  let body = {};
+  if (["POST", "PUT", "PATCH"].includes(req.method)) {
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      sendJson(res, 400, { success: false, message: error.message });
+      return;
+    }
+  }
+
+  try {
+    // Anonymous requests get a scope of their own, which becomes the
+    // client's token if they log in or register
+    const token = getToken(req) || randomUUID();
+    const { auth, api } = createServices(token, url.origin);
+    await api.ready;
+
+    if (CART_PATH.test(url.pathname) && !auth.getCurrentUser()) {
+      sendJson(res, 401, {
+        success: false,
+        message: "Unauthorized: Please log in to use your cart",
+      });
+      return;
+    }
+
+    const result = await route[2]({
+      auth,
+      api,
+      params: match.slice(1).map(decodeURIComponent),
+      query: parseFilters(url.searchParams),
+      body,
+      token,
+    });
+
+    let statusCode = getStatusCode(result);
+    if (statusCode === 200 && req.method === "POST" && result.success) {
+      statusCode = 201;
+    }
+
+    sendJson(res, statusCode, result);
+  } catch (error) {
+    console.error("Error handling request:", error);
+    sendJson(res, 500, { success: false, message: error.message });
+  }
+}
+
+const server = http.createServer(handleRequest);
+
+server.listen(PORT, () => {
+  console.log(`SaveBite server listening on http://localhost:${PORT}`);
+  console.log(`Data file: ${DATA_FILE}`);
+});
+
+// Send emails still queued from before a restart
+email
+  .processQueue()
+  .catch((error) => console.error("Error sending emails:", error));
+
+export default server;
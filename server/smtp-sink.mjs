@@ -0,0 +1,248 @@
+/**
+ * Development SMTP sink for SaveBite
+ *
+ * A minimal SMTP server that accepts every message and keeps it instead of
+ * delivering it, so emails can be read during development and checked in
+ * tests. Received messages are kept in memory and, if an output directory
+ * is given, written to it as .eml files that any mail client can open.
+ *
+ * Usage: node server/smtp-sink.mjs
+ *   SMTP_PORT         - Port to listen on (default 2525)
+ *   SAVEBITE_MAIL_DIR - Directory for .eml files (default server/data/mail)
+ */
+import fs from "node:fs";
+import net from "node:net";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+// Largest message accepted (10 MB)
+const MAX_MESSAGE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Read a header from the raw text of a message
+ * @param {string} raw - Message text
+ * @param {string} name - Header name
+ * @returns {string|null} Header value, decoded if it's base64 encoded
+ */
+function getHeader(raw, name) {
+  const [headers] = raw.split("\r\n\r\n");
+  const match = headers.match(new RegExp(`^${name}: (.*)$`, "im"));
+  if (!match) return null;
+
+  return match[1].replace(/=\?UTF-8\?B\?([^?]*)\?=/gi, (_, encoded) =>
+    Buffer.from(encoded, "base64").toString("utf8")
+  );
+}
+
+/**
+ * SmtpSink class accepting and keeping SMTP messages
+ */
+class SmtpSink {
+  /**
+   * @param {Object} options - Sink options
+   * @param {string} options.outDir - Directory to write .eml files to
+   *                                  (null to keep messages in memory only)
+   * @param {string} options.hostname - Name the sink greets clients with
+   * @param {Function} options.onMessage - Called with each received message
+   */
+  constructor({
+    outDir = null,
+    hostname = "savebite-sink",
+    onMessage = null,
+  } = {}) {
+    this.outDir = outDir;
+    this.hostname = hostname;
+    this.onMessage = onMessage;
+    this.messages = [];
+    this.failures = 0;
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+  }
+
+  /**
+   * Start accepting connections
+   * @param {number} port - Port to listen on (0 for any free port)
+   * @param {string} host - Address to listen on
+   * @returns {Promise<number>} Port the sink listens on
+   */
+  listen(port = 2525, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  /**
+   * Stop accepting connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Turn away the next messages with a temporary error, to test retries
+   * @param {number} count - Number of messages to turn away
+   */
+  failNext(count = 1) {
+    this.failures += count;
+  }
+
+  /**
+   * Talk SMTP with a client
+   * @param {net.Socket} socket - Client connection
+   */
+  handleConnection(socket) {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let data = null; // Lines of the message while it's being received
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handleLine = (line) => {
+      // Message text ends with a line holding a single dot
+      if (data) {
+        if (line !== ".") {
+          data.push(line.startsWith("..") ? line.slice(1) : line);
+          return;
+        }
+
+        if (this.failures > 0) {
+          this.failures--;
+          reply("451 4.3.0 Temporary failure, please try again later");
+        } else {
+          const message = this.receive(envelope, data.join("\r\n"));
+          reply(`250 2.0.0 OK: queued as ${message.id}`);
+        }
+
+        data = null;
+        envelope = { from: null, to: [] };
+        return;
+      }
+
+      const [verb] = line.split(" ");
+      const argument = (line.match(/<([^>]*)>/) || [])[1];
+
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          reply(`250-${this.hostname}`);
+          reply("250-8BITMIME");
+          reply(`250 SIZE ${MAX_MESSAGE_SIZE}`);
+          break;
+        case "HELO":
+          reply(`250 ${this.hostname}`);
+          break;
+        case "MAIL":
+          envelope = { from: argument || "", to: [] };
+          reply("250 2.1.0 OK");
+          break;
+        case "RCPT":
+          if (envelope.from === null) {
+            reply("503 5.5.1 Send MAIL FROM first");
+          } else if (!argument) {
+            reply("501 5.1.3 Bad recipient address");
+          } else {
+            envelope.to.push(argument);
+            reply("250 2.1.5 OK");
+          }
+          break;
+        case "DATA":
+          if (envelope.to.length === 0) {
+            reply("503 5.5.1 Send RCPT TO first");
+          } else {
+            data = [];
+            reply("354 End data with <CR><LF>.<CR><LF>");
+          }
+          break;
+        case "RSET":
+          envelope = { from: null, to: [] };
+          reply("250 2.0.0 OK");
+          break;
+        case "NOOP":
+          reply("250 2.0.0 OK");
+          break;
+        case "QUIT":
+          reply("221 2.0.0 Bye");
+          socket.end();
+          break;
+        default:
+          reply("502 5.5.2 Command not implemented");
+      }
+    };
+
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+
+      if (buffer.length > MAX_MESSAGE_SIZE) {
+        reply("552 5.3.4 Message too big");
+        socket.destroy();
+        return;
+      }
+
+      const lines = buffer.split("\r\n");
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+    socket.on("error", () => socket.destroy());
+
+    reply(`220 ${this.hostname} ESMTP ready`);
+  }
+
+  /**
+   * Keep a received message
+   * @param {Object} envelope - Sender and recipients from MAIL and RCPT
+   * @param {string} raw - Message text
+   * @returns {Object} Stored message
+   */
+  receive(envelope, raw) {
+    const message = {
+      id: randomUUID(),
+      from: envelope.from,
+      to: envelope.to,
+      subject: getHeader(raw, "Subject"),
+      raw,
+      receivedAt: new Date().toISOString(),
+    };
+
+    this.messages.push(message);
+
+    if (this.outDir) {
+      fs.mkdirSync(this.outDir, { recursive: true });
+      fs.writeFileSync(
+        path.join(
+          this.outDir,
+          `${message.receivedAt.replace(/[:.]/g, "-")}-${message.id}.eml`
+        ),
+        raw
+      );
+    }
+
+    if (this.onMessage) this.onMessage(message);
+
+    return message;
+  }
+}
+
+// Run the sink when started directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const serverDir = path.dirname(fileURLToPath(import.meta.url));
+  const port = Number(process.env.SMTP_PORT) || 2525;
+  const outDir =
+    process.env.SAVEBITE_MAIL_DIR || path.join(serverDir, "data", "mail");
+  const sink = new SmtpSink({
+    outDir,
+    onMessage: (message) =>
+      console.log(`Received "${message.subject}" for ${message.to.join(", ")}`),
+  });
+
+  sink.listen(port).then((actualPort) => {
+    console.log(`SMTP sink listening on localhost:${actualPort}`);
+    console.log(`Messages are saved to ${outDir}`);
+  });
+}
+
+export default SmtpSink;
@@ -0,0 +1,227 @@
+/**
+ * SMTP transport for the SaveBite server
+ *
+ * Sends EmailService messages to an SMTP server as multipart emails with a
+ * text and an HTML part. It speaks plain SMTP without authentication or TLS,
+ * which is what the development sink (smtp-sink.mjs) and local relays expect.
+ */
+import net from "node:net";
+import { randomUUID } from "node:crypto";
+
+/**
+ * Read the address out of "Name <address>"
+ * @param {string} mailbox - Mailbox
+ * @returns {string} Address
+ */
+function getAddress(mailbox) {
+  const match = mailbox.match(/<([^>]+)>/);
+  return match ? match[1] : mailbox.trim();
+}
+
+/**
+ * Make sure a mailbox can't end its header or SMTP command early
+ * @param {string} name - Header name, for the error
+ * @param {string} mailbox - Mailbox
+ * @returns {string} Mailbox
+ */
+function checkMailbox(name, mailbox) {
+  if (/[\r\n]/.test(mailbox)) {
+    throw new Error(`${name} address can't contain line breaks`);
+  }
+
+  return mailbox;
+}
+
+/**
+ * Encode a header value that isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Encode a message part as base64 in 76 character lines
+ * @param {string} content - Part content
+ * @returns {string} Encoded content
+ */
+function encodeBody(content) {
+  return Buffer.from(content).toString("base64").replace(/.{76}/g, "$&\r\n");
+}
+
+/**
+ * Build the MIME text of a message
+ * @param {Object} message - Message with from, to, subject, html and text
+ * @returns {string} MIME message
+ */
+function toMimeMessage({ from, to, subject, html, text }) {
+  const boundary = `savebite-${randomUUID()}`;
+
+  return [
+    `From: ${checkMailbox("From", from)}`,
+    `To: ${checkMailbox("To", to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@savebite>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBody(text),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBody(html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * SmtpTransport class sending messages over SMTP
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.host - SMTP server host
+   * @param {number} options.port - SMTP server port
+   * @param {string} options.hostname - Name to greet the server with
+   * @param {number} options.timeout - Milliseconds to wait for the server
+   */
+  constructor({
+    host = "localhost",
+    port = 2525,
+    hostname = "localhost",
+    timeout = 10000,
+  } = {}) {
+    this.host = host;
+    this.port = port;
+    this.hostname = hostname;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - Message with from, to, subject, html and text
+   * @returns {Promise<void>} Rejects if the server doesn't accept it
+   */
+  async send(message) {
+    // Built first, so addresses with line breaks are turned away before
+    // they reach MAIL FROM and RCPT TO. Lines starting with a dot are
+    // escaped with another one.
+    const data = toMimeMessage(message).replace(/^\./gm, "..");
+    const connection = await this.connect();
+
+    try {
+      await connection.expect(220);
+      await connection.command(`EHLO ${this.hostname}`, 250);
+      await connection.command(`MAIL FROM:<${getAddress(message.from)}>`, 250);
+      await connection.command(`RCPT TO:<${getAddress(message.to)}>`, 250);
+      await connection.command("DATA", 354);
+      await connection.command(`${data}\r\n.`, 250);
+
+      await connection.command("QUIT", 221);
+    } finally {
+      connection.close();
+    }
+  }
+
+  /**
+   * Open a connection to the SMTP server
+   * @returns {Promise<Object>} Connection with expect, command and close
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const lines = [];
+      let buffer = "";
+      let waiting = null;
+      let failure = null;
+
+      // Hand the next complete reply (its last line has a space after the
+      // code) to whoever is waiting for it
+      const deliver = () => {
+        if (!waiting) return;
+
+        if (failure) {
+          waiting.reject(failure);
+          waiting = null;
+          return;
+        }
+
+        const lastIndex = lines.findIndex((line) => /^\d{3}(?: |$)/.test(line));
+        if (lastIndex === -1) return;
+
+        const reply = lines.splice(0, lastIndex + 1);
+        const { resolve: resolveReply } = waiting;
+        waiting = null;
+        resolveReply({
+          code: Number(reply[reply.length - 1].slice(0, 3)),
+          text: reply.join("\n"),
+        });
+      };
+
+      const fail = (error) => {
+        failure = failure || error;
+        deliver();
+      };
+
+      socket.setEncoding("utf8");
+      socket.setTimeout(this.timeout, () => {
+        fail(new Error("SMTP server timed out"));
+        socket.destroy();
+      });
+
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        const parts = buffer.split("\r\n");
+        buffer = parts.pop();
+        lines.push(...parts);
+        deliver();
+      });
+
+      socket.on("error", (error) => {
+        fail(error);
+        reject(error);
+      });
+      socket.on("close", () => fail(new Error("SMTP connection closed")));
+
+      const readReply = () =>
+        new Promise((resolveReply, rejectReply) => {
+          waiting = { resolve: resolveReply, reject: rejectReply };
+          deliver();
+        });
+
+      const expect = async (code) => {
+        const reply = await readReply();
+
+        if (reply.code !== code) {
+          throw new Error(`SMTP server replied: ${reply.text}`);
+        }
+
+        return reply;
+      };
+
+      socket.on("connect", () =>
+        resolve({
+          expect,
+          command: (line, code) => {
+            socket.write(`${line}\r\n`);
+            return expect(code);
+          },
+          close: () => socket.end(),
+        })
+      );
+    });
+  }
+}
+
+export { toMimeMessage };
+export default SmtpTransport;
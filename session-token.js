@@ -0,0 +1,251 @@
+/**
+ * Signed session tokens for SaveBite application
+ *
+ * Tokens use the JWT compact format with HS256 signatures. Signing is done
+ * with a small synchronous SHA-256 implementation (Web Crypto is async only)
+ * so AuthService.getSession can keep its synchronous signature.
+ */
+
+// SHA-256 round constants
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * Compute a SHA-256 digest
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {Uint8Array} 32-byte digest
+ */
+function sha256(bytes) {
+  const hash = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+  ]);
+
+  // Pad message: 0x80, zeros, then 64-bit big-endian bit length
+  const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  const bitLength = bytes.length * 8;
+  view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+  const w = new Uint32Array(64);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+  for (let offset = 0; offset < paddedLength; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      w[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const temp1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const temp2 = (S0 + maj) >>> 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + temp1) >>> 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (temp1 + temp2) >>> 0;
+    }
+
+    hash[0] += a;
+    hash[1] += b;
+    hash[2] += c;
+    hash[3] += d;
+    hash[4] += e;
+    hash[5] += f;
+    hash[6] += g;
+    hash[7] += h;
+  }
+
+  const digest = new Uint8Array(32);
+  const digestView = new DataView(digest.buffer);
+  hash.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+}
+
+/**
+ * Compute an HMAC-SHA256
+ * @param {Uint8Array} key - Secret key bytes
+ * @param {Uint8Array} message - Message bytes
+ * @returns {Uint8Array} 32-byte MAC
+ */
+function hmacSha256(key, message) {
+  const blockSize = 64;
+  const keyBlock = new Uint8Array(blockSize);
+  keyBlock.set(key.length > blockSize ? sha256(key) : key);
+
+  const inner = new Uint8Array(blockSize + message.length);
+  const outer = new Uint8Array(blockSize + 32);
+
+  for (let i = 0; i < blockSize; i++) {
+    inner[i] = keyBlock[i] ^ 0x36;
+    outer[i] = keyBlock[i] ^ 0x5c;
+  }
+
+  inner.set(message, blockSize);
+  outer.set(sha256(inner), blockSize);
+  return sha256(outer);
+}
+
+/**
+ * Encode bytes as base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string without padding
+ */
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decode base64url to bytes
+ * @param {string} base64Url - Base64url string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function fromBase64Url(base64Url) {
+  const base64 = base64Url.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encode a JSON value as base64url
+ * @param {Object} value - Value to encode
+ * @returns {string} Base64url string
+ */
+function encodeJson(value) {
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+/**
+ * Decode a base64url JSON value
+ * @param {string} part - Base64url string
+ * @returns {Object} Decoded value
+ */
+function decodeJson(part) {
+  return JSON.parse(new TextDecoder().decode(fromBase64Url(part)));
+}
+
+/**
+ * Compute the signature of a token's header and payload
+ * @param {string} data - "header.payload" string
+ * @param {string} secret - Signing secret
+ * @returns {string} Base64url signature
+ */
+function sign(data, secret) {
+  const encoder = new TextEncoder();
+  return toBase64Url(hmacSha256(encoder.encode(secret), encoder.encode(data)));
+}
+
+/**
+ * Compare two strings without leaking where they differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} Whether the strings are equal
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Create a signed token
+ * @param {Object} payload - Token claims
+ * @param {string} secret - Signing secret
+ * @returns {string} Signed token
+ */
+function signToken(payload, secret) {
+  const data = `${encodeJson({ alg: "HS256", typ: "JWT" })}.${encodeJson(
+    payload
+  )}`;
+  return `${data}.${sign(data, secret)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Signed token
+ * @param {string} secret - Signing secret
+ * @param {number} now - Current time in seconds (for testing)
+ * @returns {Object} Result with valid flag, payload and reason
+ *                   ('malformed', 'signature' or 'expired') when invalid
+ */
+function verifyToken(token, secret, now = Math.floor(Date.now() / 1000)) {
+  if (typeof token !== "string") {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  const [header, payload, signature] = parts;
+
+  if (!timingSafeEqual(sign(`${header}.${payload}`, secret), signature)) {
+    return { valid: false, reason: "signature" };
+  }
+
+  let claims;
+  try {
+    claims = decodeJson(payload);
+  } catch (error) {
+    return { valid: false, reason: "malformed" };
+  }
+
+  if (typeof claims.exp === "number" && claims.exp <= now) {
+    return { valid: false, reason: "expired", payload: claims };
+  }
+
+  return { valid: true, payload: claims };
+}
+
+/**
+ * Generate a random secret
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Base64url secret
+ */
+function generateSecret(bytes = 32) {
+  return toBase64Url(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+export { sha256, hmacSha256, signToken, verifyToken, generateSecret };
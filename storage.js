@@ -0,0 +1,451 @@
+/**
+ * Storage adapters for SaveBite application
+ *
+ * Every adapter exposes the same synchronous key/value interface
+ * (get, set, remove, keys) so services can read and write without caring
+ * where data lives. Adapters backed by asynchronous stores (IndexedDB, HTTP)
+ * keep an in-memory copy that is loaded by ready() and written through in
+ * the background.
+ */
+
+/**
+ * Base class describing the storage adapter interface
+ */
+class StorageAdapter {
+  /**
+   * Wait until the adapter has loaded its data
+   * @returns {Promise<void>}
+   */
+  async ready() {}
+
+  /**
+   * Read a value
+   * @param {string} key - Storage key
+   * @param {*} fallback - Value returned when the key is not set
+   * @returns {*} Stored value or fallback
+   */
+  get(key, fallback = null) {
+    throw new Error("StorageAdapter.get is not implemented");
+  }
+
+  /**
+   * Write a value
+   * @param {string} key - Storage key
+   * @param {*} value - JSON-serializable value
+   */
+  set(key, value) {
+    throw new Error("StorageAdapter.set is not implemented");
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key
+   */
+  remove(key) {
+    throw new Error("StorageAdapter.remove is not implemented");
+  }
+
+  /**
+   * Check whether a key is set
+   * @param {string} key - Storage key
+   * @returns {boolean} Whether the key exists
+   */
+  has(key) {
+    return this.keys().includes(key);
+  }
+
+  /**
+   * List stored keys
+   * @returns {Array<string>} Array of keys
+   */
+  keys() {
+    throw new Error("StorageAdapter.keys is not implemented");
+  }
+}
+
+/**
+ * Adapter backed by window.localStorage (the original behaviour)
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Storage} store - Web Storage object (defaults to localStorage)
+   */
+  constructor(store = globalThis.localStorage) {
+    super();
+    this.store = store;
+  }
+
+  get(key, fallback = null) {
+    const json = this.store.getItem(key);
+    return json === null ? fallback : JSON.parse(json);
+  }
+
+  set(key, value) {
+    this.store.setItem(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.store.removeItem(key);
+  }
+
+  has(key) {
+    return this.store.getItem(key) !== null;
+  }
+
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.store.length; i++) {
+      keys.push(this.store.key(i));
+    }
+    return keys;
+  }
+}
+
+/**
+ * Adapter that keeps everything in memory (Node tests, private browsing)
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+  /**
+   * @param {Object} initialData - Optional initial key/value pairs
+   */
+  constructor(initialData = {}) {
+    super();
+    this.data = new Map();
+
+    Object.entries(initialData).forEach(([key, value]) => {
+      this.data.set(key, JSON.stringify(value));
+    });
+  }
+
+  get(key, fallback = null) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : fallback;
+  }
+
+  set(key, value) {
+    // Store serialized copies so callers can't mutate stored data by reference
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  remove(key) {
+    this.data.delete(key);
+  }
+
+  has(key) {
+    return this.data.has(key);
+  }
+
+  keys() {
+    return [...this.data.keys()];
+  }
+}
+
+/**
+ * Base class for adapters that load everything up front and persist
+ * changes asynchronously
+ */
+class CachedStorageAdapter extends MemoryStorageAdapter {
+  constructor() {
+    super();
+    this.loadPromise = null;
+    this.pendingWrites = Promise.resolve();
+  }
+
+  /**
+   * Load all data into the in-memory cache (only once)
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.loadPromise) {
+      this.loadPromise = this.load().then((entries) => {
+        Object.entries(entries || {}).forEach(([key, value]) => {
+          // Keep writes made before loading finished
+          if (!this.data.has(key)) {
+            super.set(key, value);
+          }
+        });
+      });
+    }
+
+    return this.loadPromise;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.queueWrite(() => this.persist(key, value));
+  }
+
+  remove(key) {
+    super.remove(key);
+    this.queueWrite(() => this.persist(key, undefined));
+  }
+
+  /**
+   * Run writes one after another so they reach the backend in order
+   * @param {Function} write - Function returning a promise
+   */
+  queueWrite(write) {
+    this.pendingWrites = this.pendingWrites
+      .then(write)
+      .catch((error) => console.error("Error persisting storage:", error));
+  }
+
+  /**
+   * Wait for queued writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.pendingWrites;
+  }
+
+  /**
+   * Load all entries from the backend
+   * @returns {Promise<Object>} Key/value pairs
+   */
+  async load() {
+    return {};
+  }
+
+  /**
+   * Persist a single entry to the backend
+   * @param {string} key - Storage key
+   * @param {*} value - Value to store (undefined removes the key)
+   * @returns {Promise<void>}
+   */
+  async persist(key, value) {}
+}
+
+/**
+ * Adapter backed by IndexedDB (larger quota, works offline)
+ */
+class IndexedDBStorageAdapter extends CachedStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.dbName - Database name
+   * @param {string} options.storeName - Object store name
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory
+   */
+  constructor({
+    dbName = "savebite",
+    storeName = "keyval",
+    indexedDB = globalThis.indexedDB,
+  } = {}) {
+    super();
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.indexedDB = indexedDB;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create if needed) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  async load() {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const entries = {};
+      const transaction = db.transaction(this.storeName, "readonly");
+      const request = transaction.objectStore(this.storeName).openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          entries[cursor.key] = cursor.value;
+          cursor.continue();
+        } else {
+          resolve(entries);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async persist(key, value) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, "readwrite");
+      const store = transaction.objectStore(this.storeName);
+
+      if (value === undefined) {
+        store.delete(key);
+      } else {
+        store.put(value, key);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Adapter backed by a REST key/value endpoint
+ *
+ * Expects GET {baseUrl} to return all entries as an object, and
+ * PUT/DELETE {baseUrl}/{key} to write a single entry.
+ */
+class HttpStorageAdapter extends CachedStorageAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.baseUrl - Base URL of the key/value endpoint
+   * @param {Object} options.headers - Extra request headers
+   * @param {Function} options.fetch - fetch implementation
+   */
+  constructor({ baseUrl, headers = {}, fetch = globalThis.fetch } = {}) {
+    super();
+
+    if (!baseUrl) {
+      throw new Error("HttpStorageAdapter requires a baseUrl");
+    }
+
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+    this.headers = headers;
+    this.fetch = fetch;
+  }
+
+  async load() {
+    const response = await this.fetch(this.baseUrl, {
+      headers: this.headers,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load storage (${response.status})`);
+    }
+
+    return response.json();
+  }
+
+  async persist(key, value) {
+    const url = `${this.baseUrl}/${encodeURIComponent(key)}`;
+    const response =
+      value === undefined
+        ? await this.fetch(url, { method: "DELETE", headers: this.headers })
+        : await this.fetch(url, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json", ...this.headers },
+            body: JSON.stringify(value),
+          });
+
+    if (!response.ok) {
+      throw new Error(`Failed to save "${key}" (${response.status})`);
+    }
+  }
+}
+
+/**
+ * Adapter that gives one client its own copy of selected keys
+ *
+ * Used by the server so every session gets its own session and cart while
+ * sharing listings, orders and users with everyone else.
+ */
+class ScopedStorageAdapter extends StorageAdapter {
+  /**
+   * @param {StorageAdapter} base - Shared storage adapter
+   * @param {string} scope - Scope identifier (e.g. a session token)
+   * @param {Array<string>} scopedKeys - Keys that are private to the scope
+   */
+  constructor(base, scope, scopedKeys = []) {
+    super();
+    this.base = base;
+    this.scope = scope;
+    this.scopedKeys = scopedKeys;
+  }
+
+  /**
+   * Map a key to the key used in the shared storage
+   * @param {string} key - Storage key
+   * @returns {string} Scoped key
+   */
+  resolveKey(key) {
+    return this.scopedKeys.includes(key) ? `${key}:${this.scope}` : key;
+  }
+
+  ready() {
+    return this.base.ready();
+  }
+
+  get(key, fallback = null) {
+    return this.base.get(this.resolveKey(key), fallback);
+  }
+
+  set(key, value) {
+    this.base.set(this.resolveKey(key), value);
+  }
+
+  remove(key) {
+    this.base.remove(this.resolveKey(key));
+  }
+
+  has(key) {
+    return this.base.has(this.resolveKey(key));
+  }
+
+  keys() {
+    return this.base.keys();
+  }
+}
+
+/**
+ * Create a storage adapter by type
+ * @param {string} type - 'local', 'memory', 'indexeddb' or 'http'
+ * @param {Object} options - Adapter-specific options
+ * @returns {StorageAdapter} Storage adapter
+ */
+function createStorage(type = "local", options = {}) {
+  switch (type) {
+    case "local":
+      return new LocalStorageAdapter(options.store);
+    case "memory":
+      return new MemoryStorageAdapter(options.initialData);
+    case "indexeddb":
+      return new IndexedDBStorageAdapter(options);
+    case "http":
+      return new HttpStorageAdapter(options);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+}
+
+/**
+ * Pick the default adapter for the current environment
+ * @returns {StorageAdapter} localStorage when available, memory otherwise
+ */
+function createDefaultStorage() {
+  return typeof localStorage !== "undefined"
+    ? createStorage("local")
+    : createStorage("memory");
+}
+
+// Shared storage used by the default service instances
+const storage = createDefaultStorage();
+
+export {
+  StorageAdapter,
+  LocalStorageAdapter,
+  MemoryStorageAdapter,
+  CachedStorageAdapter,
+  IndexedDBStorageAdapter,
+  HttpStorageAdapter,
+  ScopedStorageAdapter,
+  createStorage,
+  createDefaultStorage,
+};
+export default storage;
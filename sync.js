@@ -0,0 +1,164 @@
+/**
+ * Cross-tab sync for SaveBite application
+ *
+ * ApiService publishes a topic (e.g. "cart" or "listings") whenever it
+ * changes shared data, and the services of every other open tab re-render
+ * what shows it. Messages go over a BroadcastChannel, or through the storage
+ * event in browsers without one. Outside a browser publishing does nothing.
+ */
+import { generateId } from "./utils.js";
+
+// Channel (or storage key, for the fallback) the tabs talk over
+const CHANNEL_NAME = "savebite_sync";
+const SYNC_EVENT_KEY = "savebite_sync_event";
+
+// How long to collect changes before calling a listener, so a burst of
+// changes (an order touches orders, listings and cart) re-renders once
+const SYNC_DELAY = 100;
+
+/**
+ * TabSync class for passing change events between tabs
+ */
+class TabSync {
+  /**
+   * @param {Object} options - Sync options
+   * @param {boolean} options.enabled - Whether to talk to other tabs
+   * @param {Function} options.BroadcastChannel - BroadcastChannel constructor
+   *                                              (null to use the storage event)
+   * @param {Storage} options.store - localStorage for the fallback
+   * @param {Window} options.target - Window that gets storage events
+   * @param {number} options.delay - Milliseconds to collect changes for
+   */
+  constructor({
+    enabled = typeof window !== "undefined",
+    BroadcastChannel = globalThis.BroadcastChannel,
+    store = globalThis.localStorage,
+    target = globalThis.window,
+    delay = SYNC_DELAY,
+  } = {}) {
+    this.tabId = generateId();
+    this.delay = delay;
+    this.subscriptions = [];
+    this.channel = null;
+    this.store = null;
+
+    if (!enabled) return;
+
+    if (BroadcastChannel) {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (e) => this.receive(e.data);
+    } else if (store && target) {
+      this.store = store;
+      this.onStorage = (e) => {
+        if (e.key === SYNC_EVENT_KEY && e.newValue) {
+          this.receive(JSON.parse(e.newValue));
+        }
+      };
+      target.addEventListener("storage", this.onStorage);
+      this.target = target;
+    }
+  }
+
+  /**
+   * Tell other tabs that data changed
+   * @param {string} topic - What changed (e.g. 'cart', 'listings', 'session')
+   * @param {Object} detail - Extra information for listeners
+   */
+  publish(topic, detail = {}) {
+    const event = {
+      id: generateId(), // Makes every storage write a change
+      topic,
+      detail,
+      tabId: this.tabId,
+      sentAt: new Date().toISOString(),
+    };
+
+    if (this.channel) {
+      this.channel.postMessage(event);
+    } else if (this.store) {
+      this.store.setItem(SYNC_EVENT_KEY, JSON.stringify(event));
+    }
+  }
+
+  /**
+   * Listen for changes made in other tabs
+   * @param {Array|string} topics - Topics to listen for ('*' for all)
+   * @param {Function} listener - Called with the changed topics and the
+   *                              events that announced them
+   * @returns {Function} Function that stops listening
+   */
+  subscribe(topics, listener) {
+    const subscription = {
+      topics: Array.isArray(topics) ? topics : [topics],
+      listener,
+      events: [],
+      timer: null,
+    };
+
+    this.subscriptions.push(subscription);
+
+    return () => {
+      clearTimeout(subscription.timer);
+      this.subscriptions = this.subscriptions.filter(
+        (item) => item !== subscription
+      );
+    };
+  }
+
+  /**
+   * Pass an event from another tab on to its listeners
+   * @param {Object} event - Event sent by publish
+   */
+  receive(event) {
+    // Ignore malformed messages and our own
+    if (!event || !event.topic || event.tabId === this.tabId) return;
+
+    this.subscriptions
+      .filter(
+        (subscription) =>
+          subscription.topics.includes("*") ||
+          subscription.topics.includes(event.topic)
+      )
+      .forEach((subscription) => {
+        subscription.events.push(event);
+        if (subscription.timer) return;
+
+        subscription.timer = setTimeout(() => {
+          const events = subscription.events;
+          const topics = [...new Set(events.map((item) => item.topic))];
+
+          subscription.events = [];
+          subscription.timer = null;
+          subscription.listener(topics, events);
+        }, this.delay);
+      });
+  }
+
+  /**
+   * Stop talking to other tabs
+   */
+  close() {
+    this.subscriptions.forEach((subscription) =>
+      clearTimeout(subscription.timer)
+    );
+    this.subscriptions = [];
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+
+    if (this.target) {
+      this.target.removeEventListener("storage", this.onStorage);
+      this.target = null;
+    }
+
+    this.store = null;
+  }
+}
+
+// Shared sync used by the default service instances
+const tabSync = new TabSync();
+
+export { TabSync, SYNC_EVENT_KEY };
+export default tabSync;
@@ -0,0 +1,113 @@
+/**
+ * Tests for AuthService
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { AuthService } from "../auth.js";
+import { MemoryStorageAdapter } from "../storage.js";
+
+/**
+ * Create an auth service with the default admin account
+ * @returns {Promise<AuthService>} Ready auth service
+ */
+async function createAuth() {
+  const auth = new AuthService({ storage: new MemoryStorageAdapter() });
+  await auth.ready;
+  return auth;
+}
+
+describe("AuthService.register", () => {
+  it("lets customers and businesses sign up", async () => {
+    const auth = await createAuth();
+
+    const customer = await auth.register({
+      name: "Casey",
+      email: "casey@example.com",
+      password: "secret123",
+      role: "customer",
+    });
+    const business = await auth.register({
+      name: "Robin",
+      email: "robin@example.com",
+      password: "secret123",
+      role: "business",
+      businessName: "Robin's Bakery",
+    });
+
+    assert.equal(customer.success, true);
+    assert.equal(business.success, true);
+    assert.equal(auth.getCurrentUser().role, "business");
+  });
+
+  it("doesn't let anyone sign up as an admin", async () => {
+    const auth = await createAuth();
+
+    const result = await auth.register({
+      name: "Mallory",
+      email: "mallory@example.com",
+      password: "secret123",
+      role: "admin",
+    });
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /^Unauthorized/);
+    assert.equal(auth.findUserByEmail("mallory@example.com"), null);
+    assert.equal(auth.getCurrentUser(), null);
+  });
+
+  it("rejects roles that don't exist", async () => {
+    const auth = await createAuth();
+
+    const result = await auth.register({
+      name: "Mallory",
+      email: "mallory@example.com",
+      password: "secret123",
+      role: "superuser",
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(auth.findUserByEmail("mallory@example.com"), null);
+  });
+
+  it("lets an admin add another admin without signing them in", async () => {
+    const auth = await createAuth();
+    await auth.login("admin@savebite.com", "admin123");
+
+    const result = await auth.register({
+      name: "Alex",
+      email: "alex@example.com",
+      password: "secret123",
+      role: "admin",
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(auth.findUserByEmail("alex@example.com").role, "admin");
+    assert.equal(auth.getCurrentUser().email, "admin@savebite.com");
+  });
+});
+
+describe("AuthService.isRevoked", () => {
+  it("ends sessions started before a user's sessions were revoked", async () => {
+    const auth = await createAuth();
+    await auth.login("admin@savebite.com", "admin123");
+    const user = auth.getCurrentUser();
+
+    // Make sure the revocation comes at least a millisecond later
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    auth.revokeUserSessions(user.id);
+
+    assert.equal(auth.getSession(), null);
+  });
+
+  it("keeps sessions started right after the revocation", async () => {
+    const auth = await createAuth();
+    const user = auth.findUserByEmail("admin@savebite.com");
+
+    auth.revokeUserSessions(user.id);
+    auth.startSession(user);
+
+    assert.equal(auth.getCurrentUser().id, user.id);
+  });
+});
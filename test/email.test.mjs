@@ -0,0 +1,96 @@
+/**
+ * Tests for sending email over SMTP, from EmailService through
+ * SmtpTransport to the development sink
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import { EmailService, RETRY_DELAYS } from "../email.js";
+import SmtpSink from "../server/smtp-sink.mjs";
+import SmtpTransport, { toMimeMessage } from "../server/smtp-transport.mjs";
+import { MemoryStorageAdapter } from "../storage.js";
+
+// A message as EmailService hands it to a transport
+const MESSAGE = {
+  from: "SaveBite <orders@savebite.com>",
+  to: "casey@example.com",
+  subject: "Your order is ready",
+  html: "<p>Your order is ready</p>",
+  text: "Your order is ready",
+};
+
+describe("toMimeMessage", () => {
+  it("turns away addresses with line breaks", () => {
+    assert.throws(
+      () =>
+        toMimeMessage({
+          ...MESSAGE,
+          to: "casey@example.com\r\nBcc: everyone@example.com",
+        }),
+      /line breaks/
+    );
+    assert.throws(
+      () => toMimeMessage({ ...MESSAGE, from: "orders@savebite.com\n" }),
+      /line breaks/
+    );
+  });
+});
+
+describe("SmtpTransport.send", () => {
+  it("rejects addresses with line breaks before connecting", async () => {
+    // Nothing listens on port 1, so connecting would fail differently
+    const transport = new SmtpTransport({ port: 1 });
+
+    await assert.rejects(
+      transport.send({
+        ...MESSAGE,
+        to: "casey@example.com>\r\nRCPT TO:<someone@example.com",
+      }),
+      /line breaks/
+    );
+  });
+});
+
+describe("EmailService over SMTP", () => {
+  const sink = new SmtpSink();
+  let transport;
+
+  before(async () => {
+    const port = await sink.listen(0);
+    transport = new SmtpTransport({ host: "127.0.0.1", port, timeout: 5000 });
+  });
+
+  after(() => sink.close());
+
+  it("retries a message the server turned away", async () => {
+    const email = new EmailService({
+      storage: new MemoryStorageAdapter(),
+      transport,
+    });
+    sink.failNext(1);
+
+    email.send("casey@example.com", MESSAGE, "order-ready");
+    // Wait for the first attempt, which send() started in the background
+    await email.processQueue();
+
+    const [retrying] = email.getQueue();
+    assert.equal(retrying.status, "queued");
+    assert.equal(retrying.attempts, 1);
+    assert.match(retrying.lastError, /^SMTP server replied: 4/);
+    assert.equal(sink.messages.length, 0);
+
+    const counts = await email.processQueue(
+      new Date(Date.now() + RETRY_DELAYS[0])
+    );
+    clearTimeout(email.retryTimer);
+
+    const [sent] = email.getQueue();
+    assert.deepEqual(counts, { sent: 1, retrying: 0, failed: 0 });
+    assert.equal(sent.status, "sent");
+    assert.equal(sent.attempts, 2);
+    assert.equal(sink.messages.length, 1);
+    assert.deepEqual(sink.messages[0].to, ["casey@example.com"]);
+    assert.equal(sink.messages[0].subject, MESSAGE.subject);
+  });
+});
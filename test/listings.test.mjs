@@ -0,0 +1,214 @@
+/**
+ * Tests for creating, exporting and importing listings
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+import { ApiService } from "../api.js";
+import { AuthService } from "../auth.js";
+import { EmailService } from "../email.js";
+import { listingsToCsv, parseListingFile } from "../listing-data.js";
+import {
+  getLatestPublishTime,
+  getNextPublishTime,
+} from "../listing-templates.js";
+import { MAX_SEARCH_ALERTS } from "../saved-searches.js";
+import { MemoryStorageAdapter } from "../storage.js";
+
+const IN_THREE_DAYS = new Date(
+  Date.now() + 3 * 24 * 60 * 60 * 1000
+).toISOString();
+
+// A listing that passes every check
+const LISTING_DATA = {
+  foodName: "Sourdough Loaf",
+  category: "bakery",
+  originalPrice: 6,
+  discountedPrice: 3,
+  quantity: 10,
+  expiryDate: IN_THREE_DAYS,
+  description: "Baked this morning",
+  imageUrl: "https://example.com/bread.jpg",
+  pickupAddress: "1 Baker St",
+  allergens: ["gluten"],
+};
+
+let auth;
+let api;
+
+beforeEach(async () => {
+  const storage = new MemoryStorageAdapter();
+  auth = new AuthService({ storage });
+  api = new ApiService({
+    storage,
+    auth,
+    simulateLatency: false,
+    email: new EmailService({ storage }),
+  });
+  await api.ready;
+
+  await auth.register({
+    name: "Robin",
+    email: "robin@example.com",
+    password: "secret123",
+    role: "business",
+    businessName: "Robin's Bakery",
+  });
+});
+
+describe("createListing", () => {
+  it("creates a valid listing", async () => {
+    const result = await api.createListing(LISTING_DATA);
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.listing.foodName, "Sourdough Loaf");
+  });
+
+  it("applies the same checks as importListings", async () => {
+    const invalid = [
+      { ...LISTING_DATA, foodName: "" },
+      { ...LISTING_DATA, imageUrl: "" },
+      { ...LISTING_DATA, discountedPrice: 8 },
+      { ...LISTING_DATA, quantity: 2.5 },
+      { ...LISTING_DATA, expiryDate: "2020-01-01T00:00:00.000Z" },
+    ];
+
+    for (const listingData of invalid) {
+      const created = await api.createListing(listingData);
+      const imported = await api.importListings([listingData]);
+
+      assert.equal(created.success, false, JSON.stringify(listingData));
+      assert.equal(imported.success, false, JSON.stringify(listingData));
+    }
+
+    const businessId = auth.getCurrentUser().id;
+    assert.deepEqual(await api.getListings({ businessId }), []);
+  });
+});
+
+describe("listing ownership", () => {
+  it("ignores ids, businesses and statuses in the submitted data", async () => {
+    const robin = auth.getCurrentUser();
+    const forged = {
+      id: "forged",
+      businessId: "someone-else",
+      businessName: "Someone Else",
+      status: "sold-out",
+    };
+
+    const created = await api.createListing({ ...LISTING_DATA, ...forged });
+    assert.equal(created.success, true, created.message);
+    assert.notEqual(created.listing.id, "forged");
+    assert.equal(created.listing.businessId, robin.id);
+    assert.equal(created.listing.businessName, "Robin's Bakery");
+    assert.equal(created.listing.status, "active");
+
+    const updated = await api.updateListing(created.listing.id, forged);
+    assert.equal(updated.success, true, updated.message);
+    assert.equal(updated.listing.id, created.listing.id);
+    assert.equal(updated.listing.businessId, robin.id);
+    assert.equal(updated.listing.status, "active");
+  });
+});
+
+describe("saved search alerts", () => {
+  it("keeps only each customer's newest unseen alerts", async () => {
+    await auth.register({
+      name: "Casey",
+      email: "casey@example.com",
+      password: "secret123",
+      role: "customer",
+    });
+    const saved = await api.createSavedSearch("Bakery", {
+      category: "bakery",
+    });
+    assert.equal(saved.success, true, saved.message);
+
+    auth.logout();
+    await auth.login("robin@example.com", "secret123");
+    await api.createListing(LISTING_DATA);
+
+    auth.logout();
+    await auth.login("casey@example.com", "secret123");
+    await api.markSavedSearchSeen(saved.savedSearch.id);
+
+    auth.logout();
+    await auth.login("robin@example.com", "secret123");
+    for (let i = 0; i < MAX_SEARCH_ALERTS + 2; i++) {
+      await api.createListing(LISTING_DATA);
+    }
+
+    const alerts = api.storage.get("savebite_search_alerts");
+    assert.equal(alerts.length, MAX_SEARCH_ALERTS);
+    assert.ok(alerts.every((alert) => !alert.read));
+  });
+});
+
+describe("bad input", () => {
+  it("resolves as a failure instead of throwing", async () => {
+    const created = await api.createListing(null);
+
+    assert.equal(created.success, false);
+  });
+});
+
+describe("listing templates", () => {
+  const originalTimeZone = process.env.TZ;
+  const weekdaysAtSix = {
+    frequency: "weekdays",
+    days: [],
+    publishTime: "18:00",
+    expiresAfterHours: 4,
+  };
+
+  afterEach(() => {
+    if (originalTimeZone === undefined) delete process.env.TZ;
+    else process.env.TZ = originalTimeZone;
+  });
+
+  it("publishes at the time and weekday of the business's time zone", () => {
+    // Friday 23:00 in UTC, already Saturday in Tokyo
+    const now = new Date("2026-01-09T23:00:00Z");
+
+    process.env.TZ = "America/Los_Angeles";
+    const next = getNextPublishTime(weekdaysAtSix, now, "Asia/Tokyo");
+    const latest = getLatestPublishTime(weekdaysAtSix, now, "Asia/Tokyo");
+
+    assert.equal(next.toISOString(), "2026-01-12T09:00:00.000Z");
+    assert.equal(latest.toISOString(), "2026-01-09T09:00:00.000Z");
+  });
+
+  it("reads the publish time as UTC without a time zone", () => {
+    const now = new Date("2026-01-09T12:00:00Z");
+
+    process.env.TZ = "Asia/Tokyo";
+    const next = getNextPublishTime(weekdaysAtSix, now);
+
+    assert.equal(next.toISOString(), "2026-01-09T18:00:00.000Z");
+  });
+});
+
+describe("listingsToCsv", () => {
+  it("keeps spreadsheets from running text as formulas", () => {
+    const listing = {
+      ...LISTING_DATA,
+      foodName: '=HYPERLINK("https://example.com","Click")',
+      description: "+1 free roll",
+      pickupAddress: "@home",
+      quantity: -1,
+      status: "active",
+    };
+
+    const csv = listingsToCsv([listing]);
+    const [row] = parseListingFile(csv, "listings.csv");
+
+    assert.match(csv, /"'=HYPERLINK\(/);
+    assert.match(csv, /,'\+1 free roll,/);
+    assert.match(csv, /,'@home,/);
+    assert.match(csv, /,-1,/);
+    assert.equal(row.foodName, listing.foodName);
+    assert.equal(row.description, listing.description);
+    assert.equal(row.pickupAddress, listing.pickupAddress);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the live order feed
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { OrderFeed } from "../order-feed.js";
+
+/**
+ * Make an order as the feed sees it
+ * @param {string} id - Order ID
+ * @param {string} status - Order status
+ * @returns {Object} Order
+ */
+function makeOrder(id, status = "pending") {
+  return { id, status, createdAt: "2026-01-05T12:00:00.000Z" };
+}
+
+describe("OrderFeed.refresh", () => {
+  it("sends an event for new and updated orders", async () => {
+    let orders = [makeOrder("1")];
+    const events = [];
+    const feed = new OrderFeed(
+      async () => orders,
+      (event) => events.push(event)
+    );
+    await feed.start();
+
+    orders = [makeOrder("1", "confirmed"), makeOrder("2")];
+    await feed.refresh();
+
+    assert.deepEqual(
+      events.map(({ type, order }) => [type, order.id]),
+      [
+        ["updated", "1"],
+        ["created", "2"],
+      ]
+    );
+  });
+
+  it("keeps checking after the listener throws", async () => {
+    let orders = [];
+    const events = [];
+    const feed = new OrderFeed(
+      async () => orders,
+      (event) => {
+        if (event.order.id === "1") throw new Error("Listener failed");
+        events.push(event);
+      }
+    );
+    await feed.start();
+
+    orders = [makeOrder("1")];
+    await assert.rejects(feed.refresh(), /Listener failed/);
+
+    orders = [makeOrder("1"), makeOrder("2")];
+    await feed.refresh();
+
+    assert.deepEqual(
+      events.map((event) => event.order.id),
+      ["2"]
+    );
+  });
+
+  it("sends the rest of a batch when the listener throws", async () => {
+    let orders = [];
+    const events = [];
+    const feed = new OrderFeed(
+      async () => orders,
+      (event) => {
+        events.push(event);
+        if (event.order.id === "1") throw new Error("Listener failed");
+      }
+    );
+    await feed.start();
+
+    orders = [makeOrder("1"), makeOrder("2")];
+    await assert.rejects(feed.refresh(), /Listener failed/);
+
+    assert.deepEqual(
+      events.map((event) => event.order.id),
+      ["1", "2"]
+    );
+  });
+});
@@ -0,0 +1,631 @@
+/**
+ * Tests for placing orders and who can see them
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { beforeEach, describe, it } from "node:test";
+import { ApiService } from "../api.js";
+import { AuthService } from "../auth.js";
+import { EmailService } from "../email.js";
+import { checkCustomerCancellation } from "../order-status.js";
+import { calculatePricing } from "../pricing.js";
+import { applyPromoCode } from "../promo-codes.js";
+import { MemoryStorageAdapter } from "../storage.js";
+
+const PASSWORD = "secret123";
+
+let storage;
+let auth;
+let api;
+let listing;
+
+/**
+ * Sign in as a new user
+ * @param {string} name - User name (also used for the email address)
+ * @param {string} role - 'customer' or 'business'
+ * @returns {Promise<Object>} Signed-in user
+ */
+async function signUp(name, role) {
+  auth.logout();
+
+  const result = await auth.register({
+    name,
+    email: `${name.toLowerCase()}@example.com`,
+    password: PASSWORD,
+    role,
+    businessName: role === "business" ? `${name}'s Kitchen` : undefined,
+  });
+  assert.equal(result.success, true, result.message);
+
+  return auth.getCurrentUser();
+}
+
+/**
+ * Sign in as an existing user
+ * @param {string} email - User email
+ * @param {string} password - User password
+ */
+async function signIn(email, password = PASSWORD) {
+  auth.logout();
+
+  const result = await auth.login(email, password);
+  assert.equal(result.success, true, result.message);
+}
+
+/**
+ * Order the test listing as the signed-in customer
+ * @param {Object} item - Cart item to add (defaults to the test listing)
+ * @param {Object} orderData - Extra order details, e.g. a promoCode
+ * @returns {Promise<Object>} createOrder result
+ */
+async function placeOrder(
+  item = { id: listing.id, quantity: 1 },
+  orderData = {}
+) {
+  const added = await api.addToCart(item);
+  assert.equal(added.success, true, added.message);
+
+  const { pickups } = await api.getCartPickupSlots();
+
+  return api.createOrder({
+    customerName: "Casey",
+    customerEmail: "casey@example.com",
+    customerPhone: "555-0100",
+    pickups: Object.fromEntries(
+      pickups.map((pickup) => [
+        pickup.businessId,
+        { pickupTime: pickup.slots[0].start },
+      ])
+    ),
+    ...orderData,
+  });
+}
+
+/**
+ * Save a pricing configuration as the admin
+ * @param {Object} config - Pricing configuration
+ */
+async function setPricing(config) {
+  await signIn("admin@savebite.com", "admin123");
+
+  const result = await api.updatePricingConfig({
+    defaultTaxRate: 0,
+    ...config,
+  });
+  assert.equal(result.success, true, result.message);
+}
+
+/**
+ * Create a promo code as the admin
+ * @param {Object} promoData - Promo code data
+ * @returns {Promise<Object>} createPromoCode result
+ */
+async function createPromo(promoData) {
+  await signIn("admin@savebite.com", "admin123");
+  return api.createPromoCode({ type: "fixed", value: 1, ...promoData });
+}
+
+beforeEach(async () => {
+  storage = new MemoryStorageAdapter();
+  auth = new AuthService({ storage });
+  api = new ApiService({
+    storage,
+    auth,
+    simulateLatency: false,
+    email: new EmailService({ storage }),
+  });
+  await api.ready;
+
+  // A business with a listing that keeps for a few days
+  await signUp("Robin", "business");
+  const created = await api.createListing({
+    foodName: "Sourdough Loaf",
+    category: "bakery",
+    originalPrice: 6,
+    discountedPrice: 3,
+    quantity: 10,
+    expiryDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(),
+    description: "Baked this morning",
+    imageUrl: "https://example.com/bread.jpg",
+    pickupAddress: "1 Baker St",
+    allergens: ["gluten"],
+  });
+  assert.equal(created.success, true, created.message);
+  listing = created.listing;
+});
+
+describe("order visibility", () => {
+  it("shows customers only their own orders", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+
+    await signUp("Jordan", "customer");
+
+    assert.deepEqual(await api.getOrders(), []);
+    assert.match(
+      (await api.getOrderById(orders[0].id)).message,
+      /^Unauthorized/
+    );
+    assert.match(
+      (await api.getOrderGroup(orders[0].groupId)).message,
+      /^Unauthorized/
+    );
+  });
+
+  it("shows businesses the orders for their listings", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+
+    await signIn("robin@example.com");
+    const businessOrders = await api.getOrders();
+
+    assert.deepEqual(
+      businessOrders.map((order) => order.id),
+      [orders[0].id]
+    );
+    assert.equal((await api.getOrderById(orders[0].id)).id, orders[0].id);
+
+    await signUp("Sam", "business");
+    assert.deepEqual(await api.getOrders(), []);
+  });
+
+  it("shows admins every order", async () => {
+    await signUp("Casey", "customer");
+    const { group } = await placeOrder();
+
+    await signIn("admin@savebite.com", "admin123");
+
+    assert.equal((await api.getOrders()).length, 1);
+    assert.equal((await api.getOrderGroup(group.id)).id, group.id);
+  });
+
+  it("asks signed-out users to log in", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+    auth.logout();
+
+    assert.equal((await api.getOrders()).success, false);
+    assert.equal((await api.getOrderById(orders[0].id)).success, false);
+    assert.equal((await api.getOrderGroup(orders[0].groupId)).success, false);
+  });
+});
+
+describe("cart items", () => {
+  it("are built from the listing, not from what the client sent", async () => {
+    await signUp("Casey", "customer");
+
+    await api.addToCart({
+      id: listing.id,
+      quantity: 2,
+      businessId: "FAKEBIZ",
+      businessName: "<b>Fake</b>",
+      originalPrice: 9999,
+    });
+    const [item] = (await api.getCart()).items;
+    const { pickups } = await api.getCartPickupSlots();
+
+    assert.equal(item.businessId, listing.businessId);
+    assert.equal(item.businessName, listing.businessName);
+    assert.equal(item.name, listing.foodName);
+    assert.equal(item.originalPrice, listing.originalPrice);
+    assert.equal(item.quantity, 2);
+    assert.deepEqual(
+      pickups.map((pickup) => pickup.businessId),
+      [listing.businessId]
+    );
+  });
+
+  it("need a whole quantity of at least 1", async () => {
+    await signUp("Casey", "customer");
+
+    for (const quantity of [0, -1, 1.5, "2"]) {
+      const result = await api.addToCart({ id: listing.id, quantity });
+      assert.equal(result.success, false);
+    }
+    assert.equal((await api.getCart()).items.length, 0);
+  });
+
+  it("can only be changed to a whole quantity, with 0 removing them", async () => {
+    await signUp("Casey", "customer");
+    await api.addToCart({ id: listing.id, quantity: 1 });
+
+    for (const quantity of ["lots", 0.01, -1, null]) {
+      const result = await api.updateCartItemQuantity(listing.id, quantity);
+      assert.equal(result.success, false);
+    }
+    assert.equal((await api.getCart()).items[0].quantity, 1);
+
+    const removed = await api.updateCartItemQuantity(listing.id, 0);
+    assert.equal(removed.success, true);
+    assert.deepEqual((await api.getCart()).items, []);
+  });
+});
+
+describe("createOrder", () => {
+  it("takes business and price details from the listing", async () => {
+    await signUp("Casey", "customer");
+    await api.addToCart({ id: listing.id, quantity: 1 });
+    const { pickups } = await api.getCartPickupSlots();
+
+    // A cart saved with made-up details
+    storage.set("savebite_cart", {
+      items: [
+        {
+          id: listing.id,
+          quantity: 1,
+          businessId: "FAKEBIZ",
+          businessName: "<img src=x>",
+          originalPrice: 9999,
+          discountedPrice: 0.01,
+        },
+      ],
+    });
+
+    const result = await api.createOrder({
+      customerName: "Casey",
+      customerEmail: "casey@example.com",
+      pickups: { FAKEBIZ: { pickupTime: pickups[0].slots[0].start } },
+      pickupTime: pickups[0].slots[0].start,
+    });
+    const [order] = result.orders;
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(order.businessId, listing.businessId);
+    assert.equal(order.businessName, listing.businessName);
+    assert.equal(order.items[0].originalPrice, listing.originalPrice);
+    assert.equal(order.items[0].discountedPrice, listing.discountedPrice);
+  });
+
+  it("turns away customer emails that aren't a single address", async () => {
+    await signUp("Casey", "customer");
+    await api.addToCart({ id: listing.id, quantity: 1 });
+    const { pickups } = await api.getCartPickupSlots();
+
+    for (const customerEmail of [
+      "casey",
+      "casey@example.com\r\nBcc: everyone@example.com",
+      "casey@example.com>\nRCPT TO:<someone@example.com",
+    ]) {
+      const result = await api.createOrder({
+        customerName: "Casey",
+        customerEmail,
+        pickupTime: pickups[0].slots[0].start,
+      });
+
+      assert.equal(result.success, false);
+    }
+    assert.equal((await api.getCart()).items.length, 1);
+  });
+});
+
+describe("pickup codes", () => {
+  it("are only sent to the customer who placed the order", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+    const { pickupCode } = orders[0];
+
+    assert.ok(pickupCode);
+    assert.equal((await api.getOrders())[0].pickupCode, pickupCode);
+
+    await signIn("robin@example.com");
+    const found = await api.findOrderByPickupCode(pickupCode);
+    const updated = await api.updateOrderStatus(orders[0].id, "confirmed");
+
+    assert.equal(found.success, true, found.message);
+    assert.equal(found.order.id, orders[0].id);
+    assert.equal("pickupCode" in found.order, false);
+    assert.equal("pickupCode" in updated.order, false);
+    assert.equal("pickupCode" in (await api.getOrders())[0], false);
+    assert.equal("pickupCode" in (await api.getOrderById(orders[0].id)), false);
+
+    await signIn("admin@savebite.com", "admin123");
+    const group = await api.getOrderGroup(orders[0].groupId);
+    assert.equal("pickupCode" in group.orders[0], false);
+  });
+});
+
+describe("updateUserProfile", () => {
+  it("reports pickup schedules of the wrong shape", async () => {
+    await signIn("robin@example.com");
+
+    const result = await api.updateUserProfile(listing.businessId, {
+      pickupSchedule: { weeklyHours: null },
+    });
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /seven days/);
+  });
+
+  it("only saves profile fields", async () => {
+    const customer = await signUp("Casey", "customer");
+    const admin = auth.findUserByEmail("admin@savebite.com");
+
+    const result = await api.updateUserProfile(customer.id, {
+      id: admin.id,
+      email: "admin@savebite.com",
+      role: "admin",
+      status: "active",
+      passwordHash: "forged",
+      name: "Casey Jones",
+    });
+    await signIn("casey@example.com");
+
+    assert.equal(result.success, true, result.message);
+    assert.equal(auth.getCurrentUser().id, customer.id);
+    assert.equal(auth.getCurrentUser().role, "customer");
+    assert.equal(auth.getCurrentUser().name, "Casey Jones");
+    assert.equal((await api.getUsers()).success, false);
+  });
+});
+
+describe("pricing", () => {
+  it("taxes orders at the business's region rate", async () => {
+    await setPricing({ defaultTaxRate: 0.05, regionTaxRates: { CA: 0.1 } });
+    await signIn("robin@example.com");
+    await api.updateUserProfile(listing.businessId, { taxRegion: "CA" });
+
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder({ id: listing.id, quantity: 2 });
+
+    assert.equal(orders[0].subtotal, 6);
+    assert.equal(orders[0].taxRate, 0.1);
+    assert.equal(orders[0].tax, 0.6);
+    assert.equal(orders[0].total, 6.6);
+  });
+
+  it("uses the default rate for businesses without a region", async () => {
+    await setPricing({ defaultTaxRate: 0.05, regionTaxRates: { CA: 0.1 } });
+
+    await signUp("Casey", "customer");
+    await api.addToCart({ id: listing.id, quantity: 2 });
+    const totals = await api.getCartTotals();
+
+    assert.equal(totals.tax, 0.3);
+    assert.equal(totals.total, 6.3);
+  });
+
+  it("doesn't tax exempt categories", async () => {
+    await setPricing({
+      defaultTaxRate: 0.05,
+      taxExemptCategories: ["bakery"],
+    });
+
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder({ id: listing.id, quantity: 2 });
+
+    assert.equal(orders[0].taxableSubtotal, 0);
+    assert.equal(orders[0].tax, 0);
+    assert.equal(orders[0].total, 6);
+  });
+
+  it("rounds each amount to whole cents", () => {
+    const pricing = calculatePricing(
+      [
+        { discountedPrice: 1.99, originalPrice: 3, quantity: 3, category: "x" },
+        { discountedPrice: 0.5, originalPrice: 1, quantity: 1, category: "y" },
+      ],
+      {
+        defaultTaxRate: 0.0825,
+        taxExemptCategories: ["y"],
+        serviceFeePercent: 2.5,
+        serviceFeeFlat: 0.3,
+      }
+    );
+
+    assert.deepEqual(pricing, {
+      subtotal: 6.47,
+      discount: 0,
+      savings: 3.53,
+      taxableSubtotal: 5.97,
+      taxRate: 0.0825,
+      tax: 0.49, // 0.492525
+      serviceFee: 0.46, // 0.16175 + 0.30
+      total: 7.42,
+    });
+  });
+
+  it("takes promo discounts off before tax", () => {
+    const pricing = calculatePricing(
+      [
+        {
+          discountedPrice: 10,
+          originalPrice: 20,
+          quantity: 1,
+          category: "x",
+          promoDiscount: 2.5,
+        },
+      ],
+      { defaultTaxRate: 0.1 }
+    );
+
+    assert.equal(pricing.discount, 2.5);
+    assert.equal(pricing.taxableSubtotal, 7.5);
+    assert.equal(pricing.tax, 0.75);
+    assert.equal(pricing.total, 8.25);
+  });
+});
+
+describe("promo codes", () => {
+  it("can't be created with an invalid expiry date", async () => {
+    const result = await createPromo({ code: "SOON", expiresAt: "soon" });
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /Expiry date is invalid/);
+  });
+
+  it("store a valid expiry date as ISO", async () => {
+    const { promoCode } = await createPromo({
+      code: "NEWYEAR",
+      expiresAt: "2099-01-01T00:00:00Z",
+    });
+
+    assert.equal(promoCode.expiresAt, "2099-01-01T00:00:00.000Z");
+  });
+
+  it("can be used as often as the per-user limit allows", async () => {
+    await createPromo({ code: "ONCE", perUserLimit: 1 });
+
+    await signUp("Casey", "customer");
+    const first = await placeOrder(undefined, { promoCode: "once" });
+    const second = await placeOrder(undefined, { promoCode: "ONCE" });
+
+    assert.equal(first.success, true, first.message);
+    assert.equal(first.group.discount, 1);
+    assert.equal(second.success, false);
+    assert.match(second.message, /already used/);
+
+    await signUp("Jordan", "customer");
+    const other = await placeOrder(undefined, { promoCode: "ONCE" });
+    assert.equal(other.success, true, other.message);
+  });
+
+  it("only apply to their business or category", async () => {
+    await createPromo({ code: "OTHERSHOP", businessId: "someone-else" });
+    await createPromo({ code: "DAIRY", category: "dairy" });
+    await createPromo({ code: "BREAD", category: "bakery" });
+
+    await signUp("Casey", "customer");
+    await api.addToCart({ id: listing.id, quantity: 1 });
+
+    for (const code of ["OTHERSHOP", "DAIRY"]) {
+      const totals = await api.getCartTotals(code);
+      assert.equal(totals.promoCode, null);
+      assert.match(totals.promoError, /doesn't apply/);
+    }
+    assert.equal((await api.getCartTotals("BREAD")).discount, 1);
+  });
+
+  it("split the discount across businesses by what each is paid", async () => {
+    await signUp("Sam", "business");
+    const { listing: cheese } = await api.createListing({
+      foodName: "Cheddar",
+      category: "dairy",
+      originalPrice: 4,
+      discountedPrice: 2,
+      quantity: 5,
+      expiryDate: listing.expiryDate,
+      imageUrl: "https://example.com/cheese.jpg",
+      description: "Aged twelve months",
+      pickupAddress: "2 Dairy Lane",
+      allergens: ["milk"],
+    });
+    await createPromo({ code: "TOGETHER" });
+
+    await signUp("Casey", "customer");
+    await api.addToCart({ id: cheese.id, quantity: 1 });
+    const { orders, group } = await placeOrder(
+      { id: listing.id, quantity: 2 },
+      { promoCode: "TOGETHER" }
+    );
+    const discountFor = (businessId) =>
+      orders.find((order) => order.businessId === businessId).discount;
+
+    assert.equal(group.discount, 1);
+    assert.equal(discountFor(listing.businessId), 0.75); // $6 of $8
+    assert.equal(discountFor(cheese.businessId), 0.25); // $2 of $8
+  });
+
+  it("give the rounding remainder to the last item", () => {
+    const items = ["a", "b", "c"].map((id) => ({
+      id,
+      businessId: "shop",
+      category: "bakery",
+      discountedPrice: 1,
+      quantity: 1,
+    }));
+
+    const discounted = applyPromoCode({ type: "fixed", value: 1 }, items);
+
+    assert.deepEqual(
+      discounted.map((item) => item.promoDiscount),
+      [0.33, 0.33, 0.34]
+    );
+  });
+});
+
+describe("order lifecycle", () => {
+  it("moves an order through pickup and then stops", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+
+    await signIn("robin@example.com");
+    for (const status of ["confirmed", "ready-for-pickup", "picked-up"]) {
+      const result = await api.updateOrderStatus(orders[0].id, status);
+      assert.equal(result.success, true, result.message);
+    }
+    const cancelled = await api.updateOrderStatus(orders[0].id, "cancelled");
+    const order = await api.getOrderById(orders[0].id);
+
+    assert.equal(cancelled.success, false);
+    assert.equal(order.status, "picked-up");
+    assert.deepEqual(
+      order.statusHistory.map((entry) => entry.status),
+      ["pending", "confirmed", "ready-for-pickup", "picked-up"]
+    );
+  });
+
+  it("turns away steps the lifecycle doesn't allow", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+
+    const confirmedByCustomer = await api.updateOrderStatus(
+      orders[0].id,
+      "confirmed"
+    );
+
+    await signIn("robin@example.com");
+    const skipped = await api.updateOrderStatus(orders[0].id, "picked-up");
+    const unknown = await api.updateOrderStatus(orders[0].id, "shipped");
+
+    assert.match(confirmedByCustomer.message, /^Unauthorized/);
+    assert.match(skipped.message, /Can't change an order from Pending/);
+    assert.match(unknown.message, /Unknown order status/);
+    assert.equal((await api.getOrderById(orders[0].id)).status, "pending");
+  });
+
+  it("only lets customers cancel pending orders", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder();
+
+    await signIn("robin@example.com");
+    await api.updateOrderStatus(orders[0].id, "confirmed");
+
+    await signIn("casey@example.com");
+    const result = await api.updateOrderStatus(orders[0].id, "cancelled");
+
+    assert.equal(result.success, false);
+    assert.match(result.message, /before they're confirmed/);
+  });
+
+  it("stops customer cancellations an hour before pickup", () => {
+    const order = { status: "pending", pickupTime: "2026-01-05T12:00:00Z" };
+
+    const early = checkCustomerCancellation(
+      order,
+      new Date("2026-01-05T10:59Z")
+    );
+    const late = checkCustomerCancellation(
+      order,
+      new Date("2026-01-05T11:00Z")
+    );
+
+    assert.equal(early.allowed, true);
+    assert.equal(late.allowed, false);
+  });
+
+  it("puts cancelled items back in stock", async () => {
+    await signUp("Casey", "customer");
+    const { orders } = await placeOrder({ id: listing.id, quantity: 10 });
+    const soldOut = await api.getListingById(listing.id);
+
+    await signIn("robin@example.com");
+    await api.updateOrderStatus(orders[0].id, "cancelled");
+    const restored = await api.getListingById(listing.id);
+
+    assert.equal(soldOut.quantity, 0);
+    assert.equal(soldOut.status, "sold-out");
+    assert.equal(restored.quantity, 10);
+    assert.equal(restored.status, "active");
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for pickup slot generation
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+import {
+  DAY_NAMES,
+  getPickupSlots,
+  validatePickupSchedule,
+  normalizePickupSchedule,
+} from "../pickup-hours.js";
+
+const originalTimeZone = process.env.TZ;
+
+/**
+ * Build a schedule open 09:00-10:00 every day
+ * @param {string} timeZone - Business's time zone
+ * @returns {Object} Pickup schedule
+ */
+function morningSchedule(timeZone) {
+  return {
+    weeklyHours: DAY_NAMES.map(() => ({ open: "09:00", close: "10:00" })),
+    blackoutDates: [],
+    slotMinutes: 60,
+    maxOrdersPerSlot: null,
+    timeZone,
+  };
+}
+
+afterEach(() => {
+  if (originalTimeZone === undefined) delete process.env.TZ;
+  else process.env.TZ = originalTimeZone;
+});
+
+describe("getPickupSlots", () => {
+  it("doesn't depend on the time zone it runs in", () => {
+    const now = new Date("2026-01-05T00:00:00Z");
+    const schedule = morningSchedule("Europe/Paris");
+
+    process.env.TZ = "America/Los_Angeles";
+    const fromLosAngeles = getPickupSlots(schedule, { now });
+    process.env.TZ = "Asia/Tokyo";
+    const fromTokyo = getPickupSlots(schedule, { now });
+
+    assert.deepEqual(fromLosAngeles, fromTokyo);
+  });
+
+  it("reads hours in the business's time zone", () => {
+    const now = new Date("2026-01-05T00:00:00Z"); // Sunday evening in New York
+
+    const schedule = morningSchedule("America/New_York");
+
+    const [first, second] = getPickupSlots(schedule, { now });
+
+    assert.equal(first.start, "2026-01-05T14:00:00.000Z");
+    assert.equal(second.start, "2026-01-06T14:00:00.000Z");
+  });
+
+  it("follows daylight saving changes", () => {
+    // Clocks in New York go forward on 8 March 2026
+    const now = new Date("2026-03-07T12:00:00Z");
+
+    const starts = getPickupSlots(morningSchedule("America/New_York"), {
+      now,
+    }).map((slot) => slot.start);
+
+    assert.equal(starts[0], "2026-03-07T14:00:00.000Z");
+    assert.equal(starts[1], "2026-03-08T13:00:00.000Z");
+  });
+
+  it("reads schedules without a time zone as UTC", () => {
+    const now = new Date("2026-01-05T00:00:00Z");
+    const { timeZone, ...schedule } = morningSchedule("Asia/Tokyo");
+
+    const [first] = getPickupSlots(schedule, { now });
+
+    assert.equal(timeZone, "Asia/Tokyo");
+    assert.equal(first.start, "2026-01-05T09:00:00.000Z");
+  });
+
+  it("skips closed dates in the business's time zone", () => {
+    const now = new Date("2026-01-05T00:00:00Z"); // Already 5 January in Tokyo
+    const schedule = {
+      ...morningSchedule("Asia/Tokyo"),
+      blackoutDates: ["2026-01-05"],
+    };
+
+    const [first] = getPickupSlots(schedule, { now });
+
+    assert.equal(first.start, "2026-01-06T00:00:00.000Z");
+  });
+});
+
+describe("normalizePickupSchedule", () => {
+  it("uses the default hours and dates when they aren't lists", () => {
+    const schedule = normalizePickupSchedule({
+      weeklyHours: null,
+      blackoutDates: "2026-12-25",
+    });
+
+    assert.equal(schedule.weeklyHours.length, 7);
+    assert.deepEqual(schedule.blackoutDates, []);
+  });
+});
+
+describe("validatePickupSchedule", () => {
+  it("reports hours and dates that aren't lists", () => {
+    const errors = validatePickupSchedule({
+      ...normalizePickupSchedule(),
+      weeklyHours: null,
+      blackoutDates: "2026-12-25",
+    });
+
+    assert.deepEqual(errors, [
+      "Pickup hours must list all seven days",
+      "Closed dates must be a list",
+    ]);
+  });
+
+  it("rejects unknown time zones", () => {
+    const schedule = normalizePickupSchedule({ timeZone: "Mars/Olympus" });
+
+    assert.deepEqual(validatePickupSchedule(schedule), [
+      "Mars/Olympus is not a time zone",
+    ]);
+    const valid = normalizePickupSchedule({ timeZone: "Asia/Tokyo" });
+    assert.deepEqual(validatePickupSchedule(valid), []);
+  });
+});
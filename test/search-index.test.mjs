@@ -0,0 +1,34 @@
+/**
+ * Tests for listing search
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { SearchIndex } from "../search-index.js";
+
+const LISTINGS = [
+  { id: "1", foodName: "Pastry Bake", businessName: "Corner Cafe" },
+  { id: "2", foodName: "Sourdough Loaf", businessName: "Robin's Bakery" },
+];
+
+describe("SearchIndex.search", () => {
+  it("matches word stems", () => {
+    const scores = new SearchIndex(LISTINGS).search("baked pastries");
+
+    assert.deepEqual([...scores.keys()], ["1"]);
+  });
+
+  it("matches every listing when the query is only stop words", () => {
+    const index = new SearchIndex(LISTINGS);
+
+    assert.deepEqual([...index.search("the").keys()], ["1", "2"]);
+    assert.deepEqual([...index.search("and the").keys()], ["1", "2"]);
+  });
+
+  it("still ignores stop words next to other words", () => {
+    const scores = new SearchIndex(LISTINGS).search("the sourdough");
+
+    assert.deepEqual([...scores.keys()], ["2"]);
+  });
+});
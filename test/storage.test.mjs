@@ -0,0 +1,232 @@
+/**
+ * Tests for the storage adapters, and for ApiService running on top of them
+ *
+ * Run with: node --test test/
+ */
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it } from "node:test";
+import { ApiService } from "../api.js";
+import { AuthService } from "../auth.js";
+import { EmailService } from "../email.js";
+import FileStorageAdapter from "../server/file-storage.mjs";
+import { MemoryStorageAdapter, ScopedStorageAdapter } from "../storage.js";
+
+// Keys the server keeps per client
+const SCOPED_KEYS = ["savebite_session", "savebite_cart"];
+
+/**
+ * Create an auth and API service pair on a storage adapter
+ * @param {StorageAdapter} storage - Storage adapter
+ * @returns {Object} Object with auth and api services
+ */
+function createServices(storage) {
+  const auth = new AuthService({ storage });
+  const api = new ApiService({
+    storage,
+    auth,
+    simulateLatency: false,
+    email: new EmailService({ storage }),
+  });
+
+  return { auth, api };
+}
+
+describe("MemoryStorageAdapter", () => {
+  it("returns stored values and the fallback for missing keys", () => {
+    const storage = new MemoryStorageAdapter({ greeting: "hello" });
+
+    assert.equal(storage.get("greeting"), "hello");
+    assert.equal(storage.get("missing"), null);
+    assert.deepEqual(storage.get("missing", []), []);
+  });
+
+  it("sets, lists and removes keys", () => {
+    const storage = new MemoryStorageAdapter();
+
+    storage.set("a", 1);
+    storage.set("b", { nested: true });
+    assert.deepEqual(storage.keys(), ["a", "b"]);
+    assert.equal(storage.has("a"), true);
+
+    storage.remove("a");
+    assert.equal(storage.has("a"), false);
+    assert.deepEqual(storage.keys(), ["b"]);
+  });
+
+  it("stores copies, so changing a value doesn't change storage", () => {
+    const storage = new MemoryStorageAdapter();
+    const cart = { items: [] };
+
+    storage.set("cart", cart);
+    cart.items.push("apple");
+    storage.get("cart").items.push("pear");
+
+    assert.deepEqual(storage.get("cart"), { items: [] });
+  });
+});
+
+describe("ScopedStorageAdapter", () => {
+  it("keeps scoped keys apart and shares the rest", () => {
+    const base = new MemoryStorageAdapter();
+    const first = new ScopedStorageAdapter(base, "one", ["cart"]);
+    const second = new ScopedStorageAdapter(base, "two", ["cart"]);
+
+    first.set("cart", ["apple"]);
+    second.set("cart", ["pear"]);
+    first.set("listings", ["bread"]);
+
+    assert.deepEqual(first.get("cart"), ["apple"]);
+    assert.deepEqual(second.get("cart"), ["pear"]);
+    assert.deepEqual(second.get("listings"), ["bread"]);
+    assert.deepEqual(base.get("cart:one"), ["apple"]);
+    assert.equal(base.has("cart"), false);
+  });
+
+  it("removes only its own copy of a scoped key", () => {
+    const base = new MemoryStorageAdapter();
+    const first = new ScopedStorageAdapter(base, "one", ["cart"]);
+    const second = new ScopedStorageAdapter(base, "two", ["cart"]);
+
+    first.set("cart", ["apple"]);
+    second.set("cart", ["pear"]);
+    first.remove("cart");
+
+    assert.equal(first.has("cart"), false);
+    assert.deepEqual(second.get("cart"), ["pear"]);
+  });
+});
+
+describe("FileStorageAdapter", () => {
+  it("keeps values with a file key prefix out of the data file", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "savebite-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, "savebite.json");
+    const options = { fileKeyPrefixes: ["savebite_image_"] };
+
+    const storage = new FileStorageAdapter(filePath, options);
+    storage.set("savebite_listings", [{ id: "1" }]);
+    storage.set("savebite_image_1", { sizes: { 320: "data:..." } });
+
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    assert.deepEqual(Object.keys(saved), ["savebite_listings"]);
+
+    const reloaded = new FileStorageAdapter(filePath, options);
+    assert.deepEqual(reloaded.get("savebite_image_1"), {
+      sizes: { 320: "data:..." },
+    });
+    assert.deepEqual(reloaded.keys().sort(), [
+      "savebite_image_1",
+      "savebite_listings",
+    ]);
+
+    reloaded.remove("savebite_image_1");
+    assert.equal(reloaded.has("savebite_image_1"), false);
+  });
+
+  it("moves values written before they had their own file", (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "savebite-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, "savebite.json");
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({ savebite_image_1: { sizes: {} }, other: 1 })
+    );
+
+    const storage = new FileStorageAdapter(filePath, {
+      fileKeyPrefixes: ["savebite_image_"],
+    });
+
+    assert.deepEqual(storage.get("savebite_image_1"), { sizes: {} });
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), {
+      other: 1,
+    });
+  });
+});
+
+describe("ApiService on a MemoryStorageAdapter", () => {
+  it("only saves listings when reading them expires one", async () => {
+    const storage = new MemoryStorageAdapter();
+    const { api } = createServices(storage);
+    await api.getListings();
+
+    const writes = [];
+    const set = storage.set.bind(storage);
+    storage.set = (key, value) => {
+      writes.push(key);
+      set(key, value);
+    };
+    await api.getListings();
+
+    assert.deepEqual(writes, []);
+  });
+
+  it("creates mock data and serves listings", async () => {
+    const { api } = createServices(new MemoryStorageAdapter());
+
+    const listings = await api.getListings();
+
+    assert.ok(listings.length > 0);
+    assert.ok(listings.every((listing) => listing.status === "active"));
+  });
+
+  it("adds a listing to a signed-in customer's cart", async () => {
+    const { auth, api } = createServices(new MemoryStorageAdapter());
+    const [listing] = await api.getListings();
+
+    await auth.register({
+      name: "Casey",
+      email: "casey@example.com",
+      password: "secret123",
+      role: "customer",
+    });
+    const result = await api.addToCart({ ...listing, quantity: 1 });
+    const cart = await api.getCart();
+
+    assert.equal(result.success, true);
+    assert.deepEqual(
+      cart.items.map((item) => [item.id, item.quantity]),
+      [[listing.id, 1]]
+    );
+  });
+});
+
+describe("ApiService on ScopedStorageAdapters", () => {
+  it("gives each client its own session and cart over shared data", async () => {
+    const base = new MemoryStorageAdapter();
+    const first = createServices(
+      new ScopedStorageAdapter(base, "one", SCOPED_KEYS)
+    );
+    const second = createServices(
+      new ScopedStorageAdapter(base, "two", SCOPED_KEYS)
+    );
+    await Promise.all([first.api.ready, second.api.ready]);
+
+    await first.auth.register({
+      name: "Casey",
+      email: "casey@example.com",
+      password: "secret123",
+      role: "customer",
+    });
+    await second.auth.register({
+      name: "Robin",
+      email: "robin@example.com",
+      password: "secret123",
+      role: "customer",
+    });
+
+    const [listing] = await first.api.getListings();
+    await first.api.addToCart({ ...listing, quantity: 2 });
+
+    assert.equal(first.auth.getCurrentUser().email, "casey@example.com");
+    assert.equal(second.auth.getCurrentUser().email, "robin@example.com");
+    assert.equal((await first.api.getCart()).items.length, 1);
+    assert.equal((await second.api.getCart()).items.length, 0);
+
+    // Listings and their stock holds are shared
+    const listingForSecond = await second.api.getListingById(listing.id);
+    assert.equal(listingForSecond.availableQuantity, listing.quantity - 2);
+  });
+});
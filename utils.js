@@ -95,31 +95,67 @@ function formatRelativeTime(date) {
 }
 
 /**
- * Format time until expiry (e.g., "Expires in 2 days")
- * @param {string|Date} date - The expiry date
- * @returns {string} The formatted time until expiry
+ * Format time until a future date (e.g., "in 2 days")
+ * @param {string|Date} date - The future date
+ * @returns {string} The formatted time until the date
  */
-function formatTimeUntilExpiry(date) {
+function formatTimeUntil(date) {
   const now = new Date();
-  const expiryDate = new Date(date);
-  const diffInSeconds = Math.floor((expiryDate - now) / 1000);
-
-  if (diffInSeconds < 0) {
-    return "Expired";
-  }
+  const futureDate = new Date(date);
+  const diffInSeconds = Math.max(0, Math.floor((futureDate - now) / 1000));
 
   const diffInMinutes = Math.floor(diffInSeconds / 60);
   if (diffInMinutes < 60) {
-    return `Expires in ${diffInMinutes} minute${diffInMinutes > 1 ? "s" : ""}`;
+    return `in ${diffInMinutes} minute${diffInMinutes !== 1 ? "s" : ""}`;
   }
 
   const diffInHours = Math.floor(diffInMinutes / 60);
   if (diffInHours < 24) {
-    return `Expires in ${diffInHours} hour${diffInHours > 1 ? "s" : ""}`;
+    return `in ${diffInHours} hour${diffInHours > 1 ? "s" : ""}`;
   }
 
   const diffInDays = Math.floor(diffInHours / 24);
-  return `Expires in ${diffInDays} day${diffInDays > 1 ? "s" : ""}`;
+  return `in ${diffInDays} day${diffInDays > 1 ? "s" : ""}`;
+}
+
+/**
+ * Format time until expiry (e.g., "Expires in 2 days")
+ * @param {string|Date} date - The expiry date
+ * @returns {string} The formatted time until expiry
+ */
+function formatTimeUntilExpiry(date) {
+  if (new Date(date) < new Date()) {
+    return "Expired";
+  }
+
+  return `Expires ${formatTimeUntil(date)}`;
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Check that text looks like a single email address
+ * @param {string} email - Email address
+ * @returns {boolean} Whether it has a name, an @ and a domain, and no
+ *                    spaces, line breaks or characters that end an address
+ */
+function isValidEmail(email) {
+  return (
+    typeof email === "string" &&
+    /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;.]+$/.test(email)
+  );
 }
 
 /**
@@ -390,7 +426,9 @@ function initCommon() {
 }
 
 // Initialize common elements when DOM is loaded
-document.addEventListener("DOMContentLoaded", initCommon);
+if (typeof document !== "undefined") {
+  document.addEventListener("DOMContentLoaded", initCommon);
+}
 
 // Export utility functions
 export {
@@ -400,7 +438,10 @@ export {
   generateId,
   isExpired,
   formatRelativeTime,
+  formatTimeUntil,
   formatTimeUntilExpiry,
+  escapeHtml,
+  isValidEmail,
   showNotification,
   setupPasswordToggle,
   setupMobileNav,